@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/*
+ * ReSlides · línea de comandos
+ *
+ * Construye presentaciones desde archivos de guion con el mismo núcleo que la app web:
+ *
+ *   node reslides-cli.js build guion.txt --theme verde --font moderna --out dist/
+ *
+ * Formatos (--format, separados por coma): html (presentacion.html + graficaN.html +
+ * README.md), pptx, zip y single (presentacion-offline.html con todo incrustado). Con
+ * --offline, html y zip incluyen assets/ locales en lugar de enlaces a CDN. Con --watch
+ * vuelve a construir cada vez que cambia el guion. Los `Adjunto:` y el `Logo:` del
+ * encabezado se buscan en disco relativos a la carpeta del guion y se copian a assets/;
+ * igual los CSV/XLSX de `Datos: Archivo:` y `Estadística: Archivo:`, cuyos valores se leen
+ * al construir (y se copian a datos/ del ZIP). El guion puede estar en Markdown (.md o
+ * detectado por su contenido). `convert` imprime el guion en el otro formato:
+ * node reslides-cli.js convert guion.txt --to markdown > guion.md
+ * `import` convierte un .pptx en guion (guion.txt o guion.md con --to markdown) y deja sus
+ * imágenes junto a él en --out, listas para volver a construir con build.
+ * --a11y imprime la revisión de accesibilidad de checkAccessibility.
+ * --lang elige el idioma de lo generado y de las palabras clave que escriben convert e
+ * import; por defecto es el de las palabras clave del guion (uno con "Slide 1" se genera
+ * en inglés) o español, y también el de los mensajes (LOCALES de reslides-core).
+ * Sale con código 1 si el guion tiene errores y 2 si los argumentos no son válidos.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  THEMES,
+  FONTS,
+  LOCALES,
+  analyzeSource,
+  buildDeck,
+  buildZip,
+  generatePptx,
+  guessMimeType,
+  importPptx,
+  keyword,
+  loadOfflineAssets,
+  localeText,
+  registerTheme,
+  resolveDataSources,
+  scriptLocale,
+  slidesToMarkdown,
+  slidesToScript,
+} = require('./reslides-core');
+
+const FORMATS = ['html', 'pptx', 'zip', 'single'];
+const CONVERSIONS = { markdown: slidesToMarkdown, md: slidesToMarkdown, guion: slidesToScript };
+
+// Ayuda en el idioma `locale`
+function usage(locale) {
+  return localeText(locale, 'cliUsage', {
+    themes: Object.keys(THEMES).join(', '),
+    fonts: Object.keys(FONTS).join(', '),
+    locales: Object.keys(LOCALES).join(', '),
+    formats: FORMATS.join(', '),
+  });
+}
+
+// Idioma de los mensajes antes de leer el guion: el de --lang, si se indica
+function argLocale(argv) {
+  const i = argv.indexOf('--lang');
+  return i >= 0 ? String(argv[i + 1] || '').toLowerCase() : undefined;
+}
+
+class UsageError extends Error {}
+
+// Registra un tema exportado desde el editor de la app y devuelve su clave
+function loadThemeFile(file, locale) {
+  try {
+    return registerTheme(JSON.parse(fs.readFileSync(file, 'utf8')), locale);
+  } catch (err) {
+    throw new UsageError(localeText(locale, 'cliThemeFile', { file, error: err.message }));
+  }
+}
+
+function parseArgs(argv) {
+  const t = (key, vars) => localeText(argLocale(argv), key, vars);
+  const opts = {
+    themeKey: 'default',
+    fontKey: 'default',
+    out: 'dist',
+    formats: ['html'],
+    offline: false,
+    watch: false,
+    a11y: false,
+  };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new UsageError(t('cliMissingValue', { option: arg }));
+      return argv[++i];
+    };
+    if (arg === '-h' || arg === '--help') opts.help = true;
+    else if (arg === '--theme') opts.themeKey = next();
+    else if (arg === '--font') opts.fontKey = next();
+    else if (arg === '--lang') opts.locale = next().toLowerCase();
+    else if (arg === '--out') opts.out = next();
+    else if (arg === '--format') opts.formats = next().split(',').map((f) => f.trim().toLowerCase()).filter(Boolean);
+    else if (arg === '--offline') opts.offline = true;
+    else if (arg === '--watch') opts.watch = true;
+    else if (arg === '--a11y') opts.a11y = true;
+    else if (arg === '--to') opts.to = next().toLowerCase();
+    else if (arg.startsWith('-')) throw new UsageError(t('cliUnknownOption', { option: arg }));
+    else positional.push(arg);
+  }
+  opts.command = positional[0];
+  opts.input = positional[1];
+
+  if (opts.help) return opts;
+  if (!['build', 'convert', 'import'].includes(opts.command)) {
+    throw new UsageError(t('cliUnknownCommand', { command: opts.command || t('cliNoCommand') }));
+  }
+  if (!opts.input) {
+    throw new UsageError(t(opts.command === 'import' ? 'cliNoPptx' : 'cliNoScript'));
+  }
+  if (opts.command === 'import' && !opts.to) opts.to = 'guion';
+  if (opts.command !== 'build' && !CONVERSIONS[opts.to]) {
+    throw new UsageError(opts.to ? t('cliBadTo', { to: opts.to }) : t('cliNoTo'));
+  }
+  if (/\.json$/i.test(opts.themeKey)) {
+    const key = loadThemeFile(opts.themeKey, opts.locale);
+    // Las tipografías del archivo se usan salvo que se indique --font
+    if (THEMES[key].fontKey && !argv.includes('--font')) opts.fontKey = THEMES[key].fontKey;
+    opts.themeKey = key;
+  }
+  if (!THEMES[opts.themeKey]) throw new UsageError(t('cliUnknownTheme', { name: opts.themeKey }));
+  if (!FONTS[opts.fontKey]) throw new UsageError(t('cliUnknownFont', { name: opts.fontKey }));
+  if (opts.locale && !LOCALES[opts.locale]) throw new UsageError(t('cliUnknownLocale', { name: opts.locale }));
+  const badFormat = opts.formats.find((f) => !FORMATS.includes(f));
+  if (badFormat) throw new UsageError(t('cliUnknownFormat', { name: badFormat }));
+  return opts;
+}
+
+// Formato compatible con editores: archivo:línea:columna: severidad: mensaje [campo]
+function printDiagnostics(file, diagnostics, locale) {
+  diagnostics.forEach((d) => {
+    const severity = localeText(locale, d.severity === 'error' ? 'cliError' : 'cliWarning');
+    console.error(`${file}:${d.line}:${d.column}: ${severity}: ${d.message} [${d.field}]`);
+  });
+}
+
+// Avisos de generación e importación; los del encabezado (el logo) no son de una diapositiva
+function printWarnings(file, warnings, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  warnings.forEach((w) => console.error(`${file}: ${t('cliWarning')}: ${w.slide ? t('cliSlide', { n: w.slide }) : ''}${w.message}`));
+}
+
+function writeFile(outDir, name, data) {
+  const target = path.join(outDir, name);
+  fs.writeFileSync(target, data);
+  console.log(`  ${target}`);
+}
+
+// Lee de disco los archivos de `Adjunto:`, `Archivo:` y el `Logo:` del encabezado (relativos al
+// guion); los que faltan los avisan buildDeck y resolveDataSources
+function readAttachments(input, slides, frontMatter) {
+  const dir = path.dirname(path.resolve(input));
+  const files = [];
+  const logo = frontMatter && frontMatter.logo ? [{ attachments: [frontMatter.logo] }] : [];
+  [...slides, ...logo].forEach((slide) => {
+    const source = (slide.stats && slide.stats.source) || (slide.graph && slide.graph.source);
+    [...slide.attachments, ...(source ? [source.file] : [])].forEach((ref) => {
+      if (/^https?:\/\//i.test(ref)) return;
+      const file = path.resolve(dir, ref);
+      if (!fs.existsSync(file) || files.some((f) => f.path === file)) return;
+      files.push({ path: file, name: path.basename(file), type: guessMimeType(file), data: fs.readFileSync(file) });
+    });
+  });
+  return files;
+}
+
+// Los .md siempre se leen como Markdown; el resto se detecta por su contenido. El idioma
+// es el de --lang o el de las palabras clave del guion
+function readSource(input, opts) {
+  const raw = fs.readFileSync(input, 'utf8');
+  const locale = opts.locale || scriptLocale(raw) || 'es';
+  return { ...analyzeSource(raw, /\.(md|markdown)$/i.test(input) ? 'markdown' : 'auto', { locale }), locale };
+}
+
+// Devuelve true si el guion se construyó sin errores
+async function build(opts) {
+  const { slides, diagnostics, locale, frontMatter } = readSource(opts.input, opts);
+  const t = (key, vars) => localeText(locale, key, vars);
+  printDiagnostics(opts.input, diagnostics, locale);
+  if (diagnostics.some((d) => d.severity === 'error')) {
+    console.error(t('cliScriptErrors'));
+    return false;
+  }
+  if (!slides.length) {
+    console.error(t('cliNoSlides', { slide: keyword('slide', locale) }));
+    return false;
+  }
+
+  const needsAssets = opts.formats.includes('single') || opts.offline;
+  // loadOfflineAssets descarga una sola vez y reutiliza los recursos en cada reconstrucción
+  const assets = needsAssets ? await loadOfflineAssets(null, locale) : null;
+  const attachments = readAttachments(opts.input, slides, frontMatter);
+  const data = await resolveDataSources(slides, attachments, { locale });
+  printWarnings(opts.input, data.warnings, locale);
+  const deck = buildDeck(data.slides, {
+    ...opts,
+    locale,
+    frontMatter,
+    assetMode: opts.offline ? 'local' : 'cdn',
+    assets,
+    attachments,
+    attachmentMode: 'files',
+  });
+  printWarnings(opts.input, deck.warnings, locale);
+  if (opts.a11y) {
+    // Los avisos del tema no son de una diapositiva; los de la agenda, de una que no está en el guion
+    deck.accessibility.forEach((w) => {
+      const where = w.slide ? t('cliSlide', { n: w.slide }) : w.generated ? t('cliGenerated', { name: w.generated }) : '';
+      console.error(`${opts.input}: ${t('cliAccessibility')}: ${where}${w.message} [${w.field}]`);
+    });
+  }
+  fs.mkdirSync(opts.out, { recursive: true });
+  console.log(t('cliBuilt', { n: deck.slides.length, out: opts.out }));
+
+  if (opts.formats.includes('html')) {
+    writeFile(opts.out, 'presentacion.html', deck.presentationHtml);
+    deck.graphFiles.forEach((g) => writeFile(opts.out, g.filename, g.html));
+    [...deck.assetFiles, ...deck.attachmentFiles].forEach((a) => {
+      fs.mkdirSync(path.dirname(path.join(opts.out, a.filename)), { recursive: true });
+      writeFile(opts.out, a.filename, a.data);
+    });
+    writeFile(opts.out, 'README.md', deck.readme);
+  }
+  if (opts.formats.includes('single')) {
+    const single = buildDeck(data.slides, { ...opts, locale, frontMatter, assetMode: 'inline', assets, attachments });
+    writeFile(opts.out, 'presentacion-offline.html', single.presentationHtml);
+  }
+  if (opts.formats.includes('pptx')) {
+    const pres = generatePptx(deck.slides, deck.theme, deck.fonts, { attachments, locale, frontMatter });
+    printWarnings(opts.input, pres.warnings, locale);
+    writeFile(opts.out, 'ReSlides-presentacion.pptx', await pres.write({ outputType: 'nodebuffer' }));
+  }
+  if (opts.formats.includes('zip')) {
+    const zip = buildZip(deck);
+    writeFile(opts.out, 'reslides_paquete.zip', await zip.generateAsync({ type: 'nodebuffer' }));
+  }
+  return true;
+}
+
+// Escribe el guion del PPTX y sus imágenes en opts.out; devuelve true si se pudo leer
+async function importDeck(opts) {
+  let imported;
+  try {
+    imported = await importPptx(fs.readFileSync(opts.input), { locale: opts.locale });
+  } catch (err) {
+    console.error(`${opts.input}: ${err.message}`);
+    return false;
+  }
+  printWarnings(opts.input, imported.warnings, opts.locale);
+  fs.mkdirSync(opts.out, { recursive: true });
+  console.log(localeText(opts.locale, 'cliBuilt', { n: imported.slides.length, out: opts.out }));
+  const markdown = CONVERSIONS[opts.to] === slidesToMarkdown;
+  writeFile(opts.out, markdown ? 'guion.md' : 'guion.txt', CONVERSIONS[opts.to](imported.slides, { locale: opts.locale }));
+  // Los `Adjunto:` se resuelven relativos al guion, así que las imágenes van a su lado
+  imported.files.forEach((f) => writeFile(opts.out, f.name, f.data));
+  return true;
+}
+
+function watch(opts) {
+  let timer = null;
+  let running = Promise.resolve();
+  const rebuild = () => {
+    clearTimeout(timer);
+    // Los editores suelen guardar en varios pasos; esperar a que termine la ráfaga
+    timer = setTimeout(() => {
+      running = running.then(() => {
+        console.log(`\n[${new Date().toLocaleTimeString()}] ${localeText(opts.locale, 'cliChanged', { file: opts.input })}`);
+        return build(opts).catch((err) => console.error(err.message));
+      });
+    }, 150);
+  };
+  // Se vigila la carpeta para sobrevivir a editores que reemplazan el archivo al guardar
+  const dir = path.dirname(path.resolve(opts.input));
+  const base = path.basename(opts.input);
+  fs.watch(dir, (event, filename) => {
+    if (filename === base && fs.existsSync(opts.input)) rebuild();
+  });
+  console.log(localeText(opts.locale, 'cliWatching', { file: opts.input }));
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(err.message + '\n\n' + usage(argLocale(argv)));
+    return 2;
+  }
+  if (opts.help) {
+    console.log(usage(opts.locale));
+    return 0;
+  }
+  if (!fs.existsSync(opts.input)) {
+    console.error(localeText(opts.locale, 'cliNoFile', { file: opts.input }));
+    return 2;
+  }
+
+  if (opts.command === 'convert') {
+    const { slides, diagnostics, locale, frontMatter } = readSource(opts.input, opts);
+    printDiagnostics(opts.input, diagnostics, locale);
+    if (diagnostics.some((d) => d.severity === 'error')) return 1;
+    process.stdout.write(CONVERSIONS[opts.to](slides, { locale, frontMatter }));
+    return 0;
+  }
+  if (opts.command === 'import') {
+    return (await importDeck(opts)) ? 0 : 1;
+  }
+
+  let ok;
+  try {
+    ok = await build(opts);
+  } catch (err) {
+    console.error(err.message);
+    ok = false;
+  }
+  if (opts.watch) {
+    watch(opts);
+    return null;
+  }
+  return ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    if (code !== null) process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs };
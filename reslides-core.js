@@ -0,0 +1,7164 @@
+/*
+ * ReSlides · núcleo de generación
+ *
+ * Parser del guion, registro de temas/fuentes/gráficas, generadores de
+ * presentacion.html, graficaN.html, README, PPTX y ZIP, e importador de PPTX. No toca
+ * el DOM, así que se carga igual en el navegador (global `ReSlidesCore`) que en Node
+ * (`require('./reslides-core')`). La interfaz de index.html vive en script.js.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ReSlidesCore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// Librerías externas: global del navegador (cargada en index.html) o paquete npm en Node
+function resolveLibrary(globalName, packageName) {
+  const globalObj = typeof globalThis !== 'undefined' ? globalThis : {};
+  if (globalObj[globalName]) return globalObj[globalName];
+  if (typeof require === 'function') {
+    try {
+      return require(packageName);
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/* ===========================
+   Configuración de temas y fuentes
+   =========================== */
+
+const THEMES = {
+  default: {
+    name: 'Azul y dorado',
+    primary: '#1B365D',
+    secondary: '#2C5282',
+    accent: '#D4AF37',
+    background: '#F7FAFC',
+    text: '#1A202C',
+  },
+  purpura: {
+    name: 'Púrpura',
+    primary: '#4C1D95',
+    secondary: '#6D28D9',
+    accent: '#FBBF24',
+    background: '#F5F3FF',
+    text: '#111827',
+  },
+  verde: {
+    name: 'Verde',
+    primary: '#166534',
+    secondary: '#047857',
+    accent: '#F59E0B',
+    background: '#ECFDF5',
+    text: '#064E3B',
+  },
+};
+
+// Familias tipográficas disponibles: genérica de respaldo y paquete @fontsource (modo sin conexión)
+const FONT_FAMILIES = {
+  'Sorts Mill Goudy': { generic: 'serif', file: 'sorts-mill-goudy' },
+  Oranienbaum: { generic: 'serif', file: 'oranienbaum' },
+  Coda: { generic: 'sans-serif', file: 'coda' },
+  Unna: { generic: 'serif', file: 'unna' },
+  Merriweather: { generic: 'serif', file: 'merriweather' },
+  Montserrat: { generic: 'sans-serif', file: 'montserrat' },
+};
+
+const FONTS = {
+  default: {
+    name: 'Clásica',
+    heading: "'Sorts Mill Goudy', serif",
+    body: "'Oranienbaum', serif",
+    families: ['Sorts Mill Goudy', 'Oranienbaum'],
+  },
+  moderna: {
+    name: 'Moderna',
+    heading: "'Coda', sans-serif",
+    body: "'Unna', serif",
+    families: ['Coda', 'Unna'],
+  },
+};
+
+// Utilidad: convertir color #RRGGBB a formato usado típicamente por PptxGenJS ("RRGGBB")
+function toPptxColor(hex) {
+  if (!hex) return '000000';
+  return hex.replace('#', '').toUpperCase();
+}
+
+/* ===========================
+   Idiomas
+   =========================== */
+
+/*
+ * Idiomas de lo generado (presentación, gráficas, README y PPTX) y de las palabras clave del
+ * guion. `tag` da el formato de fechas y números; en `keywords` la primera palabra de cada
+ * campo es la que escribe slidesToScript, y el parser acepta las de todos los idiomas (las de
+ * DECK_FIELDS sólo en el encabezado del guion).
+ * Los textos admiten {variables}; los que falten en un idioma se toman del español.
+ * `names` traduce los nombres de LAYOUTS, CHART_TYPES, STATS_KINDS, THEMES, FONTS y
+ * CHART_OPTIONS (en español son los de cada registro).
+ */
+const LOCALES = {
+  es: {
+    name: 'Español',
+    tag: 'es-MX',
+    keywords: {
+      slide: ['Diapositiva'],
+      title: ['Título', 'Titulo'],
+      content: ['Contenido', 'Contexto'],
+      data: ['Datos'],
+      stats: ['Estadística', 'Estadísticas', 'Estadistica', 'Estadisticas'],
+      description: ['Descripción', 'Descripcion'],
+      notes: ['Notas', 'Nota'],
+      attachment: ['Adjunto'],
+      layout: ['Diseño', 'Diseno'],
+      author: ['Autor', 'Autora', 'Autores'],
+      institution: ['Institución', 'Institucion'],
+      course: ['Curso', 'Materia', 'Asignatura'],
+      date: ['Fecha'],
+      logo: ['Logo', 'Logotipo'],
+      footer: ['Pie', 'Pie de página', 'Pie de pagina'],
+      numbers: ['Numeración', 'Numeracion'],
+      agenda: ['Agenda', 'Índice', 'Indice'],
+    },
+    // Secciones de `Datos:` y `Estadística:` y valores de sus opciones, como las escribe slidesToScript
+    sections: {
+      type: 'Tipo',
+      labels: 'Labels',
+      values: 'Valores',
+      series: 'Serie',
+      error: 'Error',
+      file: 'Archivo',
+      sheet: 'Hoja',
+      range: 'Rango',
+      labelColumn: 'Etiquetas',
+      columns: 'Columnas',
+      method: 'Método',
+      scale: 'Escala',
+      levels: 'Niveles',
+      comma: 'coma',
+      point: 'punto',
+      yes: 'sí',
+      no: 'no',
+      asc: 'ascendente',
+      desc: 'descendente',
+    },
+    text: {
+      deckTitle: 'Presentación generada con ReSlides',
+      coverTitle: 'Título de la presentación',
+      slide: 'Diapositiva {n}',
+      chart: 'Gráfica',
+      chartN: 'Gráfica {n}',
+      chartPage: 'Vista previa en página separada:',
+      openChart: 'Abrir gráfica {n}',
+      section: 'Sección {n}',
+      closingTitle: '¡Gracias!',
+      trend: 'Tendencia',
+      trendOf: 'Tendencia ({name})',
+      controls: 'Controles de la presentación',
+      prev: 'Anterior (←)',
+      next: 'Siguiente (→)',
+      overview: 'Vista general (O)',
+      presenter: 'Vista del presentador (P)',
+      fullscreen: 'Pantalla completa (F)',
+      upNext: 'Siguiente',
+      nextSlide: 'Diapositiva siguiente',
+      notes: 'Notas',
+      noNotes: 'Sin notas para esta diapositiva.',
+      timerToggle: 'Pausar o reanudar',
+      timerReset: 'Reiniciar',
+      statVariable: 'Variable',
+      statMean: 'Media',
+      statSd: 'DE',
+      statMedian: 'Mediana',
+      statMin: 'Mín.',
+      statMax: 'Máx.',
+      statMeanSd: 'Media (± DE)',
+      statCategory: 'Categoría',
+      statTotal: 'Total',
+      statFrequency: 'Frecuencia',
+      statStatistic: 'Estadístico',
+      statValue: 'Valor',
+      statMethod: 'Método',
+      statLine: 'Recta',
+      statItem: 'Ítem',
+      statAgree: '% acuerdo',
+      contrastText: 'Texto sobre el fondo',
+      contrastTitles: 'Títulos sobre el fondo',
+      contrastAccent: 'Acento (números, comillas) sobre el fondo',
+      contrastCoverFrom: 'Texto blanco al inicio de la portada',
+      contrastCoverTo: 'Texto blanco al final de la portada',
+      contrastSection: 'Texto blanco en diapositivas de sección',
+      readmeTitle: 'ReSlides - Presentación generada',
+      readmeSlides: 'Diapositivas: {n}',
+      readmeCharts: 'Diapositivas con gráficas: {n}',
+      readmeFiles: 'Archivos incluidos:',
+      readmePresentation: 'presentación principal con estilo y gráficas integradas.',
+      readmeChartPages: 'páginas individuales para cada gráfica (si aplica).',
+      readmeAssets: 'estilos, Plotly y fuentes locales; la presentación funciona sin conexión a internet.',
+      readmeAttachments: '{n} imagen(es) o archivo(s) adjunto(s) del guion.',
+      readmePng: 'una imagen PNG de cada diapositiva ({n}).',
+      readmeData: '{n} archivo(s) CSV o XLSX con los datos de las gráficas.',
+      readmePresent:
+        'Para presentar, abre `presentacion.html`: ← → o clic para avanzar, F para pantalla completa, O para la vista general.',
+      readmeFooter: 'Este paquete fue generado automáticamente a partir de un guion en la app web ReSlides.',
+      slideRole: 'diapositiva',
+      chartSummary: 'Gráfica ({type}) con {labels} categoría(s) y {series} serie(s).',
+      chartHighest: 'Valor más alto: {value} ({where}).',
+      chartLowest: 'Valor más bajo: {value} ({where}).',
+      chartData: 'Datos de la gráfica',
+      chartLabel: 'Etiqueta',
+      a11yContrast: 'Contraste',
+      a11yContrastLow: '{label}: {ratio}:1; WCAG AA pide al menos {min}:1.',
+      a11yNoTitle: 'La diapositiva no tiene título; los lectores de pantalla anunciarán "{fallback}".',
+      a11yBullets: 'Demasiados puntos ({n}); se recomiendan {max} como máximo.',
+      a11yWords: 'Demasiado texto ({n} palabras); se recomiendan {max} como máximo.',
+      a11yNoAlt: 'La imagen "{name}" no tiene texto alternativo y se usará "{alt}"; escríbelo entre comillas tras el nombre.',
+      agenda: 'Agenda',
+      flagYes: 'sí',
+      flagNo: 'no',
+      header: 'Encabezado',
+      headerUnclosed: 'Falta cerrar el encabezado con una línea ---.',
+      headerUnknownField: 'Campo desconocido en el encabezado: "{name}"; se ignoró. Campos válidos: {fields}.',
+      headerEmpty: '"{field}:" está vacío; se ignoró.',
+      headerFlag: '"{field}:" debe ser sí o no (se recibió "{value}").',
+      slideRepeated: 'El número de diapositiva {n} está repetido.',
+      slideOutOfOrder: 'Diapositiva {n} fuera de orden: se esperaba la {expected}.',
+      slideNoTitle: 'La diapositiva no tiene título.',
+      titleEmpty: 'El campo "Título:" está vacío.',
+      unknownField: 'Campo desconocido "{name}:"; la línea se añadió como contenido.',
+      unknownLayout: 'Diseño desconocido "{name}"; se usará el predeterminado. Diseños válidos: {layouts}.',
+      badNumber: '"{text}" no es un número válido {where}.{hint}',
+      inSeries: 'en la serie "{name}"',
+      inErrorBars: 'en las barras de error',
+      hintDecimalPoint: 'Con decimal punto, la coma sólo separa miles (1,234.5).',
+      hintDecimalCommaList: 'Con decimal coma, separa los valores con coma y espacio ("4,2, 3,8") o con |.',
+      hintDecimalComma: 'Con decimal coma, el punto sólo separa miles (1.234,5).',
+      unknownDecimal: 'Separador decimal desconocido "{name}"; usa coma o punto.',
+      badRange: 'Rango no válido "{range}"; usa el formato A1:D10. Se leerá toda la hoja.',
+      unknownChartType: 'Tipo de gráfica desconocido "{name}"; se usarán barras. Tipos válidos: {types}.',
+      badOptionValue: 'Valor no válido para "{name}": "{value}"; se ignoró.',
+      sourceIgnored: 'Con "Archivo:" las series se eligen con "Columnas:"; se ignoró "{section}".',
+      unknownDataSection: 'Sección de datos desconocida "{section}"; se ignoró.',
+      csvUnclosed: 'Falta cerrar el bloque {marker}.',
+      tableTooShort: 'La tabla de datos necesita una fila de encabezados y al menos una fila de valores.',
+      layoutNoChart: 'El diseño "{layout}" no muestra gráficas; usa "Diseño: contenido" para incluirla.',
+      noFileName: 'Falta el nombre del archivo en "Archivo:".',
+      errorSeriesMissing: 'No hay una serie "{name}" para las barras de error; se ignoraron.',
+      errorCount: 'Las barras de error tienen {n} valores pero la serie "{name}" tiene {count}.',
+      optionIgnored: '"{label}" {reason}; se ignoró.',
+      optionNotForType: 'no se aplica a las gráficas de tipo {type}',
+      optionBarsOnly: 'sólo se aplica a las gráficas de barras',
+      optionSingleBars: 'sólo se aplica a las gráficas de barras con una serie',
+      highlightNoLabel: 'no coincide con ninguna etiqueta ("{label}")',
+      pieSeries: 'Las gráficas de tipo {type} sólo dibujan una serie ("{first}"); se ignora {rest}. Usa barras para comparar varias series.',
+      pieSeriesMany: 'Las gráficas de tipo {type} sólo dibujan una serie ("{first}"); se ignoran {rest}. Usa barras para comparar varias series.',
+      chartNoLabels: 'La gráfica no tiene etiquetas (Labels:).',
+      chartNoValues: 'La gráfica no tiene valores (Valores: o Serie <nombre>:).',
+      seriesLength: 'La serie "{name}" tiene {n} valores pero hay {count} etiquetas.',
+      unknownStatsKind: 'Análisis desconocido "{name}". Análisis válidos: {kinds}.',
+      unknownMethod: 'Método desconocido "{name}"; usa pearson o spearman.',
+      unknownStatsSection: 'Sección desconocida "{section}"; se ignoró.',
+      dataAndStats: 'La diapositiva tiene "Datos:" y "Estadística:"; se usa la gráfica de la estadística.',
+      statsNoKind: 'Indica el análisis: {kinds}.',
+      statsFileIgnoresTable: 'Con "Archivo:" se ignora la tabla del guion.',
+      statsNoData: 'Faltan los datos: pon una tabla o un bloque ```csv debajo de "Estadística:", o usa "Archivo:".',
+      mdTableNoSeparator: 'Tabla sin fila separadora (|---|); se ignoró.',
+      mdCodeBlock: 'Los bloques de código no se muestran en las diapositivas; se ignoró. Usa ```chart para gráficas.',
+      mdUnclosed: 'Falta cerrar un bloque {marker}.',
+      noColumn: 'No hay una columna "{name}".',
+      badCell: '"{cell}" no es un número válido en la serie "{series}" (fila {row}).',
+      statsNotNumeric: 'La columna "{name}" no tiene números; se omitió.',
+      statsSkippedCell: 'Se ignoró 1 celda no numérica de "{name}".',
+      statsSkippedCells: 'Se ignoraron {n} celdas no numéricas de "{name}".',
+      statsOneColumn: 'Las frecuencias usan una sola columna: "{name}".',
+      statsTwoColumns: 'La correlación necesita dos columnas numéricas.',
+      statsFirstTwo: 'La correlación usa las dos primeras columnas: "{first}" y "{second}".',
+      statsPairs: 'La correlación necesita al menos 3 pares de valores.',
+      likertBadScale: 'Escala no válida "{scale}"; usa el formato 1-5.',
+      likertTooWide:
+        'La escala {low}-{high} tiene {points} puntos; una escala Likert admite como máximo {max}. Indica la escala con "Escala: 1-5".',
+      likertLevels: 'Hay {n} niveles para una escala de {points} puntos; se usan los números.',
+      likertFractionalOne: '"{name}" tiene 1 respuesta no entera; se ignoró.',
+      likertFractional: '"{name}" tiene {n} respuestas no enteras; se ignoraron.',
+      likertOutsideOne: '"{name}" tiene 1 respuesta fuera de la escala {low}-{high}; se ignoró.',
+      likertOutside: '"{name}" tiene {n} respuestas fuera de la escala {low}-{high}; se ignoraron.',
+      statsEmpty: 'La tabla no tiene datos.',
+      attachmentMissing: 'No se encontró el adjunto "{name}"; súbelo o revisa el nombre.',
+      dataFileMissing: 'No se encontró el archivo de datos "{file}"; súbelo o revisa el nombre.',
+      dataFileUnreadable: 'No se pudo leer "{file}": {error}',
+      dataMoreProblems: 'y {n} problemas más.',
+      dataErrorColumn: 'no se pudieron leer las barras de error de la columna "{column}".',
+      dataFileEmpty: '"{file}" no tiene datos para la gráfica.',
+      dataFormat: 'Formato no admitido; usa un archivo .csv o .xlsx.',
+      xlsxInvalid: 'El archivo no es un XLSX válido.',
+      xlsxNoSheet: 'No hay una hoja "{name}"; las hojas son: {sheets}.',
+      xlsxNoSheets: 'El libro no tiene hojas.',
+      xlsxTrue: 'VERDADERO',
+      xlsxFalse: 'FALSO',
+      pptxInvalid: 'El archivo no es un PPTX válido.',
+      pptxNoSlides: 'El archivo no es un PPTX válido: no contiene diapositivas.',
+      pptxChartType: 'La gráfica de tipo "{kind}" no tiene equivalente en ReSlides y se omitió.',
+      pptxChartMixed: 'La gráfica combina varios tipos; sólo se importó el primero.',
+      pptxPercentStacked: 'La gráfica apilada al 100 % se importó con valores absolutos.',
+      pptxBlankPoints: 'Los puntos vacíos de la gráfica se importaron como 0.',
+      pptxSeries: 'Serie {n}',
+      pptxNoTitle: 'No se encontró el título de la diapositiva.',
+      pptxExtraChart: 'La diapositiva tiene más de una gráfica; sólo se importó la primera.',
+      pptxChartUnreadable: 'No se pudo leer la gráfica.',
+      pptxOmitted: 'Se omitió un elemento no compatible ({what}).',
+      pptxOmittedMedia: 'vídeo o audio',
+      pptxOmittedTable: 'tabla',
+      pptxOmittedDiagram: 'SmartArt',
+      pptxOmittedObject: 'objeto incrustado',
+      pptxOmittedAlternate: 'contenido alternativo',
+      pptxImageFormat: 'La imagen "{name}" está en un formato que el navegador no muestra; se adjunta como archivo.',
+      libraryMissing: 'No se encontró la librería {name}.',
+      pptxExtrasSkipped: 'Esta versión de PptxGenJS no permite añadir barras de error ni rectas de tendencia; la gráfica se exportó sin ellas.',
+      themeNotObject: 'El tema debe ser un objeto JSON.',
+      themeNoName: 'El tema necesita un nombre ("name").',
+      themeBadColor: 'Color no válido en "{field}": {value}. Usa el formato #RRGGBB.',
+      themeColorList: '"{field}" debe ser una lista de {count} colores.',
+      themeColorListAny: '"{field}" debe ser una lista de uno o más colores.',
+      themeUnknownFont: 'Tipografía desconocida: {name}. Disponibles: {fonts}.',
+      themeUnknown: 'Tema desconocido: {key}',
+      offlineNoFetch: 'No hay fetch disponible para descargar los recursos.',
+      offlineDownload: 'No se pudo descargar {url} ({status}).',
+      offlineMissingAssets: 'La exportación sin conexión necesita los recursos descargados.',
+      aiNoFetch: 'No hay fetch disponible para llamar al proveedor de IA.',
+      aiNoUrl: 'Falta la URL del proveedor de IA.',
+      aiConnect: 'No se pudo conectar con {endpoint}: {error}',
+      aiStatus: 'El proveedor de IA respondió {status}.',
+      aiStatusDetail: 'El proveedor de IA respondió {status}: {detail}.',
+      aiNoText: 'La respuesta del proveedor de IA no trae texto (choices[0].message.content).',
+      projectInvalid: 'El archivo no es un proyecto de ReSlides (.reslides.json).',
+      projectNewer: 'El proyecto se creó con una versión más reciente de ReSlides.',
+      projectNotJson: 'El archivo no es JSON válido.',
+      assistant: 'Asistente',
+      draftIntro: 'Eres el asistente de ReSlides. Redactas guiones de presentaciones académicas en español con esta sintaxis:',
+      draftCoverTitle: 'Título de la presentación',
+      draftCoverContent: 'Subtítulo; Autor · Fecha',
+      draftSlideTitle: 'Título de la diapositiva',
+      draftSlideContent: 'Primer punto; Segundo punto; Tercer punto',
+      draftSubpoint: 'Subpunto del tercer punto',
+      draftData: 'Tipo: barras; Labels: A, B, C; Valores: 4.2, 3.8, 2.5',
+      draftDescription: 'Nota al pie de la gráfica',
+      draftNotes: 'Lo que dirá el presentador',
+      draftRules: 'Reglas:',
+      draftRuleSlides: 'Cada diapositiva empieza con "{slide} N" (N = 1, 2, 3…) en su propia línea.',
+      draftRuleContent: 'En "{content}:" los puntos se separan con ";". Usa **negrita** y *cursiva* sólo cuando ayuden.',
+      draftRuleLayout: '"{layout}:" es opcional: {layouts}.',
+      draftRuleData: '"{data}:" sólo con datos reales que te den; tipos: {types}.',
+      draftRuleFacts: 'No inventes cifras ni referencias.',
+      draftRuleReply: 'Responde sólo con el guion completo, sin explicaciones ni bloques ```.',
+      draftRevise: 'Guion actual:\n\n{script}\n\nAplica este cambio y devuelve el guion completo: {request}',
+      draftNew: 'Redacta el guion de una presentación a partir de esto:\n\n{request}',
+      draftErrors: 'El guion tiene errores:\n{errors}\nCorrígelos y devuelve el guion completo.',
+      draftErrorLine: 'Línea {line}: {message}',
+      draftNoSlides: 'La respuesta no tiene diapositivas.',
+      mockAddWords: 'añade|añadir|agrega|agregar|incluye|incluir|add',
+      mockRemoveWords: 'quita|quitar|elimina|eliminar|borra|borrar|remove',
+      mockSlideWords: 'diapositiva',
+      mockAboutWords: 'de|sobre|con|para',
+      mockArticles: 'la|las|lo|los',
+      mockIdea: 'Idea principal sobre {topic}',
+      mockExample: 'Ejemplo o dato que la apoye',
+      mockCover: 'Presentación',
+      mockIntro: 'Introducción',
+      mockContext: 'Contexto y motivación',
+      mockGoals: 'Objetivos de la presentación',
+      mockKeyPoints: 'Puntos clave',
+      mockPoint1: 'Primer punto',
+      mockPoint2: 'Segundo punto',
+      mockPoint3: 'Tercer punto',
+      mockConclusions: 'Conclusiones',
+      mockMainIdea: 'Idea principal',
+      mockNextSteps: 'Próximos pasos',
+      cliUsage: [
+        'Uso: node reslides-cli.js build <guion.txt|guion.md> [opciones]',
+        '     node reslides-cli.js convert <guion> --to markdown|guion',
+        '     node reslides-cli.js import <presentacion.pptx> [--to markdown|guion] [--out carpeta]',
+        '',
+        'Opciones:',
+        '  --theme <clave>     Tema de color ({themes}) o archivo .json',
+        '                      exportado con el editor de temas. Por defecto: default',
+        '  --font <clave>      Tipografía ({fonts}). Por defecto: default',
+        '  --lang <idioma>     Idioma de lo generado y de las palabras clave ({locales}).',
+        '                      Por defecto: el del guion, o es',
+        '  --out <carpeta>     Carpeta de salida. Por defecto: dist',
+        '  --format <lista>    Formatos separados por coma ({formats}). Por defecto: html',
+        '  --offline           Copiar estilos, Plotly y fuentes a assets/ en lugar de usar CDN',
+        '  --watch             Reconstruir al guardar el guion',
+        '  --a11y              Mostrar la revisión de accesibilidad (contraste, títulos, texto, imágenes)',
+        '  --to <formato>      Formato de salida de convert e import (markdown o guion)',
+        '  -h, --help          Mostrar esta ayuda',
+      ].join('\n'),
+      cliThemeFile: 'No se pudo cargar el tema {file}: {error}',
+      cliMissingValue: 'Falta el valor de {option}.',
+      cliUnknownOption: 'Opción desconocida: {option}',
+      cliUnknownCommand: 'Comando desconocido: {command}',
+      cliNoCommand: '(ninguno)',
+      cliNoPptx: 'Indica el archivo .pptx.',
+      cliNoScript: 'Indica el archivo de guion.',
+      cliNoTo: 'Indica --to markdown o --to guion.',
+      cliBadTo: 'Indica --to markdown o --to guion (recibido: {to}).',
+      cliUnknownTheme: 'Tema desconocido: {name}',
+      cliUnknownFont: 'Tipografía desconocida: {name}',
+      cliUnknownLocale: 'Idioma desconocido: {name}',
+      cliUnknownFormat: 'Formato desconocido: {name}',
+      cliNoFile: 'No existe el archivo: {file}',
+      cliError: 'error',
+      cliWarning: 'aviso',
+      cliAccessibility: 'accesibilidad',
+      cliSlide: 'diapositiva {n}: ',
+      cliGenerated: '{name} (generada): ',
+      cliScriptErrors: 'No se generó la presentación: corrige los errores del guion.',
+      cliNoSlides: 'No se detectaron diapositivas. Usa el formato "{slide} N".',
+      cliBuilt: '{n} diapositivas → {out}',
+      cliChanged: '{file} cambió, reconstruyendo…',
+      cliWatching: 'Vigilando {file} (Ctrl+C para salir)…',
+    },
+  },
+  en: {
+    name: 'English',
+    tag: 'en-US',
+    keywords: {
+      slide: ['Slide'],
+      title: ['Title'],
+      content: ['Content'],
+      data: ['Data'],
+      stats: ['Statistics', 'Stats'],
+      description: ['Description'],
+      notes: ['Notes', 'Note'],
+      attachment: ['Attachment'],
+      layout: ['Layout'],
+      author: ['Author', 'Authors'],
+      institution: ['Institution'],
+      course: ['Course'],
+      date: ['Date'],
+      logo: ['Logo'],
+      footer: ['Footer'],
+      numbers: ['Slide numbers', 'Numbering'],
+      agenda: ['Agenda', 'Outline'],
+    },
+    sections: {
+      type: 'Type',
+      labels: 'Labels',
+      values: 'Values',
+      series: 'Series',
+      error: 'Error',
+      file: 'File',
+      sheet: 'Sheet',
+      range: 'Range',
+      labelColumn: 'Labels',
+      columns: 'Columns',
+      method: 'Method',
+      scale: 'Scale',
+      levels: 'Levels',
+      comma: 'comma',
+      point: 'point',
+      yes: 'yes',
+      no: 'no',
+      asc: 'ascending',
+      desc: 'descending',
+    },
+    text: {
+      deckTitle: 'Presentation generated with ReSlides',
+      coverTitle: 'Presentation title',
+      slide: 'Slide {n}',
+      chart: 'Chart',
+      chartN: 'Chart {n}',
+      chartPage: 'Preview on a separate page:',
+      openChart: 'Open chart {n}',
+      section: 'Section {n}',
+      closingTitle: 'Thank you!',
+      trend: 'Trend',
+      trendOf: 'Trend ({name})',
+      controls: 'Presentation controls',
+      prev: 'Previous (←)',
+      next: 'Next (→)',
+      overview: 'Overview (O)',
+      presenter: 'Presenter view (P)',
+      fullscreen: 'Full screen (F)',
+      upNext: 'Next',
+      nextSlide: 'Next slide',
+      notes: 'Notes',
+      noNotes: 'No notes for this slide.',
+      timerToggle: 'Pause or resume',
+      timerReset: 'Reset',
+      statVariable: 'Variable',
+      statMean: 'Mean',
+      statSd: 'SD',
+      statMedian: 'Median',
+      statMin: 'Min.',
+      statMax: 'Max.',
+      statMeanSd: 'Mean (± SD)',
+      statCategory: 'Category',
+      statTotal: 'Total',
+      statFrequency: 'Frequency',
+      statStatistic: 'Statistic',
+      statValue: 'Value',
+      statMethod: 'Method',
+      statLine: 'Line',
+      statItem: 'Item',
+      statAgree: '% agree',
+      contrastText: 'Text on background',
+      contrastTitles: 'Titles on background',
+      contrastAccent: 'Accent (numbers, quotes) on background',
+      contrastCoverFrom: 'White text at the start of the cover',
+      contrastCoverTo: 'White text at the end of the cover',
+      contrastSection: 'White text on section slides',
+      readmeTitle: 'ReSlides - Generated presentation',
+      readmeSlides: 'Slides: {n}',
+      readmeCharts: 'Slides with charts: {n}',
+      readmeFiles: 'Included files:',
+      readmePresentation: 'main presentation with styles and embedded charts.',
+      readmeChartPages: 'a separate page for each chart (if any).',
+      readmeAssets: 'local styles, Plotly and fonts; the presentation works without an internet connection.',
+      readmeAttachments: '{n} image(s) or file(s) attached in the script.',
+      readmePng: 'a PNG image of each slide ({n}).',
+      readmeData: '{n} CSV or XLSX file(s) with the chart data.',
+      readmePresent: 'To present, open `presentacion.html`: ← → or click to advance, F for full screen, O for the overview.',
+      readmeFooter: 'This package was generated automatically from a script in the ReSlides web app.',
+      slideRole: 'slide',
+      chartSummary: 'Chart ({type}) with {labels} categories and {series} series.',
+      chartHighest: 'Highest value: {value} ({where}).',
+      chartLowest: 'Lowest value: {value} ({where}).',
+      chartData: 'Chart data',
+      chartLabel: 'Label',
+      a11yContrast: 'Contrast',
+      a11yContrastLow: '{label}: {ratio}:1; WCAG AA requires at least {min}:1.',
+      a11yNoTitle: 'The slide has no title; screen readers will announce "{fallback}".',
+      a11yBullets: 'Too many points ({n}); at most {max} are recommended.',
+      a11yWords: 'Too much text ({n} words); at most {max} are recommended.',
+      a11yNoAlt: 'The image "{name}" has no alternative text and "{alt}" will be used; write it in quotes after the name.',
+      agenda: 'Agenda',
+      flagYes: 'yes',
+      flagNo: 'no',
+      header: 'Header',
+      headerUnclosed: 'Close the header with a --- line.',
+      headerUnknownField: 'Unknown header field: "{name}"; ignored. Valid fields: {fields}.',
+      headerEmpty: '"{field}:" is empty; ignored.',
+      headerFlag: '"{field}:" must be yes or no (got "{value}").',
+      slideRepeated: 'Slide number {n} is repeated.',
+      slideOutOfOrder: 'Slide {n} is out of order: expected {expected}.',
+      slideNoTitle: 'The slide has no title.',
+      titleEmpty: 'The "Title:" field is empty.',
+      unknownField: 'Unknown field "{name}:"; the line was added as content.',
+      unknownLayout: 'Unknown layout "{name}"; the default will be used. Valid layouts: {layouts}.',
+      badNumber: '"{text}" is not a valid number {where}.{hint}',
+      inSeries: 'in series "{name}"',
+      inErrorBars: 'in the error bars',
+      hintDecimalPoint: 'With decimal point, the comma only separates thousands (1,234.5).',
+      hintDecimalCommaList: 'With decimal comma, separate the values with a comma and a space ("4,2, 3,8") or with |.',
+      hintDecimalComma: 'With decimal comma, the point only separates thousands (1.234,5).',
+      unknownDecimal: 'Unknown decimal separator "{name}"; use comma or point.',
+      badRange: 'Invalid range "{range}"; use the A1:D10 format. The whole sheet will be read.',
+      unknownChartType: 'Unknown chart type "{name}"; bars will be used. Valid types: {types}.',
+      badOptionValue: 'Invalid value for "{name}": "{value}"; ignored.',
+      sourceIgnored: 'With "File:" the series are chosen with "Columns:"; ignored "{section}".',
+      unknownDataSection: 'Unknown data section "{section}"; ignored.',
+      csvUnclosed: 'Close the {marker} block.',
+      tableTooShort: 'The data table needs a header row and at least one row of values.',
+      layoutNoChart: 'The "{layout}" layout does not show charts; use "Layout: contenido" to include it.',
+      noFileName: 'The file name is missing in "File:".',
+      errorSeriesMissing: 'There is no series "{name}" for the error bars; they were ignored.',
+      errorCount: 'The error bars have {n} values but series "{name}" has {count}.',
+      optionIgnored: '"{label}" {reason}; ignored.',
+      optionNotForType: 'does not apply to charts of type {type}',
+      optionBarsOnly: 'only applies to bar charts',
+      optionSingleBars: 'only applies to bar charts with one series',
+      highlightNoLabel: 'does not match any label ("{label}")',
+      pieSeries: 'Charts of type {type} only draw one series ("{first}"); {rest} is ignored. Use bars to compare several series.',
+      pieSeriesMany: 'Charts of type {type} only draw one series ("{first}"); {rest} are ignored. Use bars to compare several series.',
+      chartNoLabels: 'The chart has no labels (Labels:).',
+      chartNoValues: 'The chart has no values (Values: or Series <name>:).',
+      seriesLength: 'Series "{name}" has {n} values but there are {count} labels.',
+      unknownStatsKind: 'Unknown analysis "{name}". Valid analyses: {kinds}.',
+      unknownMethod: 'Unknown method "{name}"; use pearson or spearman.',
+      unknownStatsSection: 'Unknown section "{section}"; ignored.',
+      dataAndStats: 'The slide has "Data:" and "Statistics:"; the statistics chart is used.',
+      statsNoKind: 'Choose the analysis: {kinds}.',
+      statsFileIgnoresTable: 'With "File:" the table in the script is ignored.',
+      statsNoData: 'The data is missing: add a table or a ```csv block below "Statistics:", or use "File:".',
+      mdTableNoSeparator: 'Table without a separator row (|---|); ignored.',
+      mdCodeBlock: 'Code blocks are not shown on the slides; ignored. Use ```chart for charts.',
+      mdUnclosed: 'Close the {marker} block.',
+      noColumn: 'There is no column "{name}".',
+      badCell: '"{cell}" is not a valid number in series "{series}" (row {row}).',
+      statsNotNumeric: 'Column "{name}" has no numbers; skipped.',
+      statsSkippedCell: '1 non-numeric cell of "{name}" was ignored.',
+      statsSkippedCells: '{n} non-numeric cells of "{name}" were ignored.',
+      statsOneColumn: 'Frequencies use a single column: "{name}".',
+      statsTwoColumns: 'The correlation needs two numeric columns.',
+      statsFirstTwo: 'The correlation uses the first two columns: "{first}" and "{second}".',
+      statsPairs: 'The correlation needs at least 3 pairs of values.',
+      likertBadScale: 'Invalid scale "{scale}"; use the 1-5 format.',
+      likertTooWide:
+        'The {low}-{high} scale has {points} points; a Likert scale allows at most {max}. Set the scale with "Scale: 1-5".',
+      likertLevels: 'There are {n} levels for a {points}-point scale; the numbers are used.',
+      likertFractionalOne: '"{name}" has 1 non-integer answer; it was ignored.',
+      likertFractional: '"{name}" has {n} non-integer answers; they were ignored.',
+      likertOutsideOne: '"{name}" has 1 answer outside the {low}-{high} scale; it was ignored.',
+      likertOutside: '"{name}" has {n} answers outside the {low}-{high} scale; they were ignored.',
+      statsEmpty: 'The table has no data.',
+      attachmentMissing: 'Attachment "{name}" was not found; upload it or check the name.',
+      dataFileMissing: 'Data file "{file}" was not found; upload it or check the name.',
+      dataFileUnreadable: 'Could not read "{file}": {error}',
+      dataMoreProblems: 'and {n} more problems.',
+      dataErrorColumn: 'could not read the error bars in column "{column}".',
+      dataFileEmpty: '"{file}" has no data for the chart.',
+      dataFormat: 'Unsupported format; use a .csv or .xlsx file.',
+      xlsxInvalid: 'The file is not a valid XLSX.',
+      xlsxNoSheet: 'There is no sheet "{name}"; the sheets are: {sheets}.',
+      xlsxNoSheets: 'The workbook has no sheets.',
+      xlsxTrue: 'TRUE',
+      xlsxFalse: 'FALSE',
+      pptxInvalid: 'The file is not a valid PPTX.',
+      pptxNoSlides: 'The file is not a valid PPTX: it has no slides.',
+      pptxChartType: 'The "{kind}" chart has no equivalent in ReSlides and was left out.',
+      pptxChartMixed: 'The chart combines several types; only the first one was imported.',
+      pptxPercentStacked: 'The 100% stacked chart was imported with absolute values.',
+      pptxBlankPoints: 'The empty points of the chart were imported as 0.',
+      pptxSeries: 'Series {n}',
+      pptxNoTitle: 'The slide title was not found.',
+      pptxExtraChart: 'The slide has more than one chart; only the first one was imported.',
+      pptxChartUnreadable: 'The chart could not be read.',
+      pptxOmitted: 'An unsupported element was left out ({what}).',
+      pptxOmittedMedia: 'video or audio',
+      pptxOmittedTable: 'table',
+      pptxOmittedDiagram: 'SmartArt',
+      pptxOmittedObject: 'embedded object',
+      pptxOmittedAlternate: 'alternate content',
+      pptxImageFormat: 'The image "{name}" is in a format browsers do not display; it is attached as a file.',
+      libraryMissing: 'The {name} library was not found.',
+      pptxExtrasSkipped: 'This version of PptxGenJS does not allow adding error bars or trend lines; the chart was exported without them.',
+      themeNotObject: 'The theme must be a JSON object.',
+      themeNoName: 'The theme needs a name ("name").',
+      themeBadColor: 'Invalid color in "{field}": {value}. Use the #RRGGBB format.',
+      themeColorList: '"{field}" must be a list of {count} colors.',
+      themeColorListAny: '"{field}" must be a list of one or more colors.',
+      themeUnknownFont: 'Unknown font: {name}. Available: {fonts}.',
+      themeUnknown: 'Unknown theme: {key}',
+      offlineNoFetch: 'fetch is not available to download the resources.',
+      offlineDownload: 'Could not download {url} ({status}).',
+      offlineMissingAssets: 'The offline export needs the downloaded resources.',
+      aiNoFetch: 'fetch is not available to call the AI provider.',
+      aiNoUrl: 'The AI provider URL is missing.',
+      aiConnect: 'Could not connect to {endpoint}: {error}',
+      aiStatus: 'The AI provider answered {status}.',
+      aiStatusDetail: 'The AI provider answered {status}: {detail}.',
+      aiNoText: "The AI provider's reply has no text (choices[0].message.content).",
+      projectInvalid: 'The file is not a ReSlides project (.reslides.json).',
+      projectNewer: 'The project was created with a newer version of ReSlides.',
+      projectNotJson: 'The file is not valid JSON.',
+      assistant: 'Assistant',
+      draftIntro: 'You are the ReSlides assistant. You write academic presentation scripts in English with this syntax:',
+      draftCoverTitle: 'Presentation title',
+      draftCoverContent: 'Subtitle; Author · Date',
+      draftSlideTitle: 'Slide title',
+      draftSlideContent: 'First point; Second point; Third point',
+      draftSubpoint: 'Subpoint of the third point',
+      draftData: 'Type: barras; Labels: A, B, C; Values: 4.2, 3.8, 2.5',
+      draftDescription: 'Footnote for the chart',
+      draftNotes: 'What the presenter will say',
+      draftRules: 'Rules:',
+      draftRuleSlides: 'Each slide starts with "{slide} N" (N = 1, 2, 3…) on its own line.',
+      draftRuleContent: 'In "{content}:" the points are separated with ";". Use **bold** and *italics* only when they help.',
+      draftRuleLayout: '"{layout}:" is optional: {layouts}.',
+      draftRuleData: '"{data}:" only with real data you are given; types: {types}.',
+      draftRuleFacts: 'Do not make up figures or references.',
+      draftRuleReply: 'Reply only with the complete script, without explanations or ``` blocks.',
+      draftRevise: 'Current script:\n\n{script}\n\nApply this change and return the complete script: {request}',
+      draftNew: 'Write the script of a presentation based on this:\n\n{request}',
+      draftErrors: 'The script has errors:\n{errors}\nFix them and return the complete script.',
+      draftErrorLine: 'Line {line}: {message}',
+      draftNoSlides: 'The reply has no slides.',
+      mockAddWords: 'add|include|insert',
+      mockRemoveWords: 'remove|delete|drop',
+      mockSlideWords: 'slide',
+      mockAboutWords: 'about|on|for|with',
+      mockArticles: 'the|a|an',
+      mockIdea: 'Main idea about {topic}',
+      mockExample: 'An example or figure that supports it',
+      mockCover: 'Presentation',
+      mockIntro: 'Introduction',
+      mockContext: 'Context and motivation',
+      mockGoals: 'Goals of the presentation',
+      mockKeyPoints: 'Key points',
+      mockPoint1: 'First point',
+      mockPoint2: 'Second point',
+      mockPoint3: 'Third point',
+      mockConclusions: 'Conclusions',
+      mockMainIdea: 'Main idea',
+      mockNextSteps: 'Next steps',
+      cliUsage: [
+        'Usage: node reslides-cli.js build <script.txt|script.md> [options]',
+        '       node reslides-cli.js convert <script> --to markdown|guion',
+        '       node reslides-cli.js import <presentation.pptx> [--to markdown|guion] [--out folder]',
+        '',
+        'Options:',
+        '  --theme <key>       Color theme ({themes}) or a .json file',
+        '                      exported with the theme editor. Default: default',
+        '  --font <key>        Typography ({fonts}). Default: default',
+        '  --lang <language>   Language of the output and of the keywords ({locales}).',
+        '                      Default: the script\'s, or es',
+        '  --out <folder>      Output folder. Default: dist',
+        '  --format <list>     Comma-separated formats ({formats}). Default: html',
+        '  --offline           Copy styles, Plotly and fonts to assets/ instead of using a CDN',
+        '  --watch             Rebuild when the script is saved',
+        '  --a11y              Show the accessibility review (contrast, titles, text, images)',
+        '  --to <format>       Output format of convert and import (markdown or guion)',
+        '  -h, --help          Show this help',
+      ].join('\n'),
+      cliThemeFile: 'Could not load the theme {file}: {error}',
+      cliMissingValue: 'Missing value for {option}.',
+      cliUnknownOption: 'Unknown option: {option}',
+      cliUnknownCommand: 'Unknown command: {command}',
+      cliNoCommand: '(none)',
+      cliNoPptx: 'Give the .pptx file.',
+      cliNoScript: 'Give the script file.',
+      cliNoTo: 'Use --to markdown or --to guion.',
+      cliBadTo: 'Use --to markdown or --to guion (got: {to}).',
+      cliUnknownTheme: 'Unknown theme: {name}',
+      cliUnknownFont: 'Unknown typography: {name}',
+      cliUnknownLocale: 'Unknown language: {name}',
+      cliUnknownFormat: 'Unknown format: {name}',
+      cliNoFile: 'File not found: {file}',
+      cliError: 'error',
+      cliWarning: 'warning',
+      cliAccessibility: 'accessibility',
+      cliSlide: 'slide {n}: ',
+      cliGenerated: '{name} (generated): ',
+      cliScriptErrors: 'The presentation was not generated: fix the errors in the script.',
+      cliNoSlides: 'No slides were found. Use the "{slide} N" format.',
+      cliBuilt: '{n} slides → {out}',
+      cliChanged: '{file} changed, rebuilding…',
+      cliWatching: 'Watching {file} (Ctrl+C to quit)…',
+    },
+    names: {
+      layout: {
+        portada: 'Cover',
+        contenido: 'Content',
+        seccion: 'Section',
+        'lista-numerada': 'Numbered list',
+        'dos-columnas': 'Two columns',
+        tarjetas: 'Cards',
+        cita: 'Quote',
+        'icono-texto': 'Icon + text',
+        cierre: 'Closing',
+      },
+      chart: {
+        barras: 'Grouped bars',
+        apiladas: 'Stacked bars',
+        lineas: 'Lines',
+        area: 'Area',
+        pastel: 'Pie',
+        dona: 'Donut',
+        dispersion: 'Scatter',
+      },
+      stats: { descriptivos: 'Descriptives', frecuencias: 'Frequencies', correlacion: 'Correlation', likert: 'Likert' },
+      theme: { default: 'Blue and gold', purpura: 'Purple', verde: 'Green' },
+      font: { default: 'Classic', moderna: 'Modern' },
+      chartOption: {
+        xTitle: 'X axis',
+        yTitle: 'Y axis',
+        unit: 'Unit',
+        dataLabels: 'Show values',
+        min: 'Minimum',
+        max: 'Maximum',
+        sort: 'Sort',
+        highlight: 'Highlight',
+        horizontal: 'Horizontal',
+        trend: 'Trend',
+      },
+    },
+  },
+  pt: {
+    name: 'Português',
+    tag: 'pt-BR',
+    keywords: {
+      slide: ['Slide', 'Diapositivo'],
+      title: ['Título', 'Titulo'],
+      content: ['Conteúdo', 'Conteudo'],
+      data: ['Dados'],
+      stats: ['Estatística', 'Estatísticas', 'Estatistica', 'Estatisticas'],
+      description: ['Descrição', 'Descricao'],
+      notes: ['Notas', 'Nota'],
+      attachment: ['Anexo'],
+      layout: ['Layout'],
+      author: ['Autor', 'Autora', 'Autores'],
+      institution: ['Instituição', 'Instituicao'],
+      course: ['Curso', 'Disciplina'],
+      date: ['Data'],
+      logo: ['Logo', 'Logotipo'],
+      footer: ['Rodapé', 'Rodape'],
+      numbers: ['Numeração', 'Numeracao'],
+      agenda: ['Agenda', 'Sumário', 'Sumario'],
+    },
+    sections: {
+      type: 'Tipo',
+      labels: 'Rótulos',
+      values: 'Valores',
+      series: 'Série',
+      error: 'Erro',
+      file: 'Arquivo',
+      sheet: 'Planilha',
+      range: 'Intervalo',
+      labelColumn: 'Rótulos',
+      columns: 'Colunas',
+      method: 'Método',
+      scale: 'Escala',
+      levels: 'Níveis',
+      comma: 'vírgula',
+      point: 'ponto',
+      yes: 'sim',
+      no: 'não',
+      asc: 'crescente',
+      desc: 'decrescente',
+    },
+    text: {
+      deckTitle: 'Apresentação gerada com ReSlides',
+      coverTitle: 'Título da apresentação',
+      slide: 'Slide {n}',
+      chart: 'Gráfico',
+      chartN: 'Gráfico {n}',
+      chartPage: 'Visualização em página separada:',
+      openChart: 'Abrir gráfico {n}',
+      section: 'Seção {n}',
+      closingTitle: 'Obrigado!',
+      trend: 'Tendência',
+      trendOf: 'Tendência ({name})',
+      controls: 'Controles da apresentação',
+      prev: 'Anterior (←)',
+      next: 'Próximo (→)',
+      overview: 'Visão geral (O)',
+      presenter: 'Modo apresentador (P)',
+      fullscreen: 'Tela cheia (F)',
+      upNext: 'Próximo',
+      nextSlide: 'Próximo slide',
+      notes: 'Notas',
+      noNotes: 'Sem notas para este slide.',
+      timerToggle: 'Pausar ou retomar',
+      timerReset: 'Reiniciar',
+      statVariable: 'Variável',
+      statMean: 'Média',
+      statSd: 'DP',
+      statMedian: 'Mediana',
+      statMin: 'Mín.',
+      statMax: 'Máx.',
+      statMeanSd: 'Média (± DP)',
+      statCategory: 'Categoria',
+      statTotal: 'Total',
+      statFrequency: 'Frequência',
+      statStatistic: 'Estatística',
+      statValue: 'Valor',
+      statMethod: 'Método',
+      statLine: 'Reta',
+      statItem: 'Item',
+      statAgree: '% concordância',
+      contrastText: 'Texto sobre o fundo',
+      contrastTitles: 'Títulos sobre o fundo',
+      contrastAccent: 'Destaque (números, citações) sobre o fundo',
+      contrastCoverFrom: 'Texto branco no início da capa',
+      contrastCoverTo: 'Texto branco no final da capa',
+      contrastSection: 'Texto branco em slides de seção',
+      readmeTitle: 'ReSlides - Apresentação gerada',
+      readmeSlides: 'Slides: {n}',
+      readmeCharts: 'Slides com gráficos: {n}',
+      readmeFiles: 'Arquivos incluídos:',
+      readmePresentation: 'apresentação principal com estilos e gráficos integrados.',
+      readmeChartPages: 'páginas individuais para cada gráfico (se houver).',
+      readmeAssets: 'estilos, Plotly e fontes locais; a apresentação funciona sem conexão com a internet.',
+      readmeAttachments: '{n} imagem(ns) ou arquivo(s) anexado(s) no roteiro.',
+      readmePng: 'uma imagem PNG de cada slide ({n}).',
+      readmeData: '{n} arquivo(s) CSV ou XLSX com os dados dos gráficos.',
+      readmePresent: 'Para apresentar, abra `presentacion.html`: ← → ou clique para avançar, F para tela cheia, O para a visão geral.',
+      readmeFooter: 'Este pacote foi gerado automaticamente a partir de um roteiro no app web ReSlides.',
+      slideRole: 'slide',
+      chartSummary: 'Gráfico ({type}) com {labels} categoria(s) e {series} série(s).',
+      chartHighest: 'Valor mais alto: {value} ({where}).',
+      chartLowest: 'Valor mais baixo: {value} ({where}).',
+      chartData: 'Dados do gráfico',
+      chartLabel: 'Rótulo',
+      a11yContrast: 'Contraste',
+      a11yContrastLow: '{label}: {ratio}:1; o WCAG AA exige pelo menos {min}:1.',
+      a11yNoTitle: 'O slide não tem título; os leitores de tela anunciarão "{fallback}".',
+      a11yBullets: 'Tópicos demais ({n}); recomenda-se no máximo {max}.',
+      a11yWords: 'Texto demais ({n} palavras); recomenda-se no máximo {max}.',
+      a11yNoAlt: 'A imagem "{name}" não tem texto alternativo e será usado "{alt}"; escreva-o entre aspas depois do nome.',
+      agenda: 'Agenda',
+      flagYes: 'sim',
+      flagNo: 'não',
+      header: 'Cabeçalho',
+      headerUnclosed: 'Feche o cabeçalho com uma linha ---.',
+      headerUnknownField: 'Campo desconhecido no cabeçalho: "{name}"; foi ignorado. Campos válidos: {fields}.',
+      headerEmpty: '"{field}:" está vazio; foi ignorado.',
+      headerFlag: '"{field}:" deve ser sim ou não (recebido "{value}").',
+      slideRepeated: 'O número de slide {n} está repetido.',
+      slideOutOfOrder: 'Slide {n} fora de ordem: esperava-se o {expected}.',
+      slideNoTitle: 'O slide não tem título.',
+      titleEmpty: 'O campo "Título:" está vazio.',
+      unknownField: 'Campo desconhecido "{name}:"; a linha foi adicionada como conteúdo.',
+      unknownLayout: 'Layout desconhecido "{name}"; será usado o padrão. Layouts válidos: {layouts}.',
+      badNumber: '"{text}" não é um número válido {where}.{hint}',
+      inSeries: 'na série "{name}"',
+      inErrorBars: 'nas barras de erro',
+      hintDecimalPoint: 'Com decimal ponto, a vírgula só separa milhares (1,234.5).',
+      hintDecimalCommaList: 'Com decimal vírgula, separe os valores com vírgula e espaço ("4,2, 3,8") ou com |.',
+      hintDecimalComma: 'Com decimal vírgula, o ponto só separa milhares (1.234,5).',
+      unknownDecimal: 'Separador decimal desconhecido "{name}"; use vírgula ou ponto.',
+      badRange: 'Intervalo inválido "{range}"; use o formato A1:D10. A planilha inteira será lida.',
+      unknownChartType: 'Tipo de gráfico desconhecido "{name}"; serão usadas barras. Tipos válidos: {types}.',
+      badOptionValue: 'Valor inválido para "{name}": "{value}"; foi ignorado.',
+      sourceIgnored: 'Com "Arquivo:" as séries são escolhidas com "Colunas:"; "{section}" foi ignorado.',
+      unknownDataSection: 'Seção de dados desconhecida "{section}"; foi ignorada.',
+      csvUnclosed: 'Feche o bloco {marker}.',
+      tableTooShort: 'A tabela de dados precisa de uma linha de cabeçalhos e de pelo menos uma linha de valores.',
+      layoutNoChart: 'O layout "{layout}" não mostra gráficos; use "Layout: contenido" para incluí-lo.',
+      noFileName: 'Falta o nome do arquivo em "Arquivo:".',
+      errorSeriesMissing: 'Não há uma série "{name}" para as barras de erro; foram ignoradas.',
+      errorCount: 'As barras de erro têm {n} valores, mas a série "{name}" tem {count}.',
+      optionIgnored: '"{label}" {reason}; foi ignorado.',
+      optionNotForType: 'não se aplica a gráficos do tipo {type}',
+      optionBarsOnly: 'só se aplica a gráficos de barras',
+      optionSingleBars: 'só se aplica a gráficos de barras com uma série',
+      highlightNoLabel: 'não coincide com nenhum rótulo ("{label}")',
+      pieSeries: 'Os gráficos do tipo {type} só desenham uma série ("{first}"); {rest} é ignorada. Use barras para comparar várias séries.',
+      pieSeriesMany: 'Os gráficos do tipo {type} só desenham uma série ("{first}"); {rest} são ignoradas. Use barras para comparar várias séries.',
+      chartNoLabels: 'O gráfico não tem rótulos (Rótulos:).',
+      chartNoValues: 'O gráfico não tem valores (Valores: ou Série <nome>:).',
+      seriesLength: 'A série "{name}" tem {n} valores, mas há {count} rótulos.',
+      unknownStatsKind: 'Análise desconhecida "{name}". Análises válidas: {kinds}.',
+      unknownMethod: 'Método desconhecido "{name}"; use pearson ou spearman.',
+      unknownStatsSection: 'Seção desconhecida "{section}"; foi ignorada.',
+      dataAndStats: 'O slide tem "Dados:" e "Estatística:"; é usado o gráfico da estatística.',
+      statsNoKind: 'Indique a análise: {kinds}.',
+      statsFileIgnoresTable: 'Com "Arquivo:" a tabela do roteiro é ignorada.',
+      statsNoData: 'Faltam os dados: coloque uma tabela ou um bloco ```csv abaixo de "Estatística:", ou use "Arquivo:".',
+      mdTableNoSeparator: 'Tabela sem linha separadora (|---|); foi ignorada.',
+      mdCodeBlock: 'Os blocos de código não aparecem nos slides; foi ignorado. Use ```chart para gráficos.',
+      mdUnclosed: 'Feche o bloco {marker}.',
+      noColumn: 'Não há uma coluna "{name}".',
+      badCell: '"{cell}" não é um número válido na série "{series}" (linha {row}).',
+      statsNotNumeric: 'A coluna "{name}" não tem números; foi omitida.',
+      statsSkippedCell: '1 célula não numérica de "{name}" foi ignorada.',
+      statsSkippedCells: '{n} células não numéricas de "{name}" foram ignoradas.',
+      statsOneColumn: 'As frequências usam uma só coluna: "{name}".',
+      statsTwoColumns: 'A correlação precisa de duas colunas numéricas.',
+      statsFirstTwo: 'A correlação usa as duas primeiras colunas: "{first}" e "{second}".',
+      statsPairs: 'A correlação precisa de pelo menos 3 pares de valores.',
+      likertBadScale: 'Escala inválida "{scale}"; use o formato 1-5.',
+      likertTooWide:
+        'A escala {low}-{high} tem {points} pontos; uma escala Likert admite no máximo {max}. Indique a escala com "Escala: 1-5".',
+      likertLevels: 'Há {n} níveis para uma escala de {points} pontos; são usados os números.',
+      likertFractionalOne: '"{name}" tem 1 resposta não inteira; foi ignorada.',
+      likertFractional: '"{name}" tem {n} respostas não inteiras; foram ignoradas.',
+      likertOutsideOne: '"{name}" tem 1 resposta fora da escala {low}-{high}; foi ignorada.',
+      likertOutside: '"{name}" tem {n} respostas fora da escala {low}-{high}; foram ignoradas.',
+      statsEmpty: 'A tabela não tem dados.',
+      attachmentMissing: 'O anexo "{name}" não foi encontrado; envie-o ou verifique o nome.',
+      dataFileMissing: 'O arquivo de dados "{file}" não foi encontrado; envie-o ou verifique o nome.',
+      dataFileUnreadable: 'Não foi possível ler "{file}": {error}',
+      dataMoreProblems: 'e mais {n} problemas.',
+      dataErrorColumn: 'não foi possível ler as barras de erro da coluna "{column}".',
+      dataFileEmpty: '"{file}" não tem dados para o gráfico.',
+      dataFormat: 'Formato não suportado; use um arquivo .csv ou .xlsx.',
+      xlsxInvalid: 'O arquivo não é um XLSX válido.',
+      xlsxNoSheet: 'Não há uma planilha "{name}"; as planilhas são: {sheets}.',
+      xlsxNoSheets: 'A pasta de trabalho não tem planilhas.',
+      xlsxTrue: 'VERDADEIRO',
+      xlsxFalse: 'FALSO',
+      pptxInvalid: 'O arquivo não é um PPTX válido.',
+      pptxNoSlides: 'O arquivo não é um PPTX válido: não contém slides.',
+      pptxChartType: 'O gráfico do tipo "{kind}" não tem equivalente no ReSlides e foi omitido.',
+      pptxChartMixed: 'O gráfico combina vários tipos; só o primeiro foi importado.',
+      pptxPercentStacked: 'O gráfico empilhado a 100 % foi importado com valores absolutos.',
+      pptxBlankPoints: 'Os pontos vazios do gráfico foram importados como 0.',
+      pptxSeries: 'Série {n}',
+      pptxNoTitle: 'O título do slide não foi encontrado.',
+      pptxExtraChart: 'O slide tem mais de um gráfico; só o primeiro foi importado.',
+      pptxChartUnreadable: 'Não foi possível ler o gráfico.',
+      pptxOmitted: 'Um elemento não compatível foi omitido ({what}).',
+      pptxOmittedMedia: 'vídeo ou áudio',
+      pptxOmittedTable: 'tabela',
+      pptxOmittedDiagram: 'SmartArt',
+      pptxOmittedObject: 'objeto incorporado',
+      pptxOmittedAlternate: 'conteúdo alternativo',
+      pptxImageFormat: 'A imagem "{name}" está em um formato que o navegador não exibe; é anexada como arquivo.',
+      libraryMissing: 'A biblioteca {name} não foi encontrada.',
+      pptxExtrasSkipped: 'Esta versão do PptxGenJS não permite adicionar barras de erro nem linhas de tendência; o gráfico foi exportado sem elas.',
+      themeNotObject: 'O tema deve ser um objeto JSON.',
+      themeNoName: 'O tema precisa de um nome ("name").',
+      themeBadColor: 'Cor inválida em "{field}": {value}. Use o formato #RRGGBB.',
+      themeColorList: '"{field}" deve ser uma lista de {count} cores.',
+      themeColorListAny: '"{field}" deve ser uma lista de uma ou mais cores.',
+      themeUnknownFont: 'Tipografia desconhecida: {name}. Disponíveis: {fonts}.',
+      themeUnknown: 'Tema desconhecido: {key}',
+      offlineNoFetch: 'Não há fetch disponível para baixar os recursos.',
+      offlineDownload: 'Não foi possível baixar {url} ({status}).',
+      offlineMissingAssets: 'A exportação offline precisa dos recursos baixados.',
+      aiNoFetch: 'Não há fetch disponível para chamar o provedor de IA.',
+      aiNoUrl: 'Falta a URL do provedor de IA.',
+      aiConnect: 'Não foi possível conectar a {endpoint}: {error}',
+      aiStatus: 'O provedor de IA respondeu {status}.',
+      aiStatusDetail: 'O provedor de IA respondeu {status}: {detail}.',
+      aiNoText: 'A resposta do provedor de IA não traz texto (choices[0].message.content).',
+      projectInvalid: 'O arquivo não é um projeto do ReSlides (.reslides.json).',
+      projectNewer: 'O projeto foi criado com uma versão mais recente do ReSlides.',
+      projectNotJson: 'O arquivo não é um JSON válido.',
+      assistant: 'Assistente',
+      draftIntro: 'Você é o assistente do ReSlides. Você escreve roteiros de apresentações acadêmicas em português com esta sintaxe:',
+      draftCoverTitle: 'Título da apresentação',
+      draftCoverContent: 'Subtítulo; Autor · Data',
+      draftSlideTitle: 'Título do slide',
+      draftSlideContent: 'Primeiro ponto; Segundo ponto; Terceiro ponto',
+      draftSubpoint: 'Subponto do terceiro ponto',
+      draftData: 'Tipo: barras; Rótulos: A, B, C; Valores: 4.2, 3.8, 2.5',
+      draftDescription: 'Nota de rodapé do gráfico',
+      draftNotes: 'O que o apresentador vai dizer',
+      draftRules: 'Regras:',
+      draftRuleSlides: 'Cada slide começa com "{slide} N" (N = 1, 2, 3…) em sua própria linha.',
+      draftRuleContent: 'Em "{content}:" os pontos são separados com ";". Use **negrito** e *itálico* só quando ajudarem.',
+      draftRuleLayout: '"{layout}:" é opcional: {layouts}.',
+      draftRuleData: '"{data}:" só com dados reais que forem fornecidos; tipos: {types}.',
+      draftRuleFacts: 'Não invente números nem referências.',
+      draftRuleReply: 'Responda só com o roteiro completo, sem explicações nem blocos ```.',
+      draftRevise: 'Roteiro atual:\n\n{script}\n\nAplique esta mudança e devolva o roteiro completo: {request}',
+      draftNew: 'Escreva o roteiro de uma apresentação a partir disto:\n\n{request}',
+      draftErrors: 'O roteiro tem erros:\n{errors}\nCorrija-os e devolva o roteiro completo.',
+      draftErrorLine: 'Linha {line}: {message}',
+      draftNoSlides: 'A resposta não tem slides.',
+      mockAddWords: 'adicione|adicionar|acrescente|acrescentar|inclua|incluir',
+      mockRemoveWords: 'remova|remover|exclua|excluir|tire|tirar|apague|apagar',
+      mockSlideWords: 'slide|diapositivo',
+      mockAboutWords: 'de|sobre|com|para',
+      mockArticles: 'o|a|os|as',
+      mockIdea: 'Ideia principal sobre {topic}',
+      mockExample: 'Exemplo ou dado que a apoie',
+      mockCover: 'Apresentação',
+      mockIntro: 'Introdução',
+      mockContext: 'Contexto e motivação',
+      mockGoals: 'Objetivos da apresentação',
+      mockKeyPoints: 'Pontos-chave',
+      mockPoint1: 'Primeiro ponto',
+      mockPoint2: 'Segundo ponto',
+      mockPoint3: 'Terceiro ponto',
+      mockConclusions: 'Conclusões',
+      mockMainIdea: 'Ideia principal',
+      mockNextSteps: 'Próximos passos',
+      cliUsage: [
+        'Uso: node reslides-cli.js build <roteiro.txt|roteiro.md> [opções]',
+        '     node reslides-cli.js convert <roteiro> --to markdown|guion',
+        '     node reslides-cli.js import <apresentacao.pptx> [--to markdown|guion] [--out pasta]',
+        '',
+        'Opções:',
+        '  --theme <chave>     Tema de cores ({themes}) ou arquivo .json',
+        '                      exportado com o editor de temas. Padrão: default',
+        '  --font <chave>      Tipografia ({fonts}). Padrão: default',
+        '  --lang <idioma>     Idioma do que é gerado e das palavras-chave ({locales}).',
+        '                      Padrão: o do roteiro, ou es',
+        '  --out <pasta>       Pasta de saída. Padrão: dist',
+        '  --format <lista>    Formatos separados por vírgula ({formats}). Padrão: html',
+        '  --offline           Copiar estilos, Plotly e fontes para assets/ em vez de usar CDN',
+        '  --watch             Reconstruir ao salvar o roteiro',
+        '  --a11y              Mostrar a revisão de acessibilidade (contraste, títulos, texto, imagens)',
+        '  --to <formato>      Formato de saída de convert e import (markdown ou guion)',
+        '  -h, --help          Mostrar esta ajuda',
+      ].join('\n'),
+      cliThemeFile: 'Não foi possível carregar o tema {file}: {error}',
+      cliMissingValue: 'Falta o valor de {option}.',
+      cliUnknownOption: 'Opção desconhecida: {option}',
+      cliUnknownCommand: 'Comando desconhecido: {command}',
+      cliNoCommand: '(nenhum)',
+      cliNoPptx: 'Indique o arquivo .pptx.',
+      cliNoScript: 'Indique o arquivo de roteiro.',
+      cliNoTo: 'Indique --to markdown ou --to guion.',
+      cliBadTo: 'Indique --to markdown ou --to guion (recebido: {to}).',
+      cliUnknownTheme: 'Tema desconhecido: {name}',
+      cliUnknownFont: 'Tipografia desconhecida: {name}',
+      cliUnknownLocale: 'Idioma desconhecido: {name}',
+      cliUnknownFormat: 'Formato desconhecido: {name}',
+      cliNoFile: 'O arquivo não existe: {file}',
+      cliError: 'erro',
+      cliWarning: 'aviso',
+      cliAccessibility: 'acessibilidade',
+      cliSlide: 'slide {n}: ',
+      cliGenerated: '{name} (gerado): ',
+      cliScriptErrors: 'A apresentação não foi gerada: corrija os erros do roteiro.',
+      cliNoSlides: 'Nenhum slide foi encontrado. Use o formato "{slide} N".',
+      cliBuilt: '{n} slides → {out}',
+      cliChanged: '{file} mudou, reconstruindo…',
+      cliWatching: 'Observando {file} (Ctrl+C para sair)…',
+    },
+    names: {
+      layout: {
+        portada: 'Capa',
+        contenido: 'Conteúdo',
+        seccion: 'Seção',
+        'lista-numerada': 'Lista numerada',
+        'dos-columnas': 'Duas colunas',
+        tarjetas: 'Cartões',
+        cita: 'Citação',
+        'icono-texto': 'Ícone + texto',
+        cierre: 'Encerramento',
+      },
+      chart: {
+        barras: 'Barras agrupadas',
+        apiladas: 'Barras empilhadas',
+        lineas: 'Linhas',
+        area: 'Área',
+        pastel: 'Pizza',
+        dona: 'Rosca',
+        dispersion: 'Dispersão',
+      },
+      stats: { descriptivos: 'Descritivas', frecuencias: 'Frequências', correlacion: 'Correlação', likert: 'Likert' },
+      theme: { default: 'Azul e dourado', purpura: 'Roxo', verde: 'Verde' },
+      font: { default: 'Clássica', moderna: 'Moderna' },
+      chartOption: {
+        xTitle: 'Eixo X',
+        yTitle: 'Eixo Y',
+        unit: 'Unidade',
+        dataLabels: 'Mostrar valores',
+        min: 'Mínimo',
+        max: 'Máximo',
+        sort: 'Ordem',
+        highlight: 'Destacar',
+        horizontal: 'Horizontal',
+        trend: 'Tendência',
+      },
+    },
+  },
+};
+
+// Clave de LOCALES para "en", "pt-BR", "es_MX"…; español si el idioma no está disponible
+function resolveLocale(locale) {
+  const key = String(locale || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return LOCALES[key] ? key : 'es';
+}
+
+function localeText(locale, key, vars = {}) {
+  const { text } = LOCALES[resolveLocale(locale)];
+  return (key in text ? text[key] : LOCALES.es.text[key]).replace(/\{(\w+)\}/g, (m, name) =>
+    name in vars ? String(vars[name]) : m
+  );
+}
+
+// Separadores decimal y de miles del idioma, según Intl ("1,234.5" en es-MX, "1.234,5" en pt-BR)
+function numberSeparators(locale) {
+  const parts = new Intl.NumberFormat(LOCALES[resolveLocale(locale)].tag).formatToParts(1234.5);
+  const part = (type) => (parts.find((p) => p.type === type) || {}).value;
+  return { decimal: part('decimal') || '.', group: part('group') || ',' };
+}
+
+function formatLocaleDate(date, locale) {
+  return date.toLocaleDateString(LOCALES[resolveLocale(locale)].tag);
+}
+
+// Nombre de un elemento de un registro (LAYOUTS, CHART_TYPES…) en el idioma; `group` es su grupo en `names`
+function localeName(locale, group, key, registry) {
+  const { names } = LOCALES[resolveLocale(locale)];
+  return (names && names[group] && names[group][key]) || registry[key].name;
+}
+
+/* ===========================
+   Temas personalizados
+   =========================== */
+
+// Colores que define cada tema, en el orden del editor
+const THEME_COLORS = ['primary', 'secondary', 'accent', 'background', 'text'];
+
+// Tipografías de un par personalizado, con su familia genérica de respaldo
+function fontPair(heading, body, name) {
+  const stack = (family) => `'${family}', ${FONT_FAMILIES[family].generic}`;
+  return { name, heading: stack(heading), body: stack(body), families: [...new Set([heading, body])] };
+}
+
+// "#abc" o "#AABBCC" -> "#AABBCC"; null si no es un color hexadecimal
+function normalizeHexColor(value) {
+  const m = String(value || '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!m) return null;
+  const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+  return `#${hex.toUpperCase()}`;
+}
+
+// Degradado de la portada y el cierre: el del tema o de primario a secundario
+function coverColors(theme) {
+  return theme.cover || [theme.primary, theme.secondary];
+}
+
+/*
+ * Valida un tema personalizado con la forma de los archivos .json del editor:
+ * { name, primary, secondary, accent, background, text, chart?: [colores],
+ *   cover?: [desde, hasta], fonts?: { heading, body } } con familias de FONT_FAMILIES.
+ * Devuelve { theme, fonts } (fonts es null si el tema no elige tipografías); lanza un
+ * Error con el primer problema encontrado, en el idioma `locale`.
+ */
+function normalizeTheme(data, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(t('themeNotObject'));
+  }
+  const name = String(data.name || '').trim();
+  if (!name) throw new Error(t('themeNoName'));
+  const color = (value, field) => {
+    const hex = normalizeHexColor(value);
+    if (!hex) throw new Error(t('themeBadColor', { field, value: JSON.stringify(value) }));
+    return hex;
+  };
+  const colorList = (value, field, length) => {
+    if (!Array.isArray(value) || !value.length || (length && value.length !== length)) {
+      throw new Error(length ? t('themeColorList', { field, count: length }) : t('themeColorListAny', { field }));
+    }
+    return value.map((c, i) => color(c, `${field}[${i}]`));
+  };
+
+  const theme = { name };
+  THEME_COLORS.forEach((field) => {
+    theme[field] = color(data[field], field);
+  });
+  if (data.chart !== undefined) theme.chart = colorList(data.chart, 'chart');
+  if (data.cover !== undefined) theme.cover = colorList(data.cover, 'cover', 2);
+
+  let fonts = null;
+  if (data.fonts !== undefined) {
+    const { heading, body } = data.fonts || {};
+    [heading, body].forEach((family) => {
+      if (!FONT_FAMILIES[family]) {
+        throw new Error(t('themeUnknownFont', { name: JSON.stringify(family), fonts: Object.keys(FONT_FAMILIES).join(', ') }));
+      }
+    });
+    fonts = fontPair(heading, body, name);
+  }
+  return { theme, fonts };
+}
+
+/*
+ * Añade (o reemplaza) un tema personalizado en THEMES, y su par de tipografías en FONTS
+ * con la misma clave, para que buildDeck, las gráficas y el PPTX lo usen como los
+ * integrados. Los temas integrados no se pueden reemplazar. Devuelve la clave; los errores van
+ * en el idioma `locale`.
+ */
+function registerTheme(data, locale) {
+  const { theme, fonts } = normalizeTheme(data, locale);
+  const key = `custom-${normalizeKeyword(theme.name).replace(/[^a-z0-9-]/g, '') || 'tema'}`;
+  if (fonts) FONTS[key] = { ...fonts, custom: true };
+  else delete FONTS[key];
+  THEMES[key] = { ...theme, custom: true, ...(fonts ? { fontKey: key } : {}) };
+  return key;
+}
+
+// Datos de un tema registrado en el formato de normalizeTheme (inversa de registerTheme)
+function themeData(key, locale) {
+  const theme = THEMES[key];
+  if (!theme) throw new Error(localeText(locale, 'themeUnknown', { key }));
+  const data = { name: theme.name };
+  THEME_COLORS.forEach((field) => {
+    data[field] = theme[field];
+  });
+  if (theme.chart) data.chart = theme.chart;
+  if (theme.cover) data.cover = theme.cover;
+  const fonts = FONTS[theme.fontKey];
+  if (fonts) data.fonts = { heading: fonts.families[0], body: fonts.families[fonts.families.length - 1] };
+  return data;
+}
+
+function unregisterTheme(key) {
+  if (!THEMES[key] || !THEMES[key].custom) return false;
+  delete THEMES[key];
+  if (FONTS[key] && FONTS[key].custom) delete FONTS[key];
+  return true;
+}
+
+// Luminancia relativa y razón de contraste según WCAG 2.x
+function relativeLuminance(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(foreground, background) {
+  const [light, dark] = [foreground, background].map(relativeLuminance).sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/*
+ * Combinaciones de color que usan las diapositivas y el mínimo WCAG AA que deben
+ * cumplir (4.5 para texto normal, 3 para títulos y números grandes).
+ * Devuelve [{ label, foreground, background, ratio, minimum, ok }].
+ */
+function checkThemeContrast(theme, locale) {
+  const [coverFrom, coverTo] = coverColors(theme);
+  return [
+    ['contrastText', theme.text, theme.background, 4.5],
+    ['contrastTitles', theme.primary, theme.background, 3],
+    ['contrastAccent', theme.accent, theme.background, 3],
+    ['contrastCoverFrom', '#FFFFFF', coverFrom, 4.5],
+    ['contrastCoverTo', '#FFFFFF', coverTo, 4.5],
+    ['contrastSection', '#FFFFFF', theme.primary, 4.5],
+  ].map(([key, foreground, background, minimum]) => {
+    const ratio = Math.round(contrastRatio(foreground, background) * 100) / 100;
+    return { label: localeText(locale, key), foreground, background, ratio, minimum, ok: ratio >= minimum };
+  });
+}
+
+/* ===========================
+   Tipos de gráfica
+   =========================== */
+
+// Cada tipo indica cómo dibujarse en Plotly y qué ChartType de PptxGenJS usar.
+const CHART_TYPES = {
+  barras: {
+    name: 'Barras agrupadas',
+    aliases: ['bar', 'bars', 'barra', 'columnas', 'agrupadas', 'barras-agrupadas'],
+    plotly: { type: 'bar', barmode: 'group' },
+    pptx: { type: 'bar', barGrouping: 'clustered' },
+  },
+  apiladas: {
+    name: 'Barras apiladas',
+    aliases: ['stacked', 'barras-apiladas', 'apilada'],
+    plotly: { type: 'bar', barmode: 'stack' },
+    pptx: { type: 'bar', barGrouping: 'stacked' },
+  },
+  lineas: {
+    name: 'Líneas',
+    aliases: ['line', 'lines', 'linea'],
+    plotly: { type: 'scatter', mode: 'lines+markers' },
+    pptx: { type: 'line' },
+  },
+  area: {
+    name: 'Área',
+    aliases: ['areas'],
+    plotly: { type: 'scatter', mode: 'lines', fill: 'tozeroy' },
+    pptx: { type: 'area' },
+  },
+  pastel: {
+    name: 'Pastel',
+    aliases: ['pie', 'circular', 'tarta'],
+    plotly: { type: 'pie' },
+    pptx: { type: 'pie' },
+  },
+  dona: {
+    name: 'Dona',
+    aliases: ['doughnut', 'donut', 'anillo'],
+    plotly: { type: 'pie', hole: 0.5 },
+    pptx: { type: 'doughnut' },
+  },
+  dispersion: {
+    name: 'Dispersión',
+    aliases: ['scatter', 'puntos', 'correlacion'],
+    plotly: { type: 'scatter', mode: 'markers' },
+    pptx: { type: 'scatter' },
+  },
+};
+
+// Colores de serie adicionales cuando el tema sólo define tres tonos
+const EXTRA_CHART_COLORS = ['#718096', '#E53E3E', '#38A169', '#805AD5', '#DD6B20'];
+
+// Minúsculas, sin acentos y con guiones: "Barras Apiladas" -> "barras-apiladas"
+function normalizeKeyword(str) {
+  return String(str || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+function resolveChartType(name) {
+  const key = normalizeKeyword(name);
+  if (CHART_TYPES[key]) return key;
+  return Object.keys(CHART_TYPES).find((k) => CHART_TYPES[k].aliases.includes(key)) || null;
+}
+
+function chartPalette(theme) {
+  if (theme.chart && theme.chart.length) return [...theme.chart, ...EXTRA_CHART_COLORS];
+  return [theme.accent, theme.primary, theme.secondary, ...EXTRA_CHART_COLORS];
+}
+
+function hasGraphData(graph) {
+  return !!(
+    graph &&
+    graph.labels &&
+    graph.labels.length &&
+    graph.series &&
+    graph.series.some((s) => s.values.length)
+  );
+}
+
+// Valores X numéricos para dispersión; si las etiquetas no son números se usa 1..n
+function scatterXValues(labels) {
+  const xs = labels.map((l) => parseFloat(l));
+  return xs.every((x) => !isNaN(x)) ? xs : labels.map((_, i) => i + 1);
+}
+
+/*
+ * Opciones de `Datos:` que cambian cómo se dibuja la gráfica. Se guardan en graph.options
+ * (sólo las que aparecen en el guion) y buildPlotlyChart/buildPptxChart las aplican igual.
+ * `names` son las secciones aceptadas (normalizadas) y `read` convierte el texto; devuelve
+ * null si no es válido.
+ */
+const FLAG_WORDS = { si: true, yes: true, sim: true, true: true, 1: true, horizontal: true, no: false, nao: false, false: false, 0: false, vertical: false };
+const SORT_WORDS = {
+  ascendente: 'asc',
+  asc: 'asc',
+  ascending: 'asc',
+  creciente: 'asc',
+  crescente: 'asc',
+  'menor-a-mayor': 'asc',
+  descendente: 'desc',
+  desc: 'desc',
+  descending: 'desc',
+  decreciente: 'desc',
+  decrescente: 'desc',
+  'mayor-a-menor': 'desc',
+  ninguno: '',
+  none: '',
+};
+const CHART_OPTIONS = {
+  xTitle: { label: 'Eje X', names: ['eje-x', 'x-axis', 'eixo-x', 'titulo-x'], read: (v) => v || null },
+  yTitle: { label: 'Eje Y', names: ['eje-y', 'y-axis', 'eixo-y', 'titulo-y'], read: (v) => v || null },
+  unit: { label: 'Unidad', names: ['unidad', 'unidades', 'unit', 'unidade', 'sufijo', 'suffix'], read: (v) => v.replace(/"/g, '') || null },
+  dataLabels: {
+    label: 'Mostrar valores',
+    names: ['mostrar-valores', 'etiquetas-de-datos', 'data-labels', 'show-values'],
+    read: (v) => (normalizeKeyword(v) in FLAG_WORDS ? FLAG_WORDS[normalizeKeyword(v)] : null),
+  },
+  min: { label: 'Mínimo', names: ['minimo', 'minimum', 'min'], read: (v, decimal) => finiteOrNull(parseLocaleNumber(v, decimal)) },
+  max: { label: 'Máximo', names: ['maximo', 'maximum', 'max'], read: (v, decimal) => finiteOrNull(parseLocaleNumber(v, decimal)) },
+  sort: {
+    label: 'Orden',
+    names: ['orden', 'ordenar', 'ordem', 'sort'],
+    read: (v) => (normalizeKeyword(v) in SORT_WORDS ? SORT_WORDS[normalizeKeyword(v)] : null),
+  },
+  highlight: { label: 'Destacar', names: ['destacar', 'resaltar', 'highlight'], read: (v) => v || null },
+  horizontal: {
+    label: 'Horizontal',
+    names: ['horizontal', 'orientacion', 'orientation'],
+    read: (v) => (normalizeKeyword(v) in FLAG_WORDS ? FLAG_WORDS[normalizeKeyword(v)] : null),
+  },
+  trend: {
+    label: 'Tendencia',
+    names: ['tendencia', 'linea-de-tendencia', 'trend', 'trendline'],
+    read: (v) => (normalizeKeyword(v) in FLAG_WORDS ? FLAG_WORDS[normalizeKeyword(v)] : null),
+  },
+};
+
+// Color de las barras que no se destacan con `Destacar:`
+const MUTED_CHART_COLOR = '#CBD5E0';
+
+function finiteOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+// Clave de CHART_OPTIONS para el encabezado de una sección ("Eje X" -> 'xTitle'); null si no es una opción
+function resolveChartOption(head) {
+  const key = normalizeKeyword(head);
+  return Object.keys(CHART_OPTIONS).find((k) => CHART_OPTIONS[k].names.includes(key)) || null;
+}
+
+// Nombre de una opción en los avisos y en el guion que escribe slidesToScript
+function chartOptionLabel(key, locale) {
+  const { names } = LOCALES[resolveLocale(locale)];
+  return (names && names.chartOption && names.chartOption[key]) || CHART_OPTIONS[key].label;
+}
+
+// Texto de una opción para volver a escribirla en el guion del idioma `locale`
+function chartOptionText(key, value, decimal, locale) {
+  if (typeof value === 'boolean') return sectionWord(value ? 'yes' : 'no', locale);
+  if (key === 'sort') return sectionWord(value === 'asc' ? 'asc' : 'desc', locale);
+  return typeof value === 'number' && decimal === ',' ? String(value).replace('.', ',') : String(value);
+}
+
+// "%" se pega al número; cualquier otra unidad ("kg", "€") va separada por un espacio
+function unitSuffix(unit) {
+  if (!unit) return '';
+  return /^[%‰°]/.test(unit) ? unit : ` ${unit}`;
+}
+
+// Etiquetas y series en el orden de `Orden:` (por el total de cada etiqueta), con sus barras de error
+function orderedChartData(graph) {
+  const series = graph.series.filter((s) => s.values.length);
+  const sort = graph.options && graph.options.sort;
+  const order = graph.labels.map((_, i) => i);
+  if (sort) {
+    const total = (i) => series.reduce((sum, s) => sum + (s.values[i] || 0), 0);
+    order.sort((a, b) => (sort === 'asc' ? total(a) - total(b) : total(b) - total(a)) || a - b);
+  }
+  const pick = (list) => order.map((i) => list[i]).filter((v) => v !== undefined);
+  return {
+    labels: pick(graph.labels),
+    series: series.map((s) => ({ ...s, values: pick(s.values), ...(s.errors ? { errors: pick(s.errors) } : {}) })),
+  };
+}
+
+// Qué opciones se pueden aplicar a una gráfica: las de ejes no existen en pastel y dona (que
+// además sólo dibujan una serie), la orientación sólo cambia las barras, `Destacar:` necesita
+// barras de una sola serie y la recta de `Tendencia:` necesita puntos (líneas, área o dispersión)
+function chartOptionSupport(graph) {
+  const chartType = CHART_TYPES[graph.type] || CHART_TYPES.barras;
+  const pie = chartType.plotly.type === 'pie';
+  const bar = chartType.plotly.type === 'bar';
+  return {
+    axes: !pie,
+    multiSeries: !pie,
+    horizontal: bar,
+    highlight: bar && graph.series.filter((s) => s.values.length).length === 1,
+    errors: !pie,
+    trend: chartType.plotly.type === 'scatter',
+  };
+}
+
+// Nombre en minúsculas de un tipo de gráfica, para los avisos
+function chartTypeName(type, locale) {
+  return localeName(locale, 'chart', CHART_TYPES[type] ? type : 'barras', CHART_TYPES).toLowerCase();
+}
+
+// Aviso de un pastel o una dona con varias series: sólo se dibuja la primera
+function pieSeriesMessage(type, names, locale) {
+  const rest = names.slice(1).map((n) => `"${n}"`).join(', ');
+  return localeText(locale, names.length > 2 ? 'pieSeriesMany' : 'pieSeries', {
+    type: chartTypeName(type, locale),
+    first: names[0],
+    rest,
+  });
+}
+
+// Trazas y opciones de layout de Plotly compartidas por la presentación y las páginas de gráficas;
+// `locale` da los separadores de los números y el nombre de las rectas de tendencia
+function buildPlotlyChart(graph, theme, locale) {
+  const chartType = CHART_TYPES[graph.type] || CHART_TYPES.barras;
+  const palette = chartPalette(theme);
+  const opts = graph.options || {};
+  const support = chartOptionSupport(graph);
+  const { labels, series } = orderedChartData(graph);
+  // Lo que Plotly muestra va escapado; `Destacar:` se compara con las etiquetas originales
+  const shown = labels.map(plotlyText);
+  const suffix = plotlyText(unitSuffix(opts.unit));
+  const cfg = chartType.plotly;
+
+  if (cfg.type === 'pie') {
+    const first = series[0];
+    return {
+      data: [
+        {
+          type: 'pie',
+          labels: shown,
+          values: first.values,
+          name: plotlyText(first.name),
+          hole: cfg.hole || 0,
+          sort: false,
+          marker: { colors: labels.map((_, i) => palette[i % palette.length]) },
+          ...(opts.dataLabels ? { texttemplate: `%{value}${suffix}<br>%{percent}` } : {}),
+        },
+      ],
+      layout: { showlegend: true },
+    };
+  }
+
+  const horizontal = !!opts.horizontal && support.horizontal;
+  const x = graph.type === 'dispersion' ? scatterXValues(labels) : shown;
+  const data = series.map((s, i) => {
+    const color = palette[i % palette.length];
+    const trace = horizontal
+      ? { type: cfg.type, name: plotlyText(s.name), x: s.values, y: x, orientation: 'h' }
+      : { type: cfg.type, name: plotlyText(s.name), x, y: s.values };
+    if (cfg.type === 'bar') {
+      const highlighted = opts.highlight && support.highlight;
+      trace.marker = { color: highlighted ? labels.map((l) => (l === opts.highlight ? color : MUTED_CHART_COLOR)) : color };
+    } else {
+      trace.mode = cfg.mode;
+      trace.marker = { color, size: cfg.mode === 'markers' ? 10 : 6 };
+      trace.line = { color };
+      if (cfg.fill) trace.fill = cfg.fill;
+    }
+    if (s.errors && support.errors) {
+      trace[horizontal ? 'error_x' : 'error_y'] = { type: 'data', array: s.errors, visible: true, color: theme.text, thickness: 1.5, width: 4 };
+    }
+    if (opts.dataLabels) {
+      trace.texttemplate = `%{${horizontal ? 'x' : 'y'}}${suffix}`;
+      if (cfg.type === 'bar') {
+        trace.textposition = cfg.barmode === 'stack' ? 'inside' : 'outside';
+        trace.cliponaxis = false;
+      } else {
+        trace.mode += '+text';
+        trace.textposition = 'top center';
+      }
+    }
+    return trace;
+  });
+
+  // Recta de mínimos cuadrados de cada serie, de extremo a extremo del eje X
+  if (opts.trend && support.trend) {
+    const xs = scatterXValues(labels);
+    series.forEach((s, i) => {
+      const fit = linearFit(xs.slice(0, s.values.length), s.values);
+      const ends = [Math.min(...xs), Math.max(...xs)];
+      data.push({
+        type: 'scatter',
+        mode: 'lines',
+        name: series.length > 1 ? localeText(locale, 'trendOf', { name: plotlyText(s.name) }) : localeText(locale, 'trend'),
+        x: graph.type === 'dispersion' ? ends : [shown[xs.indexOf(ends[0])], shown[xs.indexOf(ends[1])]],
+        y: ends.map((x) => fit.intercept + fit.slope * x),
+        line: { color: palette[i % palette.length], dash: 'dash', width: 2 },
+        hoverinfo: 'skip',
+      });
+    });
+  }
+
+  // Eje de categorías y eje de valores; en barras horizontales se intercambian
+  const categoryAxis = { automargin: true, ...(opts.xTitle ? { title: { text: plotlyText(opts.xTitle) } } : {}) };
+  const valueAxis = {
+    automargin: true,
+    ...(opts.yTitle ? { title: { text: plotlyText(opts.yTitle) } } : {}),
+    ...(suffix ? { ticksuffix: suffix } : {}),
+    // Un extremo null lo calcula Plotly
+    ...(opts.min !== undefined || opts.max !== undefined
+      ? { range: [opts.min !== undefined ? opts.min : null, opts.max !== undefined ? opts.max : null] }
+      : {}),
+  };
+  const { decimal, group } = numberSeparators(locale);
+  const layout = {
+    separators: decimal + group,
+    showlegend: series.length > 1,
+    xaxis: horizontal ? valueAxis : categoryAxis,
+    yaxis: horizontal ? categoryAxis : valueAxis,
+  };
+  if (cfg.barmode) layout.barmode = cfg.barmode;
+  return { data, layout };
+}
+
+/* ===========================
+   Diseños de diapositiva
+   =========================== */
+
+// Vocabulario de `Diseño:`, tomado de las diapositivas de presentacion_ia_psicologia.html.
+// Sólo los diseños con graph: true muestran la gráfica de `Datos:`.
+const LAYOUTS = {
+  portada: { name: 'Portada', aliases: ['cover', 'inicio', 'titulo'] },
+  contenido: { name: 'Contenido', aliases: ['content', 'texto', 'vinetas', 'grafica'], graph: true },
+  seccion: { name: 'Sección', aliases: ['section', 'separador', 'divisor'] },
+  'lista-numerada': { name: 'Lista numerada', aliases: ['numerada', 'numeros', 'pasos', 'numbered'] },
+  'dos-columnas': { name: 'Dos columnas', aliases: ['columnas', 'comparacion', 'two-columns'] },
+  tarjetas: { name: 'Tarjetas', aliases: ['cards', 'objetivos', 'hipotesis', 'objetivos-hipotesis'] },
+  cita: { name: 'Cita', aliases: ['quote', 'frase'] },
+  'icono-texto': { name: 'Icono + texto', aliases: ['icono+texto', 'iconos', 'icon-text'] },
+  cierre: { name: 'Cierre', aliases: ['closing', 'gracias', 'final', 'fin'], defaultTitle: '¡Gracias!' },
+};
+
+// Iconos para `[nombre] texto` en icono-texto; son emoji para que se vean igual en HTML y PPTX
+const LAYOUT_ICONS = {
+  idea: '💡',
+  objetivo: '🎯',
+  meta: '🎯',
+  grafica: '📊',
+  datos: '📊',
+  tendencia: '📈',
+  libro: '📚',
+  educacion: '🎓',
+  personas: '👥',
+  persona: '👤',
+  cerebro: '🧠',
+  ciencia: '🔬',
+  lupa: '🔍',
+  alerta: '⚠️',
+  riesgo: '⚠️',
+  check: '✅',
+  reloj: '⏱️',
+  pregunta: '❓',
+  balanza: '⚖️',
+  documento: '📄',
+  mensaje: '💬',
+  herramienta: '🛠️',
+  computadora: '💻',
+  mundo: '🌐',
+  estrella: '⭐',
+};
+const DEFAULT_ICON = '◆';
+
+function resolveLayout(name) {
+  const key = normalizeKeyword(name);
+  if (LAYOUTS[key]) return key;
+  return Object.keys(LAYOUTS).find((k) => LAYOUTS[k].aliases.includes(key)) || null;
+}
+
+// Sin `Diseño:` la primera diapositiva es la portada y las demás son de contenido
+function slideLayout(slide, index) {
+  return slide.layout || (index === 0 ? 'portada' : 'contenido');
+}
+
+// Nombre con el que se anuncia una diapositiva: su título o el que muestra su diseño sin él
+function slideLabel(slide, index, locale) {
+  if (slide.title) return slide.title;
+  const layout = slideLayout(slide, index);
+  if (layout === 'portada') return localeText(locale, 'coverTitle');
+  if (layout === 'cierre') return localeText(locale, 'closingTitle');
+  return localeText(locale, 'slide', { n: index + 1 });
+}
+
+function showsGraph(slide, index) {
+  return !!LAYOUTS[slideLayout(slide, index)].graph && hasGraphData(slide.graph);
+}
+
+// "Encabezado: texto" -> { heading, text }; el espacio tras ":" evita partir URLs
+function splitHeading(item) {
+  const m = String(item).match(/^([^:]{1,60}):\s+(.+)$/);
+  return m ? { heading: m[1].trim(), text: m[2].trim() } : { heading: '', text: item };
+}
+
+// "[cerebro] texto" -> { icon: '🧠', text }; también acepta un emoji entre corchetes
+function splitIcon(item) {
+  const m = String(item).match(/^\[([^\]]+)\]\s*(.*)$/);
+  if (!m) return { icon: DEFAULT_ICON, text: item };
+  const name = m[1].trim();
+  const icon = LAYOUT_ICONS[normalizeKeyword(name)] || (/^[\w\s-]+$/.test(name) ? DEFAULT_ICON : name);
+  return { icon, text: m[2] };
+}
+
+// Columnas de dos-columnas sobre los nodos de contentTree: un punto principal terminado en ":"
+// abre columna con ese encabezado; si no hay ninguno, los puntos se parten a la mitad
+function splitColumns(items) {
+  if (!items.some((n) => /:$/.test(n.text))) {
+    const half = Math.ceil(items.length / 2);
+    return [
+      { heading: '', items: items.slice(0, half) },
+      { heading: '', items: items.slice(half) },
+    ];
+  }
+  const columns = [];
+  items.forEach((n) => {
+    if (/:$/.test(n.text)) {
+      columns.push({ heading: n.text.slice(0, -1).trim(), items: [...n.children] });
+    } else {
+      if (!columns.length) columns.push({ heading: '', items: [] });
+      columns[columns.length - 1].items.push(n);
+    }
+  });
+  // Las columnas de más se agregan a la segunda
+  while (columns.length > 2) {
+    const extra = columns.pop();
+    const second = columns[1];
+    if (extra.heading) second.items.push({ text: extra.heading + ':', children: [] });
+    second.items.push(...extra.items);
+  }
+  while (columns.length < 2) columns.push({ heading: '', items: [] });
+  return columns;
+}
+
+/* ===========================
+   Escapado según el contexto
+   =========================== */
+
+// Texto HTML y valores de atributo entre comillas
+function escapeHtml(str) {
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Valor literal dentro de un <script>: JSON que no puede cerrar la etiqueta ni abrir un
+// comentario HTML, y sin U+2028/U+2029, que los motores antiguos toman por saltos de línea
+function scriptJson(value) {
+  return JSON.stringify(value === undefined ? null : value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Colores y familias tipográficas: letras, números, espacios y # % . , ' ( ) + - _, comillas
+// simples emparejadas y, como funciones, sólo rgb()/hsl(). Lo demás (";", "}", "<", comillas
+// dobles, url(), var()…) podría salir del valor, así que se usa el de respaldo.
+const CSS_VALUE = /^[\p{L}\p{N} #%.,'()+_-]+$/u;
+
+function cssValue(value, fallback) {
+  const text = String(value == null ? '' : value).trim();
+  const functions = text.match(/[\w-]+(?=\s*\()/g) || [];
+  const safe =
+    CSS_VALUE.test(text) &&
+    (text.match(/'/g) || []).length % 2 === 0 &&
+    functions.every((name) => /^(?:rgba?|hsla?)$/i.test(name));
+  return safe ? text : fallback;
+}
+
+// Tema y tipografías tal como los interpolan los generadores HTML: cada color y familia pasa
+// por cssValue, con los del tema y el par por defecto como respaldo
+function cssTheme(theme) {
+  const base = THEMES.default;
+  const safe = { ...theme };
+  THEME_COLORS.forEach((key) => {
+    safe[key] = cssValue(theme[key], base[key]);
+  });
+  if (Array.isArray(theme.chart)) safe.chart = theme.chart.map((c, i) => cssValue(c, EXTRA_CHART_COLORS[i % EXTRA_CHART_COLORS.length]));
+  else delete safe.chart;
+  if (Array.isArray(theme.cover)) safe.cover = theme.cover.map((c, i) => cssValue(c, i ? safe.secondary : safe.primary));
+  else delete safe.cover;
+  return safe;
+}
+
+function cssFonts(fonts) {
+  const base = FONTS.default;
+  const safe = { ...fonts, heading: cssValue(fonts.heading, base.heading), body: cssValue(fonts.body, base.body) };
+  if (fonts.families) safe.families = fonts.families.filter((family) => FONT_FAMILIES[family]);
+  return safe;
+}
+
+// Plotly interpreta en títulos, etiquetas y nombres de serie un subconjunto de HTML (<b>,
+// <a href>…); el texto del guion se escapa para que se vea tal cual
+function plotlyText(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/* ===========================
+   Texto enriquecido del contenido
+   =========================== */
+
+// Divide los puntos por ";" salvo los escapados como "\;", que quedan como ";" literal
+function splitItems(str) {
+  return str
+    .split(/(?<!\\);/)
+    .map((s) => s.replace(/\\;/g, ';').trim())
+    .filter(Boolean);
+}
+
+// Sólo se enlazan rutas relativas y esquemas inofensivos; javascript:, data:, etc. quedan como texto.
+// Los navegadores descartan tabuladores, saltos de línea y controles iniciales de una URL
+// ("java\tscript:"), así que se quitan antes de leer el esquema.
+function safeUrl(url) {
+  const clean = String(url)
+    .replace(/[\t\n\r]/g, '')
+    .replace(/^[\u0000-\u0020]+/, '')
+    .trim();
+  const scheme = clean.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) ? clean : null;
+}
+
+const WORD_CHAR = /[0-9A-Za-zÀ-ÿ]/;
+// Niveles de sangría admitidos por debajo de los puntos principales
+const MAX_LEVEL = 3;
+// Viñetas de la versión HTML por nivel
+const LIST_STYLES = ['list-disc', 'list-[circle]', 'list-[square]'];
+// Columnas del diseño de tarjetas según cuántas haya. Las clases van completas para que
+// TAILWIND_CSS las incluya
+const CARD_COLUMNS = ['grid-cols-1', 'grid-cols-2', 'grid-cols-3'];
+
+/*
+ * Subconjunto de Markdown en línea: **negrita**, *cursiva* (o con _), `código`, [texto](url)
+ * y escapes con "\". Devuelve tramos { text, bold, italic, code, link } que comparten la
+ * presentación HTML y los runs del PPTX. Un delimitador sin cierre se deja como texto.
+ */
+function parseInline(text) {
+  const runs = [];
+  const style = { bold: '', italic: '' };
+  let buf = '';
+  const push = (run) => runs.push({ bold: !!style.bold, italic: !!style.italic, ...run });
+  const flush = () => {
+    if (buf) push({ text: buf });
+    buf = '';
+  };
+  // Como en Markdown: no abre si le sigue un espacio ni cierra si le precede ("2 * 3 * 4")
+  const canOpen = (mark, at) => /\S/.test(text[at + mark.length] || '') && text.indexOf(mark, at + mark.length + 1) > 0;
+  const canClose = (at) => /\S/.test(text[at - 1] || '');
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const pair = text.substr(i, 2);
+    if (ch === '\\' && /[\\`*_[\]()]/.test(text[i + 1] || '')) {
+      buf += text[++i];
+      continue;
+    }
+    if (ch === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        flush();
+        push({ text: text.slice(i + 1, end), code: true });
+        i = end;
+        continue;
+      }
+    }
+    if (ch === '[') {
+      const m = text.slice(i).match(/^\[([^\]]+)\]\(([^)\s]+)\)/);
+      if (m) {
+        flush();
+        const url = safeUrl(m[2]);
+        parseInline(m[1]).forEach((r) =>
+          runs.push({ ...r, bold: r.bold || !!style.bold, italic: r.italic || !!style.italic, ...(url ? { link: url } : {}) })
+        );
+        i += m[0].length - 1;
+        continue;
+      }
+    }
+    if (pair === '**' || pair === '__') {
+      if (style.bold ? style.bold === pair && canClose(i) : canOpen(pair, i)) {
+        flush();
+        style.bold = style.bold ? '' : pair;
+        i++;
+        continue;
+      }
+    }
+    if (ch === '*' || ch === '_') {
+      // "_" dentro de una palabra (nombre_de_archivo) no abre ni cierra cursiva
+      const inWord = ch === '_' && WORD_CHAR.test(text[i - 1] || '') && WORD_CHAR.test(text[i + 1] || '');
+      if (!inWord && (style.italic ? style.italic === ch && canClose(i) : canOpen(ch, i))) {
+        flush();
+        style.italic = style.italic ? '' : ch;
+        continue;
+      }
+    }
+    buf += ch;
+  }
+  flush();
+  return runs;
+}
+
+function inlineHtml(text) {
+  return parseInline(text)
+    .map((r) => {
+      let html = escapeHtml(r.text);
+      if (r.code) html = `<code class="px-1 rounded bg-black/10 text-[0.9em]">${html}</code>`;
+      if (r.italic) html = `<em>${html}</em>`;
+      if (r.bold) html = `<strong>${html}</strong>`;
+      if (r.link) html = `<a href="${escapeHtml(r.link)}" target="_blank" rel="noopener" class="underline">${html}</a>`;
+      return html;
+    })
+    .join('');
+}
+
+// Puntos con su nivel de sangría (0 = principal); tolera diapositivas sin `levels`
+function contentItems(slide) {
+  return slide.content.map((text, i) => ({ text, level: (slide.levels && slide.levels[i]) || 0 }));
+}
+
+// Árbol de puntos: [{ text, children: [...] }]; los diseños lo usan para anidar subpuntos
+function contentTree(slide) {
+  const roots = [];
+  const stack = [];
+  contentItems(slide).forEach(({ text, level }) => {
+    const node = { text, children: [] };
+    stack.length = Math.min(level, stack.length);
+    (stack.length ? stack[stack.length - 1].children : roots).push(node);
+    stack.push(node);
+  });
+  return roots;
+}
+
+// Recorre el árbol en orden devolviendo { text, level }, con level relativo a `level`
+function flattenTree(nodes, level = 0) {
+  return nodes.flatMap((n) => [{ text: n.text, level }, ...flattenTree(n.children, level + 1)]);
+}
+
+/* ===========================
+   Números y tablas de datos
+   =========================== */
+
+// Separador decimal de `Decimal:`: ',' (coma), '.' (punto) o 'auto'; null si no se reconoce
+const DECIMAL_NAMES = {
+  ',': ',',
+  coma: ',',
+  virgula: ',',
+  comma: ',',
+  '.': '.',
+  punto: '.',
+  ponto: '.',
+  point: '.',
+  dot: '.',
+  auto: 'auto',
+};
+
+function resolveDecimal(name) {
+  return DECIMAL_NAMES[normalizeKeyword(name)] || null;
+}
+
+// Parte entera con separadores de miles bien puestos: grupos de tres cifras ("1.234.567")
+const THOUSANDS_GROUPS = { '.': /^[-+]?\d{1,3}(\.\d{3})+$/, ',': /^[-+]?\d{1,3}(,\d{3})+$/ };
+
+/*
+ * Número escrito con convenciones de cualquier idioma: "4,2", "4.2", "1.234,5", "1,234.5",
+ * "12 %". En modo 'auto', si aparecen coma y punto el último es el decimal; si sólo aparece
+ * uno, es decimal cuando está una vez ("4,2" = 4.2) y de miles cuando se repite ("1.234.567").
+ * Devuelve NaN si el texto no es un número, también si el separador de miles no separa
+ * grupos de tres cifras ("4,2" con decimal punto no es 42).
+ */
+function parseLocaleNumber(text, decimal = 'auto') {
+  let t = String(text).replace(/\s/g, '').replace(/%$/, '');
+  let dec = decimal;
+  if (dec !== ',' && dec !== '.') {
+    const commas = (t.match(/,/g) || []).length;
+    const dots = (t.match(/\./g) || []).length;
+    if (commas && dots) dec = t.lastIndexOf(',') > t.lastIndexOf('.') ? ',' : '.';
+    else if (commas) dec = commas > 1 ? '.' : ',';
+    else dec = dots > 1 ? ',' : '.';
+  }
+  const thousands = dec === ',' ? '.' : ',';
+  const [whole, fraction, ...rest] = t.split(dec);
+  if (rest.length || (fraction !== undefined && fraction.includes(thousands))) return NaN;
+  if (whole.includes(thousands) && !THOUSANDS_GROUPS[thousands].test(whole)) return NaN;
+  t = whole.split(thousands).join('') + (fraction === undefined ? '' : `.${fraction}`);
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(t) ? Number(t) : NaN;
+}
+
+// Las listas de `Labels:` y `Valores:` se separan con "|" si aparece alguno (así "4,2" queda
+// entero) y si no con comas. Con `Decimal: coma` los números se separan con coma y espacio:
+// "4,2, 3,8" son dos valores
+function listSeparator(text, decimal) {
+  if (text.includes('|')) return '|';
+  return decimal === ',' ? ', ' : ',';
+}
+
+// Pista para el diagnóstico de un valor que no es número con el separador decimal fijado
+function numberHint(text, decimal, locale) {
+  const hint = (key) => ` ${localeText(locale, key)}`;
+  if (decimal === '.' && text.includes(',')) return hint('hintDecimalPoint');
+  if (decimal === ',' && /,.*,/.test(text)) return hint('hintDecimalCommaList');
+  if (decimal === ',' && text.includes('.')) return hint('hintDecimalComma');
+  return '';
+}
+
+// Separador de un CSV según su primera línea: el más frecuente entre ";", tabulador y ","
+function csvDelimiter(line) {
+  const outside = line.replace(/"[^"]*"/g, '');
+  return [';', '\t', ','].reduce((best, d) => (outside.split(d).length > outside.split(best).length ? d : best), ',');
+}
+
+// Celdas de una línea CSV con su columna (base 1); las comillas dobles protegen el separador
+function splitCsvLine(line, delimiter, startCol = 1) {
+  const cells = [];
+  let text = '';
+  let col = startCol;
+  let quoted = false;
+  for (let i = 0; i <= line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        text += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else if (ch !== undefined) {
+        text += ch;
+      }
+    } else if (ch === '"' && !text.trim()) {
+      quoted = true;
+    } else if (ch === delimiter || ch === undefined) {
+      cells.push({ text: text.trim(), col: col + (text.length - text.trimStart().length) });
+      text = '';
+      col = startCol + i + 1;
+    } else {
+      text += ch;
+    }
+  }
+  return cells;
+}
+
+// Filas de texto de un CSV (sin las vacías)
+function parseCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+  const delimiter = csvDelimiter(lines[0]);
+  return lines.map((line) => splitCsvLine(line, delimiter).map((c) => c.text));
+}
+
+// "A" -> 0, "AB" -> 27
+function columnLetterIndex(letters) {
+  return letters
+    .toUpperCase()
+    .split('')
+    .reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Columna por nombre de encabezado (sin distinguir mayúsculas ni acentos) o por letra; -1 si no existe
+function columnIndex(ref, header) {
+  const key = normalizeKeyword(ref);
+  const byName = header.findIndex((h) => normalizeKeyword(h) === key);
+  if (byName >= 0) return byName;
+  return /^[a-z]{1,3}$/i.test(ref.trim()) ? columnLetterIndex(ref.trim()) : -1;
+}
+
+// "B2:D10" -> { fromCol: 1, fromRow: 1, toCol: 3, toRow: 9 } (base 0); también "B:D" o "B2"
+function parseRange(range) {
+  const m = String(range)
+    .trim()
+    .match(/^([a-z]{1,3})(\d*)(?::([a-z]{1,3})(\d*))?$/i);
+  if (!m) return null;
+  const row = (digits, fallback) => (digits ? Number(digits) - 1 : fallback);
+  return {
+    fromCol: columnLetterIndex(m[1]),
+    fromRow: row(m[2], 0),
+    toCol: m[3] ? columnLetterIndex(m[3]) : Infinity,
+    toRow: m[3] ? row(m[4], Infinity) : Infinity,
+  };
+}
+
+function sliceRange(rows, range) {
+  if (!range) return rows;
+  return rows.slice(range.fromRow, range.toRow + 1).map((row) => row.slice(range.fromCol, range.toCol + 1));
+}
+
+/*
+ * Gráfica a partir de una tabla (primera fila: encabezados). spec.labels es la columna de
+ * etiquetas (la primera si falta) y spec.series las columnas de las series (las demás si falta).
+ * Las celdas numéricas de una hoja de cálculo llegan como número; el texto se lee con `decimal`.
+ * Devuelve { labels, series, problems: [{ row, column, message }] } con row/column base 0 en
+ * `rows` y los mensajes en el idioma `locale`.
+ */
+function tableGraph(rows, spec = {}, decimal = 'auto', locale) {
+  const problems = [];
+  const header = (rows[0] || []).map((h) => String(h === undefined ? '' : h).trim());
+  const body = rows.slice(1).filter((row) => row.some((c) => String(c === undefined ? '' : c).trim()));
+  const find = (ref) => {
+    const index = columnIndex(ref, header);
+    if (index < 0 || index >= header.length) problems.push({ row: 0, column: 0, message: localeText(locale, 'noColumn', { name: ref }) });
+    return index < 0 || index >= header.length ? -1 : index;
+  };
+  const labelColumn = spec.labels ? find(spec.labels) : 0;
+  const seriesColumns = (spec.series && spec.series.length ? spec.series.map(find) : header.map((_, i) => i))
+    .filter((i) => i >= 0 && i !== labelColumn);
+  if (labelColumn < 0) return { labels: [], series: [], problems };
+
+  const labels = body.map((row) => String(row[labelColumn] === undefined ? '' : row[labelColumn]).trim());
+  const series = seriesColumns.map((column) => ({
+    name: header[column] || `Serie ${column + 1}`,
+    values: body.map((row, i) => {
+      const cell = row[column];
+      const value = typeof cell === 'number' ? cell : parseLocaleNumber(cell === undefined ? '' : cell, decimal);
+      if (!Number.isFinite(value)) {
+        problems.push({
+          row: rows.indexOf(row),
+          column,
+          message: localeText(locale, 'badCell', {
+            cell: cell === undefined ? '' : cell,
+            series: header[column] || column + 1,
+            row: i + 1,
+          }),
+        });
+        return 0;
+      }
+      return value;
+    }),
+  }));
+  return { labels, series, problems };
+}
+
+/* ===========================
+   Estadística para diapositivas de investigación
+   =========================== */
+
+// Análisis de `Estadística:`; como en CHART_TYPES, `aliases` son otros nombres aceptados
+const STATS_KINDS = {
+  descriptivos: { name: 'Descriptivos', aliases: ['descriptivas', 'descriptive', 'descriptives', 'resumen', 'descritivos', 'descritivas'] },
+  frecuencias: { name: 'Frecuencias', aliases: ['frecuencia', 'frequencies', 'frequency', 'distribucion', 'frequencias', 'frequencia', 'distribuicao'] },
+  correlacion: { name: 'Correlación', aliases: ['correlaciones', 'correlation', 'pearson', 'spearman', 'correlacao', 'correlacoes'] },
+  likert: { name: 'Likert', aliases: ['escala-likert', 'encuesta', 'survey'] },
+};
+
+function resolveStatsKind(name) {
+  const key = normalizeKeyword(name);
+  if (STATS_KINDS[key]) return key;
+  return Object.keys(STATS_KINDS).find((k) => STATS_KINDS[k].aliases.includes(key)) || null;
+}
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+const mean = (values) => sum(values) / values.length;
+
+// Desviación típica muestral (n - 1), la que se reporta en los artículos
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(sum(values.map((v) => (v - m) ** 2)) / (values.length - 1));
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Rangos con empates promediados, para Spearman
+function ranks(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) result[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return result;
+}
+
+function pearson(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  const sxy = sum(xs.map((x, i) => (x - mx) * (ys[i] - my)));
+  const sxx = sum(xs.map((x) => (x - mx) ** 2));
+  const syy = sum(ys.map((y) => (y - my) ** 2));
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+// Recta de mínimos cuadrados y = intercept + slope·x
+function linearFit(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  const sxx = sum(xs.map((x) => (x - mx) ** 2));
+  const slope = sxx ? sum(xs.map((x, i) => (x - mx) * (ys[i] - my))) / sxx : 0;
+  return { slope, intercept: my - slope * mx };
+}
+
+// ln Γ(x) por la aproximación de Lanczos
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.001208650973866179, -0.000005395239384953];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = c.reduce((acc, coef) => acc + coef / ++y, 1.000000000190015);
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+// Beta incompleta regularizada I_x(a, b) por fracción continua (Numerical Recipes)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+  let f = 1;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < 1e-30 ? 1e-30 : d);
+  f = d;
+  for (let m = 1; m <= 200; m++) {
+    for (const step of [0, 1]) {
+      const num = step
+        ? (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1))
+        : (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+      d = 1 + num * d;
+      d = 1 / (Math.abs(d) < 1e-30 ? 1e-30 : d);
+      c = 1 + num / c;
+      if (Math.abs(c) < 1e-30) c = 1e-30;
+      f *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+  return (front * f) / a;
+}
+
+// p bilateral de una correlación con n pares (t de Student con n - 2 grados de libertad)
+function correlationPValue(r, n) {
+  const df = n - 2;
+  if (df < 1) return NaN;
+  if (Math.abs(r) >= 1) return 0;
+  const t = (r * Math.sqrt(df)) / Math.sqrt(1 - r * r);
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Números de las tablas: dos decimales con el separador del idioma, sin "-0.00"
+function formatStat(value, digits = 2, locale) {
+  if (!Number.isFinite(value)) return '—';
+  const text = value.toFixed(digits);
+  return (/^-0\.?0*$/.test(text) ? text.slice(1) : text).replace('.', numberSeparators(locale).decimal);
+}
+
+function formatPValue(p, locale) {
+  if (!Number.isFinite(p)) return '—';
+  return p < 0.001 ? `< ${numberSeparators(locale).decimal}001` : formatStat(p, 3, locale).replace(/^0/, '');
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/*
+ * Columnas de una tabla de datos (primera fila: encabezados) como [{ name, cells, rows, numbers }]:
+ * cells son los textos no vacíos, rows el número de cada fila (NaN si no lo es, para emparejar
+ * filas) y numbers los que se leen como número con `decimal`. refs elige columnas por
+ * encabezado o letra; sin refs se devuelven todas.
+ */
+function statsColumns(rows, refs, decimal, problems, locale) {
+  const header = (rows[0] || []).map((h) => String(h === undefined ? '' : h).trim());
+  const body = rows.slice(1);
+  const indices = refs && refs.length ? refs.map((ref) => [ref, columnIndex(ref, header)]) : header.map((h, i) => [h, i]);
+  return indices
+    .filter(([ref, index]) => {
+      if (index >= 0 && index < header.length) return true;
+      problems.push(localeText(locale, 'noColumn', { name: ref }));
+      return false;
+    })
+    .map(([, index]) => {
+      const cells = body.map((row) => String(row[index] === undefined ? '' : row[index]).trim()).filter(Boolean);
+      const values = body.map((row) =>
+        typeof row[index] === 'number' ? row[index] : parseLocaleNumber(row[index] === undefined ? '' : row[index], decimal)
+      );
+      return { name: header[index] || `Columna ${index + 1}`, cells, rows: values, numbers: values.filter(Number.isFinite) };
+    });
+}
+
+// Los análisis numéricos descartan el texto, pero avisan de cuántas celdas se saltaron
+function numericColumns(columns, problems, locale) {
+  return columns.filter((c) => {
+    if (!c.numbers.length) {
+      problems.push(localeText(locale, 'statsNotNumeric', { name: c.name }));
+      return false;
+    }
+    if (c.numbers.length < c.cells.length) {
+      const skipped = c.cells.length - c.numbers.length;
+      problems.push(localeText(locale, skipped === 1 ? 'statsSkippedCell' : 'statsSkippedCells', { n: skipped, name: c.name }));
+    }
+    return true;
+  });
+}
+
+function descriptiveStats(columns, problems, locale) {
+  const t = (key) => localeText(locale, key);
+  const numeric = numericColumns(columns, problems, locale);
+  const rows = numeric.map((c) => {
+    const v = c.numbers;
+    return { name: c.name, n: v.length, mean: mean(v), sd: standardDeviation(v), median: median(v), min: Math.min(...v), max: Math.max(...v) };
+  });
+  return {
+    table: {
+      header: [t('statVariable'), 'n', t('statMean'), t('statSd'), t('statMedian'), t('statMin'), t('statMax')],
+      rows: rows.map((r) => [r.name, String(r.n), ...[r.mean, r.sd, r.median, r.min, r.max].map((v) => formatStat(v, 2, locale))]),
+    },
+    graph: {
+      type: 'barras',
+      labels: rows.map((r) => r.name),
+      series: [{ name: t('statMean'), values: rows.map((r) => r.mean), errors: rows.map((r) => r.sd) }],
+      options: { yTitle: t('statMeanSd') },
+    },
+  };
+}
+
+function frequencyStats(columns, problems, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const column = columns[0];
+  if (columns.length > 1) problems.push(t('statsOneColumn', { name: column.name }));
+  const counts = new Map();
+  column.cells.forEach((cell) => counts.set(cell, (counts.get(cell) || 0) + 1));
+  let categories = [...counts.keys()];
+  // Categorías numéricas (edades, puntuaciones) de menor a mayor; el resto en orden de aparición
+  if (categories.every((c) => Number.isFinite(parseLocaleNumber(c)))) {
+    categories = categories.sort((a, b) => parseLocaleNumber(a) - parseLocaleNumber(b));
+  }
+  const total = column.cells.length;
+  return {
+    table: {
+      header: [t('statCategory'), 'n', '%'],
+      rows: [
+        ...categories.map((c) => [c, String(counts.get(c)), formatStat((counts.get(c) / total) * 100, 1, locale)]),
+        [t('statTotal'), String(total), formatStat(100, 1, locale)],
+      ],
+    },
+    graph: {
+      type: 'barras',
+      labels: categories,
+      series: [{ name: column.name, values: categories.map((c) => counts.get(c)) }],
+      options: { xTitle: column.name, yTitle: t('statFrequency'), dataLabels: true },
+    },
+  };
+}
+
+function correlationStats(columns, method, problems, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const numeric = numericColumns(columns, problems, locale);
+  if (numeric.length < 2) {
+    problems.push(t('statsTwoColumns'));
+    return null;
+  }
+  if (numeric.length > 2) problems.push(t('statsFirstTwo', { first: numeric[0].name, second: numeric[1].name }));
+  const [cx, cy] = numeric;
+  // Sólo las filas con número en las dos columnas
+  const pairs = [];
+  cx.rows.forEach((x, i) => {
+    const y = cy.rows[i];
+    if (Number.isFinite(x) && Number.isFinite(y)) pairs.push([x, y]);
+  });
+  if (pairs.length < 3) {
+    problems.push(t('statsPairs'));
+    return null;
+  }
+  const xs = pairs.map((p) => p[0]);
+  const ys = pairs.map((p) => p[1]);
+  const spearman = method === 'spearman';
+  const r = spearman ? pearson(ranks(xs), ranks(ys)) : pearson(xs, ys);
+  const fit = linearFit(xs, ys);
+  const symbol = spearman ? 'ρ' : 'r';
+  return {
+    table: {
+      header: [t('statStatistic'), t('statValue')],
+      rows: [
+        [t('statMethod'), spearman ? 'Spearman' : 'Pearson'],
+        ['n', String(pairs.length)],
+        [symbol, formatStat(r, 3, locale)],
+        [`${symbol}²`, formatStat(r * r, 3, locale)],
+        ['p', formatPValue(correlationPValue(r, pairs.length), locale)],
+        [
+          t('statLine'),
+          `y = ${formatStat(fit.intercept, 2, locale)} ${fit.slope < 0 ? '−' : '+'} ${formatStat(Math.abs(fit.slope), 2, locale)}·x`,
+        ],
+      ],
+    },
+    graph: {
+      type: 'dispersion',
+      labels: xs.map(String),
+      series: [{ name: cy.name, values: ys }],
+      options: { xTitle: cx.name, yTitle: cy.name, trend: true },
+    },
+  };
+}
+
+// Puntos máximos de una escala Likert; más allá (p. ej. una columna de importes) no es una escala
+const LIKERT_MAX_POINTS = 11;
+
+// Escala "1-5" (o la que cubren los datos) y nombres de sus niveles; null si es demasiado amplia
+function likertScale(stats, numbers, problems, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const m = String(stats.scale || '').match(/^\s*(-?\d+)\s*[-–a]\s*(-?\d+)\s*$/);
+  let [low, high] = m ? [Number(m[1]), Number(m[2])] : [Math.min(...numbers), Math.max(...numbers)];
+  if (stats.scale && !m) problems.push(t('likertBadScale', { scale: stats.scale }));
+  if (low > high) [low, high] = [high, low];
+  if (high - low + 1 > LIKERT_MAX_POINTS) {
+    problems.push(t('likertTooWide', { low, high, points: high - low + 1, max: LIKERT_MAX_POINTS }));
+    return null;
+  }
+  const levels = [];
+  for (let v = low; v <= high; v++) levels.push(v);
+  const names = stats.levels && stats.levels.length === levels.length ? stats.levels : levels.map(String);
+  if (stats.levels && stats.levels.length && stats.levels.length !== levels.length) {
+    problems.push(t('likertLevels', { n: stats.levels.length, points: levels.length }));
+  }
+  return { levels, names };
+}
+
+function likertStats(stats, columns, problems, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  // Las respuestas de una escala son enteras: 2,5 no cae en ningún nivel
+  const numeric = numericColumns(columns, problems, locale).map((c) => {
+    const whole = c.numbers.filter(Number.isInteger);
+    const fractional = c.numbers.length - whole.length;
+    if (fractional) problems.push(t(fractional === 1 ? 'likertFractionalOne' : 'likertFractional', { name: c.name, n: fractional }));
+    return { ...c, numbers: whole };
+  });
+  if (!numeric.some((c) => c.numbers.length)) return null;
+  const scale = likertScale(stats, numeric.flatMap((c) => c.numbers), problems, locale);
+  if (!scale) return null;
+  const { levels, names } = scale;
+  // "% de acuerdo": las dos respuestas más altas de la escala (top-2 box)
+  const agree = levels.slice(-2);
+  const items = numeric.map((c) => {
+    const inScale = c.numbers.filter((v) => levels.includes(v));
+    if (inScale.length < c.numbers.length) {
+      const outside = c.numbers.length - inScale.length;
+      const scaleRange = { low: levels[0], high: levels[levels.length - 1] };
+      problems.push(t(outside === 1 ? 'likertOutsideOne' : 'likertOutside', { name: c.name, n: outside, ...scaleRange }));
+    }
+    return { name: c.name, values: inScale };
+  });
+  const percent = (values, test) => (values.length ? (values.filter(test).length / values.length) * 100 : 0);
+  return {
+    table: {
+      header: [t('statItem'), 'n', t('statMean'), t('statSd'), t('statMedian'), t('statAgree')],
+      rows: items.map(({ name, values }) => [
+        name,
+        String(values.length),
+        formatStat(values.length ? mean(values) : NaN, 2, locale),
+        formatStat(standardDeviation(values), 2, locale),
+        formatStat(values.length ? median(values) : NaN, 2, locale),
+        formatStat(percent(values, (v) => agree.includes(v)), 1, locale),
+      ]),
+    },
+    graph: {
+      type: 'apiladas',
+      labels: items.map((item) => item.name),
+      series: levels.map((level, i) => ({
+        name: names[i],
+        values: items.map(({ values }) => round1(percent(values, (v) => v === level))),
+      })),
+      options: { unit: '%', max: 100, horizontal: true },
+    },
+  };
+}
+
+/*
+ * Resultado de un análisis de `Estadística:` sobre una tabla de datos cruda (primera fila:
+ * encabezados). Devuelve { graph, table: { header, rows }, problems } con los textos de la
+ * tabla y los problemas ya en el idioma `locale`; graph es null si no hay datos suficientes.
+ */
+function computeStatistics(stats, rows, locale) {
+  const problems = [];
+  const columns = statsColumns(rows, stats.columns, stats.decimal || 'auto', problems, locale);
+  let result = null;
+  if (!columns.some((c) => c.cells.length)) {
+    if (!problems.length) problems.push(localeText(locale, 'statsEmpty'));
+  } else if (stats.kind === 'descriptivos') {
+    result = descriptiveStats(columns, problems, locale);
+  } else if (stats.kind === 'frecuencias') {
+    result = frequencyStats(columns, problems, locale);
+  } else if (stats.kind === 'correlacion') {
+    result = correlationStats(columns, stats.method, problems, locale);
+  } else if (stats.kind === 'likert') {
+    result = likertStats(stats, columns, problems, locale);
+  }
+  if (result && !hasGraphData(result.graph)) result = null;
+  return { graph: result ? result.graph : null, table: result ? result.table : null, problems };
+}
+
+/* ===========================
+   Parseo del guion
+   =========================== */
+
+// Palabras de un campo en todos los idiomas, como alternativas de una expresión regular
+function keywordAlternatives(field) {
+  return Array.from(new Set(Object.values(LOCALES).flatMap((l) => l.keywords[field]))).join('|');
+}
+
+// "Diapositiva 3", "Slide 3"…: el número queda en el segundo grupo
+const SLIDE_HEADER = new RegExp(`^(${keywordAlternatives('slide')})\\s+(\\d+)`, 'i');
+const SLIDE_HEADER_LINE = new RegExp(`^\\s*(${keywordAlternatives('slide')})\\s+\\d+`, 'im');
+
+// Campos del encabezado del guion: datos de toda la presentación, no de una diapositiva
+const DECK_FIELDS = ['author', 'institution', 'course', 'date', 'logo', 'footer', 'numbers', 'agenda'];
+const DECK_FIELD_PATTERNS = Object.fromEntries(
+  DECK_FIELDS.map((field) => [field, new RegExp(`^(${keywordAlternatives(field)})\\s*:`, 'i')])
+);
+const FRONT_MATTER_FENCE = /^-{3,}$/;
+
+// Campos reconocidos al inicio de una línea del guion, en cualquier idioma
+const FIELD_PATTERNS = Object.fromEntries(
+  Object.keys(LOCALES.es.keywords)
+    .filter((field) => field !== 'slide' && !DECK_FIELDS.includes(field))
+    .map((field) => [field, new RegExp(`^(${keywordAlternatives(field)}):`, 'i')])
+);
+const SCRIPT_FIELDS = new RegExp(
+  `^(${Object.keys(FIELD_PATTERNS).map(keywordAlternatives).join('|')}):`,
+  'i'
+);
+const STATS_FIELD = FIELD_PATTERNS.stats;
+
+/*
+ * Idioma en el que está escrito un guion: el de más líneas con palabras clave propias
+ * ("Título:" cuenta para español y portugués). null si no se reconoce ninguna.
+ */
+function scriptLocale(raw) {
+  const patterns = Object.entries(LOCALES).map(([key, locale]) => {
+    const words = Object.values(locale.keywords).flat().join('|');
+    return { key, pattern: new RegExp(`^(${words})(\\s+\\d+|\\s*:)`, 'i'), count: 0 };
+  });
+  String(raw || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim().replace(/^<!--\s*/, ''))
+    .forEach((line) => patterns.forEach((p) => p.pattern.test(line) && p.count++));
+  const best = patterns.reduce((a, b) => (b.count > a.count ? b : a));
+  return best.count ? best.key : null;
+}
+
+/*
+ * Encabezado del guion: líneas "Campo: valor" entre dos "---" al principio, como el front
+ * matter de Markdown. Sólo cuenta si su primera línea es un campo de DECK_FIELDS, para no
+ * confundirlo con un separador de diapositivas. Devuelve { open, end, closed } con los índices
+ * de la línea "---" inicial y de la primera línea que ya no es del encabezado, o null.
+ */
+function findFrontMatter(lines) {
+  const open = lines.findIndex((l) => l.trim());
+  if (open < 0 || !FRONT_MATTER_FENCE.test(lines[open].trim())) return null;
+  const first = lines.findIndex((l, i) => i > open && l.trim());
+  if (first < 0 || !DECK_FIELDS.some((field) => DECK_FIELD_PATTERNS[field].test(lines[first].trim()))) return null;
+  for (let end = first; end < lines.length; end++) {
+    const line = lines[end].trim();
+    if (FRONT_MATTER_FENCE.test(line)) return { open, end: end + 1, closed: true };
+    // Sin "---" de cierre, el encabezado termina en la primera línea que no es "Campo: valor"
+    if (line && (!/^[^:]+:/.test(line) || SLIDE_HEADER.test(line))) return { open, end, closed: false };
+  }
+  return { open, end: lines.length, closed: false };
+}
+
+/*
+ * Campos del encabezado: { author, institution, course, date, logo, footer, numbers, agenda },
+ * sólo los que aparecen (footer es false con "Pie: no"); null si no hay ninguno. Los avisos
+ * van a `report` con la línea del guion, en el idioma `locale`.
+ */
+function readFrontMatter(lines, found, report, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const frontMatter = {};
+  if (!found.closed) report('warning', found.open + 1, 1, t('header'), t('headerUnclosed'));
+  const last = found.closed ? found.end - 1 : found.end;
+  for (let i = found.open + 1; i < last; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const lineNo = i + 1;
+    const col = lines[i].indexOf(line) + 1;
+    const field = DECK_FIELDS.find((f) => DECK_FIELD_PATTERNS[f].test(line));
+    if (!field) {
+      report(
+        'warning',
+        lineNo,
+        col,
+        t('header'),
+        t('headerUnknownField', { name: line.split(':')[0].trim(), fields: DECK_FIELDS.map((f) => keyword(f, locale)).join(', ') })
+      );
+      continue;
+    }
+    const value = line.replace(DECK_FIELD_PATTERNS[field], '').trim();
+    const flag = FLAG_WORDS[normalizeKeyword(value)];
+    if (!value) {
+      report('warning', lineNo, col, t('header'), t('headerEmpty', { field: keyword(field, locale) }));
+    } else if (field === 'numbers' || field === 'agenda') {
+      if (typeof flag === 'boolean') frontMatter[field] = flag;
+      else report('warning', lineNo, col, t('header'), t('headerFlag', { field: keyword(field, locale), value }));
+    } else if (field === 'footer' && typeof flag === 'boolean') {
+      // "Pie: no" quita el texto del pie; "Pie: sí" deja el de siempre
+      if (flag) delete frontMatter.footer;
+      else frontMatter.footer = false;
+    } else {
+      frontMatter[field] = value;
+    }
+  }
+  return Object.keys(frontMatter).length ? frontMatter : null;
+}
+
+// Divide `str` por `sep` y devuelve cada fragmento recortado junto con su columna (base 1)
+function splitWithColumns(str, sep, startCol) {
+  const parts = [];
+  let offset = 0;
+  str.split(sep).forEach((piece) => {
+    const lead = piece.length - piece.trimStart().length;
+    const text = piece.trim();
+    if (text) parts.push({ text, col: startCol + offset + lead });
+    offset += piece.length + sep.length;
+  });
+  return parts;
+}
+
+// Diapositiva vacía tal como la devuelve analyzeScript
+function emptySlide() {
+  return {
+    title: '',
+    content: [],
+    graph: null,
+    description: '',
+    notes: '',
+    attachments: [],
+    layout: '',
+    levels: [],
+  };
+}
+
+/*
+ * Posiciones en el guion de una diapositiva mientras se lee, para los avisos al cerrarla:
+ * la de su cabecera, la de su primera línea `Datos:` o `Estadística:` y la de cada serie.
+ * También guarda lo que afecta a las líneas siguientes: el separador decimal elegido, las
+ * barras de error pendientes de asignar y la sangría de los subpuntos.
+ */
+function slideMeta(line, column) {
+  return {
+    line,
+    column,
+    graphLine: line,
+    graphColumn: column,
+    seriesPositions: [],
+    errorBars: [],
+    indents: [],
+    decimal: 'auto',
+  };
+}
+
+// Avisa de un número de diapositiva repetido o fuera de orden; `seen` son los ya leídos
+function checkSlideNumber(number, seen, lineNo, col, report, locale) {
+  const last = seen.length ? seen[seen.length - 1] : 0;
+  const field = keyword('slide', locale);
+  if (seen.includes(number)) {
+    report('warning', lineNo, col, field, localeText(locale, 'slideRepeated', { n: number }));
+  } else if (number !== last + 1) {
+    report('warning', lineNo, col, field, localeText(locale, 'slideOutOfOrder', { n: number, expected: last + 1 }));
+  }
+  seen.push(number);
+}
+
+// Valor de una sección "Campo: valor"
+function sectionValue(section) {
+  return section.slice(section.indexOf(':') + 1).trim();
+}
+
+// Lista "a, b, c" (o con "|") sin elementos vacíos
+function sectionList(value) {
+  return value
+    .split(listSeparator(value))
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Números de una lista con su columna; los que no se leen se avisan como `where`
+// ("en la serie X"). Devuelve los válidos
+function readNumberList(list, startCol, lineNo, decimal, where, report, locale) {
+  const values = [];
+  splitWithColumns(list, listSeparator(list, decimal), startCol).forEach(({ text, col }) => {
+    const v = parseLocaleNumber(text, decimal);
+    if (!isFinite(v)) {
+      const hint = numberHint(text, decimal, locale);
+      report('error', lineNo, col, keyword('data', locale), localeText(locale, 'badNumber', { text, where, hint }));
+      return;
+    }
+    values.push(v);
+  });
+  return values;
+}
+
+// Archivo, hoja, rango, etiquetas y columnas de una gráfica con "Archivo:". Devuelve false si
+// la sección no es de las del archivo
+function readDataSource(source, s, secCol, lineNo, report, locale) {
+  if (/^(archivo|arquivo|fuente|file):/i.test(s)) {
+    source.file = sectionValue(s);
+  } else if (/^(hoja|planilha|sheet):/i.test(s)) {
+    source.sheet = sectionValue(s);
+  } else if (/^(rango|intervalo|range):/i.test(s)) {
+    source.range = sectionValue(s);
+    if (!parseRange(source.range)) {
+      report('warning', lineNo, secCol, keyword('data', locale), localeText(locale, 'badRange', { range: source.range }));
+      source.range = '';
+    }
+  } else if (/^(labels?|etiquetas?|rótulos?|rotulos?):/i.test(s)) {
+    source.labels = sectionValue(s);
+  } else if (/^(series?|séries?|valores?|values?|columnas?|colunas?|columns?)\s*:/i.test(s)) {
+    source.series = sectionList(sectionValue(s));
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// "Tipo: lineas" y las opciones de la gráfica (títulos de ejes, mínimo, destacar…). Devuelve
+// false si la sección no es ninguna de ellas
+function readChartSetting(graph, s, secCol, lineNo, meta, report, locale) {
+  const field = keyword('data', locale);
+  if (/^(tipo|type):/i.test(s)) {
+    const typeName = s.replace(/^(tipo|type):/i, '').trim();
+    const type = resolveChartType(typeName);
+    if (type) {
+      graph.type = type;
+    } else {
+      report(
+        'warning',
+        lineNo,
+        secCol,
+        field,
+        localeText(locale, 'unknownChartType', { name: typeName, types: Object.keys(CHART_TYPES).join(', ') })
+      );
+    }
+    return true;
+  }
+  const head = s.slice(0, s.indexOf(':')).trim();
+  const key = resolveChartOption(head);
+  if (!key) return false;
+  const value = CHART_OPTIONS[key].read(sectionValue(s), meta.decimal);
+  if (value === null) {
+    report('warning', lineNo, secCol, field, localeText(locale, 'badOptionValue', { name: head, value: sectionValue(s) }));
+  } else if (value === '' || value === false) {
+    if (graph.options) delete graph.options[key];
+  } else {
+    graph.options = { ...graph.options, [key]: value };
+  }
+  return true;
+}
+
+/*
+ * Una línea `Datos:` ya separada en secciones ({ text, col }), sobre la gráfica de la
+ * diapositiva:
+ *   Datos: Tipo: lineas; Labels: A, B; Serie Hombres: 1, 2; Serie Mujeres: 3, 4
+ *   Datos: Archivo: encuesta.xlsx; Hoja: Resultados; Rango: A1:C6; Etiquetas: A; Columnas: B, C
+ * Varias líneas "Datos:" en la misma diapositiva se combinan en una sola gráfica.
+ */
+function readDataSections(graph, sections, lineNo, meta, report, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const field = keyword('data', locale);
+  // "Archivo:" y "Decimal:" cambian cómo se leen las demás secciones, estén donde estén
+  if (!graph.source && sections.some(({ text }) => /^(archivo|arquivo|fuente|file):/i.test(text))) {
+    graph.source = { file: '', sheet: '', range: '', labels: '', series: [], decimal: meta.decimal };
+  }
+  sections
+    .filter(({ text }) => /^decimal:/i.test(text))
+    .forEach(({ text, col: secCol }) => {
+      const decimal = resolveDecimal(sectionValue(text));
+      if (decimal) meta.decimal = decimal;
+      else report('warning', lineNo, secCol, field, t('unknownDecimal', { name: sectionValue(text) }));
+    });
+  if (graph.source) graph.source.decimal = meta.decimal;
+
+  sections.forEach(({ text: s, col: secCol }) => {
+    const source = graph.source;
+    if (/^decimal:/i.test(s)) return;
+    if (source && readDataSource(source, s, secCol, lineNo, report, locale)) return;
+    if (readChartSetting(graph, s, secCol, lineNo, meta, report, locale)) return;
+    if (/^(error(es)?|erros?|de|sd)\b[^:]*:/i.test(s)) {
+      // Barras de error: "Error <serie>: 0.3, 0.2" (desviación típica de cada valor), o con
+      // "Archivo:" la columna que las contiene; sin nombre son de la primera serie
+      const name = s.slice(0, s.indexOf(':')).replace(/^(error(es)?|erros?|de|sd)/i, '').trim();
+      const list = sectionValue(s);
+      if (source) {
+        source.errors = [...(source.errors || []), { series: name, column: list }];
+      } else {
+        const valCol = secCol + s.indexOf(':') + 1;
+        const values = readNumberList(list, valCol, lineNo, meta.decimal, t('inErrorBars'), report, locale).map(Math.abs);
+        meta.errorBars.push({ name, values, line: lineNo, column: secCol });
+      }
+    } else if (source) {
+      report('warning', lineNo, secCol, field, t('sourceIgnored', { section: s }));
+    } else if (/^(labels?|etiquetas?|rótulos?|rotulos?):/i.test(s)) {
+      graph.labels = sectionList(sectionValue(s));
+    } else if (/^(valores?|values?|series?|séries?)\b[^:]*:/i.test(s)) {
+      const head = s.slice(0, s.indexOf(':'));
+      const name =
+        head.replace(/^(valores?|values?|series?|séries?)/i, '').trim() ||
+        (graph.series.length ? `Serie ${graph.series.length + 1}` : 'Serie');
+      const list = s.slice(s.indexOf(':') + 1);
+      const where = t('inSeries', { name });
+      const values = readNumberList(list, secCol + s.indexOf(':') + 1, lineNo, meta.decimal, where, report, locale);
+      graph.series.push({ name, values });
+      meta.seriesPositions.push({ line: lineNo, column: secCol });
+    } else {
+      report('warning', lineNo, secCol, field, t('unknownDataSection', { section: s }));
+    }
+  });
+  return graph;
+}
+
+/*
+ * Una línea `Estadística:` ya separada en secciones, sobre el análisis de la diapositiva:
+ *   Estadística: correlacion; Columnas: Horas, Nota; Método: spearman
+ * Los datos crudos van en una tabla o bloque ```csv justo debajo, o en "Archivo:".
+ */
+function readStatsSections(stats, sections, lineNo, meta, report, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const field = keyword('stats', locale);
+  sections.forEach(({ text: s, col: secCol }) => {
+    const value = sectionValue(s);
+    if (!s.includes(':') || /^(tipo|type|analisis|análisis|análise|analise|analysis):/i.test(s)) {
+      const kind = resolveStatsKind(value);
+      if (kind) {
+        stats.kind = kind;
+        if (/^(pearson|spearman)$/i.test(value)) stats.method = value.toLowerCase();
+      } else {
+        meta.statsKindReported = true;
+        report('error', lineNo, secCol, field, t('unknownStatsKind', { name: value, kinds: Object.keys(STATS_KINDS).join(', ') }));
+      }
+    } else if (/^(columnas?|colunas?|columns?|variables?|variáveis|variaveis|ítems?|itens|items?):/i.test(s)) {
+      stats.columns = sectionList(value);
+    } else if (/^(método|metodo|method):/i.test(s)) {
+      if (/^(pearson|spearman)$/i.test(value)) stats.method = value.toLowerCase();
+      else report('warning', lineNo, secCol, field, t('unknownMethod', { name: value }));
+    } else if (/^(escala|scale):/i.test(s)) {
+      stats.scale = value;
+    } else if (/^(niveles|níveis|niveis|levels):/i.test(s)) {
+      stats.levels = sectionList(value);
+    } else if (/^decimal:/i.test(s)) {
+      const decimal = resolveDecimal(value);
+      if (decimal) stats.decimal = meta.decimal = decimal;
+      else report('warning', lineNo, secCol, field, t('unknownDecimal', { name: value }));
+    } else if (/^(archivo|arquivo|fuente|file):/i.test(s)) {
+      stats.source = { ...(stats.source || { sheet: '', range: '' }), file: value };
+    } else if (/^(hoja|planilha|sheet):/i.test(s)) {
+      stats.source = { file: '', range: '', ...stats.source, sheet: value };
+    } else if (/^(rango|intervalo|range):/i.test(s)) {
+      if (parseRange(value)) stats.source = { file: '', sheet: '', ...stats.source, range: value };
+      else report('warning', lineNo, secCol, field, t('badRange', { range: value }));
+    } else {
+      report('warning', lineNo, secCol, field, t('unknownStatsSection', { section: s }));
+    }
+  });
+  return stats;
+}
+
+// `Diseño: dos-columnas`; un nombre desconocido deja el diseño predeterminado
+function readLayout(slide, line, lineNo, col, report, locale) {
+  const prefix = line.match(FIELD_PATTERNS.layout)[0].length;
+  const name = line.slice(prefix).trim();
+  const layout = resolveLayout(name);
+  if (layout) {
+    slide.layout = layout;
+    return;
+  }
+  report(
+    'warning',
+    lineNo,
+    col + prefix + (line.length - prefix - line.slice(prefix).trimStart().length),
+    keyword('layout', locale),
+    localeText(locale, 'unknownLayout', { name, layouts: Object.keys(LAYOUTS).join(', ') })
+  );
+}
+
+/*
+ * Tabla "| a | b |" o bloque ```csv leído bajo `Datos:` o `Estadística:` (block.target). Para
+ * la gráfica reemplaza etiquetas y series: primera columna etiquetas, una serie por columna.
+ * Para la estadística guarda los datos crudos; el análisis se hace al cerrar la diapositiva.
+ */
+function readDataBlock(block, slide, meta, report, locale) {
+  const { line, column, target } = block;
+  const field = keyword(target === 'stats' ? 'stats' : 'data', locale);
+  // La fila |---| de Markdown no es un dato
+  const rows = block.rows.filter((r, i) => i !== 1 || !r.cells.every((c) => /^:?-+:?$/.test(c.text)));
+  if (rows.length < 2) {
+    report('error', line, column, field, localeText(locale, 'tableTooShort'));
+    return;
+  }
+  if (target === 'stats') {
+    slide.stats.rows = rows.map((r) => r.cells.map((c) => c.text));
+    return;
+  }
+  const data = tableGraph(rows.map((r) => r.cells.map((c) => c.text)), {}, meta.decimal, locale);
+  data.problems.forEach((problem) => {
+    const row = rows[problem.row];
+    const cell = row.cells[problem.column];
+    report('error', row.line, cell ? cell.col : column, field, problem.message);
+  });
+  slide.graph.labels = data.labels;
+  slide.graph.series = data.series;
+  meta.seriesPositions = data.series.map(() => ({ line, column }));
+}
+
+// Calcula la gráfica y la tabla de `Estadística:` con los datos del guion; con "Archivo:"
+// las calcula resolveDataSources al generar
+function finishStats(slide, meta, report, locale) {
+  const stats = slide.stats;
+  const t = (key, vars) => localeText(locale, key, vars);
+  const report_ = (severity, message) => report(severity, meta.statsLine, meta.statsColumn, keyword('stats', locale), message);
+  if (slide.layout && !LAYOUTS[slide.layout].graph) {
+    report_('warning', t('layoutNoChart', { layout: slide.layout }));
+  }
+  if (slide.graph) report_('warning', t('dataAndStats'));
+  slide.graph = null;
+  if (!stats.kind) {
+    if (!meta.statsKindReported) report_('error', t('statsNoKind', { kinds: Object.keys(STATS_KINDS).join(', ') }));
+    return;
+  }
+  if (stats.source) {
+    if (!stats.source.file) report_('error', t('noFileName'));
+    if (stats.rows) report_('warning', t('statsFileIgnoresTable'));
+    return;
+  }
+  if (!stats.rows) {
+    report_('error', t('statsNoData'));
+    return;
+  }
+  const result = computeStatistics(stats, stats.rows, locale);
+  result.problems.forEach((message) => report_(result.graph ? 'warning' : 'error', message));
+  if (result.graph) {
+    slide.graph = result.graph;
+    slide.table = result.table;
+  }
+}
+
+// Asigna las barras de error a sus series y avisa de las opciones que no se pueden aplicar
+function checkChartOptions(graph, meta, report, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const field = keyword('data', locale);
+  meta.errorBars.forEach((e) => {
+    const series = e.name ? graph.series.find((s) => normalizeKeyword(s.name) === normalizeKeyword(e.name)) : graph.series[0];
+    if (!series) {
+      report('warning', e.line, e.column, field, t('errorSeriesMissing', { name: e.name }));
+      return;
+    }
+    series.errors = e.values;
+    if (e.values.length !== series.values.length) {
+      report('warning', e.line, e.column, field, t('errorCount', { n: e.values.length, name: series.name, count: series.values.length }));
+    }
+  });
+
+  const opts = graph.options || {};
+  const support = chartOptionSupport(graph);
+  const notForType = t('optionNotForType', { type: chartTypeName(graph.type, locale) });
+  const ignored = (label, reason) =>
+    report('warning', meta.graphLine, meta.graphColumn, field, t('optionIgnored', { label, reason }));
+  if (!support.axes) {
+    ['xTitle', 'yTitle', 'min', 'max']
+      .filter((key) => key in opts)
+      .forEach((key) => ignored(chartOptionLabel(key, locale), notForType));
+  }
+  if (!support.errors && graph.series.some((s) => s.errors)) {
+    ignored('Error', notForType);
+  }
+  if (opts.horizontal && !support.horizontal) {
+    ignored(chartOptionLabel('horizontal', locale), t('optionBarsOnly'));
+  }
+  // Con archivo cuentan las `Columnas:` elegidas; si no se eligen, avisa resolveDataSources
+  const seriesNames = graph.source ? graph.source.series : graph.series.map((s) => s.name);
+  if (!support.multiSeries && seriesNames.length > 1) {
+    const pos = (!graph.source && meta.seriesPositions[1]) || { line: meta.graphLine, column: meta.graphColumn };
+    report('warning', pos.line, pos.column, field, pieSeriesMessage(graph.type, seriesNames, locale));
+  }
+  // Con archivo el número de series no se conoce hasta leerlo
+  if (opts.highlight && !support.highlight && !(graph.source && support.horizontal)) {
+    ignored(chartOptionLabel('highlight', locale), t('optionSingleBars'));
+  } else if (opts.highlight && !graph.source && !graph.labels.includes(opts.highlight)) {
+    ignored(chartOptionLabel('highlight', locale), t('highlightNoLabel', { label: opts.highlight }));
+  }
+}
+
+// Avisos de la gráfica de `Datos:` al cerrar la diapositiva: diseño sin gráfica, opciones,
+// archivo sin nombre, etiquetas o valores que faltan y series de otra longitud
+function finishGraph(slide, meta, report, locale) {
+  const graph = slide.graph;
+  const t = (key, vars) => localeText(locale, key, vars);
+  const field = keyword('data', locale);
+  const at = (severity, message) => report(severity, meta.graphLine, meta.graphColumn, field, message);
+  if (slide.layout && !LAYOUTS[slide.layout].graph) {
+    at('warning', t('layoutNoChart', { layout: slide.layout }));
+  }
+  checkChartOptions(graph, meta, report, locale);
+  if (graph.source) {
+    // Los datos se leen del archivo al generar (resolveDataSources)
+    if (!graph.source.file) at('error', t('noFileName'));
+    return;
+  }
+  if (!graph.labels.length) at('error', t('chartNoLabels'));
+  if (!graph.series.some((s) => s.values.length)) at('error', t('chartNoValues'));
+  if (!graph.labels.length) return;
+  graph.series.forEach((s, i) => {
+    if (s.values.length && s.values.length !== graph.labels.length) {
+      const pos = meta.seriesPositions[i];
+      report('warning', pos.line, pos.column, field, t('seriesLength', { name: s.name, n: s.values.length, count: graph.labels.length }));
+    }
+  });
+}
+
+// Nivel de un punto según su sangría (en espacios) respecto a los anteriores de la
+// diapositiva: sin sangría es principal; cada sangría mayor baja un nivel, hasta MAX_LEVEL
+function contentLevel(indent, slide, meta) {
+  if (!indent || !slide.content.length) return 0;
+  const indents = meta.indents;
+  while (indents.length && indents[indents.length - 1] > indent) indents.pop();
+  if (!indents.length || indents[indents.length - 1] < indent) indents.push(indent);
+  return Math.min(indents.length, slide.levels[slide.levels.length - 1] + 1, MAX_LEVEL);
+}
+
+/*
+ * Analiza el guion y devuelve { slides, diagnostics, frontMatter }.
+ * Cada diagnóstico tiene la forma { line, column, field, message, severity },
+ * con línea y columna en base 1 y severity 'error' o 'warning'. frontMatter son los datos
+ * del encabezado (readFrontMatter) o null.
+ * `options.locale` es el idioma de los diagnósticos y de las tablas de `Estadística:`; las
+ * palabras clave se reconocen en todos los idiomas. Cada campo se lee con su función (readDataSections,
+ * readStatsSections, readLayout…) y los avisos que dependen de toda la diapositiva se dan
+ * al cerrarla (finishGraph, finishStats).
+ */
+function analyzeScript(raw, options = {}) {
+  const locale = options.locale;
+  const t = (key, vars) => localeText(locale, key, vars);
+  const slides = [];
+  const diagnostics = [];
+  const lines = raw.split(/\r?\n/);
+  let current = null;
+  // Posiciones en el guion de la diapositiva actual (slideMeta)
+  let meta = null;
+  const seenNumbers = [];
+  // Tabla "| a | b |" o bloque ```csv que sigue a una línea "Datos:" o "Estadística:",
+  // mientras se lee; afterData dice a cuál de las dos pertenecería ('graph' o 'stats')
+  let block = null;
+  let afterData = null;
+
+  function report(severity, line, column, field, message) {
+    diagnostics.push({ line, column, field, message, severity });
+  }
+
+  // Autor, curso, logo… entre dos "---" antes de la primera diapositiva
+  const front = findFrontMatter(lines);
+  const frontMatter = front ? readFrontMatter(lines, front, report, locale) : null;
+
+  function finishBlock() {
+    if (!block) return;
+    const finished = block;
+    block = null;
+    readDataBlock(finished, current, meta, report, locale);
+  }
+
+  function finishSlide() {
+    if (!current) return;
+    finishBlock();
+    const layoutTitle = current.layout && LAYOUTS[current.layout].defaultTitle;
+    if (!current.title && !layoutTitle && !meta.emptyTitleReported) {
+      report('warning', meta.line, meta.column, keyword('title', locale), t('slideNoTitle'));
+    }
+    if (current.stats) finishStats(current, meta, report, locale);
+    else if (current.graph) finishGraph(current, meta, report, locale);
+    slides.push(current);
+  }
+
+  function startNewSlide(lineNo, column) {
+    finishSlide();
+    current = emptySlide();
+    meta = slideMeta(lineNo, column);
+  }
+
+  // `levels` va en paralelo a `content`: 0 para los puntos principales, 1+ para subpuntos
+  function addItem(text, level) {
+    if (!level) meta.indents = [];
+    current.content.push(text);
+    current.levels.push(level);
+  }
+
+  // Secciones "Campo: valor" separadas por ";" tras el nombre del campo, con su columna
+  const fieldSections = (line, pattern, col) => {
+    const prefix = line.match(pattern)[0].length;
+    return splitWithColumns(line.slice(prefix), ';', col + prefix);
+  };
+
+  lines.forEach((rawLine, i) => {
+    if (front && i < front.end) return;
+    const lineNo = i + 1;
+    const line = rawLine.trim();
+    const col = rawLine.indexOf(line) + 1;
+
+    if (block && block.kind === 'csv') {
+      if (line.startsWith(block.marker)) {
+        finishBlock();
+        return;
+      }
+      // Un bloque sin cerrar no se traga el resto del guion
+      if (!SLIDE_HEADER.test(line)) {
+        if (line) {
+          block.delimiter = block.delimiter || csvDelimiter(rawLine);
+          block.rows.push({ line: lineNo, cells: splitCsvLine(rawLine, block.delimiter) });
+        }
+        return;
+      }
+      report('warning', block.line, block.column, keyword('data', locale), t('csvUnclosed', { marker: block.marker }));
+      finishBlock();
+    }
+    if (block && !line.startsWith('|')) finishBlock();
+    if (!line) return;
+    const wasData = afterData;
+    afterData = null;
+
+    if (block || (wasData && line.startsWith('|'))) {
+      block = block || { kind: 'table', target: wasData, line: lineNo, column: col, rows: [] };
+      block.rows.push({ line: lineNo, cells: tableCells(rawLine) });
+      return;
+    }
+    const csvFence = wasData && line.match(/^(`{3,}|~{3,})\s*(csv|tabla|table)?\s*$/i);
+    if (csvFence) {
+      block = { kind: 'csv', target: wasData, marker: csvFence[1], line: lineNo, column: col, rows: [] };
+      return;
+    }
+
+    const header = line.match(SLIDE_HEADER);
+    if (header) {
+      checkSlideNumber(parseInt(header[2], 10), seenNumbers, lineNo, col, report, locale);
+      startNewSlide(lineNo, col);
+      return;
+    }
+
+    if (FIELD_PATTERNS.title.test(line)) {
+      if (!current) startNewSlide(lineNo, col);
+      current.title = line.replace(FIELD_PATTERNS.title, '').trim();
+      if (!current.title) {
+        report('warning', lineNo, col, keyword('title', locale), t('titleEmpty'));
+        meta.emptyTitleReported = true;
+      }
+      return;
+    }
+
+    if (FIELD_PATTERNS.content.test(line)) {
+      if (!current) startNewSlide(lineNo, col);
+      const text = line.replace(FIELD_PATTERNS.content, '').trim();
+      if (text) splitItems(text).forEach((t) => addItem(t, 0));
+      return;
+    }
+
+    // Justo debajo de "Datos:" puede ir una tabla "| a | b |" o un bloque ```csv con los datos
+    if (FIELD_PATTERNS.data.test(line)) {
+      if (!current) startNewSlide(lineNo, col);
+      if (!current.graph) {
+        meta.graphLine = lineNo;
+        meta.graphColumn = col;
+      }
+      const graph = current.graph || { type: 'barras', labels: [], series: [] };
+      current.graph = readDataSections(graph, fieldSections(line, FIELD_PATTERNS.data, col), lineNo, meta, report, locale);
+      afterData = 'graph';
+      return;
+    }
+
+    if (STATS_FIELD.test(line)) {
+      if (!current) startNewSlide(lineNo, col);
+      if (!current.stats) {
+        meta.statsLine = lineNo;
+        meta.statsColumn = col;
+      }
+      const stats = current.stats || {
+        kind: '',
+        columns: [],
+        method: 'pearson',
+        scale: '',
+        levels: [],
+        decimal: meta.decimal,
+        source: null,
+        rows: null,
+      };
+      current.stats = readStatsSections(stats, fieldSections(line, STATS_FIELD, col), lineNo, meta, report, locale);
+      afterData = 'stats';
+      return;
+    }
+
+    if (FIELD_PATTERNS.description.test(line)) {
+      if (!current) startNewSlide(lineNo, col);
+      current.description = line
+        .replace(FIELD_PATTERNS.description, '')
+        .trim();
+      return;
+    }
+
+    // Notas del orador: no se muestran en la diapositiva; varias líneas se acumulan
+    if (FIELD_PATTERNS.notes.test(line)) {
+      if (!current) startNewSlide(lineNo, col);
+      const text = line.replace(FIELD_PATTERNS.notes, '').trim();
+      if (text) current.notes = current.notes ? `${current.notes}\n${text}` : text;
+      return;
+    }
+
+    if (FIELD_PATTERNS.layout.test(line)) {
+      if (!current) startNewSlide(lineNo, col);
+      readLayout(current, line, lineNo, col, report, locale);
+      return;
+    }
+
+    if (FIELD_PATTERNS.attachment.test(line)) {
+      if (!current) startNewSlide(lineNo, col);
+      const rest = line.replace(FIELD_PATTERNS.attachment, '').trim();
+      splitAttachments(rest).forEach(({ ref, alt }) => {
+        current.attachments.push(ref);
+        if (alt) current.altTexts = { ...current.altTexts, [ref]: alt };
+      });
+      return;
+    }
+
+    // Un "Campo:" que no reconocemos suele ser una errata; se conserva como contenido
+    // Las líneas con sangría son subpuntos, así que ahí "Algo:" es texto y no un campo
+    const indent = rawLine.slice(0, col - 1).replace(/\t/g, '  ').length;
+    const unknownField = line.match(/^(\p{L}+)\s*:(?!\/\/)/u);
+    if (unknownField && !indent && !SCRIPT_FIELDS.test(line)) {
+      report('warning', lineNo, col, unknownField[1], t('unknownField', { name: unknownField[1] }));
+    }
+
+    // Cualquier otra línea se considera contenido adicional (posibles puntos separados por ;).
+    // Con sangría es un subpunto del anterior; "- ", "* " o "• " al inicio se descartan.
+    if (!current) startNewSlide(lineNo, col);
+    const level = contentLevel(indent, current, meta);
+    splitItems(line.replace(/^[-*•+]\s+/, '')).forEach((t) => addItem(t, level));
+  });
+
+  finishSlide();
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { slides, diagnostics, frontMatter };
+}
+
+function parseScript(raw) {
+  return analyzeScript(raw).slides;
+}
+
+/* ===========================
+   Markdown como formato de entrada
+   =========================== */
+
+// Líneas que en Markdown se escriben igual que en el guion
+const MARKDOWN_PASSTHROUGH = new RegExp(
+  `^(${['layout', 'description', 'attachment', 'data', 'stats'].map(keywordAlternatives).join('|')}):`,
+  'i'
+);
+const MARKDOWN_NOTES = new RegExp(`^(${keywordAlternatives('notes')}):\\s*`, 'i');
+const MARKDOWN_CHART_FENCES = ['chart', 'grafica', 'grafico', 'datos'];
+const MARKDOWN_CSV_FENCES = ['csv', 'tabla', 'table'];
+
+// Celdas de una fila "| a | b |" con su columna (base 1) en la línea original
+function tableCells(rawLine) {
+  const cells = [];
+  let offset = 0;
+  rawLine.split('|').forEach((piece, i, all) => {
+    const lead = piece.length - piece.trimStart().length;
+    const edge = (i === 0 || i === all.length - 1) && !piece.trim();
+    if (!edge) cells.push({ text: piece.trim(), col: offset + lead + 1 });
+    offset += piece.length + 1;
+  });
+  return cells;
+}
+
+/*
+ * Traduce Markdown al guion "Diapositiva N". Cada línea generada guarda su origen
+ * { line, column } y tramos { from, to, line, column } que ubican en el Markdown las
+ * columnas de la línea traducida, para que los diagnósticos apunten al texto que escribió el usuario.
+ */
+function markdownToScriptLines(raw, report, locale) {
+  const out = [];
+  const lines = raw.split(/\r?\n/);
+  let number = 0;
+  let hasTitle = false;
+  let pendingBreak = false;
+  let inNotes = false;
+  let lastContent = null; // última línea de contenido, para unir párrafos partidos
+  let fence = null;
+  let table = [];
+  let inComment = false;
+  // Tras "Estadística:" la tabla o el ```csv son sus datos crudos y pasan tal cual al guion
+  let afterStats = false;
+  let statsTable = false;
+
+  // parts: [texto, línea, columna]; los fragmentos sin línea no se pueden ubicar en el Markdown
+  function emit(origin, parts) {
+    const entry = { text: '', line: origin.line, column: origin.column, segments: [] };
+    parts.forEach(([str, line, column]) => {
+      if (line && str) entry.segments.push({ from: entry.text.length + 1, to: entry.text.length + str.length, line, column });
+      entry.text += str;
+    });
+    out.push(entry);
+    return entry;
+  }
+  function startSlide(line, column) {
+    number += 1;
+    hasTitle = false;
+    pendingBreak = false;
+    inNotes = false;
+    emit({ line, column }, [[`Diapositiva ${number}`]]);
+  }
+  function ensureSlide(line, column) {
+    if (!number || pendingBreak) startSlide(line, column);
+  }
+  // En el guion ";" separa puntos: dentro de un punto de Markdown se escapa
+  const escapeItem = (text) => text.replace(/;/g, '\\;');
+
+  function flushTable() {
+    if (!table.length) return;
+    const rows = table;
+    table = [];
+    if (rows.length < 2 || !rows[1].cells.every((c) => /^:?-+:?$/.test(c.text))) {
+      report('warning', rows[0].line, rows[0].col, 'Markdown', localeText(locale, 'mdTableNoSeparator'));
+      return;
+    }
+    // Primera columna: etiquetas; el resto, una serie por columna con el encabezado como nombre
+    const header = rows[0].cells;
+    const body = rows.slice(2);
+    // "|" separa los valores para que "4,2" (coma decimal) no se parta
+    const parts = [['Datos: Labels: ']];
+    body.forEach((row, i) => {
+      if (i) parts.push([' | ']);
+      if (row.cells[0]) parts.push([row.cells[0].text, row.line, row.cells[0].col]);
+    });
+    header.slice(1).forEach((cell, j) => {
+      parts.push([`; Serie ${cell.text || `Serie ${j + 1}`}: `]);
+      body.forEach((row, i) => {
+        if (i) parts.push([' | ']);
+        const value = row.cells[j + 1];
+        if (value) parts.push([value.text, row.line, value.col]);
+      });
+    });
+    ensureSlide(rows[0].line, rows[0].col);
+    emit({ line: rows[0].line, column: rows[0].col }, parts);
+  }
+
+  // El encabezado pasa tal cual al guion
+  const front = findFrontMatter(lines);
+
+  lines.forEach((rawLine, i) => {
+    const lineNo = i + 1;
+    const line = rawLine.trim();
+    const col = rawLine.indexOf(line) + 1;
+
+    if (front && i < front.end) {
+      if (line) emit({ line: lineNo, column: col }, [[line, lineNo, col]]);
+      return;
+    }
+    if (fence) {
+      if (line.startsWith(fence.marker)) {
+        if (fence.csv) emit({ line: lineNo, column: col }, [[fence.marker]]);
+        fence = null;
+      } else if (fence.chart && line) {
+        emit({ line: lineNo, column: col }, [['Datos: '], [line, lineNo, col]]);
+      } else if (fence.csv && line) {
+        emit({ line: lineNo, column: 1 }, [[rawLine, lineNo, 1]]);
+      }
+      return;
+    }
+    if (inComment) {
+      if (line.includes('-->')) inComment = false;
+      return;
+    }
+    if (table.length && !line.startsWith('|')) flushTable();
+    if (!line) {
+      lastContent = null;
+      return;
+    }
+    const wasStats = afterStats;
+    afterStats = false;
+    if (line.startsWith('|') && (wasStats || statsTable)) {
+      statsTable = true;
+      emit({ line: lineNo, column: 1 }, [[rawLine, lineNo, 1]]);
+      return;
+    }
+    statsTable = false;
+
+    if (/^(-{3,}|\*{3,}|_{3,})$/.test(line)) {
+      pendingBreak = true;
+      lastContent = null;
+      return;
+    }
+
+    const fenceOpen = line.match(/^(`{3,}|~{3,})\s*([^\s`]*)\s*(.*)$/);
+    if (fenceOpen) {
+      const chart = MARKDOWN_CHART_FENCES.includes(normalizeKeyword(fenceOpen[2]));
+      const csv = MARKDOWN_CSV_FENCES.includes(normalizeKeyword(fenceOpen[2]));
+      fence = { marker: fenceOpen[1], chart, csv };
+      lastContent = null;
+      if (csv && wasStats) {
+        emit({ line: lineNo, column: col }, [[`${fence.marker}csv`]]);
+      } else if (csv) {
+        // ```csv son los datos de la gráfica: en el guion van tras una línea "Datos:"
+        ensureSlide(lineNo, col);
+        const type = fenceOpen[3].trim();
+        emit({ line: lineNo, column: col }, [[type ? 'Datos: Tipo: ' : 'Datos:'], [type, lineNo, rawLine.lastIndexOf(type) + 1]]);
+        emit({ line: lineNo, column: col }, [[`${fence.marker}csv`]]);
+      } else if (chart) {
+        ensureSlide(lineNo, col);
+        const type = fenceOpen[3].trim();
+        if (type) emit({ line: lineNo, column: col }, [['Datos: Tipo: '], [type, lineNo, rawLine.lastIndexOf(type) + 1]]);
+      } else {
+        report('warning', lineNo, col, 'Markdown', localeText(locale, 'mdCodeBlock'));
+      }
+      return;
+    }
+
+    // <!-- Diseño: cita --> permite fijar campos sin que se vean al previsualizar el Markdown
+    if (line.startsWith('<!--')) {
+      const inner = line.replace(/^<!--/, '').replace(/-->$/, '').trim();
+      if (!line.includes('-->')) inComment = true;
+      else if (MARKDOWN_PASSTHROUGH.test(inner)) {
+        ensureSlide(lineNo, col);
+        emit({ line: lineNo, column: col }, [[inner, lineNo, rawLine.indexOf(inner) + 1]]);
+        afterStats = STATS_FIELD.test(inner);
+      }
+      return;
+    }
+
+    // Las notas siguen hasta la próxima diapositiva (--- o un título # / ##)
+    if (inNotes && !/^#{1,2}\s/.test(line)) {
+      emit({ line: lineNo, column: col }, [['Notas: '], [line, lineNo, col]]);
+      return;
+    }
+
+    if (line.startsWith('|')) {
+      table.push({ line: lineNo, col, cells: tableCells(rawLine) });
+      lastContent = null;
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)(\s+#+)?$/);
+    if (heading) {
+      lastContent = null;
+      const text = heading[2];
+      const textCol = col + heading[1].length + line.slice(heading[1].length).indexOf(text);
+      if (heading[1].length <= 2) {
+        if (hasTitle) pendingBreak = true;
+        ensureSlide(lineNo, col);
+        hasTitle = true;
+        emit({ line: lineNo, column: col }, [['Título: '], [text, lineNo, textCol]]);
+      } else {
+        // Un ### abre columna en dos-columnas ("Encabezado:")
+        ensureSlide(lineNo, col);
+        emit({ line: lineNo, column: col }, [['Contenido: '], [escapeItem(/:$/.test(text) ? text : `${text}:`), lineNo, textCol]]);
+      }
+      return;
+    }
+
+    if (MARKDOWN_NOTES.test(line)) {
+      ensureSlide(lineNo, col);
+      inNotes = true;
+      lastContent = null;
+      const rest = line.replace(MARKDOWN_NOTES, '');
+      if (rest) emit({ line: lineNo, column: col }, [['Notas: '], [rest, lineNo, col + line.length - rest.length]]);
+      return;
+    }
+
+    if (MARKDOWN_PASSTHROUGH.test(line)) {
+      ensureSlide(lineNo, col);
+      lastContent = null;
+      emit({ line: lineNo, column: col }, [[line, lineNo, col]]);
+      afterStats = STATS_FIELD.test(line);
+      return;
+    }
+
+    // Una línea que sólo tiene imágenes ![alt](archivo) se convierte en Adjunto:; el alt se
+    // conserva si no es el que se deduciría del nombre del archivo
+    const images = line.match(/!\[[^\]]*\]\(([^)\s]+)\)/g);
+    if (images && !line.replace(/!\[[^\]]*\]\(([^)\s]+)\)/g, '').trim()) {
+      ensureSlide(lineNo, col);
+      lastContent = null;
+      const refs = images.map((img) => {
+        const [, alt, ref] = img.match(/^!\[([^\]]*)\]\(([^)\s]+)\)$/);
+        const text = alt.replace(/"/g, "'").trim();
+        return text && text !== attachmentAlt(ref) ? `${ref} "${text}"` : ref;
+      });
+      emit({ line: lineNo, column: col }, [['Adjunto: '], [refs.join(', ')]]);
+      return;
+    }
+
+    ensureSlide(lineNo, col);
+    const indent = rawLine.slice(0, col - 1).replace(/\t/g, '  ').length;
+    const item = line.match(/^([-*+•]|\d+[.)])\s+(.*)$/);
+    if (!item && lastContent) {
+      // Continuación de un párrafo o de un punto de la lista
+      lastContent.text += ` ${escapeItem(line)}`;
+      return;
+    }
+    const text = escapeItem(item ? item[2] : line);
+    const textCol = item ? col + line.indexOf(item[2]) : col;
+    lastContent = indent
+      ? emit({ line: lineNo, column: col }, [[`${' '.repeat(indent)}- `], [text, lineNo, textCol]])
+      : emit({ line: lineNo, column: col }, [['Contenido: '], [text, lineNo, textCol]]);
+  });
+
+  flushTable();
+  if (fence) report('warning', lines.length, 1, 'Markdown', localeText(locale, 'mdUnclosed', { marker: fence.marker }));
+  return out;
+}
+
+// Analiza Markdown con las mismas reglas que el guion; los diagnósticos apuntan al Markdown
+function analyzeMarkdown(raw, options = {}) {
+  const diagnostics = [];
+  const report = (severity, line, column, field, message) => diagnostics.push({ line, column, field, message, severity });
+  const lines = markdownToScriptLines(raw, report, options.locale);
+  const result = analyzeScript(lines.map((l) => l.text).join('\n'), options);
+  result.diagnostics.forEach((d) => {
+    const source = lines[d.line - 1];
+    const seg = source.segments.find((s) => d.column >= s.from && d.column <= s.to);
+    diagnostics.push({
+      ...d,
+      line: seg ? seg.line : source.line,
+      column: seg ? seg.column + d.column - seg.from : source.column,
+    });
+  });
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { slides: result.slides, diagnostics, frontMatter: result.frontMatter };
+}
+
+// 'guion' si hay encabezados "Diapositiva N"; 'markdown' si hay títulos #, separadores --- o tablas
+function detectFormat(raw) {
+  if (SLIDE_HEADER_LINE.test(raw)) return 'guion';
+  if (/^ {0,3}(#{1,6}\s|(-{3,}|\*{3,})\s*$|```|\|.*\|\s*$)/m.test(raw)) return 'markdown';
+  return 'guion';
+}
+
+// format: 'auto' (por defecto), 'guion' o 'markdown'. Devuelve { format, slides, diagnostics }
+function analyzeSource(raw, format = 'auto', options = {}) {
+  const resolved = format === 'auto' ? detectFormat(raw) : format;
+  return { format: resolved, ...(resolved === 'markdown' ? analyzeMarkdown(raw, options) : analyzeScript(raw, options)) };
+}
+
+// Índice de la diapositiva a la que pertenece la línea (base 1) del guion o del Markdown
+function slideIndexAtLine(raw, line) {
+  const before = raw.split(/\r?\n/).slice(0, Math.max(1, line)).join('\n');
+  return Math.max(0, analyzeSource(before, detectFormat(raw)).slides.length - 1);
+}
+
+// Índices de `after` que no coinciden con la misma posición de `before` (también las nuevas)
+function diffSlides(before, after) {
+  const changed = [];
+  after.forEach((slide, index) => {
+    if (!before || !before[index] || JSON.stringify(before[index]) !== JSON.stringify(slide)) changed.push(index);
+  });
+  return changed;
+}
+
+/* ===========================
+   Conversión de diapositivas a texto
+   =========================== */
+
+// Palabra de LOCALES[locale].sections con la que se escribe una sección o un valor de `Datos:`
+function sectionWord(key, locale) {
+  return LOCALES[resolveLocale(locale)].sections[key];
+}
+
+// `Decimal: coma` en el idioma `locale`
+function decimalSection(decimal, locale) {
+  return `Decimal: ${sectionWord(decimal === ',' ? 'comma' : 'point', locale)}`;
+}
+
+// "Serie" es el nombre que el parser da a una serie sin nombre: se vuelve a escribir como Valores:
+function seriesSection(s, locale) {
+  const head = s.name === 'Serie' ? sectionWord('values', locale) : `${sectionWord('series', locale)} ${s.name}`;
+  return `${head}: ${s.values.join(', ')}`;
+}
+
+function graphSections(graph, locale) {
+  const word = (key) => sectionWord(key, locale);
+  const source = graph.source;
+  if (source) {
+    // Con archivo se vuelve a escribir la referencia, no los datos leídos
+    return [
+      `${word('type')}: ${graph.type}`,
+      `${word('file')}: ${source.file}`,
+      ...(source.sheet ? [`${word('sheet')}: ${source.sheet}`] : []),
+      ...(source.range ? [`${word('range')}: ${source.range}`] : []),
+      ...(source.labels ? [`${word('labelColumn')}: ${source.labels}`] : []),
+      ...(source.series.length ? [`${word('columns')}: ${source.series.join(' | ')}`] : []),
+      ...(source.decimal !== 'auto' ? [decimalSection(source.decimal, locale)] : []),
+      ...(source.errors || []).map((e) => `${word('error')}${e.series ? ` ${e.series}` : ''}: ${e.column}`),
+      ...optionSections(graph.options, source.decimal, locale),
+    ];
+  }
+  // Una etiqueta con coma obliga a separarlas con "|"
+  const labelSeparator = graph.labels.some((l) => l.includes(',')) ? ' | ' : ', ';
+  return [
+    `${word('type')}: ${graph.type}`,
+    `${word('labels')}: ${graph.labels.join(labelSeparator)}`,
+    ...graph.series.map((s) => seriesSection(s, locale)),
+    ...graph.series.filter((s) => s.errors).map((s) => `${word('error')} ${s.name}: ${s.errors.join(', ')}`),
+    ...optionSections(graph.options, undefined, locale),
+  ];
+}
+
+// Secciones de `Estadística:`; los datos crudos van aparte, en una tabla (statsTableLines)
+function statsSections(stats, locale) {
+  const word = (key) => sectionWord(key, locale);
+  const source = stats.source;
+  const list = (items) => items.join(items.some((x) => x.includes(',')) ? ' | ' : ', ');
+  return [
+    stats.kind,
+    ...(stats.columns.length ? [`${word('columns')}: ${list(stats.columns)}`] : []),
+    ...(stats.kind === 'correlacion' && stats.method !== 'pearson' ? [`${word('method')}: ${stats.method}`] : []),
+    ...(stats.scale ? [`${word('scale')}: ${stats.scale}`] : []),
+    ...(stats.levels.length ? [`${word('levels')}: ${list(stats.levels)}`] : []),
+    ...(stats.decimal !== 'auto' ? [decimalSection(stats.decimal, locale)] : []),
+    ...(source ? [`${word('file')}: ${source.file}`] : []),
+    ...(source && source.sheet ? [`${word('sheet')}: ${source.sheet}`] : []),
+    ...(source && source.range ? [`${word('range')}: ${source.range}`] : []),
+  ];
+}
+
+function statsTableLines(stats) {
+  if (stats.source || !stats.rows) return [];
+  const row = (cells) => `| ${cells.join(' | ')} |`;
+  return [row(stats.rows[0]), row(stats.rows[0].map(() => '---')), ...stats.rows.slice(1).map(row)];
+}
+
+function optionSections(options = {}, decimal, locale) {
+  return Object.keys(CHART_OPTIONS)
+    .filter((key) => key in options)
+    .map((key) => `${chartOptionLabel(key, locale)}: ${chartOptionText(key, options[key], decimal, locale)}`);
+}
+
+// Palabra clave con la que se escribe un campo en el idioma `locale`
+function keyword(field, locale) {
+  return LOCALES[resolveLocale(locale)].keywords[field][0];
+}
+
+// Encabezado "---" … "---" con los campos de `frontMatter` en el idioma `locale`; vacío si no hay
+function frontMatterLines(frontMatter, locale) {
+  const fields = DECK_FIELDS.filter((field) => frontMatter && frontMatter[field] !== undefined);
+  if (!fields.length) return [];
+  const text = (value) => (typeof value === 'boolean' ? localeText(locale, value ? 'flagYes' : 'flagNo') : value);
+  return ['---', ...fields.map((field) => `${keyword(field, locale)}: ${text(frontMatter[field])}`), '---'];
+}
+
+/*
+ * Guion "Diapositiva N" equivalente a las diapositivas (inversa de analyzeScript), con las
+ * palabras clave y las secciones de "Datos:" de `options.locale`; los tipos de gráfica, diseños
+ * y análisis se escriben siempre con su clave.
+ * options.frontMatter se escribe como encabezado; la agenda generada (withAgenda) no se escribe.
+ */
+function slidesToScript(slides, options = {}) {
+  const word = (field) => keyword(field, options.locale);
+  const header = frontMatterLines(options.frontMatter, options.locale);
+  const body = slides
+    .filter((slide) => !slide.agenda)
+    .map((slide, index) => {
+      const out = [`${word('slide')} ${index + 1}`];
+      if (slide.title) out.push(`${word('title')}: ${slide.title}`);
+      if (slide.layout) out.push(`${word('layout')}: ${slide.layout}`);
+      contentItems(slide).forEach(({ text, level }) => {
+        const item = text.replace(/;/g, '\\;');
+        out.push(level ? `${'  '.repeat(level)}- ${item}` : `${word('content')}: ${item}`);
+      });
+      if (slide.stats) out.push(`${word('stats')}: ${statsSections(slide.stats, options.locale).join('; ')}`, ...statsTableLines(slide.stats));
+      else if (slide.graph) out.push(`${word('data')}: ${graphSections(slide.graph, options.locale).join('; ')}`);
+      if (slide.description) out.push(`${word('description')}: ${slide.description}`);
+      if (slide.attachments.length) {
+        const refs = slide.attachments.map((ref) => (slide.altTexts && slide.altTexts[ref] ? `${ref} "${slide.altTexts[ref]}"` : ref));
+        out.push(`${word('attachment')}: ${refs.join(', ')}`);
+      }
+      if (slide.notes) slide.notes.split('\n').forEach((n) => out.push(`${word('notes')}: ${n}`));
+      return out.join('\n');
+    })
+    .join('\n\n');
+  return header.length ? `${header.join('\n')}\n\n${body}` : body;
+}
+
+// Markdown equivalente a las diapositivas (inversa de analyzeMarkdown), con las mismas opciones
+// que slidesToScript
+function slidesToMarkdown(slides, options = {}) {
+  const word = (field) => keyword(field, options.locale);
+  const header = frontMatterLines(options.frontMatter, options.locale);
+  const body = slides
+    .filter((slide) => !slide.agenda)
+    .map((slide, index) => {
+      const out = [];
+      if (slide.title) out.push(`${index ? '##' : '#'} ${slide.title}`, '');
+      if (slide.layout) out.push(`<!-- ${word('layout')}: ${slide.layout} -->`, '');
+      if (slide.content.length) {
+        contentItems(slide).forEach(({ text, level }) => out.push(`${'  '.repeat(level)}- ${text}`));
+        out.push('');
+      }
+      if (slide.stats) out.push(`${word('stats')}: ${statsSections(slide.stats, options.locale).join('; ')}`, ...statsTableLines(slide.stats), '');
+      else if (slide.graph) out.push('```chart', ...graphSections(slide.graph, options.locale), '```', '');
+      if (slide.description) out.push(`${word('description')}: ${slide.description}`, '');
+      slide.attachments.forEach((ref) => {
+        const alt = slide.altTexts && slide.altTexts[ref];
+        if (guessMimeType(ref).startsWith('image/')) out.push(`![${(alt || attachmentAlt(ref)).replace(/[[\]]/g, '')}](${ref})`);
+        else out.push(`${word('attachment')}: ${alt ? `${ref} "${alt}"` : ref}`);
+      });
+      if (slide.attachments.length) out.push('');
+      if (slide.notes) out.push('Note:', ...slide.notes.split('\n'), '');
+      return out.join('\n').trim();
+    })
+    .join('\n\n---\n\n')
+    .concat('\n');
+  return header.length ? `${header.join('\n')}\n\n${body}` : body;
+}
+
+/* ===========================
+   Recursos externos (CDN o exportación sin conexión)
+   =========================== */
+
+// Versiones fijas: la presentación descargada debe verse igual aunque el CDN publique otra versión.
+// Sin conexión, Tailwind no es el script del CDN (que compila las clases en el navegador) sino
+// TAILWIND_CSS
+const ASSETS = {
+  tailwind: { url: 'https://cdn.tailwindcss.com/3.4.16', file: 'assets/tailwind.css' },
+  plotly: {
+    url: 'https://cdn.jsdelivr.net/npm/plotly.js-dist-min@2.35.2/plotly.min.js',
+    file: 'assets/plotly.min.js',
+  },
+};
+
+/*
+ * Tailwind precompilado con las clases que escriben los generadores de este archivo (base,
+ * componentes y utilidades de Tailwind 3.4.16, con el tema por defecto). Para la exportación
+ * sin conexión sustituye al script del CDN, que pesa unos 400 KB. Si un generador usa una
+ * clase nueva, se vuelve a generar desde la carpeta del proyecto con
+ *   npx tailwindcss@3.4.16 --content reslides-core.js --minify
+ * y se pega aquí la salida (Tailwind también lee esta cadena, así que volver a generarla sin
+ * cambios da la misma). Las clases deben aparecer completas en el código (nada de
+ * `grid-cols-${n}`) para que Tailwind las encuentre.
+ */
+const TAILWIND_CSS =
+  '*,::backdrop,:after,:before{--tw-border-spacing-x:0;--tw-border-spacing-y:0;--tw-translate-x:0;--tw-translate-y:0;--tw-rotate:0;--tw-skew-x:0;--tw-skew-y:0;--tw-scale-x:1;--tw-scale-y:1;--tw-pan-x: ;--tw-pan-y: ;--tw-pinch-zoom: ;--tw-scroll-snap-strictness:proximity;--tw-gradient-from-position: ;--tw-gradient-via-position: ;--tw-gradient-to-position: ;--tw-ordinal: ;--tw-slashed-zero: ;--tw-numeric-figure: ;--tw-numeric-spacing: ;--tw-numeric-fraction: ;--tw-ring-inset: ;--tw-ring-offset-width:0px;--tw-ring-offset-color:#fff;--tw-ring-color:#3b82f680;--tw-ring-offset-shadow:0 0 #0000;--tw-ring-shadow:0 0 #0000;--tw-shadow:0 0 #0000;--tw-shadow-colored:0 0 #0000;--tw-blur: ;--tw-brightness: ;--tw-contrast: ;--tw-grayscale: ;--tw-hue-rotate: ;--tw-invert: ;--tw-saturate: ;--tw-sepia: ;--tw-drop-shadow: ;--tw-backdrop-blur: ;--tw-backdrop-brightness: ;--tw-backdrop-contrast: ;--tw-backdrop-grayscale: ;--tw-backdrop-hue-rotate: ;--tw-backdrop-invert: ;--tw-backdrop-opacity: ;--tw-backdrop-saturate: ;--tw-backdrop-sepia: ;--tw-contain-size: ;--tw-contain-layout: ;--tw-contain-paint: ;--tw-contain-style: }/*! tailwindcss v3.4.16 | MIT License | https://tailwindcss.com*/*,:after,:before{box-sizing:border-box;border:0 solid #e5e7eb}:after,:before{--tw-content:""}:host,html{line-height:1.5;-webkit-text-size-adjust:100%;-moz-tab-size:4;-o-tab-size:4;tab-size:4;font-family:ui-sans-serif,system-ui,sans-serif,Apple Color Emoji,Segoe UI Emoji,Segoe UI Symbol,Noto Color Emoji;font-feature-settings:normal;font-variation-settings:normal;-webkit-tap-highlight-color:transparent}body{margin:0;line-height:inherit}hr{height:0;color:inherit;border-top-width:1px}abbr:where([title]){-webkit-text-decoration:underline dotted;text-decoration:underline dotted}h1,h2,h3,h4,h5,h6{font-size:inherit;font-weight:inherit}a{color:inherit;text-decoration:inherit}b,strong{font-weight:bolder}code,kbd,pre,samp{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,Liberation Mono,Courier New,monospace;font-feature-settings:normal;font-variation-settings:normal;font-size:1em}small{font-size:80%}sub,sup{font-size:75%;line-height:0;position:relative;vertical-align:initial}sub{bottom:-.25em}sup{top:-.5em}table{text-indent:0;border-color:inherit;border-collapse:collapse}button,input,optgroup,select,textarea{font-family:inherit;font-feature-settings:inherit;font-variation-settings:inherit;font-size:100%;font-weight:inherit;line-height:inherit;letter-spacing:inherit;color:inherit;margin:0;padding:0}button,select{text-transform:none}button,input:where([type=button]),input:where([type=reset]),input:where([type=submit]){-webkit-appearance:button;background-color:initial;background-image:none}:-moz-focusring{outline:auto}:-moz-ui-invalid{box-shadow:none}progress{vertical-align:initial}::-webkit-inner-spin-button,::-webkit-outer-spin-button{height:auto}[type=search]{-webkit-appearance:textfield;outline-offset:-2px}::-webkit-search-decoration{-webkit-appearance:none}::-webkit-file-upload-button{-webkit-appearance:button;font:inherit}summary{display:list-item}blockquote,dd,dl,figure,h1,h2,h3,h4,h5,h6,hr,p,pre{margin:0}fieldset{margin:0}fieldset,legend{padding:0}menu,ol,ul{list-style:none;margin:0;padding:0}dialog{padding:0}textarea{resize:vertical}input::-moz-placeholder,textarea::-moz-placeholder{opacity:1;color:#9ca3af}input::placeholder,textarea::placeholder{opacity:1;color:#9ca3af}[role=button],button{cursor:pointer}:disabled{cursor:default}audio,canvas,embed,iframe,img,object,svg,video{display:block;vertical-align:middle}img,video{max-width:100%;height:auto}[hidden]:where(:not([hidden=until-found])){display:none}.visible{visibility:visible}.static{position:static}.fixed{position:fixed}.absolute{position:absolute}.relative{position:relative}.top-2{top:.5rem}.mx-auto{margin-left:auto;margin-right:auto}.mb-1{margin-bottom:.25rem}.mb-10{margin-bottom:2.5rem}.mb-12{margin-bottom:3rem}.mb-2{margin-bottom:.5rem}.mb-3{margin-bottom:.75rem}.mb-4{margin-bottom:1rem}.mb-6{margin-bottom:1.5rem}.mb-8{margin-bottom:2rem}.mt-1{margin-top:.25rem}.mt-10{margin-top:2.5rem}.mt-2{margin-top:.5rem}.mt-4{margin-top:1rem}.mt-6{margin-top:1.5rem}.\\!block{display:block!important}.block{display:block}.inline{display:inline}.flex{display:flex}.inline-flex{display:inline-flex}.\\!table{display:table!important}.table{display:table}.grid{display:grid}.hidden{display:none}.h-1{height:.25rem}.h-16{height:4rem}.h-20{height:5rem}.h-28{height:7rem}.h-40{height:10rem}.h-full{height:100%}.min-h-0{min-height:0}.w-16{width:4rem}.w-24{width:6rem}.w-\\[40\\%\\]{width:40%}.w-full{width:100%}.max-w-3xl{max-width:48rem}.max-w-\\[30\\%\\]{max-width:30%}.max-w-\\[50\\%\\]{max-width:50%}.flex-1{flex:1 1 0%}.shrink-0{flex-shrink:0}.border-collapse{border-collapse:collapse}.transform{transform:translate(var(--tw-translate-x),var(--tw-translate-y)) rotate(var(--tw-rotate)) skewX(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))}.resize{resize:both}.list-\\[circle\\]{list-style-type:circle}.list-\\[square\\]{list-style-type:square}.list-disc{list-style-type:disc}.grid-cols-1{grid-template-columns:repeat(1,minmax(0,1fr))}.grid-cols-2{grid-template-columns:repeat(2,minmax(0,1fr))}.grid-cols-3{grid-template-columns:repeat(3,minmax(0,1fr))}.flex-row{flex-direction:row}.flex-col{flex-direction:column}.flex-wrap{flex-wrap:wrap}.items-start{align-items:flex-start}.items-center{align-items:center}.justify-center{justify-content:center}.gap-1{gap:.25rem}.gap-12{gap:3rem}.gap-2{gap:.5rem}.gap-3{gap:.75rem}.gap-4{gap:1rem}.gap-5{gap:1.25rem}.gap-6{gap:1.5rem}.gap-8{gap:2rem}.gap-x-10{-moz-column-gap:2.5rem;column-gap:2.5rem}.gap-x-12{-moz-column-gap:3rem;column-gap:3rem}.gap-y-5{row-gap:1.25rem}.gap-y-6{row-gap:1.5rem}.space-y-1>:not([hidden])~:not([hidden]){--tw-space-y-reverse:0;margin-top:calc(.25rem*(1 - var(--tw-space-y-reverse)));margin-bottom:calc(.25rem*var(--tw-space-y-reverse))}.space-y-2>:not([hidden])~:not([hidden]){--tw-space-y-reverse:0;margin-top:calc(.5rem*(1 - var(--tw-space-y-reverse)));margin-bottom:calc(.5rem*var(--tw-space-y-reverse))}.space-y-3>:not([hidden])~:not([hidden]){--tw-space-y-reverse:0;margin-top:calc(.75rem*(1 - var(--tw-space-y-reverse)));margin-bottom:calc(.75rem*var(--tw-space-y-reverse))}.rounded{border-radius:.25rem}.rounded-full{border-radius:9999px}.rounded-lg{border-radius:.5rem}.rounded-xl{border-radius:.75rem}.border{border-width:1px}.border-b{border-bottom-width:1px}.border-l{border-left-width:1px}.border-l-2{border-left-width:2px}.border-t{border-top-width:1px}.border-t-4{border-top-width:4px}.border-slate-200{--tw-border-opacity:1;border-color:rgb(226 232 240/var(--tw-border-opacity,1))}.border-slate-300{--tw-border-opacity:1;border-color:rgb(203 213 225/var(--tw-border-opacity,1))}.bg-black{--tw-bg-opacity:1;background-color:rgb(0 0 0/var(--tw-bg-opacity,1))}.bg-black\\/10{background-color:#0000001a}.bg-slate-100{--tw-bg-opacity:1;background-color:rgb(241 245 249/var(--tw-bg-opacity,1))}.bg-slate-50{--tw-bg-opacity:1;background-color:rgb(248 250 252/var(--tw-bg-opacity,1))}.bg-white{--tw-bg-opacity:1;background-color:rgb(255 255 255/var(--tw-bg-opacity,1))}.bg-white\\/70{background-color:#ffffffb3}.object-contain{-o-object-fit:contain;object-fit:contain}.p-3{padding:.75rem}.p-4{padding:1rem}.p-6{padding:1.5rem}.p-8{padding:2rem}.px-1{padding-left:.25rem;padding-right:.25rem}.px-16{padding-left:4rem;padding-right:4rem}.px-2{padding-left:.5rem;padding-right:.5rem}.px-20{padding-left:5rem;padding-right:5rem}.px-24{padding-left:6rem;padding-right:6rem}.px-3{padding-left:.75rem;padding-right:.75rem}.px-4{padding-left:1rem;padding-right:1rem}.px-6{padding-left:1.5rem;padding-right:1.5rem}.py-0{padding-top:0;padding-bottom:0}.py-0\\.5{padding-top:.125rem;padding-bottom:.125rem}.py-1{padding-top:.25rem;padding-bottom:.25rem}.py-3{padding-top:.75rem;padding-bottom:.75rem}.pl-12{padding-left:3rem}.pl-8{padding-left:2rem}.pt-4{padding-top:1rem}.text-left{text-align:left}.text-center{text-align:center}.text-right{text-align:right}.text-2xl{font-size:1.5rem;line-height:2rem}.text-3xl{font-size:1.875rem;line-height:2.25rem}.text-4xl{font-size:2.25rem;line-height:2.5rem}.text-5xl{font-size:3rem;line-height:1}.text-6xl{font-size:3.75rem;line-height:1}.text-8xl{font-size:6rem;line-height:1}.text-\\[0\\.9em\\]{font-size:.9em}.text-\\[10px\\]{font-size:10px}.text-\\[11px\\]{font-size:11px}.text-lg{font-size:1.125rem;line-height:1.75rem}.text-sm{font-size:.875rem;line-height:1.25rem}.text-xl{font-size:1.25rem;line-height:1.75rem}.text-xs{font-size:.75rem;line-height:1rem}.font-bold{font-weight:700}.font-semibold{font-weight:600}.uppercase{text-transform:uppercase}.capitalize{text-transform:capitalize}.italic{font-style:italic}.leading-none{line-height:1}.leading-relaxed{line-height:1.625}.leading-snug{line-height:1.375}.tracking-wide{letter-spacing:.025em}.tracking-widest{letter-spacing:.1em}.text-slate-500{--tw-text-opacity:1;color:rgb(100 116 139/var(--tw-text-opacity,1))}.underline{text-decoration-line:underline}.opacity-70{opacity:.7}.opacity-80{opacity:.8}.opacity-90{opacity:.9}.shadow-sm{--tw-shadow:0 1px 2px 0 #0000000d;--tw-shadow-colored:0 1px 2px 0 var(--tw-shadow-color);box-shadow:var(--tw-ring-offset-shadow,0 0 #0000),var(--tw-ring-shadow,0 0 #0000),var(--tw-shadow)}.outline{outline-style:solid}.filter{filter:var(--tw-blur) var(--tw-brightness) var(--tw-contrast) var(--tw-grayscale) var(--tw-hue-rotate) var(--tw-invert) var(--tw-saturate) var(--tw-sepia) var(--tw-drop-shadow)}.transition{transition-property:color,background-color,border-color,text-decoration-color,fill,stroke,opacity,box-shadow,transform,filter,-webkit-backdrop-filter;transition-property:color,background-color,border-color,text-decoration-color,fill,stroke,opacity,box-shadow,transform,filter,backdrop-filter;transition-property:color,background-color,border-color,text-decoration-color,fill,stroke,opacity,box-shadow,transform,filter,backdrop-filter,-webkit-backdrop-filter;transition-timing-function:cubic-bezier(.4,0,.2,1);transition-duration:.15s}';
+
+function googleFontsUrl(families) {
+  const query = families.map((family) => `family=${family.replace(/ /g, '+')}`).join('&');
+  return `https://fonts.googleapis.com/css2?${query}&display=swap`;
+}
+
+// Archivos woff2 de cada familia (paquetes @fontsource, subconjunto latino)
+function fontFileName(family) {
+  return `${FONT_FAMILIES[family].file}-latin-400-normal.woff2`;
+}
+
+function fontFileUrl(family) {
+  return `https://cdn.jsdelivr.net/npm/@fontsource/${FONT_FAMILIES[family].file}@5/files/${fontFileName(family)}`;
+}
+
+function bytesToBase64(bytes) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Un script incrustado no puede contener "</script" literal sin cerrar la etiqueta
+function inlineScript(code) {
+  return `<script>${code.replace(/<\/script/gi, '<\\/script')}</script>`;
+}
+
+function fontFaceCss(families, srcFor) {
+  return families
+    .filter((family) => FONT_FAMILIES[family])
+    .map(
+      (family) =>
+        `@font-face { font-family: '${family}'; font-style: normal; font-weight: 400; font-display: swap; src: url(${srcFor(family)}) format('woff2'); }`
+    )
+    .join('\n');
+}
+
+// @font-face con las fuentes de loadOfflineAssets incrustadas como data: URL
+function inlineFontCss(fontData, families = Object.keys(fontData)) {
+  return fontFaceCss(
+    families.filter((family) => fontData[family]),
+    (family) => `data:font/woff2;base64,${bytesToBase64(fontData[family])}`
+  );
+}
+
+let offlineAssetsPromise = null;
+
+/*
+ * Descarga una sola vez Plotly y todas las fuentes del registro para la exportación sin
+ * conexión. Devuelve { scripts: { plotly }, fonts: { familia: Uint8Array } }; los errores
+ * van en el idioma `locale`.
+ */
+function loadOfflineAssets(fetchImpl, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+  if (!doFetch) return Promise.reject(new Error(t('offlineNoFetch')));
+  if (offlineAssetsPromise && !fetchImpl) return offlineAssetsPromise;
+
+  const get = (url, kind) =>
+    doFetch(url).then((res) => {
+      if (!res.ok) throw new Error(t('offlineDownload', { url, status: res.status }));
+      return kind === 'text' ? res.text() : res.arrayBuffer().then((buf) => new Uint8Array(buf));
+    });
+
+  const families = Object.keys(FONT_FAMILIES);
+  const promise = Promise.all([
+    get(ASSETS.plotly.url, 'text'),
+    Promise.all(families.map((family) => get(fontFileUrl(family), 'binary'))),
+  ]).then(([plotly, fontData]) => {
+    const fonts = {};
+    families.forEach((family, i) => {
+      fonts[family] = fontData[i];
+    });
+    return { scripts: { plotly }, fonts };
+  });
+
+  if (!fetchImpl) {
+    offlineAssetsPromise = promise.catch((err) => {
+      offlineAssetsPromise = null;
+      throw err;
+    });
+    return offlineAssetsPromise;
+  }
+  return promise;
+}
+
+/*
+ * Etiquetas <head> para los scripts y fuentes de una página generada.
+ * options.assetMode: 'cdn' (por defecto), 'inline' (todo dentro del HTML, requiere
+ * options.assets de loadOfflineAssets) o 'local' (rutas relativas a assets/). Sin CDN,
+ * Tailwind es la hoja TAILWIND_CSS en vez de un script.
+ */
+function renderAssetTags(scriptNames, fonts, options = {}) {
+  const mode = options.assetMode || 'cdn';
+  const families = fonts.families || Object.keys(FONT_FAMILIES);
+
+  if (mode === 'inline') {
+    if (!options.assets) throw new Error(localeText(options.locale, 'offlineMissingAssets'));
+    const css = inlineFontCss(options.assets.fonts, families);
+    return [
+      ...scriptNames.map((name) =>
+        name === 'tailwind' ? `<style>${TAILWIND_CSS}</style>` : inlineScript(options.assets.scripts[name])
+      ),
+      `<style>\n${css}\n</style>`,
+    ].join('\n  ');
+  }
+
+  if (mode === 'local') {
+    return [
+      ...scriptNames.map((name) =>
+        name === 'tailwind' ? `<link href="${ASSETS[name].file}" rel="stylesheet" />` : `<script src="${ASSETS[name].file}"></script>`
+      ),
+      '<link href="assets/fonts.css" rel="stylesheet" />',
+    ].join('\n  ');
+  }
+
+  return [
+    ...scriptNames.map((name) => `<script src="${ASSETS[name].url}"></script>`),
+    `<link href="${googleFontsUrl(families)}" rel="stylesheet" />`,
+  ].join('\n  ');
+}
+
+// Archivos de assets/ para el modo 'local' (ZIP o carpeta de salida)
+function localAssetFiles(assets) {
+  const families = Object.keys(FONT_FAMILIES);
+  return [
+    { filename: ASSETS.tailwind.file, data: TAILWIND_CSS + '\n' },
+    { filename: ASSETS.plotly.file, data: assets.scripts.plotly },
+    { filename: 'assets/fonts.css', data: fontFaceCss(families, (family) => `fonts/${fontFileName(family)}`) + '\n' },
+    ...families.map((family) => ({
+      filename: `assets/fonts/${fontFileName(family)}`,
+      data: assets.fonts[family],
+    })),
+  ];
+}
+
+/* ===========================
+   Política de seguridad de contenido (CSP)
+   =========================== */
+
+// Constantes de SHA-256: partes fraccionarias de las raíces cúbicas (K) y cuadradas (H) de los primeros primos
+const SHA256_PRIMES = (() => {
+  const primes = [];
+  for (let n = 2; primes.length < 64; n++) {
+    if (primes.every((p) => n % p)) primes.push(n);
+  }
+  return primes;
+})();
+const SHA256_K = SHA256_PRIMES.map((p) => ((Math.cbrt(p) % 1) * 2 ** 32) >>> 0);
+const SHA256_H = SHA256_PRIMES.slice(0, 8).map((p) => ((Math.sqrt(p) % 1) * 2 ** 32) >>> 0);
+
+// SHA-256 de un texto en UTF-8, en base64. Síncrono porque crypto.subtle es asíncrono y sólo
+// existe en contextos seguros (la app también se abre desde file://).
+function sha256Base64(text) {
+  const bytes = new TextEncoder().encode(text);
+  // Mensaje + 0x80 + ceros + longitud en bits (64 bits, big-endian), múltiplo de 64 bytes
+  const length = Math.ceil((bytes.length + 9) / 64) * 64;
+  const data = new Uint8Array(length);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const view = new DataView(data.buffer);
+  view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+  const h = SHA256_H.slice();
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let offset = 0; offset < length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      [hh, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+    }
+    [a, b, c, d, e, f, g, hh].forEach((v, i) => {
+      h[i] = (h[i] + v) >>> 0;
+    });
+  }
+  const digest = new Uint8Array(32);
+  h.forEach((v, i) => new DataView(digest.buffer).setUint32(i * 4, v));
+  return bytesToBase64(digest);
+}
+
+/*
+ * Etiqueta <meta> con la CSP de una página generada. Sólo se ejecutan los <script> incrustados
+ * por ReSlides (por su hash, calculado sobre el HTML ya compuesto) y los recursos de
+ * renderAssetTags; los estilos en línea se permiten porque las diapositivas pintan el tema con
+ * ellos, ya filtrado por cssTheme. 'self' y file: cubren assets/ al abrir la carpeta sin servidor,
+ * y blob: el iframe de la siguiente diapositiva en la vista del presentador.
+ */
+function contentSecurityPolicy(html, options = {}) {
+  const mode = options.assetMode || 'cdn';
+  const cdn = mode === 'cdn';
+  const local = mode === 'local' ? ["'self'", 'file:'] : ["'self'"];
+  // El navegador calcula el hash después de convertir los saltos \r\n y \r en \n
+  const hashes = Array.from(
+    html.matchAll(/<script>([\s\S]*?)<\/script>/g),
+    (m) => `'sha256-${sha256Base64(m[1].replace(/\r\n?/g, '\n'))}'`
+  );
+  const directives = [
+    "default-src 'none'",
+    `script-src ${[...local, ...(cdn ? [new URL(ASSETS.tailwind.url).origin, new URL(ASSETS.plotly.url).origin] : []), ...hashes].join(' ')}`,
+    `style-src ${[...local, "'unsafe-inline'", ...(cdn ? ['https://fonts.googleapis.com'] : [])].join(' ')}`,
+    `font-src ${[...local, 'data:', ...(cdn ? ['https://fonts.gstatic.com'] : [])].join(' ')}`,
+    `img-src ${[...local, 'data:', 'blob:', 'https:'].join(' ')}`,
+    `connect-src ${[...local, 'data:', 'blob:'].join(' ')}`,
+    `frame-src ${[...local, 'blob:'].join(' ')}`,
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'none'",
+  ];
+  return `<meta http-equiv="Content-Security-Policy" content="${directives.join('; ')}" />`;
+}
+
+// Inserta la CSP justo después de <meta charset>, antes de cualquier script
+function withContentSecurityPolicy(html, options) {
+  return html.replace('<meta charset="UTF-8" />', (meta) => `${meta}\n  ${contentSecurityPolicy(html, options)}`);
+}
+
+/* ===========================
+   Adjuntos (imágenes y archivos)
+   =========================== */
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  csv: 'text/csv',
+  txt: 'text/plain',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+function guessMimeType(name) {
+  const ext = String(name).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+// Los adjuntos se buscan por nombre de archivo, sin importar mayúsculas ni carpeta
+function attachmentKey(name) {
+  return String(name).split(/[\\/]/).pop().toLowerCase();
+}
+
+function safeFileName(name) {
+  return attachmentKey(name).replace(/[^a-z0-9._-]+/g, '_');
+}
+
+/*
+ * Ruta de `file` dentro de `dir`, la misma cada vez que se pide para ese archivo. `paths`
+ * (Map archivo → ruta) guarda las ya dadas: dos archivos cuyos nombres quedan iguales al
+ * limpiarlos ("foto año.png" y "foto_a_o.png") no se pisan, el segundo lleva -2, -3…
+ */
+function filePath(dir, file, paths) {
+  if (paths.has(file)) return paths.get(file);
+  const base = safeFileName(file.name);
+  const taken = new Set(paths.values());
+  const dot = base.lastIndexOf('.');
+  const [stem, ext] = dot > 0 ? [base.slice(0, dot), base.slice(dot)] : [base, ''];
+  let path = `${dir}/${base}`;
+  for (let n = 2; taken.has(path); n++) path = `${dir}/${stem}-${n}${ext}`;
+  paths.set(file, path);
+  return path;
+}
+
+/*
+ * Resuelve los `Adjunto:` de cada diapositiva contra los archivos disponibles
+ * (files: [{ name, type, data: Uint8Array }]) o como URL http(s).
+ * mode 'data' incrusta los archivos como data: URL; 'files' los enlaza en assets/.
+ * Devuelve { perSlide: [[{ name, type, isImage, src, data, alt }]], files, warnings }; `alt` es el
+ * texto alternativo del guion o el que se deduce del nombre. Los avisos van en el idioma `locale`.
+ * `paths` (filePath) se comparte con resolveLogo para que el logo no pise a un adjunto.
+ */
+function resolveAttachments(slides, files, mode, locale, paths = new Map()) {
+  const byName = {};
+  (files || []).forEach((f) => {
+    byName[attachmentKey(f.name)] = f;
+  });
+  const used = {};
+  const warnings = [];
+
+  const perSlide = slides.map((slide, index) =>
+    (slide.attachments || [])
+      .map((ref) => {
+        const alt = (slide.altTexts && slide.altTexts[ref]) || attachmentAlt(ref);
+        if (/^https?:\/\//i.test(ref)) {
+          const type = guessMimeType(ref);
+          return { name: ref, type, isImage: type.startsWith('image/'), src: ref, data: null, alt };
+        }
+        const file = byName[attachmentKey(ref)];
+        if (!file) {
+          warnings.push({
+            slide: index + 1,
+            field: keyword('attachment', locale),
+            severity: 'warning',
+            message: localeText(locale, 'attachmentMissing', { name: ref }),
+          });
+          return null;
+        }
+        const type = file.type || guessMimeType(file.name);
+        const path = filePath('assets', file, paths);
+        used[path] = file;
+        return {
+          name: file.name,
+          type,
+          isImage: type.startsWith('image/'),
+          src: mode === 'files' ? path : `data:${type};base64,${bytesToBase64(file.data)}`,
+          data: file.data,
+          alt,
+        };
+      })
+      .filter(Boolean)
+  );
+
+  return {
+    perSlide,
+    files: mode === 'files' ? Object.keys(used).map((p) => ({ filename: p, data: used[p].data })) : [],
+    warnings,
+  };
+}
+
+// Separa `foto.png "Texto alternativo", datos.csv` en [{ ref, alt }]; las comas entre comillas
+// no separan, y unas comillas que no cierran al final son parte del nombre
+function splitAttachments(text) {
+  return (text.match(/(?:[^,"]|"[^"]*"?)+/g) || [])
+    .map((part) => {
+      const quoted = part.trim().match(/^([^"]+?)\s+"([^"]*)"$/);
+      return quoted ? { ref: quoted[1], alt: quoted[2].trim() } : { ref: part.trim(), alt: '' };
+    })
+    .filter((a) => a.ref);
+}
+
+// Texto alternativo a partir del nombre del archivo: "grafico_final.png" -> "grafico final"
+function attachmentAlt(name) {
+  return attachmentKey(name).replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ');
+}
+
+/* ===========================
+   Encabezado, pie y agenda
+   =========================== */
+
+// Pie de las diapositivas (todas menos la portada) según el encabezado del guion: por omisión
+// "autor · curso", el logo y el número. { text, logo, numbers } o null si no hay nada que mostrar
+function footerBand(frontMatter) {
+  if (!frontMatter) return null;
+  const { author, course, footer, logo, numbers } = frontMatter;
+  const text = footer === false ? '' : footer || [author, course].filter(Boolean).join(' · ');
+  const band = { text, logo: logo || '', numbers: numbers !== false };
+  return band.text || band.logo || band.numbers ? band : null;
+}
+
+// Lo que la portada toma del encabezado: la institución arriba; autor, curso y fecha (la de
+// hoy si no se indica) debajo del título
+function coverDetails(frontMatter, locale) {
+  const { institution = '', author, course, date } = frontMatter || {};
+  return { institution, byline: [author, course, date || formatLocaleDate(new Date(), locale)].filter(Boolean) };
+}
+
+// El `Logo:` del encabezado se busca como un adjunto más; su texto alternativo es la institución
+function resolveLogo(frontMatter, files, mode, locale, paths) {
+  if (!frontMatter || !frontMatter.logo) return { logo: null, files: [], warnings: [] };
+  const resolved = resolveAttachments([{ attachments: [frontMatter.logo] }], files, mode, locale, paths);
+  const logo = resolved.perSlide[0].find((a) => a.isImage);
+  return {
+    logo: logo ? { ...logo, alt: frontMatter.institution || logo.alt } : null,
+    files: resolved.files,
+    warnings: resolved.warnings.map((w) => ({ ...w, slide: null, field: keyword('logo', locale) })),
+  };
+}
+
+/*
+ * Con `Agenda: sí` en el encabezado, añade tras la portada una lista numerada con los títulos
+ * de las secciones (o, si no hay, de las diapositivas de contenido). La diapositiva lleva
+ * `agenda: true`: no se vuelve a añadir y slidesToScript no la escribe.
+ */
+function withAgenda(slides, frontMatter, locale) {
+  if (!frontMatter || !frontMatter.agenda || slides.some((slide) => slide.agenda)) return slides;
+  const layouts = slides.map((slide, index) => slideLayout(slide, index));
+  const sections = slides.filter((slide, i) => slide.title && layouts[i] === 'seccion');
+  const content = slides.filter((slide, i) => slide.title && !['portada', 'cierre'].includes(layouts[i]));
+  const items = (sections.length ? sections : content).map((slide) => slide.title);
+  if (!items.length) return slides;
+  const agenda = {
+    title: localeText(locale, 'agenda'),
+    content: items,
+    levels: items.map(() => 0),
+    graph: null,
+    description: '',
+    notes: '',
+    attachments: [],
+    layout: 'lista-numerada',
+    agenda: true,
+  };
+  const at = layouts[0] === 'portada' ? 1 : 0;
+  return [...slides.slice(0, at), agenda, ...slides.slice(at)];
+}
+
+/* ===========================
+   Accesibilidad
+   =========================== */
+
+// Oculta a la vista pero no a los lectores de pantalla (tablas de datos de las gráficas)
+const SR_ONLY_STYLE = `
+    .rs-sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      padding: 0;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border: 0;
+    }`;
+
+// Límites a partir de los cuales checkAccessibility avisa de demasiado texto en una diapositiva
+const A11Y_LIMITS = { bullets: 7, words: 80 };
+
+// Etiquetas y series que se ven en la gráfica (el pastel sólo dibuja la primera serie)
+function chartSeries(graph) {
+  const { labels, series } = orderedChartData(graph);
+  const chartType = CHART_TYPES[graph.type] || CHART_TYPES.barras;
+  return { labels, series: chartType.plotly.type === 'pie' ? series.slice(0, 1) : series };
+}
+
+function chartValueText(graph, value, locale) {
+  const unit = unitSuffix(graph.options && graph.options.unit);
+  return `${String(value).replace('.', numberSeparators(locale).decimal)}${unit}`;
+}
+
+// Resumen en texto de una gráfica para lectores de pantalla y el texto alternativo del PPTX:
+// tipo, tamaño y los valores más alto y más bajo
+function describeChart(graph, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const { labels, series } = chartSeries(graph);
+  const type = CHART_TYPES[graph.type] ? graph.type : 'barras';
+  const points = series.flatMap((s) =>
+    s.values.map((value, i) => ({ value, where: series.length > 1 ? `${labels[i]}, ${s.name}` : labels[i] }))
+  );
+  const parts = [
+    t('chartSummary', {
+      type: localeName(locale, 'chart', type, CHART_TYPES).toLowerCase(),
+      labels: labels.length,
+      series: series.length,
+    }),
+  ];
+  const valid = points.filter((p) => Number.isFinite(p.value));
+  if (valid.length) {
+    const highest = valid.reduce((a, b) => (b.value > a.value ? b : a));
+    const lowest = valid.reduce((a, b) => (b.value < a.value ? b : a));
+    parts.push(t('chartHighest', { value: chartValueText(graph, highest.value, locale), where: highest.where }));
+    if (lowest !== highest) parts.push(t('chartLowest', { value: chartValueText(graph, lowest.value, locale), where: lowest.where }));
+  }
+  return parts.join(' ');
+}
+
+// Tabla oculta con los datos de la gráfica, para quien no puede verla
+function chartDataTable(graph, caption, locale) {
+  const esc = escapeHtml;
+  const { labels, series } = chartSeries(graph);
+  return `<table class="rs-sr-only">
+      <caption>${esc(caption)}</caption>
+      <thead><tr><th scope="col">${esc(localeText(locale, 'chartLabel'))}</th>${series
+        .map((s) => `<th scope="col">${esc(s.name)}</th>`)
+        .join('')}</tr></thead>
+      <tbody>${labels
+        .map(
+          (label, i) =>
+            `<tr><th scope="row">${esc(label)}</th>${series
+              .map((s) => `<td>${Number.isFinite(s.values[i]) ? esc(chartValueText(graph, s.values[i], locale)) : ''}</td>`)
+              .join('')}</tr>`
+        )
+        .join('')}</tbody>
+    </table>`;
+}
+
+// Texto que se lee de una diapositiva, sin el marcado de **negrita** ni de [enlaces](url)
+function plainWords(text) {
+  return String(text)
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .split(/\s+/)
+    .filter((w) => /[\p{L}\p{N}]/u.test(w));
+}
+
+/*
+ * Revisión de accesibilidad de una presentación: contraste del tema, diapositivas sin título,
+ * demasiados puntos o palabras e imágenes sin texto alternativo escrito en el guion.
+ * Devuelve avisos { slide, index, generated, field, severity, message }: `slide` es el número
+ * en el guion, como en los avisos de buildDeck, e `index` la posición en la presentación (la
+ * agenda generada la desplaza). Las diapositivas generadas no tienen número en el guion:
+ * llevan slide: null y su nombre en `generated`. Los avisos del tema sólo llevan slide: null
+ * porque afectan a todas las diapositivas.
+ */
+function checkAccessibility(slides, theme, options = {}) {
+  const t = (key, vars) => localeText(options.locale, key, vars);
+  const warnings = [];
+  const warn = (where, field, message) => warnings.push({ ...where, field, severity: 'warning', message });
+
+  checkThemeContrast(theme, options.locale)
+    .filter((c) => !c.ok)
+    .forEach((c) =>
+      warn({ slide: null }, t('a11yContrast'), t('a11yContrastLow', { label: c.label, ratio: c.ratio, min: c.minimum }))
+    );
+
+  let source = 0;
+  slides.forEach((slide, index) => {
+    const where = slide.agenda
+      ? { slide: null, index: index + 1, generated: t('agenda') }
+      : { slide: ++source, index: index + 1 };
+    // El cierre sin título muestra "¡Gracias!", que ya lo identifica
+    if (!slide.title && slideLayout(slide, index) !== 'cierre') {
+      warn(where, keyword('title', options.locale), t('a11yNoTitle', { fallback: slideLabel(slide, index, options.locale) }));
+    }
+    const bullets = slide.content.length;
+    if (bullets > A11Y_LIMITS.bullets) {
+      warn(where, keyword('content', options.locale), t('a11yBullets', { n: bullets, max: A11Y_LIMITS.bullets }));
+    }
+    const words = [slide.title, ...slide.content, slide.description].filter(Boolean).flatMap(plainWords).length;
+    if (words > A11Y_LIMITS.words) {
+      warn(where, keyword('content', options.locale), t('a11yWords', { n: words, max: A11Y_LIMITS.words }));
+    }
+    (slide.attachments || [])
+      .filter((ref) => guessMimeType(ref).startsWith('image/') && !(slide.altTexts && slide.altTexts[ref]))
+      .forEach((ref) =>
+        warn(where, keyword('attachment', options.locale), t('a11yNoAlt', { name: attachmentKey(ref), alt: attachmentAlt(ref) }))
+      );
+  });
+  return warnings;
+}
+
+/* ===========================
+   Generación de HTML de gráficas independientes
+   =========================== */
+
+function generateGraphHtml(slide, index, theme, fonts, options = {}) {
+  theme = cssTheme(theme);
+  fonts = cssFonts(fonts);
+  const chart = buildPlotlyChart(slide.graph, theme, options.locale);
+
+  const html = `<!DOCTYPE html>
+<html lang="${resolveLocale(options.locale)}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(localeText(options.locale, 'chartN', { n: index }))} - ${escapeHtml(slide.title)}</title>
+  ${renderAssetTags(['plotly'], fonts, options)}
+  <style>
+    body {
+      margin: 0;
+      font-family: ${fonts.body};
+      background: ${theme.background};
+      color: ${theme.text};
+    }
+    #chart {
+      width: 100vw;
+      height: 100vh;
+    }
+${SR_ONLY_STYLE}
+  </style>
+</head>
+<body>
+  <div id="chart" role="img" aria-label="${escapeHtml(describeChart(slide.graph, options.locale))}"></div>
+  ${chartDataTable(slide.graph, localeText(options.locale, 'chartData'), options.locale)}
+  <script>
+    document.addEventListener('DOMContentLoaded', function () {
+      var chart = ${scriptJson(chart)};
+      var layout = Object.assign({
+        title: ${scriptJson(plotlyText(slide.title))},
+        paper_bgcolor: ${scriptJson(theme.background)},
+        plot_bgcolor: ${scriptJson(theme.background)},
+        font: { family: ${scriptJson(fonts.body)}, color: ${scriptJson(theme.text)} },
+        margin: { t: 60, r: 30, b: 50, l: 50 }
+      }, chart.layout);
+      Plotly.newPlot('chart', chart.data, layout, {responsive: true});
+    });
+  </script>
+</body>
+</html>`;
+  return withContentSecurityPolicy(html, options);
+}
+
+/* ===========================
+   Reproductor de diapositivas incrustado en presentacion.html
+   =========================== */
+
+// Tamaño del escenario 16:9; el reproductor lo escala para ocupar la ventana
+const STAGE_WIDTH = 1280;
+const STAGE_HEIGHT = 720;
+
+const PLAYER_STYLE = `
+    .ppt-slide {
+      position: relative;
+      width: ${STAGE_WIDTH}px;
+      height: ${STAGE_HEIGHT}px;
+      margin: 0 auto 24px;
+      overflow: hidden;
+      box-sizing: border-box;
+    }
+    .ppt-slide[data-band] {
+      padding-bottom: 36px;
+    }
+    .rs-band {
+      position: absolute;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      height: 36px;
+      padding: 0 32px;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      font-size: 13px;
+      opacity: 0.75;
+    }
+    .rs-band-logo {
+      height: 22px;
+      width: auto;
+    }
+    .rs-band-number {
+      margin-left: auto;
+      font-weight: 600;
+    }
+    body.rs-player {
+      overflow: hidden;
+      background: #0F172A;
+    }
+    body.rs-player #rs-stage {
+      position: fixed;
+      left: 50%;
+      top: 50%;
+      width: ${STAGE_WIDTH}px;
+      height: ${STAGE_HEIGHT}px;
+      transform-origin: center center;
+    }
+    body.rs-player .ppt-slide {
+      position: absolute;
+      top: 0;
+      left: 0;
+      margin: 0;
+      visibility: hidden;
+      opacity: 0;
+      transition: opacity 0.25s ease;
+    }
+    body.rs-player .ppt-slide.rs-active {
+      visibility: visible;
+      opacity: 1;
+    }
+    body.rs-overview #rs-stage {
+      left: 0;
+      top: 0;
+      width: 100%;
+      height: 100%;
+      overflow: auto;
+      transform: none !important;
+    }
+    body.rs-overview .ppt-slide {
+      visibility: visible;
+      opacity: 1;
+      cursor: pointer;
+      transform-origin: 0 0;
+      transition: none;
+      outline: 6px solid transparent;
+    }
+    body.rs-overview .ppt-slide.rs-active {
+      outline-color: #D4AF37;
+    }
+    body.rs-overview .ppt-slide * {
+      pointer-events: none;
+    }
+    #rs-controls {
+      display: none;
+    }
+    body.rs-player #rs-controls {
+      position: fixed;
+      right: 12px;
+      bottom: 12px;
+      z-index: 10;
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 4px 8px;
+      border-radius: 9999px;
+      background: rgba(15, 23, 42, 0.7);
+      color: #FFFFFF;
+      font: 13px/1.2 system-ui, sans-serif;
+      opacity: 0.35;
+      transition: opacity 0.2s ease;
+    }
+    body.rs-player #rs-controls:hover {
+      opacity: 1;
+    }
+    #rs-controls button {
+      background: none;
+      border: 0;
+      color: inherit;
+      cursor: pointer;
+      font: inherit;
+      padding: 4px 6px;
+    }
+    #rs-counter {
+      min-width: 4.5em;
+      text-align: center;
+    }
+    .rs-notes,
+    body.rs-passive #rs-controls,
+    #rs-presenter {
+      display: none !important;
+    }
+    body.rs-presenter #rs-stage {
+      left: 32%;
+    }
+    body.rs-presenter #rs-presenter {
+      position: fixed;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      width: 36%;
+      display: flex !important;
+      flex-direction: column;
+      gap: 8px;
+      padding: 16px;
+      box-sizing: border-box;
+      color: #F8FAFC;
+      font: 15px/1.5 system-ui, sans-serif;
+    }
+    body.rs-presenter #rs-controls {
+      right: auto;
+      left: 12px;
+    }
+    .rs-label {
+      font-size: 11px;
+      letter-spacing: 0.08em;
+      text-transform: uppercase;
+      opacity: 0.6;
+    }
+    #rs-next {
+      width: 100%;
+      aspect-ratio: 16 / 9;
+      border: 0;
+      border-radius: 6px;
+      background: #1F2937;
+    }
+    #rs-presenter-notes {
+      flex: 1;
+      overflow: auto;
+      padding: 12px;
+      border-radius: 6px;
+      background: #1F2937;
+      font-size: 20px;
+      white-space: pre-wrap;
+    }
+    #rs-presenter button {
+      background: #1F2937;
+      border: 0;
+      border-radius: 6px;
+      color: inherit;
+      cursor: pointer;
+      padding: 4px 10px;
+    }
+    #rs-timer {
+      font-size: 32px;
+      font-variant-numeric: tabular-nums;
+    }
+    /* Impresión / PDF: una diapositiva por página 16:9, sin controles ni escalado */
+    @page {
+      size: ${STAGE_WIDTH}px ${STAGE_HEIGHT}px;
+      margin: 0;
+    }
+    @media print {
+      body,
+      body.rs-player {
+        overflow: visible;
+        background: none;
+      }
+      body.rs-player #rs-stage {
+        position: static;
+        width: auto;
+        height: auto;
+        transform: none !important;
+      }
+      .ppt-slide,
+      body.rs-player .ppt-slide {
+        position: relative;
+        margin: 0;
+        visibility: visible;
+        opacity: 1;
+        transform: none !important;
+        outline: none;
+        break-after: page;
+        page-break-after: always;
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+      }
+      .ppt-slide:last-child {
+        break-after: auto;
+        page-break-after: auto;
+      }
+      #rs-controls,
+      #rs-presenter {
+        display: none !important;
+      }
+    }`;
+
+// Controles y vista del presentador del reproductor, con los textos del idioma `locale`
+function playerControls(locale) {
+  const t = (key) => escapeHtml(localeText(locale, key));
+  return `
+  <div id="rs-controls" aria-label="${t('controls')}">
+    <button type="button" data-rs="prev" title="${t('prev')}">◀</button>
+    <span id="rs-counter" aria-live="polite"></span>
+    <button type="button" data-rs="next" title="${t('next')}">▶</button>
+    <button type="button" data-rs="overview" title="${t('overview')}">▦</button>
+    <button type="button" data-rs="presenter" title="${t('presenter')}">🗒</button>
+    <button type="button" data-rs="fullscreen" title="${t('fullscreen')}">⛶</button>
+  </div>
+  <div id="rs-presenter">
+    <div class="rs-label">${t('upNext')}</div>
+    <iframe id="rs-next" name="reslides-next" title="${t('nextSlide')}"></iframe>
+    <div class="rs-label">${t('notes')}</div>
+    <div id="rs-presenter-notes" data-empty="${t('noNotes')}"></div>
+    <div style="display: flex; align-items: center; gap: 8px;">
+      <span id="rs-timer">00:00</span>
+      <button type="button" data-rs="timer" title="${t('timerToggle')}">⏯</button>
+      <button type="button" data-rs="resetTimer" title="${t('timerReset')}">↺</button>
+      <span id="rs-clock" style="margin-left: auto; opacity: 0.7;"></span>
+    </div>
+  </div>`;
+}
+
+/*
+ * Una diapositiva a la vez, navegación con teclado/clic/deslizamiento, pantalla completa,
+ * contador, hash #/N por diapositiva y vista general. También acepta mensajes
+ * { type: 'reslides:goto' | 'reslides:next' | 'reslides:prev' } desde la ventana padre
+ * (la vista previa de index.html) y le informa la diapositiva actual con 'reslides:slide'.
+ * La vista previa en vivo le envía 'reslides:patch' (ver previewPatch) con las diapositivas
+ * que cambiaron; sólo las páginas generadas con previewToken lo escuchan, y sólo si el mensaje
+ * trae ese token. Las presentaciones publicadas no se pueden reescribir desde fuera.
+ *
+ * La misma página hace de vista del presentador cuando se abre con window.name
+ * 'reslides-presenter' (diapositiva actual, siguiente, notas y cronómetro); la ventana
+ * del público y la del presentador se sincronizan con BroadcastChannel y, como respaldo,
+ * con postMessage entre opener y ventana abierta. El iframe 'reslides-next' sólo obedece.
+ */
+const playerScript = (previewToken) => `
+    (function () {
+      var W = ${STAGE_WIDTH}, H = ${STAGE_HEIGHT};
+      var stage = document.getElementById('rs-stage');
+      var slides = Array.prototype.slice.call(stage.querySelectorAll('.ppt-slide'));
+      var counter = document.getElementById('rs-counter');
+      if (!slides.length) return;
+      var current = -1;
+      var overview = false;
+      var role = window.name === 'reslides-presenter' ? 'presenter' : window.name === 'reslides-next' ? 'passive' : 'audience';
+      var baseUrl = window.location.href.split('#')[0];
+      var channel = role !== 'passive' && 'BroadcastChannel' in window ? new BroadcastChannel('reslides:' + baseUrl) : null;
+      var peer = role === 'presenter' ? window.opener : null;
+      document.body.classList.add('rs-player');
+      if (role !== 'audience') document.body.classList.add('rs-' + role);
+
+      function fit() {
+        if (overview) {
+          var cols = window.innerWidth > 900 ? 4 : 2;
+          var gap = 16;
+          var scale = (window.innerWidth - gap * (cols + 1)) / cols / W;
+          slides.forEach(function (slide, i) {
+            var x = gap + (i % cols) * (W * scale + gap);
+            var y = gap + Math.floor(i / cols) * (H * scale + gap);
+            slide.style.transform = 'translate(' + x + 'px,' + y + 'px) scale(' + scale + ')';
+          });
+          return;
+        }
+        var boxW = role === 'presenter' ? window.innerWidth * 0.64 : window.innerWidth;
+        var s = Math.min(boxW / W, window.innerHeight / H);
+        stage.style.transform = 'translate(-50%, -50%) scale(' + s + ')';
+        slides.forEach(function (slide) { slide.style.transform = ''; });
+      }
+
+      function indexFromHash() {
+        var m = /^#\\/(\\d+)/.exec(window.location.hash);
+        return m ? parseInt(m[1], 10) - 1 : 0;
+      }
+
+      function sync(message) {
+        if (channel) channel.postMessage(message);
+        if (peer && !peer.closed) peer.postMessage(message, '*');
+      }
+
+      function show(i, fromRemote) {
+        i = Math.max(0, Math.min(slides.length - 1, i));
+        if (i === current) return;
+        if (current >= 0) slides[current].classList.remove('rs-active');
+        current = i;
+        slides[current].classList.add('rs-active');
+        if (counter) counter.textContent = (current + 1) + ' / ' + slides.length;
+        var hash = '#/' + (current + 1);
+        if (window.location.hash !== hash) {
+          if (window.history && window.history.replaceState) window.history.replaceState(null, '', hash);
+          else window.location.hash = hash;
+        }
+        if (window.parent !== window) {
+          window.parent.postMessage({ type: 'reslides:slide', index: current, total: slides.length }, '*');
+        }
+        if (role === 'presenter') updatePresenter();
+        // Reenviar sólo los cambios locales evita rebotes entre ventanas
+        if (!fromRemote && role !== 'passive') sync({ type: 'reslides:goto', index: current });
+      }
+
+      var nextFrame = document.getElementById('rs-next');
+      var notesEl = document.getElementById('rs-presenter-notes');
+      function updatePresenter() {
+        var notes = slides[current].querySelector('.rs-notes');
+        notesEl.textContent = notes ? notes.textContent : notesEl.getAttribute('data-empty');
+        var hasNext = current + 1 < slides.length;
+        nextFrame.style.visibility = hasNext ? 'visible' : 'hidden';
+        if (!hasNext) return;
+        if (!nextFrame.getAttribute('src')) nextFrame.src = baseUrl + '#/' + (current + 2);
+        else nextFrame.contentWindow.postMessage({ type: 'reslides:goto', index: current + 1 }, '*');
+      }
+
+      var startedAt = Date.now();
+      var pausedAt = null;
+      function pad(n) { return (n < 10 ? '0' : '') + n; }
+      function tick() {
+        var secs = Math.floor(((pausedAt || Date.now()) - startedAt) / 1000);
+        document.getElementById('rs-timer').textContent = pad(Math.floor(secs / 60)) + ':' + pad(secs % 60);
+        var now = new Date();
+        document.getElementById('rs-clock').textContent = pad(now.getHours()) + ':' + pad(now.getMinutes());
+      }
+      if (role === 'presenter') {
+        tick();
+        setInterval(tick, 1000);
+      }
+
+      function openPresenter() {
+        if (role !== 'audience') return;
+        var win = window.open(baseUrl + '#/' + (current + 1), 'reslides-presenter', 'width=1200,height=720');
+        if (win) peer = win;
+      }
+
+      function setOverview(on) {
+        overview = on;
+        document.body.classList.toggle('rs-overview', on);
+        fit();
+        if (on) slides[current].scrollIntoView({ block: 'center' });
+      }
+
+      function toggleFullscreen() {
+        var doc = document;
+        if (doc.fullscreenElement) doc.exitFullscreen();
+        else if (doc.documentElement.requestFullscreen) doc.documentElement.requestFullscreen();
+      }
+
+      var actions = {
+        next: function () { show(current + 1); },
+        prev: function () { show(current - 1); },
+        overview: function () { setOverview(!overview); },
+        fullscreen: toggleFullscreen,
+        presenter: openPresenter,
+        timer: function () {
+          if (pausedAt) { startedAt += Date.now() - pausedAt; pausedAt = null; }
+          else pausedAt = Date.now();
+          tick();
+        },
+        resetTimer: function () {
+          startedAt = Date.now();
+          if (pausedAt) pausedAt = startedAt;
+          tick();
+        }
+      };
+
+      document.addEventListener('keydown', function (e) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+        var key = e.key;
+        if (key === 'ArrowRight' || key === 'ArrowDown' || key === 'PageDown' || key === ' ' || key === 'Enter') actions.next();
+        else if (key === 'ArrowLeft' || key === 'ArrowUp' || key === 'PageUp' || key === 'Backspace') actions.prev();
+        else if (key === 'Home') show(0);
+        else if (key === 'End') show(slides.length - 1);
+        else if (key === 'f' || key === 'F') toggleFullscreen();
+        else if (key === 'o' || key === 'O') actions.overview();
+        else if (key === 'p' || key === 'P') openPresenter();
+        else if (key === 'Escape' && overview) setOverview(false);
+        else return;
+        e.preventDefault();
+      });
+
+      document.addEventListener('click', function (e) {
+        var control = e.target.closest('[data-rs]');
+        if (control) {
+          actions[control.getAttribute('data-rs')]();
+          return;
+        }
+        var slide = e.target.closest('.ppt-slide');
+        if (!slide) return;
+        if (overview) {
+          show(slides.indexOf(slide));
+          setOverview(false);
+          return;
+        }
+        // Los enlaces y las gráficas interactivas conservan su clic
+        if (e.target.closest('a, button, input, .js-plotly-plot')) return;
+        if (e.clientX < window.innerWidth / 3) actions.prev();
+        else actions.next();
+      });
+
+      var touchX = null;
+      document.addEventListener('touchstart', function (e) {
+        touchX = e.touches.length === 1 ? e.touches[0].clientX : null;
+      }, { passive: true });
+      document.addEventListener('touchend', function (e) {
+        if (touchX === null || overview) return;
+        var dx = e.changedTouches[0].clientX - touchX;
+        touchX = null;
+        if (Math.abs(dx) < 50) return;
+        if (dx < 0) actions.next();
+        else actions.prev();
+      });
+
+${
+  previewToken
+    ? `
+      // Vista previa en vivo: reemplaza sólo las diapositivas que cambiaron, sin recargar
+      function patch(msg) {
+        var holder = document.createElement('div');
+        msg.slides.forEach(function (item) {
+          holder.innerHTML = item.html;
+          var el = holder.querySelector('.ppt-slide');
+          if (!el) return;
+          if (slides[item.index]) stage.replaceChild(el, slides[item.index]);
+          else stage.appendChild(el);
+          slides[item.index] = el;
+        });
+        slides.splice(msg.total).forEach(function (el) { el.remove(); });
+        msg.slides.forEach(function (item) {
+          if (window.rsDrawGraph) item.graphs.forEach(window.rsDrawGraph);
+        });
+        var keep = current;
+        current = -1;
+        fit();
+        if (slides.length) show(Math.min(keep, slides.length - 1), true);
+      }
+`
+    : ''
+}
+      function handleMessage(msg, fromPeer) {
+        msg = msg || {};
+        if (msg.type === 'reslides:goto') show(msg.index, fromPeer);
+        else if (msg.type === 'reslides:next') actions.next();
+        else if (msg.type === 'reslides:prev') actions.prev();
+      }
+      if (channel) channel.onmessage = function (e) { handleMessage(e.data, true); };
+      window.addEventListener('message', function (e) {${
+        previewToken
+          ? `
+        // Sólo la página que contiene la vista previa, con el token de esta página, puede
+        // reescribir diapositivas
+        if (e.data && e.data.type === 'reslides:patch') {
+          var token = ${scriptJson(previewToken)};
+          if (window.parent !== window && e.source === window.parent && e.data.token === token) patch(e.data);
+          return;
+        }`
+          : ''
+      }
+        handleMessage(e.data, !!peer && e.source === peer);
+      });
+      window.addEventListener('hashchange', function () { show(indexFromHash()); });
+      window.addEventListener('resize', fit);
+
+      fit();
+      show(indexFromHash());
+    })();`;
+
+/* ===========================
+   Generación de la presentación HTML principal
+   =========================== */
+
+// HTML de cada diapositiva y las gráficas que dibuja: [{ html, graphs: [config Plotly] }].
+// La numeración de secciones y de gráficas depende de las diapositivas anteriores.
+function renderSlides(slides, graphFiles, theme, fonts, options = {}) {
+  const esc = escapeHtml;
+  const t = (key, vars) => localeText(options.locale, key, vars);
+  theme = cssTheme(theme);
+  fonts = cssFonts(fonts);
+
+  let graphIdx = 0;
+  const graphConfigs = [];
+  const slideAttachments = options.slideAttachments || [];
+
+  const imageTag = (a, cls) => `<img src="${esc(a.src)}" alt="${esc(a.alt)}" class="${cls}" />`;
+  const fileLinks = (items) =>
+    items.length
+      ? `
+    <div class="mt-4 flex flex-wrap gap-2 text-sm" style="font-family:${fonts.body};">
+      ${items
+        .map(
+          (a) =>
+            `<a href="${esc(a.src)}" download="${esc(attachmentKey(a.name))}" target="_blank" class="px-3 py-1 rounded-full border border-slate-300 bg-white/70 underline" style="color:${theme.primary};"><span aria-hidden="true">📎</span> ${esc(attachmentKey(a.name))}</a>`
+        )
+        .join('\n      ')}
+    </div>`
+      : '';
+
+  // Imágenes en fila y archivos adjuntos al pie, para los diseños sin columna lateral
+  const mediaRow = (images, otherFiles) =>
+    (images.length
+      ? `
+    <div class="flex justify-center gap-4 mt-6 h-28">
+      ${images.map((a) => imageTag(a, 'h-full max-w-[30%] object-contain rounded-lg')).join('\n      ')}
+    </div>`
+      : '') + fileLinks(otherFiles);
+  const descriptionFooter = (slide) =>
+    slide.description
+      ? `
+    <div class="mt-10 border-t border-slate-200 pt-4">
+      <p class="text-lg italic text-center opacity-80" style="font-family:${fonts.body};">${esc(slide.description)}</p>
+    </div>`
+      : '';
+  // Tabla de resultados de `Estadística:`; las columnas con números se alinean a la derecha
+  const statsTable = (table) => `
+    <table class="mt-4 text-sm border-collapse" style="font-family:${fonts.body};">
+      <thead>
+        <tr>${table.header
+          .map((h, i) => `<th class="px-2 py-1 ${i ? 'text-right' : 'text-left'} font-semibold" style="border-bottom:2px solid ${theme.primary};">${esc(h)}</th>`)
+          .join('')}</tr>
+      </thead>
+      <tbody>
+        ${table.rows
+          .map((row) => `<tr>${row.map((c, i) => `<td class="px-2 py-0.5 border-b border-slate-200 ${i ? 'text-right' : 'text-left'}">${esc(c)}</td>`).join('')}</tr>`)
+          .join('\n        ')}
+      </tbody>
+    </table>`;
+  const slideHeading = (text, cls) =>
+    `<h2 class="text-5xl font-bold ${cls}" style="color:${theme.primary}; font-family:${fonts.heading};">${esc(text)}</h2>`;
+  // Lista con viñetas anidada a partir de contentTree; cada nivel cambia de viñeta y se reduce
+  const bulletList = (nodes, level, cls) =>
+    nodes.length
+      ? `<ul class="${LIST_STYLES[Math.min(level, LIST_STYLES.length - 1)]} pl-8 ${cls}">${nodes
+          .map((n) => `<li>${inlineHtml(n.text)}${bulletList(n.children, level + 1, 'mt-1 space-y-1 text-[0.9em]')}</li>`)
+          .join('')}</ul>`
+      : '';
+  const subList = (node) => bulletList(node.children, 1, 'mt-2 space-y-1 text-[0.9em]');
+  let sectionCount = 0;
+  const cover = coverDetails(options.frontMatter, options.locale);
+  const band = footerBand(options.frontMatter);
+  const logo = options.logo || null;
+
+  // Cada diseño devuelve la diapositiva completa; el tercer argumento trae adjuntos y notas ya
+  // separados y los atributos de accesibilidad de la etiqueta <section>
+  const renderers = {
+    portada: (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => `
+<section class="ppt-slide flex flex-col justify-center items-center text-center" data-layout="portada" ${attrs} style="background: linear-gradient(135deg, ${coverColors(theme).join(', ')}); color: #FFFFFF;">
+  <div class="max-w-3xl px-6">
+    ${logo ? `${imageTag(logo, 'h-16 mx-auto mb-4 object-contain')}
+    ` : ''}<p class="text-sm mb-2 opacity-80" style="font-family: ${fonts.body};">${esc(cover.institution || t('deckTitle'))}</p>
+    <h1 class="text-5xl font-bold mb-4" style="font-family: ${fonts.heading};">${esc(slide.title || t('coverTitle'))}</h1>
+    ${
+      slide.content[0]
+        ? `<p class="text-xl mb-6" style="font-family: ${fonts.body};">${inlineHtml(slide.content[0])}</p>`
+        : ''
+    }${slide.content
+      .slice(1)
+      .map((t) => `\n    <p class="text-lg opacity-90" style="font-family: ${fonts.body};">${inlineHtml(t)}</p>`)
+      .join('')}
+    <div class="text-sm opacity-80 mt-4" style="font-family: ${fonts.body};">
+      <span>${cover.byline.map(esc).join(' · ')}</span>
+    </div>${
+      images.length
+        ? `
+    <div class="flex justify-center gap-4 mt-6">
+      ${images.map((a) => imageTag(a, 'h-20 object-contain')).join('\n      ')}
+    </div>`
+        : ''
+    }${fileLinks(otherFiles)}
+  </div>${footerHtml}${notesHtml}
+</section>`,
+
+    contenido: (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => {
+      const hasGraph = showsGraph(slide, index);
+      let html = `
+<section class="ppt-slide flex flex-row" data-layout="contenido" ${attrs} style="background:${theme.background}; color:${theme.text};">
+  <div class="flex-1 p-8 flex flex-col">
+    <h2 class="text-3xl font-semibold mb-4" style="color:${theme.primary}; font-family:${fonts.heading};">${esc(slide.title || t('slide', { n: index + 1 }))}</h2>`;
+
+      if (slide.content && slide.content.length) {
+        html += `
+    <div class="text-xl leading-relaxed" style="font-family:${fonts.body};">
+      ${bulletList(contentTree(slide), 0, 'space-y-2')}
+    </div>`;
+      }
+
+      if (hasGraph && slide.table) html += statsTable(slide.table);
+
+      if (slide.description) {
+        html += `
+    <p class="mt-4 text-sm opacity-80" style="font-family:${fonts.body};">${esc(slide.description)}</p>`;
+      }
+
+      // Con gráfica, las imágenes van en una fila bajo el texto; sin ella ocupan la columna derecha
+      if (hasGraph && images.length) {
+        html += `
+    <div class="flex gap-3 mt-4 h-40 min-h-0">
+      ${images.map((a) => imageTag(a, 'h-full max-w-[50%] object-contain rounded-lg')).join('\n      ')}
+    </div>`;
+      }
+      html += fileLinks(otherFiles);
+
+      html += `
+  </div>`;
+
+      if (!hasGraph && images.length) {
+        html += `
+  <div class="w-[40%] border-l border-slate-200 bg-white/70 p-4 flex flex-col gap-3 justify-center">
+    ${images.map((a) => imageTag(a, 'w-full flex-1 min-h-0 object-contain rounded-lg')).join('\n    ')}
+  </div>`;
+      }
+
+      if (hasGraph) {
+        const graphContainerId = `graph-main-${graphIdx + 1}`;
+        const graphFile = graphFiles[graphIdx] || null;
+        const chart = buildPlotlyChart(slide.graph, theme, options.locale);
+        graphConfigs.push({
+          id: graphContainerId,
+          data: chart.data,
+          layout: chart.layout,
+          title: plotlyText(slide.title || t('chartN', { n: graphIdx + 1 })),
+        });
+        html += `
+  <div class="w-[40%] border-l border-slate-200 bg-white/70 flex flex-col">
+    <div class="p-4 border-b border-slate-200">
+      <p class="text-xs font-semibold uppercase tracking-wide" style="font-family:${fonts.body}; color:${theme.primary};">${esc(t('chart'))}</p>
+      <p class="text-sm" style="font-family:${fonts.body};">${esc(slide.title || '')}</p>
+    </div>
+    <div class="flex-1 p-3">
+      <div id="${graphContainerId}" class="w-full h-full bg-slate-100 rounded-lg" role="img" aria-label="${esc(describeChart(slide.graph, options.locale))}"></div>${
+        // Con `Estadística:` la tabla de resultados ya está a la vista
+        slide.table ? '' : `\n      ${chartDataTable(slide.graph, `${t('chartData')}: ${slide.title || t('chartN', { n: graphIdx + 1 })}`, options.locale)}`
+      }
+    </div>
+    ${
+      graphFile
+        ? `<div class="px-4 py-3 border-t border-slate-200 bg-slate-50">
+      <p class="text-[11px] text-slate-500 mb-1" style="font-family:${fonts.body};">${esc(t('chartPage'))}</p>
+      <a href="${esc(graphFile)}" target="_blank" class="inline-flex items-center gap-1 text-[11px] underline" style="color:${theme.primary};">
+        <span>${esc(t('openChart', { n: graphIdx + 1 }))}</span>
+        <i class="fas fa-external-link-alt text-[10px]" aria-hidden="true"></i>
+      </a>
+    </div>`
+        : ''
+    }
+  </div>`;
+        graphIdx += 1;
+      }
+
+      return `${html}${footerHtml}${notesHtml}
+</section>`;
+    },
+
+    seccion: (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => {
+      sectionCount += 1;
+      return `
+<section class="ppt-slide flex flex-col justify-center px-20" data-layout="seccion" ${attrs} style="background:${theme.primary}; color:#FFFFFF;">
+  <p class="text-sm uppercase tracking-widest opacity-70 mb-4" style="font-family:${fonts.body};">${esc(t('section', { n: sectionCount }))}</p>
+  <h2 class="text-6xl font-bold mb-6" style="font-family:${fonts.heading}; line-height:1.2;">${esc(slide.title || t('slide', { n: index + 1 }))}</h2>
+  <div class="w-24 h-1 mb-8" style="background:${theme.accent};"></div>${slide.content
+    .map((t) => `\n  <p class="text-2xl opacity-90 mb-2" style="font-family:${fonts.body};">${inlineHtml(t)}</p>`)
+    .join('')}${mediaRow(images, otherFiles)}${footerHtml}${notesHtml}
+</section>`;
+    },
+
+    // Números grandes en color de acento, como "Contexto y problema" de la plantilla
+    'lista-numerada': (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => {
+      const items = contentTree(slide);
+      const twoColumns = items.length > 4;
+      return `
+<section class="ppt-slide flex flex-col justify-center px-16" data-layout="lista-numerada" ${attrs} style="background:${theme.background}; color:${theme.text};">
+  ${slideHeading(slide.title || t('slide', { n: index + 1 }), 'mb-10')}
+  <ol class="grid ${twoColumns ? 'grid-cols-2 gap-x-12 gap-y-5' : 'grid-cols-1 gap-y-6'}">${items
+    .map(
+      (item, i) => `
+    <li class="flex items-start gap-6">
+      <span class="${twoColumns ? 'text-3xl' : 'text-5xl'} font-bold leading-none" aria-hidden="true" style="color:${theme.accent}; font-family:${fonts.heading};">${i + 1}</span>
+      <div class="${twoColumns ? 'text-lg' : 'text-xl'} leading-relaxed" style="font-family:${fonts.body};">${inlineHtml(item.text)}${subList(item)}</div>
+    </li>`
+    )
+    .join('')}
+  </ol>${descriptionFooter(slide)}${mediaRow(images, otherFiles)}${footerHtml}${notesHtml}
+</section>`;
+    },
+
+    'dos-columnas': (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => `
+<section class="ppt-slide flex flex-col justify-center px-16" data-layout="dos-columnas" ${attrs} style="background:${theme.background}; color:${theme.text};">
+  ${slideHeading(slide.title || t('slide', { n: index + 1 }), 'mb-10 text-center')}
+  <div class="grid grid-cols-2 gap-12">${splitColumns(contentTree(slide))
+    .map(
+      (column, i) => `
+    <div class="${i ? 'border-l-2 border-slate-200 pl-12' : ''}">${
+        column.heading
+          ? `
+      <h3 class="text-3xl font-bold mb-4" style="color:${theme.primary}; font-family:${fonts.heading};">${inlineHtml(column.heading)}</h3>`
+          : ''
+      }
+      <div class="text-xl leading-relaxed" style="font-family:${fonts.body};">
+        ${bulletList(column.items, 0, 'space-y-3')}
+      </div>
+    </div>`
+    )
+    .join('')}
+  </div>${descriptionFooter(slide)}${mediaRow(images, otherFiles)}${footerHtml}${notesHtml}
+</section>`,
+
+    // "Objetivo general: ..." se convierte en una tarjeta con encabezado; la primera se resalta
+    tarjetas: (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => {
+      const cards = contentTree(slide).map((node) => ({ ...splitHeading(node.text), node }));
+      return `
+<section class="ppt-slide flex flex-col justify-center px-16" data-layout="tarjetas" ${attrs} style="background:${theme.background}; color:${theme.text};">
+  ${slideHeading(slide.title || t('slide', { n: index + 1 }), 'mb-12 text-center')}
+  <div class="grid ${CARD_COLUMNS[Math.max(1, Math.min(cards.length, CARD_COLUMNS.length)) - 1]} gap-8">${cards
+    .map(
+      (card, i) => `
+    <div class="p-6 rounded-xl border-t-4 shadow-sm" style="background:${i ? '#FFFFFF' : theme.primary + '0D'}; border-color:${i ? theme.accent : theme.primary};">${
+        card.heading
+          ? `
+      <h3 class="text-2xl font-bold mb-3" style="color:${theme.primary}; font-family:${fonts.heading};">${inlineHtml(card.heading)}</h3>`
+          : ''
+      }
+      <div class="text-lg leading-relaxed" style="font-family:${fonts.body};">${inlineHtml(card.text)}${subList(card.node)}</div>
+    </div>`
+    )
+    .join('')}
+  </div>${descriptionFooter(slide)}${mediaRow(images, otherFiles)}${footerHtml}${notesHtml}
+</section>`;
+    },
+
+    // Primer punto: la cita; segundo: el autor. Sin contenido se cita el título
+    cita: (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => {
+      const quote = slide.content[0] || slide.title;
+      const author = slide.content[1] ? slide.content[1].replace(/^[-—–]\s*/, '') : '';
+      return `
+<section class="ppt-slide flex flex-col justify-center items-center text-center px-24" data-layout="cita" ${attrs} style="background:${theme.background}; color:${theme.text};">${
+        slide.content[0] && slide.title
+          ? `
+  <h2 class="text-sm uppercase tracking-widest mb-4" style="color:${theme.primary}; font-family:${fonts.body};">${esc(slide.title)}</h2>`
+          : ''
+      }
+  <span class="text-8xl leading-none" aria-hidden="true" style="color:${theme.accent}; font-family:${fonts.heading};">“</span>
+  <blockquote class="text-4xl italic leading-snug mb-6" style="color:${theme.primary}; font-family:${fonts.heading};">${inlineHtml(quote)}</blockquote>${
+        author
+          ? `
+  <p class="text-xl opacity-80" style="font-family:${fonts.body};">— ${inlineHtml(author)}</p>`
+          : ''
+      }${mediaRow(images, otherFiles)}${footerHtml}${notesHtml}
+</section>`;
+    },
+
+    // "[icono] Encabezado: texto", como el método y el marco teórico de la plantilla
+    'icono-texto': (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => {
+      const items = contentTree(slide).map((node) => {
+        const { icon, text } = splitIcon(node.text);
+        return { icon, node, ...splitHeading(text) };
+      });
+      return `
+<section class="ppt-slide flex flex-col justify-center px-16" data-layout="icono-texto" ${attrs} style="background:${theme.background}; color:${theme.text};">
+  ${slideHeading(slide.title || t('slide', { n: index + 1 }), 'mb-10')}
+  <div class="grid ${items.length > 3 ? 'grid-cols-2' : 'grid-cols-1'} gap-x-10 gap-y-6">${items
+    .map(
+      (item) => `
+    <div class="flex items-center gap-5">
+      <span class="w-16 h-16 shrink-0 rounded-full flex items-center justify-center text-3xl" style="background:${theme.primary}1A;" aria-hidden="true">${esc(item.icon)}</span>
+      <div style="font-family:${fonts.body};">${
+        item.heading
+          ? `
+        <h3 class="text-xl font-bold" style="color:${theme.primary};">${inlineHtml(item.heading)}</h3>`
+          : ''
+      }
+        <div class="text-lg leading-snug">${inlineHtml(item.text)}${subList(item.node)}</div>
+      </div>
+    </div>`
+    )
+    .join('')}
+  </div>${descriptionFooter(slide)}${mediaRow(images, otherFiles)}${footerHtml}${notesHtml}
+</section>`;
+    },
+
+    cierre: (slide, index, { images, otherFiles, footerHtml, notesHtml, attrs }) => `
+<section class="ppt-slide flex flex-col justify-center items-center text-center" data-layout="cierre" ${attrs} style="background: linear-gradient(135deg, ${coverColors(theme).join(', ')}); color: #FFFFFF;">
+  <h2 class="text-6xl font-bold mb-6" style="font-family:${fonts.heading};">${esc(slide.title || t('closingTitle'))}</h2>
+  <div class="w-24 h-1 mb-8" style="background:${theme.accent};"></div>${slide.content
+    .map((t, i) => `\n  <p class="${i ? 'text-lg opacity-80' : 'text-2xl'} mb-2" style="font-family:${fonts.body};">${inlineHtml(t)}</p>`)
+    .join('')}${mediaRow(images, otherFiles)}${footerHtml}${notesHtml}
+</section>`,
+  };
+
+  return slides.map((slide, index) => {
+    const attachments = slideAttachments[index] || [];
+    // Notas del orador: ocultas en la diapositiva, las lee la vista del presentador
+    const notesHtml = slide.notes ? `\n  <aside class="rs-notes" hidden>${esc(slide.notes)}</aside>` : '';
+    const firstGraph = graphConfigs.length;
+    // Cada diapositiva es una región con nombre para los lectores de pantalla
+    const layout = slideLayout(slide, index);
+    const banded = band && layout !== 'portada';
+    const attrs = `role="group" aria-roledescription="${esc(t('slideRole'))}" aria-label="${esc(slideLabel(slide, index, options.locale))}"${
+      banded ? ' data-band' : ''
+    }`;
+    // Pie del encabezado (texto, logo y número); en blanco sobre los diseños oscuros
+    const footerHtml = banded
+      ? `\n  <footer class="rs-band" style="color:${['seccion', 'cierre'].includes(layout) ? '#FFFFFF' : theme.text}; font-family:${fonts.body};">${
+          band.logo && logo ? `<img src="${esc(logo.src)}" alt="" class="rs-band-logo" />` : ''
+        }<span>${esc(band.text)}</span>${band.numbers ? `<span class="rs-band-number">${index + 1}</span>` : ''}</footer>`
+      : '';
+    const html = renderers[layout](slide, index, {
+      images: attachments.filter((a) => a.isImage),
+      otherFiles: attachments.filter((a) => !a.isImage),
+      footerHtml,
+      notesHtml,
+      attrs,
+    });
+    return { html, graphs: graphConfigs.slice(firstGraph) };
+  });
+}
+
+// options.fragments reutiliza un renderSlides ya hecho (buildDeck lo guarda para la vista previa en vivo);
+// con options.previewToken la página acepta los 'reslides:patch' que traigan ese token
+function generatePresentation(slides, graphFiles, theme, fonts, options = {}) {
+  theme = cssTheme(theme);
+  fonts = cssFonts(fonts);
+  const fragments = options.fragments || renderSlides(slides, graphFiles, theme, fonts, options);
+  const slideHtml = fragments.map((f) => f.html).join('');
+
+  const locale = options.locale;
+  const html = `<!DOCTYPE html>
+<html lang="${resolveLocale(locale)}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(localeText(locale, 'deckTitle'))}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  ${renderAssetTags(['tailwind', 'plotly'], fonts, options)}
+  <style>
+    body {
+      margin: 0;
+      background: ${theme.background};
+      color: ${theme.text};
+    }
+${PLAYER_STYLE}
+${SR_ONLY_STYLE}
+  </style>
+</head>
+<body>
+  <main id="rs-stage">
+    ${slideHtml}
+  </main>
+${playerControls(locale)}
+  <script>
+    (function () {
+      var graphs = ${scriptJson(fragments.flatMap((f) => f.graphs))};
+      if (!Array.isArray(graphs)) return;
+      function drawGraph(cfg) {
+        var el = document.getElementById(cfg.id);
+        if (!el || typeof Plotly === 'undefined') return;
+        var layout = Object.assign({
+          title: cfg.title,
+          paper_bgcolor: ${scriptJson(theme.background)},
+          plot_bgcolor: '#FFFFFF',
+          font: { family: ${scriptJson(fonts.body)}, color: ${scriptJson(theme.text)} },
+          margin: { t: 40, r: 20, b: 40, l: 40 }
+        }, cfg.layout);
+        Plotly.newPlot(el, cfg.data, layout, {responsive: true});
+      }
+      // El reproductor lo usa para las gráficas de las diapositivas que cambian en vivo
+      window.rsDrawGraph = drawGraph;
+      graphs.forEach(drawGraph);
+    })();
+  </script>
+  <script>${playerScript(options.previewToken)}
+  </script>
+</body>
+</html>`;
+  return withContentSecurityPolicy(html, options);
+}
+
+/* ===========================
+   README sencillo
+   =========================== */
+
+function generateReadme(slides, options = {}) {
+  const t = (key, vars) => localeText(options.locale, key, vars);
+  const totalSlides = slides.length;
+  const graphs = slides.filter((s, i) => showsGraph(s, i)).length;
+  return [
+    `# ${t('readmeTitle')}`,
+    '',
+    `- ${t('readmeSlides', { n: totalSlides })}`,
+    `- ${t('readmeCharts', { n: graphs })}`,
+    '',
+    t('readmeFiles'),
+    `- \`presentacion.html\`: ${t('readmePresentation')}`,
+    `- \`graficaN.html\`: ${t('readmeChartPages')}`,
+    ...(options.assetMode === 'local' ? [`- \`assets/\`: ${t('readmeAssets')}`] : []),
+    ...(options.attachmentCount ? [`- \`assets/\`: ${t('readmeAttachments', { n: options.attachmentCount })}`] : []),
+    ...(options.imageCount ? [`- \`png/\`: ${t('readmePng', { n: options.imageCount })}`] : []),
+    ...(options.dataCount ? [`- \`datos/\`: ${t('readmeData', { n: options.dataCount })}`] : []),
+    '',
+    t('readmePresent'),
+    '',
+    t('readmeFooter'),
+    '',
+  ].join('\n');
+}
+
+/* ===========================
+   Generación de PPTX con PptxGenJS
+   =========================== */
+
+// Datos y opciones de addChart equivalentes a buildPlotlyChart, con los colores y tipografías
+// del tema. options.errorBars (barras de error de cada serie) y options.trendline las añade
+// addPptxChartExtras
+function buildPptxChart(graph, theme, fonts = FONTS.default) {
+  const chartType = CHART_TYPES[graph.type] || CHART_TYPES.barras;
+  const palette = chartPalette(theme).map(toPptxColor);
+  const opts = graph.options || {};
+  const support = chartOptionSupport(graph);
+  const { labels, series } = orderedChartData(graph);
+  const textColor = toPptxColor(theme.text);
+  const options = {
+    chartColors: palette,
+    showLegend: series.length > 1,
+    titleColor: toPptxColor(theme.primary),
+    titleFontFace: fonts.heading,
+    titleFontSize: 14,
+    legendColor: textColor,
+    legendFontFace: fonts.body,
+    legendFontSize: 10,
+    catAxisLabelColor: textColor,
+    catAxisLabelFontFace: fonts.body,
+    catAxisLabelFontSize: 10,
+    valAxisLabelColor: textColor,
+    valAxisLabelFontFace: fonts.body,
+    valAxisLabelFontSize: 10,
+    valGridLine: { color: 'E2E8F0', size: 0.5 },
+    dataLabelColor: textColor,
+    dataLabelFontFace: fonts.body,
+    dataLabelFontSize: 9,
+  };
+  // Formato de Excel con la unidad como texto literal: General"%" -> 12%
+  const suffix = unitSuffix(opts.unit);
+  if (suffix) {
+    options.valAxisLabelFormatCode = `General"${suffix}"`;
+    options.dataLabelFormatCode = `General"${suffix}"`;
+  }
+  if (opts.dataLabels) options.showValue = true;
+  let data;
+
+  if (chartType.pptx.type === 'pie' || chartType.pptx.type === 'doughnut') {
+    data = [{ name: series[0].name, labels, values: series[0].values }];
+    options.showLegend = true;
+    options.showPercent = true;
+    return { type: chartType.pptx.type, data, options };
+  }
+
+  if (chartType.pptx.type === 'scatter') {
+    // PptxGenJS espera la primera serie con los valores X
+    data = [
+      { name: 'X', values: scatterXValues(labels) },
+      ...series.map((s) => ({ name: s.name, values: s.values })),
+    ];
+    options.lineSize = 0;
+    options.lineDataSymbolSize = 8;
+  } else {
+    data = series.map((s) => ({ name: s.name, labels, values: s.values }));
+    if (chartType.pptx.barGrouping) options.barGrouping = chartType.pptx.barGrouping;
+  }
+
+  if (chartType.pptx.type === 'bar') {
+    options.barDir = opts.horizontal && support.horizontal ? 'bar' : 'col';
+    // Con una sola serie PptxGenJS pinta cada barra de un color de chartColors: el primero
+    // para todas, como en Plotly, o el resaltado para la barra de `Destacar:`
+    if (series.length === 1) {
+      options.chartColors =
+        opts.highlight && support.highlight
+          ? labels.map((l) => (l === opts.highlight ? palette[0] : toPptxColor(MUTED_CHART_COLOR)))
+          : [palette[0]];
+    }
+    if (opts.dataLabels) options.dataLabelPosition = chartType.pptx.barGrouping === 'stacked' ? 'ctr' : 'outEnd';
+  } else if (opts.dataLabels) {
+    options.dataLabelPosition = 't';
+  }
+  if (opts.xTitle) Object.assign(options, { showCatAxisTitle: true, catAxisTitle: opts.xTitle, catAxisTitleColor: textColor });
+  if (opts.yTitle) Object.assign(options, { showValAxisTitle: true, valAxisTitle: opts.yTitle, valAxisTitleColor: textColor });
+  if (opts.min !== undefined) options.valAxisMinVal = opts.min;
+  if (opts.max !== undefined) options.valAxisMaxVal = opts.max;
+  if (support.errors && series.some((s) => s.errors)) {
+    options.errorBars = series.map((s) => s.errors || null);
+  }
+  if (opts.trend && support.trend) options.trendline = true;
+  return { type: chartType.pptx.type, data, options };
+}
+
+// Recta de tendencia (<c:trendline>) y barras de error a medida (<c:errBars>) en el XML de
+// una gráfica, por cada <c:ser>; van justo antes de las categorías (<c:cat>) o de los valores
+// X en dispersión (<c:xVal>), en el orden que pide el esquema
+function injectChartExtras(xml, extras, color) {
+  const numbers = (values) =>
+    `<c:numLit><c:formatCode>General</c:formatCode><c:ptCount val="${values.length}"/>${values
+      .map((v, i) => `<c:pt idx="${i}"><c:v>${Math.abs(v)}</c:v></c:pt>`)
+      .join('')}</c:numLit>`;
+  let index = -1;
+  return xml.replace(/<c:ser>[\s\S]*?<\/c:ser>/g, (ser) => {
+    index++;
+    const errors = extras.errorBars && extras.errorBars[index];
+    const at = ser.search(/<c:(cat|xVal)>/);
+    if ((!errors && !extras.trendline) || at < 0) return ser;
+    let added = '';
+    if (extras.trendline) {
+      // Del color de su serie, como en Plotly
+      const colors = extras.chartColors || [color];
+      added +=
+        `<c:trendline><c:spPr><a:ln w="19050"><a:solidFill><a:srgbClr val="${colors[index % colors.length]}"/></a:solidFill><a:prstDash val="dash"/></a:ln></c:spPr>` +
+        '<c:trendlineType val="linear"/><c:dispRSqr val="0"/><c:dispEq val="0"/></c:trendline>';
+    }
+    if (errors) {
+      const direction = ser.includes('<c:xVal>') ? '<c:errDir val="y"/>' : '';
+      added +=
+        `<c:errBars>${direction}<c:errBarType val="both"/><c:errValType val="cust"/><c:noEndCap val="0"/>` +
+        `<c:plus>${numbers(errors)}</c:plus><c:minus>${numbers(errors)}</c:minus>` +
+        `<c:spPr><a:ln w="12700"><a:solidFill><a:srgbClr val="${color}"/></a:solidFill></a:ln></c:spPr></c:errBars>`;
+    }
+    return ser.slice(0, at) + added + ser.slice(at);
+  });
+}
+
+/*
+ * PptxGenJS no sabe dibujar barras de error ni rectas de tendencia: se añaden al XML de cada
+ * gráfica que las pida cuando el archivo se genera, sea con write o con writeFile. Para eso se
+ * envuelve createChartMediaRels y se lee slide._relsChart, que no son API pública: index.html
+ * fija la versión de PptxGenJS con la que se probó (4.0.1). Devuelve false si esta versión no
+ * los tiene, y generatePptx lo avisa en lugar de perder las barras en silencio.
+ */
+function addPptxChartExtras(pres, color) {
+  const original = pres.createChartMediaRels;
+  if (typeof original !== 'function') return false;
+  pres.createChartMediaRels = (slide, zip, chartPromises) => {
+    const start = chartPromises.length;
+    original(slide, zip, chartPromises);
+    const charts = (slide._relsChart || []).filter((rel) => rel.opts && (rel.opts.errorBars || rel.opts.trendline));
+    if (!charts.length) return;
+    // El XML de cada gráfica se escribe cuando termina su hoja de Excel
+    const written = chartPromises.slice(start);
+    chartPromises.push(
+      Promise.all(written).then(() =>
+        Promise.all(
+          charts.map(async (rel) => {
+            const path = `ppt/charts/${rel.fileName}`;
+            const file = zip.file(path);
+            if (file) zip.file(path, injectChartExtras(await file.async('string'), rel.opts, color));
+          })
+        )
+      )
+    );
+  };
+  return true;
+}
+
+// Imagen adjunta para addImage: datos incrustados o URL remota
+function pptxImage(attachment, box) {
+  const source = attachment.data
+    ? { data: `${attachment.type};base64,${bytesToBase64(attachment.data)}` }
+    : { path: attachment.src };
+  return { ...source, ...box, altText: attachment.alt, sizing: { type: 'contain', w: box.w, h: box.h } };
+}
+
+// Los archivos que no son imagen no se pueden incrustar: se listan al pie de la diapositiva
+function addPptxFileList(s, files, fonts, color) {
+  if (!files.length) return;
+  s.addText(
+    files.map((a, i) => ({
+      text: (i ? ', ' : '📎 ') + attachmentKey(a.name),
+      options: a.data ? {} : { hyperlink: { url: a.src } },
+    })),
+    { x: 0.7, y: 5.05, w: 8.6, h: 0.35, fontSize: 10, color, fontFace: fonts.body }
+  );
+}
+
+// Runs de PptxGenJS para un texto con Markdown en línea; `paragraph` son las opciones del
+// párrafo (viñeta, nivel), que PptxGenJS sólo respeta en el primer run: en los demás un
+// `bullet` abriría otro párrafo
+function pptxTextRuns(text, options = {}, paragraph = {}) {
+  const runs = parseInline(text).map((r, i) => ({
+    text: r.text,
+    options: {
+      ...options,
+      ...(i ? {} : paragraph),
+      ...(r.bold ? { bold: true } : {}),
+      ...(r.italic ? { italic: true } : {}),
+      ...(r.code ? { fontFace: 'Courier New' } : {}),
+      ...(r.link ? { hyperlink: { url: r.link } } : {}),
+    },
+  }));
+  if (runs.length) runs[runs.length - 1].options.breakLine = true;
+  return runs;
+}
+
+// Un párrafo con viñeta por punto ({ text, level }), con la sangría de su nivel
+function pptxBulletRuns(items, options = {}) {
+  return items.flatMap(({ text, level }) => pptxTextRuns(text, options, { bullet: true, indentLevel: level }));
+}
+
+// Patrón de diapositiva de PptxGenJS para cada diseño (ver los defineSlideMaster de generatePptx)
+const PPTX_MASTERS = { portada: 'RESLIDES_PORTADA', seccion: 'RESLIDES_OSCURO', cierre: 'RESLIDES_OSCURO' };
+
+// Construye la presentación PptxGenJS; quien llama decide si usar writeFile o write.
+// options.attachments son los archivos para `Adjunto:`; options.frontMatter, el encabezado
+// del guion (portada, pie, logo y agenda, como en buildDeck). pres.warnings lleva los avisos
+// { slide, field, severity, message } de lo que el PPTX no puede mostrar
+function generatePptx(slides, theme, fonts, options = {}) {
+  const t = (key, vars) => localeText(options.locale, key, vars);
+  const PptxGen = resolveLibrary('PptxGenJS', 'pptxgenjs');
+  if (!PptxGen) {
+    throw new Error(t('libraryMissing', { name: 'PptxGenJS' }));
+  }
+  const pres = new PptxGen();
+  pres.layout = 'LAYOUT_16x9';
+  const chartExtras = addPptxChartExtras(pres, toPptxColor(theme.text));
+  const skippedExtras = [];
+  slides = withAgenda(slides, options.frontMatter, options.locale);
+  const { perSlide } = resolveAttachments(slides, options.attachments, 'data');
+  const { logo } = resolveLogo(options.frontMatter, options.attachments, 'data');
+  const details = coverDetails(options.frontMatter, options.locale);
+  const band = footerBand(options.frontMatter);
+
+  const primary = toPptxColor(theme.primary);
+  const accent = toPptxColor(theme.accent);
+  const textColor = toPptxColor(theme.text);
+  // PptxGenJS no admite fondos degradados: la portada y el cierre usan el primer color
+  const cover = toPptxColor(coverColors(theme)[0]);
+  let sectionCount = 0;
+
+  // Patrones: el pie, el logo y el número del encabezado van en el patrón y no en cada
+  // diapositiva, así que quien edite el PPTX los cambia en un solo sitio
+  const bandObjects = (color) => {
+    if (!band) return [];
+    const withLogo = Boolean(band.logo && logo);
+    const text = { x: withLogo ? 1 : 0.4, y: 5.3, w: 7, h: 0.26, fontSize: 10, color, fontFace: fonts.body };
+    return [
+      ...(withLogo ? [{ image: pptxImage(logo, { x: 0.4, y: 5.3, w: 0.5, h: 0.26 }) }] : []),
+      ...(band.text ? [{ text: { text: band.text, options: text } }] : []),
+    ];
+  };
+  const bandNumber = (color) =>
+    band && band.numbers
+      ? { slideNumber: { x: 9, y: 5.3, w: 0.6, h: 0.26, fontSize: 10, bold: true, color, fontFace: fonts.body, align: 'right' } }
+      : {};
+  pres.defineSlideMaster({ title: 'RESLIDES_PORTADA', background: { color: cover } });
+  pres.defineSlideMaster({
+    title: 'RESLIDES_CLARO',
+    background: { color: toPptxColor(theme.background) },
+    objects: bandObjects(textColor),
+    ...bandNumber(textColor),
+  });
+  pres.defineSlideMaster({
+    title: 'RESLIDES_OSCURO',
+    background: { color: primary },
+    objects: bandObjects('FFFFFF'),
+    ...bandNumber('FFFFFF'),
+  });
+
+  const addTitle = (s, text, extra = {}) =>
+    s.addText(text, {
+      x: 0.5,
+      y: 0.4,
+      w: 9,
+      h: 0.8,
+      fontSize: 30,
+      bold: true,
+      color: primary,
+      fontFace: fonts.heading,
+      ...extra,
+    });
+  const addDescription = (s, slide) => {
+    if (!slide.description) return;
+    s.addShape(pres.ShapeType.line, { x: 0.7, y: 4.55, w: 8.6, h: 0, line: { color: 'E2E8F0', width: 1 } });
+    s.addText(slide.description, {
+      x: 0.7,
+      y: 4.6,
+      w: 8.6,
+      h: 0.45,
+      fontSize: 13,
+      italic: true,
+      align: 'center',
+      color: textColor,
+      fontFace: fonts.body,
+    });
+  };
+  // Imágenes en fila centrada, equivalente a mediaRow de la versión HTML
+  const addImageRow = (s, images, y, h) => {
+    const w = Math.min(2.4, (8.6 - 0.2 * (images.length - 1)) / images.length);
+    const start = 5 - (images.length * (w + 0.2) - 0.2) / 2;
+    images.forEach((a, i) => s.addImage(pptxImage(a, { x: start + i * (w + 0.2), y, w, h })));
+  };
+  // Texto con encabezado opcional en negrita y subpuntos, para tarjetas e icono-texto
+  const headingRuns = (heading, text, size, node) => [
+    ...(heading ? pptxTextRuns(heading, { bold: true, color: primary, fontSize: size + 2, fontFace: fonts.heading }) : []),
+    ...pptxTextRuns(text, { fontSize: size, color: textColor }),
+    ...pptxBulletRuns(flattenTree(node.children, 1), { fontSize: size - 2, color: textColor }),
+  ];
+
+  // Mismo vocabulario que los renderers de generatePresentation, en pulgadas (10 x 5.625)
+  const layouts = {
+    portada: (s, slide, index, { images, otherFiles }) => {
+      s.background = { color: cover };
+      if (logo) s.addImage(pptxImage(logo, { x: 4.2, y: 0.2, w: 1.6, h: 0.6 }));
+      if (details.institution) {
+        s.addText(details.institution, {
+          x: 0.5,
+          y: 0.8,
+          w: 9,
+          h: 0.35,
+          fontSize: 14,
+          color: 'FFFFFF',
+          align: 'center',
+          fontFace: fonts.body,
+          objectName: PPTX_FRONT_MATTER_SHAPE,
+        });
+      }
+      s.addText(slide.title || t('coverTitle'), {
+        x: 0.5,
+        y: 1.2,
+        w: 9,
+        h: 1,
+        fontSize: 36,
+        bold: true,
+        color: 'FFFFFF',
+        align: 'center',
+        fontFace: fonts.heading,
+      });
+      if (slide.content && slide.content[0]) {
+        s.addText(pptxTextRuns(slide.content[0]), {
+          x: 1,
+          y: 2.2,
+          w: 8,
+          h: 0.9,
+          fontSize: 20,
+          color: 'FFFFFF',
+          align: 'center',
+          fontFace: fonts.body,
+        });
+      }
+      if (slide.content.length > 1) {
+        s.addText(slide.content.slice(1).flatMap((t) => pptxTextRuns(t)), {
+          x: 1,
+          y: 3.1,
+          w: 8,
+          h: 0.9,
+          fontSize: 14,
+          color: 'FFFFFF',
+          align: 'center',
+          fontFace: fonts.body,
+        });
+      }
+      s.addText(details.byline.join(' · '), {
+        x: 0.5,
+        y: 4.0,
+        w: 9,
+        h: 0.5,
+        fontSize: 14,
+        color: 'FFFFFF',
+        align: 'center',
+        fontFace: fonts.body,
+        objectName: PPTX_FRONT_MATTER_SHAPE,
+      });
+      const logoW = 1.6;
+      images.forEach((a, i) => {
+        const x = 5 - (images.length * (logoW + 0.2) - 0.2) / 2 + i * (logoW + 0.2);
+        s.addImage(pptxImage(a, { x, y: 4.5, w: logoW, h: 0.8 }));
+      });
+      addPptxFileList(s, otherFiles, fonts, 'FFFFFF');
+    },
+
+    contenido: (s, slide, index, { images, otherFiles }) => {
+      // Título
+      s.addText(slide.title || t('slide', { n: index + 1 }), {
+        x: 0.5,
+        y: 0.5,
+        w: 9,
+        h: 0.6,
+        fontSize: 26,
+        bold: true,
+        color: primary,
+        fontFace: fonts.heading,
+      });
+
+      const hasGraph = showsGraph(slide, index);
+      // La columna derecha la ocupa la gráfica o, si no hay, las imágenes adjuntas
+      const narrow = hasGraph || images.length > 0;
+      const imageRow = hasGraph && images.length > 0;
+      const hasContent = slide.content && slide.content.length > 0;
+      const table = hasGraph && slide.table;
+
+      // Contenido
+      if (hasContent) {
+        s.addText(pptxBulletRuns(contentItems(slide)), {
+          x: 0.7,
+          y: 1.3,
+          w: narrow ? 4.5 : 8.5,
+          h: table ? 1.1 : imageRow ? 2.2 : 3,
+          fontSize: 16,
+          color: textColor,
+          fontFace: fonts.body,
+        });
+      }
+
+      // Tabla de `Estadística:` bajo las viñetas; las filas se estrechan para caber sobre la descripción
+      if (table) {
+        const y = hasContent ? 2.5 : 1.3;
+        const bottom = imageRow ? 3.45 : 4.5;
+        const rowH = Math.min(0.3, (bottom - y) / (table.rows.length + 1));
+        const cell = (text, i, extra = {}) => ({ text, options: { align: i ? 'right' : 'left', ...extra } });
+        s.addTable(
+          [
+            table.header.map((h, i) => cell(h, i, { bold: true, color: 'FFFFFF', fill: { color: primary } })),
+            ...table.rows.map((row) => row.map((c, i) => cell(c, i))),
+          ],
+          {
+            x: 0.7,
+            y,
+            w: 4.5,
+            rowH,
+            fontSize: rowH < 0.25 ? 8 : 10,
+            fontFace: fonts.body,
+            color: textColor,
+            border: { type: 'solid', pt: 0.5, color: 'CBD5E0' },
+          }
+        );
+      }
+
+      if (hasGraph) {
+        const chart = buildPptxChart(slide.graph, theme, fonts);
+        if (!chartExtras && (chart.options.errorBars || chart.options.trendline)) skippedExtras.push(index);
+        s.addChart(pres.ChartType[chart.type], chart.data, {
+          x: 5.4,
+          y: 1.3,
+          w: 4.3,
+          h: 3.3,
+          chartTitle: slide.title || t('chart'),
+          altText: describeChart(slide.graph, options.locale),
+          ...chart.options,
+        });
+      }
+
+      // La descripción va tras la gráfica para que el orden de lectura siga al de la diapositiva
+      if (slide.description) {
+        s.addText(slide.description, {
+          x: 0.7,
+          y: hasGraph ? 4.6 : 4.0,
+          w: narrow ? 4.5 : 8.5,
+          h: 1,
+          fontSize: 12,
+          color: textColor,
+          fontFace: fonts.body,
+        });
+      }
+
+      if (imageRow) {
+        const w = (4.5 - 0.2 * (images.length - 1)) / images.length;
+        images.forEach((a, i) => {
+          s.addImage(pptxImage(a, { x: 0.7 + i * (w + 0.2), y: 3.55, w, h: 1.0 }));
+        });
+      } else if (images.length) {
+        const h = (3.3 - 0.2 * (images.length - 1)) / images.length;
+        images.forEach((a, i) => {
+          s.addImage(pptxImage(a, { x: 5.4, y: 1.3 + i * (h + 0.2), w: 4.3, h }));
+        });
+      }
+      addPptxFileList(s, otherFiles, fonts, textColor);
+    },
+
+    seccion: (s, slide, index, { images, otherFiles }) => {
+      sectionCount += 1;
+      s.background = { color: primary };
+      s.addText(`SECCIÓN ${sectionCount}`, {
+        x: 0.9,
+        y: 1.1,
+        w: 8,
+        h: 0.4,
+        fontSize: 12,
+        charSpacing: 4,
+        color: 'FFFFFF',
+        transparency: 30,
+        fontFace: fonts.body,
+      });
+      s.addText(slide.title || t('slide', { n: index + 1 }), {
+        x: 0.9,
+        y: 1.5,
+        w: 8.2,
+        h: 1.3,
+        fontSize: 40,
+        bold: true,
+        color: 'FFFFFF',
+        valign: 'top',
+        fontFace: fonts.heading,
+      });
+      s.addShape(pres.ShapeType.rect, { x: 0.9, y: 2.95, w: 1.2, h: 0.06, fill: { color: accent }, line: { color: accent } });
+      if (slide.content.length) {
+        s.addText(slide.content.flatMap((t) => pptxTextRuns(t)), {
+          x: 0.9,
+          y: 3.15,
+          w: 8.2,
+          h: 1.0,
+          fontSize: 18,
+          color: 'FFFFFF',
+          valign: 'top',
+          fontFace: fonts.body,
+        });
+      }
+      if (images.length) addImageRow(s, images, 4.2, 0.8);
+      addPptxFileList(s, otherFiles, fonts, 'FFFFFF');
+    },
+
+    'lista-numerada': (s, slide, index, { images, otherFiles }) => {
+      addTitle(s, slide.title || t('slide', { n: index + 1 }));
+      const items = contentTree(slide);
+      const twoColumns = items.length > 4;
+      const perColumn = twoColumns ? Math.ceil(items.length / 2) : items.length;
+      const bottom = slide.description ? 4.45 : images.length ? 3.9 : 4.9;
+      const step = Math.min(0.85, (bottom - 1.4) / Math.max(perColumn, 1));
+      items.forEach((item, i) => {
+        const column = twoColumns && i >= perColumn ? 1 : 0;
+        const x = 0.7 + column * 4.4;
+        const y = 1.4 + (i % perColumn) * step;
+        s.addText(String(i + 1), {
+          x,
+          y,
+          w: 0.6,
+          h: step,
+          fontSize: twoColumns ? 24 : 32,
+          bold: true,
+          color: accent,
+          valign: 'top',
+          fontFace: fonts.heading,
+        });
+        s.addText([...pptxTextRuns(item.text), ...pptxBulletRuns(flattenTree(item.children, 1), { fontSize: twoColumns ? 12 : 14 })], {
+          x: x + 0.6,
+          y,
+          w: twoColumns ? 3.6 : 8,
+          h: step,
+          fontSize: twoColumns ? 14 : 16,
+          color: textColor,
+          valign: 'top',
+          fontFace: fonts.body,
+        });
+      });
+      addDescription(s, slide);
+      if (images.length) addImageRow(s, images, 3.95, 0.6);
+      addPptxFileList(s, otherFiles, fonts, textColor);
+    },
+
+    'dos-columnas': (s, slide, index, { images, otherFiles }) => {
+      addTitle(s, slide.title || t('slide', { n: index + 1 }), { align: 'center' });
+      const h = slide.description || images.length ? 2.9 : 3.4;
+      splitColumns(contentTree(slide)).forEach((column, i) => {
+        const runs = pptxBulletRuns(flattenTree(column.items));
+        if (column.heading) {
+          runs.unshift(...pptxTextRuns(column.heading, { bold: true, color: primary, fontSize: 22, fontFace: fonts.heading }));
+        }
+        if (!runs.length) return;
+        s.addText(runs, {
+          x: i ? 5.3 : 0.7,
+          y: 1.4,
+          w: 4,
+          h,
+          fontSize: 16,
+          color: textColor,
+          valign: 'top',
+          paraSpaceAfter: 6,
+          fontFace: fonts.body,
+        });
+      });
+      s.addShape(pres.ShapeType.line, { x: 5, y: 1.4, w: 0, h, line: { color: 'E2E8F0', width: 1.5 } });
+      addDescription(s, slide);
+      if (images.length) addImageRow(s, images, 3.95, 0.6);
+      addPptxFileList(s, otherFiles, fonts, textColor);
+    },
+
+    tarjetas: (s, slide, index, { images, otherFiles }) => {
+      addTitle(s, slide.title || t('slide', { n: index + 1 }), { align: 'center' });
+      const cards = contentTree(slide).map((node) => ({ ...splitHeading(node.text), node }));
+      const perRow = Math.max(1, Math.min(cards.length, 3));
+      const rows = Math.ceil(cards.length / perRow);
+      const w = (8.6 - 0.3 * (perRow - 1)) / perRow;
+      const areaH = (slide.description || images.length ? 2.9 : 3.4) - 0.2 * (rows - 1);
+      const h = areaH / Math.max(rows, 1);
+      cards.forEach((card, i) => {
+        const x = 0.7 + (i % perRow) * (w + 0.3);
+        const y = 1.4 + Math.floor(i / perRow) * (h + 0.2);
+        const border = i ? accent : primary;
+        s.addText(headingRuns(card.heading, card.text, 14, card.node), {
+          x,
+          y,
+          w,
+          h,
+          shape: pres.ShapeType.rect,
+          fill: i ? { color: 'FFFFFF' } : { color: primary, transparency: 92 },
+          line: { color: 'E2E8F0', width: 1 },
+          valign: 'top',
+          margin: 10,
+          fontFace: fonts.body,
+        });
+        s.addShape(pres.ShapeType.rect, { x, y, w, h: 0.06, fill: { color: border }, line: { color: border } });
+      });
+      addDescription(s, slide);
+      if (images.length) addImageRow(s, images, 3.95, 0.6);
+      addPptxFileList(s, otherFiles, fonts, textColor);
+    },
+
+    cita: (s, slide, index, { images, otherFiles }) => {
+      const quote = slide.content[0] || slide.title;
+      const author = slide.content[1] ? slide.content[1].replace(/^[-—–]\s*/, '') : '';
+      if (slide.content[0] && slide.title) {
+        s.addText(slide.title.toUpperCase(), {
+          x: 0.5,
+          y: 0.5,
+          w: 9,
+          h: 0.4,
+          fontSize: 12,
+          charSpacing: 4,
+          align: 'center',
+          color: primary,
+          fontFace: fonts.body,
+        });
+      }
+      s.addText('“', { x: 4.25, y: 0.8, w: 1.5, h: 1.1, fontSize: 80, align: 'center', color: accent, fontFace: fonts.heading });
+      s.addText(pptxTextRuns(quote || ''), {
+        x: 1,
+        y: 1.9,
+        w: 8,
+        h: 1.7,
+        fontSize: 26,
+        italic: true,
+        align: 'center',
+        color: primary,
+        fontFace: fonts.heading,
+      });
+      if (author) {
+        s.addText(pptxTextRuns(`— ${author}`), { x: 1, y: 3.7, w: 8, h: 0.5, fontSize: 16, align: 'center', color: textColor, fontFace: fonts.body });
+      }
+      if (images.length) addImageRow(s, images, 4.3, 0.7);
+      addPptxFileList(s, otherFiles, fonts, textColor);
+    },
+
+    'icono-texto': (s, slide, index, { images, otherFiles }) => {
+      addTitle(s, slide.title || t('slide', { n: index + 1 }));
+      const items = contentTree(slide).map((node) => {
+        const { icon, text } = splitIcon(node.text);
+        return { icon, node, ...splitHeading(text) };
+      });
+      const twoColumns = items.length > 3;
+      const perColumn = twoColumns ? Math.ceil(items.length / 2) : items.length;
+      const bottom = slide.description ? 4.45 : images.length ? 3.9 : 4.9;
+      const step = Math.min(1.1, (bottom - 1.4) / Math.max(perColumn, 1));
+      const size = Math.min(0.75, step - 0.1);
+      items.forEach((item, i) => {
+        const column = twoColumns && i >= perColumn ? 1 : 0;
+        const x = 0.7 + column * 4.4;
+        const y = 1.4 + (i % perColumn) * step;
+        s.addText(item.icon, {
+          x,
+          y,
+          w: size,
+          h: size,
+          shape: pres.ShapeType.ellipse,
+          fill: { color: primary, transparency: 90 },
+          line: { color: primary, transparency: 90 },
+          align: 'center',
+          valign: 'middle',
+          fontSize: 20,
+        });
+        s.addText(headingRuns(item.heading, item.text, 14, item.node), {
+          x: x + size + 0.2,
+          y,
+          w: (twoColumns ? 4.2 : 8.6) - size - 0.2,
+          h: size,
+          valign: 'middle',
+          fontFace: fonts.body,
+        });
+      });
+      addDescription(s, slide);
+      if (images.length) addImageRow(s, images, 3.95, 0.6);
+      addPptxFileList(s, otherFiles, fonts, textColor);
+    },
+
+    cierre: (s, slide, index, { images, otherFiles }) => {
+      s.background = { color: cover };
+      s.addText(slide.title || t('closingTitle'), {
+        x: 0.5,
+        y: 1.2,
+        w: 9,
+        h: 1.1,
+        fontSize: 44,
+        bold: true,
+        align: 'center',
+        color: 'FFFFFF',
+        fontFace: fonts.heading,
+      });
+      s.addShape(pres.ShapeType.rect, { x: 4.4, y: 2.45, w: 1.2, h: 0.06, fill: { color: accent }, line: { color: accent } });
+      if (slide.content.length) {
+        s.addText(
+          slide.content.flatMap((t, i) => pptxTextRuns(t, { fontSize: i ? 14 : 20 })),
+          { x: 1, y: 2.7, w: 8, h: 1.5, align: 'center', valign: 'top', color: 'FFFFFF', fontFace: fonts.body }
+        );
+      }
+      if (images.length) addImageRow(s, images, 4.3, 0.7);
+      addPptxFileList(s, otherFiles, fonts, 'FFFFFF');
+    },
+  };
+
+  slides.forEach((slide, index) => {
+    const layout = slideLayout(slide, index);
+    const s = pres.addSlide({ masterName: PPTX_MASTERS[layout] || 'RESLIDES_CLARO' });
+    if (slide.notes) s.addNotes(slide.notes);
+    layouts[layout](s, slide, index, {
+      images: perSlide[index].filter((a) => a.isImage),
+      otherFiles: perSlide[index].filter((a) => !a.isImage),
+    });
+  });
+
+  // Número en el guion: la agenda generada no cuenta
+  pres.warnings = skippedExtras.map((index) => ({
+    slide: slides.slice(0, index + 1).filter((slide) => !slide.agenda).length,
+    field: 'PPTX',
+    severity: 'warning',
+    message: t('pptxExtrasSkipped'),
+  }));
+  return pres;
+}
+
+/* ===========================
+   Paquete completo
+   =========================== */
+
+/*
+ * Genera todos los archivos de una presentación a partir de las diapositivas.
+ * Con assetMode 'inline' se produce un único presentacion.html autosuficiente (sin
+ * páginas de gráficas); con 'local' se añaden los archivos de assets/ en assetFiles.
+ * options.attachments son los archivos para `Adjunto:`; con attachmentMode 'files' se
+ * enlazan en assets/ (attachmentFiles) y si no, se incrustan. Los que faltan van a warnings.
+ * Los archivos de datos de las gráficas (`Archivo:`) se copian en datos/ (dataFiles); sus
+ * valores ya deben estar en las diapositivas (resolveDataSources).
+ * options.locale es el idioma de los textos generados, fechas y números (ver LOCALES).
+ * accessibility trae la revisión de checkAccessibility con el tema elegido.
+ * options.frontMatter es el encabezado del guion (analyzeScript): datos de la portada, pie,
+ * logo y agenda; con agenda, `slides` del resultado ya la incluye.
+ * Con options.previewToken se añade previewHtml, la versión para la vista previa en vivo que
+ * acepta parches (previewPatch); presentationHtml, la que se descarga, no los escucha.
+ */
+function buildDeck(slides, options = {}) {
+  const themeKey = THEMES[options.themeKey] ? options.themeKey : 'default';
+  const fontKey = FONTS[options.fontKey] ? options.fontKey : 'default';
+  const theme = THEMES[themeKey];
+  const fonts = FONTS[fontKey];
+  const assetMode = options.assetMode || 'cdn';
+  const locale = resolveLocale(options.locale);
+  const frontMatter = options.frontMatter || null;
+  slides = withAgenda(slides, frontMatter, locale);
+  const assetOptions = { assetMode, assets: options.assets, locale };
+  // Un HTML autosuficiente no puede enlazar archivos sueltos: los adjuntos van incrustados
+  const attachmentMode = assetMode !== 'inline' && options.attachmentMode === 'files' ? 'files' : 'data';
+  const attachmentPaths = new Map();
+  const attachments = resolveAttachments(slides, options.attachments, attachmentMode, locale, attachmentPaths);
+  const logo = resolveLogo(frontMatter, options.attachments, attachmentMode, locale, attachmentPaths);
+  const attachmentFiles = [
+    ...attachments.files,
+    ...logo.files.filter((file) => !attachments.files.some((f) => f.filename === file.filename)),
+  ];
+
+  // Archivos de gráficas (para incluir en ZIP y enlazar desde la presentación)
+  const graphFiles = [];
+  slides.forEach((slide, index) => {
+    if (assetMode === 'inline' || !showsGraph(slide, index)) return;
+    const graphIndex = graphFiles.length + 1;
+    graphFiles.push({
+      filename: `grafica${graphIndex}.html`,
+      html: generateGraphHtml(slide, graphIndex, theme, fonts, assetOptions),
+    });
+  });
+
+  const presentationOptions = { ...assetOptions, slideAttachments: attachments.perSlide, frontMatter, logo: logo.logo };
+  // PNG de cada diapositiva ya rasterizados por el navegador (Uint8Array), para el ZIP
+  const slideImageFiles = (options.slideImages || []).map((data, index) => ({ filename: slideImageName(index), data }));
+  const dataFiles = dataSourceFiles(slides, options.attachments);
+  const graphNames = graphFiles.map((g) => g.filename);
+  const slideFragments = renderSlides(slides, graphNames, theme, fonts, presentationOptions);
+
+  return {
+    slides,
+    themeKey,
+    fontKey,
+    theme,
+    fonts,
+    assetMode,
+    locale,
+    frontMatter,
+    graphFiles,
+    assetFiles: assetMode === 'local' ? localAssetFiles(options.assets) : [],
+    attachmentFiles,
+    slideImageFiles,
+    dataFiles,
+    warnings: [...logo.warnings, ...attachments.warnings],
+    accessibility: checkAccessibility(slides, theme, { locale }),
+    slideFragments,
+    presentationHtml: generatePresentation(slides, graphNames, theme, fonts, {
+      ...presentationOptions,
+      fragments: slideFragments,
+    }),
+    previewToken: options.previewToken || null,
+    previewHtml: options.previewToken
+      ? generatePresentation(slides, graphNames, theme, fonts, {
+          ...presentationOptions,
+          fragments: slideFragments,
+          previewToken: options.previewToken,
+        })
+      : null,
+    readme: generateReadme(slides, {
+      assetMode,
+      locale,
+      attachmentCount: attachmentFiles.length,
+      imageCount: slideImageFiles.length,
+      dataCount: dataFiles.length,
+    }),
+  };
+}
+
+// Mensaje 'reslides:patch' que lleva una presentación ya abierta de `previous` a `deck`
+// cambiando sólo las diapositivas cuyo HTML es distinto. null si hay que recargarla entera
+// (otro tema, otra tipografía, otro modo de recursos u otro idioma cambian también lo que rodea a
+// las diapositivas) o si los decks no se construyeron para la misma vista previa (previewToken).
+function previewPatch(previous, deck) {
+  if (
+    !previous ||
+    !previous.slideFragments ||
+    !deck.previewToken ||
+    previous.previewToken !== deck.previewToken ||
+    previous.theme !== deck.theme ||
+    previous.fonts !== deck.fonts ||
+    previous.assetMode !== deck.assetMode ||
+    previous.locale !== deck.locale
+  ) {
+    return null;
+  }
+  const changed = [];
+  deck.slideFragments.forEach((fragment, index) => {
+    const before = previous.slideFragments[index];
+    // Los datos de las gráficas no están en el HTML: un cambio de valores también cuenta
+    if (!before || before.html !== fragment.html || JSON.stringify(before.graphs) !== JSON.stringify(fragment.graphs)) {
+      changed.push({ index, ...fragment });
+    }
+  });
+  return { type: 'reslides:patch', token: deck.previewToken, total: deck.slideFragments.length, slides: changed };
+}
+
+// "png/diapositiva-03.png": nombre de la imagen de una diapositiva en el ZIP (índice base 0)
+function slideImageName(index) {
+  return `png/diapositiva-${String(index + 1).padStart(2, '0')}.png`;
+}
+
+// ZIP con presentacion.html + gráficas + assets/ + png/ + datos/ + README; devuelve la instancia de JSZip
+function buildZip(deck) {
+  const JSZipLib = resolveLibrary('JSZip', 'jszip');
+  if (!JSZipLib) {
+    throw new Error(localeText(deck.locale, 'libraryMissing', { name: 'JSZip' }));
+  }
+  const zip = new JSZipLib();
+  zip.file('presentacion.html', deck.presentationHtml || '');
+  (deck.graphFiles || []).forEach((g) => {
+    zip.file(g.filename, g.html);
+  });
+  [
+    ...(deck.assetFiles || []),
+    ...(deck.attachmentFiles || []),
+    ...(deck.slideImageFiles || []),
+    ...(deck.dataFiles || []),
+  ].forEach((a) => {
+    zip.file(a.filename, a.data);
+  });
+  zip.file('README.md', deck.readme || generateReadme(deck.slides));
+  return zip;
+}
+
+/* ===========================
+   Importación desde PPTX
+   =========================== */
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(str) {
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (m, ent) => {
+    if (ent[0] !== '#') return ent in XML_ENTITIES ? XML_ENTITIES[ent] : m;
+    const code = /^#x/i.test(ent) ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
+}
+
+// Lector XML mínimo para las partes del PPTX: elementos { name, attrs, children } y
+// nodos { text }. No valida nada; basta para recorrer diapositivas, notas y gráficas.
+function parseXml(xml) {
+  const root = { name: '', attrs: {}, children: [] };
+  const stack = [root];
+  const token =
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let last = 0;
+  let m;
+  while ((m = token.exec(xml))) {
+    const parent = stack[stack.length - 1];
+    if (m.index > last) parent.children.push({ text: decodeXml(xml.slice(last, m.index)) });
+    last = token.lastIndex;
+    if (m[1] !== undefined) {
+      parent.children.push({ text: m[1] });
+    } else if (m[2]) {
+      // Cierra hasta la etiqueta correspondiente aunque falte algún cierre intermedio
+      const open = stack.map((el) => el.name).lastIndexOf(m[2]);
+      if (open > 0) stack.length = open;
+    } else if (m[3]) {
+      const attrs = {};
+      m[4].replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (a, key, dq, sq) => {
+        attrs[key] = decodeXml(dq !== undefined ? dq : sq);
+        return a;
+      });
+      const el = { name: m[3], attrs, children: [] };
+      parent.children.push(el);
+      if (!m[5]) stack.push(el);
+    }
+  }
+  return root;
+}
+
+// Los prefijos (p:, a:, c:...) varían entre programas: se compara por nombre local
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+function xmlChildren(el, name) {
+  return (el ? el.children : []).filter((c) => c.name && localName(c.name) === name);
+}
+
+function xmlFindAll(el, name, out = []) {
+  (el ? el.children : []).forEach((c) => {
+    if (!c.name) return;
+    if (localName(c.name) === name) out.push(c);
+    xmlFindAll(c, name, out);
+  });
+  return out;
+}
+
+function xmlFind(el, name) {
+  return xmlFindAll(el, name)[0] || null;
+}
+
+function xmlAttr(el, name) {
+  const key = el && Object.keys(el.attrs).find((k) => localName(k) === name);
+  return key ? el.attrs[key] : '';
+}
+
+function xmlText(el) {
+  if (!el) return '';
+  return el.text !== undefined ? el.text : el.children.map(xmlText).join('');
+}
+
+// Ruta de una parte del paquete a partir del Target de una relación
+function resolvePartPath(base, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = base.split('/').slice(0, -1);
+  target.split('/').forEach((p) => {
+    if (p === '..') parts.pop();
+    else if (p && p !== '.') parts.push(p);
+  });
+  return parts.join('/');
+}
+
+async function readXmlPart(zip, path) {
+  const file = zip.file(path);
+  return file ? parseXml(await file.async('string')) : null;
+}
+
+// Relaciones de una parte: { rId: { type, target } }, con type = último tramo del Type
+async function readRels(zip, part) {
+  const slash = part.lastIndexOf('/');
+  const doc = await readXmlPart(zip, `${part.slice(0, slash)}/_rels/${part.slice(slash + 1)}.rels`);
+  const rels = {};
+  xmlFindAll(doc, 'Relationship').forEach((r) => {
+    const external = r.attrs.TargetMode === 'External';
+    rels[r.attrs.Id] = {
+      type: String(r.attrs.Type).split('/').pop(),
+      target: external ? r.attrs.Target : resolvePartPath(part, r.attrs.Target),
+    };
+  });
+  return rels;
+}
+
+// Orden de presentation.xml; si falta, slideN.xml en orden numérico
+async function pptxSlidePaths(zip) {
+  const presentation = await readXmlPart(zip, 'ppt/presentation.xml');
+  if (presentation) {
+    const rels = await readRels(zip, 'ppt/presentation.xml');
+    const paths = xmlFindAll(presentation, 'sldId')
+      .map((s) => rels[xmlAttr(s, 'id')])
+      .filter((r) => r && zip.file(r.target))
+      .map((r) => r.target);
+    if (paths.length) return paths;
+  }
+  const slideNumber = (path) => Number(path.match(/(\d+)\.xml$/)[1]);
+  return zip
+    .file(/^ppt\/slides\/slide\d+\.xml$/)
+    .map((f) => f.name)
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+const isOn = (value) => value === '1' || value === 'true';
+
+// Escapa lo que parseInline leería como formato; el guion no distingue otros símbolos
+function escapeInline(text) {
+  return text.replace(/[\\*`[\]]|_(?![0-9A-Za-zÀ-ÿ])|(^|[^0-9A-Za-zÀ-ÿ])_/g, (m) => m.replace(/[\\*`[\]_]/, '\\$&'));
+}
+
+// Párrafo de DrawingML a texto con Markdown en línea (negrita, cursiva y enlaces)
+function paragraphMarkdown(p, rels) {
+  const out = p.children
+    .map((c) => {
+      if (!c.name) return '';
+      if (localName(c.name) === 'br') return ' ';
+      if (localName(c.name) !== 'r') return '';
+      const rPr = xmlChildren(c, 'rPr')[0];
+      const [, lead, core, trail] = xmlText(xmlChildren(c, 't')[0]).match(/^(\s*)([\s\S]*?)(\s*)$/);
+      if (!core) return lead + trail;
+      // Los marcadores quedan pegados al texto para que cuenten como apertura y cierre
+      let text = escapeInline(core);
+      if (rPr && isOn(rPr.attrs.i)) text = `*${text}*`;
+      if (rPr && isOn(rPr.attrs.b)) text = `**${text}**`;
+      const rel = rels[xmlAttr(xmlChildren(rPr, 'hlinkClick')[0], 'id')];
+      const url = rel && rel.type === 'hyperlink' && safeUrl(rel.target);
+      if (url) text = `[${text}](${url.replace(/[()\s]/g, encodeURIComponent)})`;
+      return lead + text + trail;
+    })
+    .join('');
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+// Texto sin formato de un párrafo, para títulos y notas
+function paragraphText(p) {
+  return xmlFindAll(p, 't').map(xmlText).join('');
+}
+
+// Tamaño de letra mayor de un cuadro de texto, en centésimas de punto
+function largestFontSize(txBody) {
+  return Math.max(0, ...xmlFindAll(txBody, 'rPr').map((r) => Number(r.attrs.sz) || 0));
+}
+
+// Placeholders que PowerPoint rellena solo y no forman parte del contenido
+const PPTX_SKIPPED_PLACEHOLDERS = ['dt', 'sldNum', 'ftr', 'hdr', 'sldImg'];
+// Nombre de las formas de la portada que salen del encabezado (institución, autor, curso y
+// fecha): al importar no son contenido de la diapositiva
+const PPTX_FRONT_MATTER_SHAPE = 'ReSlides encabezado';
+
+const PPTX_CHART_TYPES = {
+  barChart: 'barras',
+  bar3DChart: 'barras',
+  lineChart: 'lineas',
+  line3DChart: 'lineas',
+  areaChart: 'area',
+  area3DChart: 'area',
+  pieChart: 'pastel',
+  pie3DChart: 'pastel',
+  doughnutChart: 'dona',
+  scatterChart: 'dispersion',
+};
+
+// Valores de una caché de categorías o números (strCache, numCache o multiLvlStrCache)
+function chartPoints(el) {
+  const cache = xmlFind(el, 'lvl') || el;
+  const count = Number(xmlAttr(xmlFind(el, 'ptCount'), 'val')) || 0;
+  const points = new Array(count).fill(null);
+  xmlFindAll(cache, 'pt').forEach((pt) => {
+    points[Number(pt.attrs.idx)] = xmlText(xmlChildren(pt, 'v')[0]);
+  });
+  return points;
+}
+
+// Gráfica de una parte chartN.xml en el formato de `Datos:`; los problemas van a `warn` en el idioma `locale`
+function readPptxChart(doc, warn, locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const plotArea = xmlFind(doc, 'plotArea');
+  const groups = (plotArea ? plotArea.children : []).filter((c) => c.name && /Chart$/.test(localName(c.name)));
+  if (!groups.length) return null;
+  const kind = localName(groups[0].name);
+  let type = PPTX_CHART_TYPES[kind];
+  if (!type) {
+    warn(t('pptxChartType', { kind }));
+    return null;
+  }
+  if (groups.length > 1) warn(t('pptxChartMixed'));
+  const grouping = xmlAttr(xmlChildren(groups[0], 'grouping')[0], 'val');
+  if (type === 'barras' && /stacked/i.test(grouping)) type = 'apiladas';
+  if (grouping === 'percentStacked') warn(t('pptxPercentStacked'));
+  const horizontal = xmlAttr(xmlChildren(groups[0], 'barDir')[0], 'val') === 'bar';
+
+  let labels = [];
+  let blanks = false;
+  const series = xmlChildren(groups[0], 'ser').map((ser, i) => {
+    const cat = xmlChildren(ser, 'cat')[0] || xmlChildren(ser, 'xVal')[0];
+    const val = xmlChildren(ser, 'val')[0] || xmlChildren(ser, 'yVal')[0];
+    if (!labels.length && cat) labels = chartPoints(cat).map((l) => (l === null ? '' : l));
+    const values = val
+      ? chartPoints(val).map((v) => {
+          const n = Number(v);
+          if (v === null || v === '' || !Number.isFinite(n)) blanks = true;
+          return Number.isFinite(n) && v !== null ? n : 0;
+        })
+      : [];
+    return { name: xmlText(xmlFind(xmlChildren(ser, 'tx')[0], 'v')).trim() || t('pptxSeries', { n: i + 1 }), values };
+  });
+  if (blanks) warn(t('pptxBlankPoints'));
+  if (!labels.length && series.length) labels = series[0].values.map((v, i) => String(i + 1));
+  return horizontal ? { type, labels, series, options: { horizontal: true } } : { type, labels, series };
+}
+
+/*
+ * Lee un .pptx (ArrayBuffer, Uint8Array o Buffer) y lo convierte en diapositivas de
+ * ReSlides: títulos, viñetas con nivel y formato, notas, la primera gráfica de cada
+ * diapositiva e imágenes como `Adjunto:`. Devuelve { slides, script, files, warnings }:
+ * files son las imágenes ({ name, type, data }) listas para options.attachments, y
+ * warnings lo que no se pudo trasladar, con el formato de los avisos de buildDeck.
+ * options.locale es el idioma de los avisos, de los errores y de las palabras clave del guion.
+ */
+async function importPptx(data, options = {}) {
+  const { locale } = options;
+  const t = (key, vars) => localeText(locale, key, vars);
+  const JSZipLib = resolveLibrary('JSZip', 'jszip');
+  if (!JSZipLib) {
+    throw new Error(t('libraryMissing', { name: 'JSZip' }));
+  }
+  let zip;
+  try {
+    zip = await JSZipLib.loadAsync(data);
+  } catch (e) {
+    throw new Error(t('pptxInvalid'));
+  }
+  const slidePaths = await pptxSlidePaths(zip);
+  if (!slidePaths.length) {
+    throw new Error(t('pptxNoSlides'));
+  }
+
+  const files = [];
+  const media = {};
+  const warnings = [];
+  const slides = [];
+  // Nombre de archivo de cada parte de media: el de la parte, con un sufijo si otra parte de otra
+  // carpeta ya lo usa ("image1.png", "image1-2.png"). Los adjuntos se buscan sin distinguir
+  // mayúsculas, así que tampoco pueden coincidir así
+  const mediaName = (target) => {
+    if (media[target]) return media[target];
+    const base = target.split('/').pop();
+    const taken = new Set(Object.values(media).map((n) => n.toLowerCase()));
+    const dot = base.lastIndexOf('.');
+    const [stem, ext] = dot > 0 ? [base.slice(0, dot), base.slice(dot)] : [base, ''];
+    let name = base;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${stem}-${n}${ext}`;
+    media[target] = name;
+    return name;
+  };
+
+  for (const [index, path] of slidePaths.entries()) {
+    const warn = (message) => warnings.push({ slide: index + 1, field: 'PPTX', severity: 'warning', message });
+    const doc = await readXmlPart(zip, path);
+    const rels = await readRels(zip, path);
+    const slide = { title: '', content: [], graph: null, description: '', notes: '', attachments: [], layout: '', levels: [] };
+    const shapes = [];
+    const omitted = new Set();
+    let titleShape = null;
+
+    // Recorre el árbol de formas, también dentro de grupos
+    const visit = (tree) =>
+      tree.children.forEach((el) => {
+        if (!el.name) return;
+        const kind = localName(el.name);
+        const offset = xmlFind(el, 'off');
+        const position = offset ? [Number(offset.attrs.y) || 0, Number(offset.attrs.x) || 0] : [0, 0];
+
+        if (kind === 'grpSp') {
+          visit(el);
+        } else if (kind === 'sp') {
+          const ph = xmlFind(xmlChildren(el, 'nvSpPr')[0], 'ph');
+          const phType = ph ? ph.attrs.type || 'body' : '';
+          const txBody = xmlChildren(el, 'txBody')[0];
+          if (!txBody || PPTX_SKIPPED_PLACEHOLDERS.includes(phType)) return;
+          if (xmlAttr(xmlFind(el, 'cNvPr'), 'name') === PPTX_FRONT_MATTER_SHAPE) return;
+          const paragraphs = xmlChildren(txBody, 'p')
+            .map((p) => ({
+              text: paragraphMarkdown(p, rels),
+              plain: paragraphText(p),
+              level: Number(xmlAttr(xmlChildren(p, 'pPr')[0], 'lvl')) || 0,
+            }))
+            .filter((p) => p.text);
+          if (!paragraphs.length) return;
+          const shape = { paragraphs, position, size: largestFontSize(txBody) };
+          if (!titleShape && (phType === 'title' || phType === 'ctrTitle')) titleShape = shape;
+          else shapes.push(shape);
+        } else if (kind === 'pic') {
+          if (xmlFind(el, 'videoFile') || xmlFind(el, 'audioFile') || xmlFind(el, 'media')) {
+            omitted.add('pptxOmittedMedia');
+            return;
+          }
+          const rel = rels[xmlAttr(xmlFind(el, 'blip'), 'embed')];
+          if (!rel || !zip.file(rel.target)) return;
+          const name = mediaName(rel.target);
+          if (!slide.attachments.includes(name)) slide.attachments.push(name);
+          // El texto alternativo de la imagen pasa al guion si no es el que se deduce del nombre
+          const alt = (xmlAttr(xmlFind(el, 'cNvPr'), 'descr') || '').replace(/"/g, "'").replace(/\s+/g, ' ').trim();
+          if (alt && alt !== attachmentAlt(name)) slide.altTexts = { ...slide.altTexts, [name]: alt };
+        } else if (kind === 'graphicFrame') {
+          const uri = xmlAttr(xmlFind(el, 'graphicData'), 'uri');
+          if (/\/chart$/.test(uri)) {
+            shapes.push({ chart: rels[xmlAttr(xmlFind(el, 'chart'), 'id')], position });
+          } else if (/\/table$/.test(uri)) {
+            omitted.add('pptxOmittedTable');
+          } else if (/\/diagram$/.test(uri)) {
+            omitted.add('pptxOmittedDiagram');
+          } else {
+            omitted.add('pptxOmittedObject');
+          }
+        } else if (kind === 'AlternateContent') {
+          omitted.add('pptxOmittedAlternate');
+        }
+      });
+    visit(xmlFind(doc, 'spTree') || { children: [] });
+
+    // Orden de lectura: de arriba abajo y de izquierda a derecha
+    shapes.sort((a, b) => a.position[0] - b.position[0] || a.position[1] - b.position[1]);
+
+    // Sin placeholder de título (como en los PPTX de ReSlides), el cuadro de una sola
+    // línea con la letra más grande hace de título; los números e iconos decorativos no
+    if (!titleShape) {
+      const candidates = shapes.filter((s) => s.paragraphs && s.paragraphs.length === 1 && /\p{L}/u.test(s.paragraphs[0].plain));
+      titleShape = candidates.reduce((best, s) => (!best || s.size > best.size ? s : best), null);
+      if (titleShape) shapes.splice(shapes.indexOf(titleShape), 1);
+    }
+    slide.title = titleShape ? titleShape.paragraphs.map((p) => p.plain).join(' ').replace(/\s+/g, ' ').trim() : '';
+    if (!slide.title) warn(t('pptxNoTitle'));
+
+    for (const shape of shapes) {
+      if (shape.paragraphs) {
+        shape.paragraphs.forEach(({ text, level }) => {
+          const previous = slide.levels.length ? slide.levels[slide.levels.length - 1] : -1;
+          slide.content.push(text);
+          slide.levels.push(Math.min(level, previous + 1, MAX_LEVEL));
+        });
+      } else if (slide.graph) {
+        warn(t('pptxExtraChart'));
+      } else {
+        const chartDoc = shape.chart && (await readXmlPart(zip, shape.chart.target));
+        slide.graph = chartDoc ? readPptxChart(chartDoc, warn, locale) : null;
+        if (!chartDoc) warn(t('pptxChartUnreadable'));
+      }
+    }
+    // La portada no muestra gráficas: si la primera diapositiva trae una, va como contenido
+    if (index === 0 && hasGraphData(slide.graph)) slide.layout = 'contenido';
+    omitted.forEach((what) => warn(t('pptxOmitted', { what: t(what) })));
+
+    const notesRel = Object.values(rels).find((r) => r.type === 'notesSlide');
+    const notesDoc = notesRel && (await readXmlPart(zip, notesRel.target));
+    if (notesDoc) {
+      const body = xmlFindAll(notesDoc, 'sp').find((sp) => {
+        const ph = xmlFind(sp, 'ph');
+        return ph && (ph.attrs.type || 'body') === 'body';
+      });
+      slide.notes = xmlChildren(xmlChildren(body, 'txBody')[0], 'p')
+        .map(paragraphText)
+        .join('\n')
+        .replace(/\r\n?/g, '\n')
+        .trim();
+    }
+    slides.push(slide);
+  }
+
+  for (const [path, name] of Object.entries(media)) {
+    const type = guessMimeType(name);
+    files.push({ name, type, data: await zip.file(path).async('uint8array') });
+    if (!type.startsWith('image/')) {
+      warnings.push({
+        slide: slides.findIndex((s) => s.attachments.includes(name)) + 1,
+        field: 'PPTX',
+        severity: 'warning',
+        message: t('pptxImageFormat', { name }),
+      });
+    }
+  }
+
+  return { slides, script: slidesToScript(slides, { locale }), files, warnings };
+}
+
+/* ===========================
+   Datos de gráficas desde archivos
+   =========================== */
+
+const DATA_EXTENSIONS = /\.(csv|tsv|txt|xlsx)$/i;
+
+// Referencia "B3" -> { col: 1, row: 2 } (base 0)
+function cellPosition(ref) {
+  const m = String(ref).match(/^([a-z]{1,3})(\d+)$/i);
+  return m ? { col: columnLetterIndex(m[1]), row: Number(m[2]) - 1 } : null;
+}
+
+/*
+ * Filas de una hoja de un .xlsx (la primera si no se indica `sheetName`). Las celdas
+ * numéricas llegan como número y el resto como texto; las vacías quedan como ''. Las lógicas
+ * se escriben como en Excel en el idioma `locale` (VERDADERO, TRUE…), que es también el de los
+ * errores.
+ */
+async function readXlsxRows(data, sheetName, locale) {
+  const JSZipLib = resolveLibrary('JSZip', 'jszip');
+  if (!JSZipLib) {
+    throw new Error(localeText(locale, 'libraryMissing', { name: 'JSZip' }));
+  }
+  let zip;
+  try {
+    zip = await JSZipLib.loadAsync(data);
+  } catch (e) {
+    throw new Error(localeText(locale, 'xlsxInvalid'));
+  }
+  const workbook = await readXmlPart(zip, 'xl/workbook.xml');
+  if (!workbook) {
+    throw new Error(localeText(locale, 'xlsxInvalid'));
+  }
+  const rels = await readRels(zip, 'xl/workbook.xml');
+  const sheets = xmlFindAll(workbook, 'sheet');
+  const sheet = sheetName
+    ? sheets.find((s) => normalizeKeyword(xmlAttr(s, 'name')) === normalizeKeyword(sheetName))
+    : sheets[0];
+  const rel = sheet && rels[xmlAttr(sheet, 'id')];
+  if (!rel) {
+    throw new Error(
+      sheetName
+        ? localeText(locale, 'xlsxNoSheet', { name: sheetName, sheets: sheets.map((s) => xmlAttr(s, 'name')).join(', ') })
+        : localeText(locale, 'xlsxNoSheets')
+    );
+  }
+
+  const sharedRel = Object.values(rels).find((r) => r.type === 'sharedStrings');
+  const shared = xmlFindAll(await readXmlPart(zip, sharedRel ? sharedRel.target : 'xl/sharedStrings.xml'), 'si').map(
+    (si) => xmlFindAll(si, 't').map(xmlText).join('')
+  );
+  const doc = await readXmlPart(zip, rel.target);
+  const rows = [];
+  xmlFindAll(doc, 'c').forEach((c) => {
+    const pos = cellPosition(xmlAttr(c, 'r'));
+    if (!pos) return;
+    const type = xmlAttr(c, 't');
+    const raw = xmlText(xmlFind(c, 'v'));
+    let value;
+    if (type === 's') value = shared[Number(raw)] || '';
+    else if (type === 'inlineStr') value = xmlFindAll(c, 't').map(xmlText).join('');
+    else if (type === 'str' || type === 'e') value = raw;
+    else if (type === 'b') value = localeText(locale, raw === '1' ? 'xlsxTrue' : 'xlsxFalse');
+    else value = raw === '' ? '' : Number(raw);
+    while (rows.length <= pos.row) rows.push([]);
+    const row = rows[pos.row];
+    while (row.length < pos.col) row.push('');
+    row[pos.col] = value;
+  });
+  return rows;
+}
+
+// Filas de un archivo de datos ({ name, data: Uint8Array }) según su extensión
+async function readDataRows(file, sheet, locale) {
+  if (/\.xlsx$/i.test(file.name)) return readXlsxRows(file.data, sheet, locale);
+  if (!DATA_EXTENSIONS.test(file.name)) {
+    throw new Error(localeText(locale, 'dataFormat'));
+  }
+  return parseCsv(new TextDecoder('utf-8').decode(file.data));
+}
+
+/*
+ * Completa etiquetas y series de las gráficas con `Archivo:` leyendo los archivos subidos
+ * (files: [{ name, type, data: Uint8Array }], buscados como los adjuntos). Devuelve
+ * { slides, warnings } con copias de las diapositivas y los avisos con el formato de buildDeck;
+ * una gráfica cuyo archivo falta o no se puede leer se queda sin datos y no se dibuja.
+ * Los avisos y las tablas de `Estadística:` van en el idioma `options.locale`.
+ */
+async function resolveDataSources(slides, files, options = {}) {
+  const t = (key, vars) => localeText(options.locale, key, vars);
+  const byName = {};
+  (files || []).forEach((f) => {
+    byName[attachmentKey(f.name)] = f;
+  });
+  const tables = {};
+  const warnings = [];
+  const resolved = [];
+  for (const [index, slide] of slides.entries()) {
+    const source = slideDataSource(slide);
+    if (!source || !source.file) {
+      resolved.push(slide);
+      continue;
+    }
+    const field = keyword(slide.stats ? 'stats' : 'data', options.locale);
+    const warn = (i, message) => warnings.push({ slide: i + 1, field, severity: 'warning', message });
+    const file = byName[attachmentKey(source.file)];
+    const read = async () => {
+      if (!file) {
+        warn(index, t('dataFileMissing', { file: source.file }));
+        return null;
+      }
+      const key = `${attachmentKey(file.name)}\n${normalizeKeyword(source.sheet || '')}`;
+      try {
+        if (!tables[key]) tables[key] = await readDataRows(file, source.sheet, options.locale);
+      } catch (e) {
+        warn(index, t('dataFileUnreadable', { file: source.file, error: e.message }));
+        return null;
+      }
+      return sliceRange(tables[key], source.range ? parseRange(source.range) : null);
+    };
+
+    if (slide.stats) {
+      const copy = { ...slide, graph: null, table: null };
+      resolved.push(copy);
+      const rows = await read();
+      if (!rows) continue;
+      const result = computeStatistics(slide.stats, rows, options.locale);
+      result.problems.forEach((message) => warn(index, `${source.file}: ${message}`));
+      copy.graph = result.graph;
+      copy.table = result.graph ? result.table : null;
+      continue;
+    }
+
+    const graph = { ...slide.graph, labels: [], series: [] };
+    resolved.push({ ...slide, graph });
+    const rows = await read();
+    if (!rows) continue;
+    const data = tableGraph(rows, { labels: source.labels, series: source.series }, source.decimal || 'auto', options.locale);
+    data.problems.slice(0, 3).forEach((p) => warn(index, `${source.file}: ${p.message}`));
+    if (data.problems.length > 3) warn(index, `${source.file}: ${t('dataMoreProblems', { n: data.problems.length - 3 })}`);
+    graph.labels = data.labels;
+    graph.series = data.series;
+    if (!source.series.length && !chartOptionSupport(graph).multiSeries && graph.series.length > 1) {
+      warn(index, `${source.file}: ${pieSeriesMessage(graph.type, graph.series.map((s) => s.name), options.locale)}`);
+    }
+    // "Error <serie>: <columna>": la columna con la desviación de cada valor de la serie
+    (source.errors || []).forEach((e) => {
+      const series = e.series ? graph.series.find((s) => normalizeKeyword(s.name) === normalizeKeyword(e.series)) : graph.series[0];
+      const errors = tableGraph(rows, { labels: source.labels, series: [e.column] }, source.decimal || 'auto');
+      if (!series || errors.problems.length || !errors.series.length) {
+        warn(index, `${source.file}: ${t('dataErrorColumn', { column: e.column })}`);
+        return;
+      }
+      series.errors = errors.series[0].values.map(Math.abs);
+    });
+    if (!hasGraphData(graph)) warn(index, t('dataFileEmpty', { file: source.file }));
+  }
+  return { slides: resolved, warnings };
+}
+
+// Origen de los datos de una diapositiva: el de `Estadística:` o el de la gráfica
+function slideDataSource(slide) {
+  return (slide.stats && slide.stats.source) || (slide.graph && slide.graph.source) || null;
+}
+
+// Archivos de datos que usan las gráficas, para copiarlos en datos/ del paquete (con
+// filePath, así dos nombres que se limpian igual no se pisan)
+function dataSourceFiles(slides, files) {
+  const byName = {};
+  (files || []).forEach((f) => {
+    byName[attachmentKey(f.name)] = f;
+  });
+  const paths = new Map();
+  slides.forEach((slide) => {
+    const source = slideDataSource(slide);
+    const file = source && byName[attachmentKey(source.file)];
+    if (file) filePath('datos', file, paths);
+  });
+  return [...paths].map(([file, filename]) => ({ filename, data: file.data }));
+}
+
+/* ===========================
+   Asistente de redacción con IA
+   =========================== */
+
+// Instrucciones para el modelo: responder sólo con un guion que el parser acepte, escrito en
+// el idioma `locale` y con sus palabras clave
+function draftSystemPrompt(locale) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const word = (field) => keyword(field, locale);
+  return [
+    t('draftIntro'),
+    '',
+    `${word('slide')} 1`,
+    `${word('title')}: ${t('draftCoverTitle')}`,
+    `${word('content')}: ${t('draftCoverContent')}`,
+    '',
+    `${word('slide')} 2`,
+    `${word('title')}: ${t('draftSlideTitle')}`,
+    `${word('content')}: ${t('draftSlideContent')}`,
+    `  - ${t('draftSubpoint')}`,
+    `${word('data')}: ${t('draftData')}`,
+    `${word('description')}: ${t('draftDescription')}`,
+    `${word('notes')}: ${t('draftNotes')}`,
+    '',
+    t('draftRules'),
+    `- ${t('draftRuleSlides', { slide: word('slide') })}`,
+    `- ${t('draftRuleContent', { content: word('content') })}`,
+    `- ${t('draftRuleLayout', { layout: word('layout'), layouts: Object.keys(LAYOUTS).join(', ') })}`,
+    `- ${t('draftRuleData', { data: word('data'), types: Object.keys(CHART_TYPES).join(', ') })}`,
+    `- ${t('draftRuleFacts')}`,
+    `- ${t('draftRuleReply')}`,
+  ].join('\n');
+}
+
+// Mensajes para el modelo: con un guion actual se pide aplicarle la petición y devolverlo entero
+function draftMessages(request, script, locale) {
+  const content = script
+    ? localeText(locale, 'draftRevise', { script, request })
+    : localeText(locale, 'draftNew', { request });
+  return [
+    { role: 'system', content: draftSystemPrompt(locale) },
+    { role: 'user', content },
+  ];
+}
+
+// Los modelos a veces envuelven el guion en ``` o lo presentan con una frase: se toma desde
+// la primera "Diapositiva N" (o el texto dentro del bloque, si es Markdown)
+function extractScript(reply) {
+  let text = String(reply || '').replace(/\r\n/g, '\n');
+  const fenced = text.match(/^(`{3,}|~{3,})[^\n]*\n([\s\S]*?)\n\1\s*$/m);
+  if (fenced) text = fenced[2];
+  const start = text.search(SLIDE_HEADER_LINE);
+  return (start > 0 ? text.slice(start) : text).trim();
+}
+
+/*
+ * Proveedor compatible con la API de OpenAI (POST <url>/chat/completions): OpenAI y los
+ * servidores locales con el mismo formato (Ollama, LM Studio, llama.cpp…). `fetchImpl`
+ * permite usarlo desde Node o en pruebas; `locale` es el idioma de los errores.
+ */
+function createOpenAiProvider({ url, apiKey = '', model = '', temperature = 0.4, fetchImpl, locale } = {}) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+  if (!doFetch) throw new Error(t('aiNoFetch'));
+  if (!url) throw new Error(t('aiNoUrl'));
+  const base = url.trim().replace(/\/+$/, '');
+  const endpoint = /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+  return {
+    name: 'openai',
+    async complete(messages) {
+      let response;
+      try {
+        response = await doFetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({ model, messages, temperature }),
+        });
+      } catch (e) {
+        throw new Error(t('aiConnect', { endpoint, error: e.message }));
+      }
+      const body = await response.json().catch(() => null);
+      if (!response.ok) {
+        const detail = body && body.error ? body.error.message || body.error : '';
+        throw new Error(detail ? t('aiStatusDetail', { status: response.status, detail }) : t('aiStatus', { status: response.status }));
+      }
+      const text = body && body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+      if (typeof text !== 'string') throw new Error(t('aiNoText'));
+      return text;
+    },
+  };
+}
+
+// Primera letra en mayúscula, para los títulos que redacta el proveedor simulado
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/*
+ * Respuesta del proveedor simulado. Sin guion: un esquema a partir del tema (una línea) o de
+ * las notas (un párrafo por diapositiva, la primera línea como título). Con guion entiende
+ * "añade una diapositiva de/sobre X" y "quita la diapositiva N" (o "add a slide about X" y
+ * "remove slide N"…, con las palabras mock* de `locale`); otra petición lo deja igual. Responde
+ * en el idioma `locale`.
+ */
+function mockReply({ request, script, locale }) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const slide = (title, content = [], extra = {}) => ({
+    title,
+    content,
+    levels: content.map(() => 0),
+    graph: null,
+    description: '',
+    notes: '',
+    attachments: [],
+    layout: '',
+    ...extra,
+  });
+  if (script) {
+    const slides = analyzeSource(script).slides;
+    const slideWords = t('mockSlideWords');
+    const add = request.match(
+      new RegExp(
+        `\\b(?:${t('mockAddWords')})\\b.*?\\b(?:${slideWords})\\s+(?:${t('mockAboutWords')})\\s+(?:(?:${t('mockArticles')})\\s+)?(.+?)\\.?$`,
+        'i'
+      )
+    );
+    const remove = request.match(new RegExp(`\\b(?:${t('mockRemoveWords')})\\b.*?\\b(?:${slideWords})\\s+(\\d+)`, 'i'));
+    if (add) {
+      const topic = add[1].trim();
+      // Antes del cierre, si la última diapositiva lo es
+      const at = slides.length > 1 && slides[slides.length - 1].layout === 'cierre' ? slides.length - 1 : slides.length;
+      slides.splice(at, 0, slide(capitalize(topic), [t('mockIdea', { topic }), t('mockExample')]));
+    } else if (remove && Number(remove[1]) >= 1 && Number(remove[1]) <= slides.length) {
+      slides.splice(Number(remove[1]) - 1, 1);
+    }
+    return slidesToScript(slides, { locale });
+  }
+  const paragraphs = request
+    .split(/\n\s*\n/)
+    .map((p) => p.split('\n').map((l) => l.replace(/^\s*([-*+•]|\d+[.)])\s+/, '').trim()).filter(Boolean))
+    .filter((p) => p.length);
+  if (paragraphs.length === 1 && paragraphs[0].length === 1) {
+    const topic = paragraphs[0][0];
+    return slidesToScript(
+      [
+        slide(capitalize(topic), [t('mockCover')]),
+        slide(t('mockIntro'), [t('mockContext'), t('mockGoals')]),
+        slide(t('mockKeyPoints'), [t('mockPoint1'), t('mockPoint2'), t('mockPoint3')]),
+        slide(t('mockConclusions'), [t('mockMainIdea'), t('mockNextSteps')]),
+      ],
+      { locale }
+    );
+  }
+  return slidesToScript(
+    paragraphs.map(([title, ...content]) => slide(capitalize(title), content)),
+    { locale }
+  );
+}
+
+// Proveedor sin conexión, para probar el asistente; `respond` sustituye a la respuesta simulada y
+// recibe el contexto de draftScript ({ request, script, locale })
+function createMockProvider(respond = mockReply) {
+  return {
+    name: 'simulado',
+    complete: async (messages, context) => respond(context, messages),
+  };
+}
+
+/*
+ * Redacta o revisa un guion con `provider` ({ complete(messages, context) → texto }). Con
+ * `slides` la petición se aplica a esa presentación. El resultado pasa por el parser y, si
+ * tiene errores, se pide al modelo una corrección. Las instrucciones, el guion actual y los
+ * diagnósticos van en el idioma `locale`. Devuelve { script, slides, diagnostics }.
+ */
+async function draftScript(provider, request, { slides = null, retries = 1, locale } = {}) {
+  const t = (key, vars) => localeText(locale, key, vars);
+  const current = slides && slides.length ? slidesToScript(slides, { locale }) : '';
+  const context = { request, script: current, locale };
+  const messages = draftMessages(request, current, locale);
+  for (let attempt = 0; ; attempt++) {
+    const reply = await provider.complete(messages, context);
+    const script = extractScript(reply);
+    const result = analyzeSource(script, 'auto', { locale });
+    if (!result.slides.length) {
+      result.diagnostics.unshift({ line: 1, column: 1, field: t('assistant'), message: t('draftNoSlides'), severity: 'error' });
+    }
+    const errors = result.diagnostics.filter((d) => d.severity === 'error');
+    if (!errors.length || attempt >= retries) return { script, slides: result.slides, diagnostics: result.diagnostics };
+    const list = errors.map((d) => `- ${t('draftErrorLine', { line: d.line, message: d.message })}`).join('\n');
+    messages.push({ role: 'assistant', content: reply }, { role: 'user', content: t('draftErrors', { errors: list }) });
+  }
+}
+
+/* ===========================
+   Proyectos y archivos .reslides.json
+   =========================== */
+
+const PROJECT_FORMAT = 'reslides-proyecto';
+const PROJECT_FORMAT_VERSION = 1;
+// Versiones que se conservan por proyecto; al superarlo se descartan las más antiguas
+const MAX_PROJECT_VERSIONS = 50;
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function base64ToBytes(str) {
+  if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(str, 'base64'));
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/*
+ * Proyecto de la app: guion, tema, tipografía, adjuntos ({ name, type, data: Uint8Array })
+ * y versiones generadas ([{ id, date, script, themeKey, fontKey, theme, slideCount }], la
+ * más reciente al final). `theme` guarda los datos de un tema propio para poder abrirlo en
+ * otro navegador; cada versión lleva su copia, así que se restaura aunque el tema se borre.
+ */
+function createProject(name, fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: newId(),
+    name: name || 'Sin título',
+    script: '',
+    themeKey: 'default',
+    fontKey: 'default',
+    theme: null,
+    attachments: [],
+    versions: [],
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+  };
+}
+
+// Registra una generación; si nada cambió desde la última versión sólo actualiza su fecha
+function addProjectVersion(project, { script, themeKey, fontKey, theme = null, slideCount }) {
+  const date = new Date().toISOString();
+  const last = project.versions[project.versions.length - 1];
+  if (
+    last &&
+    last.script === script &&
+    last.themeKey === themeKey &&
+    last.fontKey === fontKey &&
+    JSON.stringify(last.theme || null) === JSON.stringify(theme)
+  ) {
+    last.date = date;
+    return last;
+  }
+  const version = { id: newId(), date, script, themeKey, fontKey, theme, slideCount };
+  project.versions = [...project.versions, version].slice(-MAX_PROJECT_VERSIONS);
+  return version;
+}
+
+// Objeto JSON de un proyecto, con los adjuntos en base64
+function projectToData(project) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FORMAT_VERSION,
+    ...project,
+    attachments: project.attachments.map((a) => ({ name: a.name, type: a.type, data: bytesToBase64(a.data) })),
+  };
+}
+
+function projectToJson(project) {
+  return JSON.stringify(projectToData(project), null, 2) + '\n';
+}
+
+// Inversa de projectToData; lanza un Error en el idioma `locale` si el objeto no es un proyecto de ReSlides
+function projectFromData(data, locale) {
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error(localeText(locale, 'projectInvalid'));
+  }
+  if (data.version > PROJECT_FORMAT_VERSION) {
+    throw new Error(localeText(locale, 'projectNewer'));
+  }
+  const { format, version, ...fields } = data;
+  return createProject(String(data.name || ''), {
+    ...fields,
+    script: String(data.script || ''),
+    attachments: (Array.isArray(data.attachments) ? data.attachments : []).map((a) => ({
+      name: String(a.name),
+      type: a.type || guessMimeType(a.name),
+      data: base64ToBytes(String(a.data || '')),
+    })),
+    versions: Array.isArray(data.versions) ? data.versions : [],
+  });
+}
+
+function parseProjectFile(text, locale) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(localeText(locale, 'projectNotJson'));
+  }
+  return projectFromData(data, locale);
+}
+
+/*
+ * Diferencias línea a línea entre dos guiones (subsecuencia común más larga).
+ * Devuelve [{ type: 'same' | 'added' | 'removed', text }] en el orden del guion nuevo.
+ */
+function diffLines(before, after) {
+  const a = String(before).split('\n');
+  const b = String(after).split('\n');
+  // Recortar el principio y el final comunes deja la tabla pequeña en ediciones normales
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+  const midA = a.slice(start, a.length - end);
+  const midB = b.slice(start, b.length - end);
+
+  const lcs = midA.map(() => new Array(midB.length + 1).fill(0));
+  lcs.push(new Array(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      middle.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      middle.push({ type: 'removed', text: midA[i++] });
+    } else {
+      middle.push({ type: 'added', text: midB[j++] });
+    }
+  }
+  const same = (text) => ({ type: 'same', text });
+  return [...a.slice(0, start).map(same), ...middle, ...a.slice(a.length - end).map(same)];
+}
+
+return {
+  THEMES,
+  FONTS,
+  CHART_TYPES,
+  LAYOUTS,
+  LOCALES,
+  STAGE_WIDTH,
+  STAGE_HEIGHT,
+  FONT_FAMILIES,
+  THEME_COLORS,
+  toPptxColor,
+  resolveLocale,
+  localeText,
+  formatLocaleDate,
+  localeName,
+  keyword,
+  normalizeTheme,
+  registerTheme,
+  unregisterTheme,
+  themeData,
+  contrastRatio,
+  checkThemeContrast,
+  checkAccessibility,
+  describeChart,
+  chartPalette,
+  coverColors,
+  escapeHtml,
+  scriptJson,
+  cssValue,
+  cssTheme,
+  cssFonts,
+  normalizeKeyword,
+  resolveChartType,
+  resolveLayout,
+  hasGraphData,
+  buildPlotlyChart,
+  buildPptxChart,
+  ASSETS,
+  loadOfflineAssets,
+  inlineFontCss,
+  guessMimeType,
+  analyzeScript,
+  parseScript,
+  analyzeMarkdown,
+  analyzeSource,
+  detectFormat,
+  scriptLocale,
+  slideIndexAtLine,
+  diffSlides,
+  slidesToScript,
+  slidesToMarkdown,
+  withAgenda,
+  generateGraphHtml,
+  generatePresentation,
+  renderSlides,
+  generateReadme,
+  generatePptx,
+  buildDeck,
+  previewPatch,
+  slideImageName,
+  buildZip,
+  importPptx,
+  parseLocaleNumber,
+  parseCsv,
+  resolveDataSources,
+  STATS_KINDS,
+  computeStatistics,
+  draftSystemPrompt,
+  createOpenAiProvider,
+  createMockProvider,
+  draftScript,
+  createProject,
+  addProjectVersion,
+  projectToJson,
+  parseProjectFile,
+  diffLines,
+};
+});
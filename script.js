@@ -1,533 +1,2115 @@
 /*
  * ReSlides front-end script (versión app web)
  *
- * Esta versión:
- *  - Analiza un guion de texto y lo convierte en un arreglo de diapositivas.
- *  - Genera una presentación HTML con estilo similar a la plantilla original.
- *  - Genera páginas HTML para las gráficas (grafica1.html, grafica2.html, ...).
- *  - Permite vista previa de la presentación dentro del sitio y abrirla en otra pestaña.
- *  - Ofrece descargas en HTML, PPTX (usando PptxGenJS) y ZIP (HTML + gráficas + README).
+ * Capa de interfaz sobre reslides-core.js:
+ *  - Lee el guion del formulario (formato "Diapositiva N" o Markdown, detectado al escribir)
+ *    y muestra errores/avisos del parser en el historial.
+ *  - Editor visual: tarjetas por diapositiva (título, viñetas, diseño, tabla de datos,
+ *    arrastrar para reordenar) que reescriben el guion con cada cambio.
+ *  - Lee los datos de las gráficas con `Archivo:` de los CSV/XLSX subidos (se copian en datos/ del ZIP).
+ *  - Las diapositivas `Estadística:` se editan en el guion; el editor visual sólo las resume.
+ *  - Asistente de redacción: un proveedor de IA (compatible con OpenAI o simulado) redacta el
+ *    guion a partir de un tema o de notas y aplica las peticiones de cambio del chat.
+ *  - Permite vista previa de la presentación dentro del sitio y abrirla en otra pestaña;
+ *    en modo "en vivo" se actualiza al escribir, enviando al iframe sólo lo que cambió.
+ *    Bajo la vista previa se listan los avisos de accesibilidad de la presentación.
+ *  - Ofrece descargas en HTML, PPTX (usando PptxGenJS), ZIP (HTML + gráficas + README),
+ *    PDF (diálogo de impresión) y PNG por diapositiva (también dentro del ZIP).
+ *  - Rellena los selectores de tema y tipografía desde THEMES/FONTS e incluye un editor
+ *    de temas propios (guardados en el navegador e importables/exportables como JSON).
+ *  - Guarda el trabajo en proyectos (IndexedDB) con autoguardado, versiones de cada
+ *    generación y exportación/importación como .reslides.json.
+ *  - Interfaz en español, inglés o portugués; el idioma elegido es también el de los
+ *    archivos generados.
+ *
+ * El parseo y la generación de archivos están en reslides-core.js, compartido con Node.
  */
 
+const {
+  CHART_TYPES,
+  FONTS,
+  FONT_FAMILIES,
+  LAYOUTS,
+  LOCALES,
+  STAGE_HEIGHT,
+  STAGE_WIDTH,
+  STATS_KINDS,
+  THEMES,
+  analyzeSource,
+  buildDeck,
+  addProjectVersion,
+  buildZip,
+  chartPalette,
+  checkThemeContrast,
+  coverColors,
+  createMockProvider,
+  createOpenAiProvider,
+  createProject,
+  cssFonts,
+  cssTheme,
+  detectFormat,
+  diffLines,
+  diffSlides,
+  draftScript,
+  escapeHtml,
+  generatePptx,
+  importPptx,
+  loadOfflineAssets,
+  inlineFontCss,
+  localeName,
+  normalizeKeyword,
+  normalizeTheme,
+  parseLocaleNumber,
+  parseProjectFile,
+  previewPatch,
+  projectToJson,
+  registerTheme,
+  resolveDataSources,
+  resolveLocale,
+  scriptLocale,
+  slideImageName,
+  slideIndexAtLine,
+  slidesToMarkdown,
+  slidesToScript,
+  themeData,
+  unregisterTheme,
+  withAgenda,
+} = ReSlidesCore;
+
+// Descarga un Blob con FileSaver si está disponible o con un enlace temporal
+function saveBlob(blob, filename) {
+  if (typeof saveAs === 'function') {
+    saveAs(blob, filename);
+    return;
+  }
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 /* ===========================
-   Configuración de temas y fuentes
+   Idioma de la interfaz
    =========================== */
 
-const THEMES = {
-  default: {
-    name: 'Azul y dorado',
-    primary: '#1B365D',
-    secondary: '#2C5282',
-    accent: '#D4AF37',
-    background: '#F7FAFC',
-    text: '#1A202C',
+const UI_LOCALE_KEY = 'reslides-idioma';
+
+/*
+ * Textos de index.html y de los mensajes de la app. Los elementos estáticos los toman con
+ * data-i18n (texto), data-i18n-title, data-i18n-placeholder y data-i18n-aria-label; lo que
+ * falte en un idioma sale en español. Los diagnósticos del guion y los avisos de generación
+ * vienen del núcleo en el mismo idioma (LOCALES), igual que los avisos de la importación de
+ * PPTX y las respuestas del asistente simulado. Los textos admiten {variables}.
+ */
+const UI_TEXT = {
+  es: {
+    appTitle: 'ReSlides · Generador de presentaciones',
+    appTagline: 'Generador de presentaciones HTML · Gráficas · PPTX',
+    localeLabel: 'Idioma',
+    projectLabel: 'Proyecto',
+    projectNew: 'Nuevo',
+    projectRename: 'Renombrar',
+    projectDuplicate: 'Duplicar',
+    projectExport: 'Exportar .reslides.json',
+    projectImport: 'Importar',
+    projectDelete: 'Eliminar',
+    versionHistory: 'Historial de versiones',
+    assistantTitle: 'Asistente de redacción',
+    assistantPlaceholder: 'Escribe un tema o pega tus notas. Después pide cambios: «añade una diapositiva de limitaciones»',
+    assistantSend: 'Enviar',
+    assistantProvider: 'Proveedor',
+    assistantMockOption: 'Simulado (sin conexión)',
+    assistantMock: 'Simulado',
+    assistantOpenAi: 'Compatible con OpenAI',
+    assistantOpenAiModel: 'Compatible con OpenAI ({model})',
+    assistantNoModel: 'sin modelo',
+    assistantModel: 'Modelo',
+    assistantUrl: 'URL de la API',
+    assistantKey: 'Clave (opcional en servidores locales)',
+    assistantNote:
+      'La configuración y la clave se guardan sólo en este navegador. El guion actual se envía al proveedor con cada petición.',
+    scriptLabel: 'Guion de la presentación',
+    convertMarkdown: 'A Markdown',
+    convertScript: 'A guion',
+    visualToggleTitle: 'Editar las diapositivas como tarjetas',
+    visualEditor: 'Editor visual',
+    visualText: 'Editar texto',
+    importPptxTitle: 'Convierte un .pptx existente en guion',
+    importPptx: 'Importar PPTX',
+    scriptPlaceholder: [
+      'Ejemplo:',
+      'Diapositiva 1',
+      'Título: Uso de IA en estudiantes universitarios',
+      'Contenido: Los estudiantes usan IA para estudiar; Se observan patrones de uso moderado',
+      '',
+      'Diapositiva 2',
+      'Título: Frecuencia de uso',
+      'Contenido: La mayoría reporta uso frecuente para resúmenes',
+      'Datos: Labels: Resúmenes, Ideas, Redacción; Valores: 4.2, 3.8, 2.5',
+      'Descripción: Frecuencia de uso por actividad',
+      '',
+      'Diapositiva 3',
+      'Diseño: lista-numerada',
+      'Título: Conclusiones',
+      'Contenido: La IA se usa sobre todo para resumir; Falta formación en uso ético',
+    ].join('\n'),
+    formatBadge: 'Formato: {name}',
+    formatScript: 'guion',
+    attachLabel: 'Adjuntar imágenes o archivos',
+    attachHelp: 'o arrástralos sobre el formulario. Úsalos en el guion con',
+    attachHelpAttachment: 'Adjunto: nombre.png',
+    attachHelpOr: ', o',
+    attachHelpData: 'Datos: Archivo: datos.csv',
+    attachHelpEnd: 'para las gráficas (clic en un archivo para insertarlo).',
+    attachInsert: 'Insertar en el guion',
+    attachRemove: 'Quitar',
+    themeSelect: 'Tema de color',
+    fontSelect: 'Tipografía',
+    themeEditor: 'Editor de temas',
+    themeName: 'Nombre',
+    colorPrimary: 'Primario',
+    colorSecondary: 'Secundario',
+    colorAccent: 'Acento',
+    colorBackground: 'Fondo',
+    colorText: 'Texto',
+    fontHeading: 'Títulos',
+    fontBody: 'Texto',
+    chartPalette: 'Paleta de gráficas',
+    coverStart: 'Portada (inicio)',
+    coverEnd: 'Portada (final)',
+    themeSave: 'Guardar y usar',
+    themeExport: 'Exportar JSON',
+    themeImport: 'Importar JSON',
+    themeDelete: 'Eliminar tema',
+    themeCustom: '{name} (propio)',
+    themeCopy: '{name} (personalizado)',
+    themeDefaultName: 'Tema',
+    themeContrastMin: '(WCAG AA pide {min}:1)',
+    themePreviewCover: 'Título de la portada',
+    themePreviewSubtitle: 'Subtítulo · Fecha',
+    themePreviewContent: 'Diapositiva de contenido',
+    themePreviewPoint: 'Un punto del guion',
+    themePreviewOther: 'Otro punto',
+    themeSaveError: 'No se pudo guardar el tema: {error}',
+    themeExportError: 'No se pudo exportar el tema: {error}',
+    themeImportError: 'No se pudo importar el tema: {error}',
+    themeInvalidJson: 'el archivo no es JSON válido.',
+    themeDeleteConfirm: '¿Eliminar el tema "{name}"?',
+    generate: 'Generar presentación',
+    clearHistory: 'Limpiar historial',
+    livePreviewTitle: 'Actualiza la vista previa mientras escribes',
+    livePreview: 'Vista previa en vivo',
+    livePaused: 'Vista previa en pausa: el guion tiene {n} error(es).',
+    liveEmpty: 'Vista previa en pausa: no hay diapositivas.',
+    liveWarning: 'Aviso: {message}',
+    previewTitle: 'Vista previa de la presentación',
+    previewHelp:
+      'La vista previa usa el mismo HTML que podrás descargar. Haz clic en ella y usa las flechas del teclado para avanzar.',
+    openNewTab: 'Abrir en pestaña nueva',
+    previewPrev: 'Diapositiva anterior',
+    previewNext: 'Diapositiva siguiente',
+    a11ySummary: 'Accesibilidad: {n} aviso(s)',
+    a11yNone: 'Accesibilidad: sin avisos',
+    a11yTheme: 'Tema',
+    downloadsTitle: 'Descargas',
+    downloadsHelp: 'Usa estos botones para guardar la presentación en tu equipo.',
+    downloadHtml: 'Descargar HTML',
+    downloadPptx: 'Descargar PPTX',
+    downloadZip: 'Descargar ZIP (HTML + gráficas)',
+    downloadOffline: 'Descargar HTML sin conexión',
+    downloadPdfTitle: 'Abre el diálogo de impresión: elige «Guardar como PDF»',
+    downloadPdf: 'Descargar PDF',
+    downloadPngTitle: 'Imagen de la diapositiva visible en la vista previa',
+    downloadPng: 'Descargar PNG',
+    zipOffline: 'Incluir en el ZIP estilos, Plotly y fuentes locales (funciona sin internet)',
+    zipPng: 'Incluir en el ZIP una imagen PNG de cada diapositiva',
+    footer: 'Creado con ReSlides — listo para desplegar en Vercel',
+    projectSaved: 'Guardado · {date}',
+    projectSaveError: 'No se pudo guardar: {error}',
+    projectUnsaved: 'Cambios sin guardar…',
+    projectUnavailable: 'Proyectos no disponibles: {error}',
+    projectNewPrompt: 'Nombre del nuevo proyecto:',
+    projectNewName: 'Nueva presentación',
+    projectUntitled: 'Sin título',
+    projectFirstName: 'Mi presentación',
+    projectRenamePrompt: 'Nuevo nombre del proyecto:',
+    projectCopy: '{name} (copia)',
+    projectImported: '{name} (importado)',
+    projectDeleteConfirm: '¿Eliminar el proyecto "{name}" y todas sus versiones?',
+    projectImportError: 'No se pudo importar el proyecto: {error}',
+    versionSlides: '{n} diapositiva(s)',
+    versionRestore: 'Restaurar',
+    versionRestoreConfirm: 'El guion actual se reemplazará por el de esta versión. ¿Continuar?',
+    versionCompare: 'Comparar',
+    versionSame: 'El guion no cambió desde esta versión.',
+    editorSlide: 'Diapositiva {n}',
+    editorDrag: 'Arrastra para reordenar',
+    editorAutoLayout: 'Diseño automático',
+    editorDuplicate: 'Duplicar',
+    editorDuplicateTitle: 'Duplicar diapositiva',
+    editorDelete: 'Eliminar',
+    editorDeleteTitle: 'Eliminar diapositiva',
+    editorTitle: 'Título',
+    editorBullet: 'Viñeta',
+    editorRemoveBullet: 'Quitar viñeta',
+    editorAddBullet: '+ Viñeta',
+    editorAddBulletTitle: 'Añadir viñeta',
+    editorAddChart: '+ Gráfica',
+    editorAddChartTitle: 'Añadir una gráfica con datos de ejemplo',
+    editorAddSlide: '+ Diapositiva',
+    editorAddSlideTitle: 'Añadir diapositiva al final',
+    editorChart: 'Gráfica',
+    editorRemoveChart: 'Quitar gráfica',
+    editorRemoveChartTitle: 'Quitar la gráfica de la diapositiva',
+    editorFileData: 'Datos de {file}',
+    editorSheet: 'hoja {sheet}',
+    editorRange: 'rango {range}',
+    editorFileColumns: 'Edita las columnas en el guion.',
+    editorAddRow: '+ Fila',
+    editorAddRowTitle: 'Añadir etiqueta',
+    editorNewLabel: 'Etiqueta {n}',
+    editorAddSeries: '+ Serie',
+    editorAddSeriesTitle: 'Añadir serie',
+    editorNewSeries: 'Grupo {n}',
+    editorLabel: 'Etiqueta',
+    editorSeries: 'Serie',
+    editorRemoveSeries: 'Quitar serie',
+    editorRemoveRow: 'Quitar fila',
+    editorStats: 'Estadística: {kind}',
+    editorNoStats: 'sin análisis',
+    editorRemoveStats: 'Quitar análisis',
+    editorRemoveStatsTitle: 'Quitar la estadística de la diapositiva',
+    editorStatsRow: '1 fila de datos en el guion',
+    editorStatsRows: '{n} filas de datos en el guion',
+    editorStatsEdit: '{from}. Edita los datos y las columnas en el guion.',
+    you: 'Tú:',
+    diagnosticsSummary: 'ReSlides: {errors} error(es) y {warnings} aviso(s) en el guion.',
+    diagnosticsFix: ' Corrige los errores para generar la presentación.',
+    diagnosticSlide: 'Diapositiva {slide}',
+    diagnosticLine: 'Línea {line}, col. {column}',
+    emptyScript: 'Escribe un guion de presentación antes de generar.',
+    noSlides:
+      'No se detectaron diapositivas. Usa el formato "Diapositiva N" con campos como "Título:" y "Contenido:", o Markdown con títulos # y separadores ---.',
+    generated:
+      'Presentación generada con éxito. Usa la vista previa de la derecha o descarga los archivos en los formatos disponibles.',
+    importPptxConfirm: 'El guion actual se reemplazará por el del PPTX. ¿Continuar?',
+    importPptxError: 'No se pudo importar el PPTX: {error}',
+    assistantApplying: 'Aplicando el cambio al guion…',
+    assistantDrafting: 'Redactando el guion…',
+    assistantErrors: 'El asistente devolvió un guion con {n} error(es); no se cambió el tuyo.',
+    assistantUnchanged: 'El asistente no cambió el guion. Prueba a pedirlo de otra forma.',
+    assistantApplied: 'Cambio aplicado al guion.',
+    assistantDraft: 'Borrador de {n} diapositivas listo en el guion.',
+    assistantError: 'No se pudo usar el asistente: {error}',
+    generateFirst: 'Primero genera una presentación antes de descargar {what}.',
+    generateFirstPptx: 'el PPTX',
+    generateFirstPdf: 'el PDF',
+    generateFirstPng: 'el PNG',
+    generateFirstZip: 'el ZIP',
+    generateFirstOffline: 'el HTML sin conexión',
+    checkScriptTag: '{error} Verifica el script en index.html.',
+    offlineError: 'No se pudieron preparar los recursos sin conexión',
+    pdfError: 'No se pudo preparar el PDF',
+    pngError: 'No se pudo crear el PNG',
+    zipError: 'No se pudo preparar el ZIP',
+    deckLoadError: 'No se pudo cargar la presentación.',
+    imageError: 'El navegador no pudo crear la imagen.',
+    drawError: 'El navegador no pudo dibujar la diapositiva.',
   },
-  purpura: {
-    name: 'Púrpura',
-    primary: '#4C1D95',
-    secondary: '#6D28D9',
-    accent: '#FBBF24',
-    background: '#F5F3FF',
-    text: '#111827',
+  en: {
+    appTitle: 'ReSlides · Presentation generator',
+    appTagline: 'HTML presentation generator · Charts · PPTX',
+    localeLabel: 'Language',
+    projectLabel: 'Project',
+    projectNew: 'New',
+    projectRename: 'Rename',
+    projectDuplicate: 'Duplicate',
+    projectExport: 'Export .reslides.json',
+    projectImport: 'Import',
+    projectDelete: 'Delete',
+    versionHistory: 'Version history',
+    assistantTitle: 'Writing assistant',
+    assistantPlaceholder: 'Type a topic or paste your notes. Then ask for changes: “add a slide about limitations”',
+    assistantSend: 'Send',
+    assistantProvider: 'Provider',
+    assistantMockOption: 'Simulated (offline)',
+    assistantMock: 'Simulated',
+    assistantOpenAi: 'OpenAI-compatible',
+    assistantOpenAiModel: 'OpenAI-compatible ({model})',
+    assistantNoModel: 'no model',
+    assistantModel: 'Model',
+    assistantUrl: 'API URL',
+    assistantKey: 'Key (optional for local servers)',
+    assistantNote: 'Settings and key are stored only in this browser. The current script is sent to the provider with every request.',
+    scriptLabel: 'Presentation script',
+    convertMarkdown: 'To Markdown',
+    convertScript: 'To script',
+    visualToggleTitle: 'Edit the slides as cards',
+    visualEditor: 'Visual editor',
+    visualText: 'Edit text',
+    importPptxTitle: 'Turns an existing .pptx into a script',
+    importPptx: 'Import PPTX',
+    scriptPlaceholder: [
+      'Example:',
+      'Slide 1',
+      'Title: AI use among university students',
+      'Content: Students use AI to study; Usage patterns are moderate',
+      '',
+      'Slide 2',
+      'Title: How often it is used',
+      'Content: Most report frequent use for summaries',
+      'Data: Labels: Summaries, Ideas, Writing; Values: 4.2, 3.8, 2.5',
+      'Description: Frequency of use by activity',
+      '',
+      'Slide 3',
+      'Layout: lista-numerada',
+      'Title: Conclusions',
+      'Content: AI is mostly used for summarizing; Training in ethical use is lacking',
+    ].join('\n'),
+    formatBadge: 'Format: {name}',
+    formatScript: 'script',
+    attachLabel: 'Attach images or files',
+    attachHelp: 'or drop them on the form. Use them in the script with',
+    attachHelpAttachment: 'Attachment: name.png',
+    attachHelpOr: ', or',
+    attachHelpData: 'Data: Archivo: data.csv',
+    attachHelpEnd: 'for charts (click a file to insert it).',
+    attachInsert: 'Insert into the script',
+    attachRemove: 'Remove',
+    themeSelect: 'Color theme',
+    fontSelect: 'Typeface',
+    themeEditor: 'Theme editor',
+    themeName: 'Name',
+    colorPrimary: 'Primary',
+    colorSecondary: 'Secondary',
+    colorAccent: 'Accent',
+    colorBackground: 'Background',
+    colorText: 'Text',
+    fontHeading: 'Headings',
+    fontBody: 'Body',
+    chartPalette: 'Chart palette',
+    coverStart: 'Cover (start)',
+    coverEnd: 'Cover (end)',
+    themeSave: 'Save and use',
+    themeExport: 'Export JSON',
+    themeImport: 'Import JSON',
+    themeDelete: 'Delete theme',
+    themeCustom: '{name} (custom)',
+    themeCopy: '{name} (customized)',
+    themeDefaultName: 'Theme',
+    themeContrastMin: '(WCAG AA requires {min}:1)',
+    themePreviewCover: 'Cover title',
+    themePreviewSubtitle: 'Subtitle · Date',
+    themePreviewContent: 'Content slide',
+    themePreviewPoint: 'A point from the script',
+    themePreviewOther: 'Another point',
+    themeSaveError: 'Could not save the theme: {error}',
+    themeExportError: 'Could not export the theme: {error}',
+    themeImportError: 'Could not import the theme: {error}',
+    themeInvalidJson: 'the file is not valid JSON.',
+    themeDeleteConfirm: 'Delete the theme "{name}"?',
+    generate: 'Generate presentation',
+    clearHistory: 'Clear history',
+    livePreviewTitle: 'Updates the preview as you type',
+    livePreview: 'Live preview',
+    livePaused: 'Preview paused: the script has {n} error(s).',
+    liveEmpty: 'Preview paused: there are no slides.',
+    liveWarning: 'Warning: {message}',
+    previewTitle: 'Presentation preview',
+    previewHelp: 'The preview uses the same HTML you can download. Click it and use the arrow keys to move forward.',
+    openNewTab: 'Open in new tab',
+    previewPrev: 'Previous slide',
+    previewNext: 'Next slide',
+    a11ySummary: 'Accessibility: {n} warning(s)',
+    a11yNone: 'Accessibility: no warnings',
+    a11yTheme: 'Theme',
+    downloadsTitle: 'Downloads',
+    downloadsHelp: 'Use these buttons to save the presentation to your computer.',
+    downloadHtml: 'Download HTML',
+    downloadPptx: 'Download PPTX',
+    downloadZip: 'Download ZIP (HTML + charts)',
+    downloadOffline: 'Download offline HTML',
+    downloadPdfTitle: 'Opens the print dialog: choose “Save as PDF”',
+    downloadPdf: 'Download PDF',
+    downloadPngTitle: 'Image of the slide shown in the preview',
+    downloadPng: 'Download PNG',
+    zipOffline: 'Include local styles, Plotly and fonts in the ZIP (works without internet)',
+    zipPng: 'Include a PNG image of each slide in the ZIP',
+    footer: 'Made with ReSlides — ready to deploy on Vercel',
+    projectSaved: 'Saved · {date}',
+    projectSaveError: 'Could not save: {error}',
+    projectUnsaved: 'Unsaved changes…',
+    projectUnavailable: 'Projects unavailable: {error}',
+    projectNewPrompt: 'Name of the new project:',
+    projectNewName: 'New presentation',
+    projectUntitled: 'Untitled',
+    projectFirstName: 'My presentation',
+    projectRenamePrompt: 'New project name:',
+    projectCopy: '{name} (copy)',
+    projectImported: '{name} (imported)',
+    projectDeleteConfirm: 'Delete the project "{name}" and all its versions?',
+    projectImportError: 'Could not import the project: {error}',
+    versionSlides: '{n} slide(s)',
+    versionRestore: 'Restore',
+    versionRestoreConfirm: 'The current script will be replaced by this version. Continue?',
+    versionCompare: 'Compare',
+    versionSame: 'The script has not changed since this version.',
+    editorSlide: 'Slide {n}',
+    editorDrag: 'Drag to reorder',
+    editorAutoLayout: 'Automatic layout',
+    editorDuplicate: 'Duplicate',
+    editorDuplicateTitle: 'Duplicate slide',
+    editorDelete: 'Delete',
+    editorDeleteTitle: 'Delete slide',
+    editorTitle: 'Title',
+    editorBullet: 'Bullet',
+    editorRemoveBullet: 'Remove bullet',
+    editorAddBullet: '+ Bullet',
+    editorAddBulletTitle: 'Add bullet',
+    editorAddChart: '+ Chart',
+    editorAddChartTitle: 'Add a chart with sample data',
+    editorAddSlide: '+ Slide',
+    editorAddSlideTitle: 'Add a slide at the end',
+    editorChart: 'Chart',
+    editorRemoveChart: 'Remove chart',
+    editorRemoveChartTitle: 'Remove the chart from the slide',
+    editorFileData: 'Data from {file}',
+    editorSheet: 'sheet {sheet}',
+    editorRange: 'range {range}',
+    editorFileColumns: 'Edit the columns in the script.',
+    editorAddRow: '+ Row',
+    editorAddRowTitle: 'Add label',
+    editorNewLabel: 'Label {n}',
+    editorAddSeries: '+ Series',
+    editorAddSeriesTitle: 'Add series',
+    editorNewSeries: 'Group {n}',
+    editorLabel: 'Label',
+    editorSeries: 'Series',
+    editorRemoveSeries: 'Remove series',
+    editorRemoveRow: 'Remove row',
+    editorStats: 'Statistics: {kind}',
+    editorNoStats: 'no analysis',
+    editorRemoveStats: 'Remove analysis',
+    editorRemoveStatsTitle: 'Remove the statistics from the slide',
+    editorStatsRow: '1 data row in the script',
+    editorStatsRows: '{n} data rows in the script',
+    editorStatsEdit: '{from}. Edit the data and columns in the script.',
+    you: 'You:',
+    diagnosticsSummary: 'ReSlides: {errors} error(s) and {warnings} warning(s) in the script.',
+    diagnosticsFix: ' Fix the errors to generate the presentation.',
+    diagnosticSlide: 'Slide {slide}',
+    diagnosticLine: 'Line {line}, col. {column}',
+    emptyScript: 'Write a presentation script before generating.',
+    noSlides:
+      'No slides were found. Use the "Slide N" format with fields such as "Title:" and "Content:", or Markdown with # headings and --- separators.',
+    generated: 'Presentation generated. Use the preview on the right or download the files in the available formats.',
+    importPptxConfirm: 'The current script will be replaced by the one from the PPTX. Continue?',
+    importPptxError: 'Could not import the PPTX: {error}',
+    assistantApplying: 'Applying the change to the script…',
+    assistantDrafting: 'Drafting the script…',
+    assistantErrors: 'The assistant returned a script with {n} error(s); yours was not changed.',
+    assistantUnchanged: 'The assistant did not change the script. Try asking differently.',
+    assistantApplied: 'Change applied to the script.',
+    assistantDraft: 'Draft of {n} slides ready in the script.',
+    assistantError: 'Could not use the assistant: {error}',
+    generateFirst: 'Generate a presentation before downloading {what}.',
+    generateFirstPptx: 'the PPTX',
+    generateFirstPdf: 'the PDF',
+    generateFirstPng: 'the PNG',
+    generateFirstZip: 'the ZIP',
+    generateFirstOffline: 'the offline HTML',
+    checkScriptTag: '{error} Check the script tag in index.html.',
+    offlineError: 'Could not prepare the offline resources',
+    pdfError: 'Could not prepare the PDF',
+    pngError: 'Could not create the PNG',
+    zipError: 'Could not prepare the ZIP',
+    deckLoadError: 'Could not load the presentation.',
+    imageError: 'The browser could not create the image.',
+    drawError: 'The browser could not draw the slide.',
   },
-  verde: {
-    name: 'Verde',
-    primary: '#166534',
-    secondary: '#047857',
-    accent: '#F59E0B',
-    background: '#ECFDF5',
-    text: '#064E3B',
+  pt: {
+    appTitle: 'ReSlides · Gerador de apresentações',
+    appTagline: 'Gerador de apresentações HTML · Gráficos · PPTX',
+    localeLabel: 'Idioma',
+    projectLabel: 'Projeto',
+    projectNew: 'Novo',
+    projectRename: 'Renomear',
+    projectDuplicate: 'Duplicar',
+    projectExport: 'Exportar .reslides.json',
+    projectImport: 'Importar',
+    projectDelete: 'Excluir',
+    versionHistory: 'Histórico de versões',
+    assistantTitle: 'Assistente de redação',
+    assistantPlaceholder: 'Escreva um tema ou cole suas notas. Depois peça mudanças: «adicione um slide de limitações»',
+    assistantSend: 'Enviar',
+    assistantProvider: 'Provedor',
+    assistantMockOption: 'Simulado (sem conexão)',
+    assistantMock: 'Simulado',
+    assistantOpenAi: 'Compatível com OpenAI',
+    assistantOpenAiModel: 'Compatível com OpenAI ({model})',
+    assistantNoModel: 'sem modelo',
+    assistantModel: 'Modelo',
+    assistantUrl: 'URL da API',
+    assistantKey: 'Chave (opcional em servidores locais)',
+    assistantNote:
+      'As configurações e a chave ficam salvas só neste navegador. O roteiro atual é enviado ao provedor a cada pedido.',
+    scriptLabel: 'Roteiro da apresentação',
+    convertMarkdown: 'Para Markdown',
+    convertScript: 'Para roteiro',
+    visualToggleTitle: 'Editar os slides como cartões',
+    visualEditor: 'Editor visual',
+    visualText: 'Editar texto',
+    importPptxTitle: 'Converte um .pptx existente em roteiro',
+    importPptx: 'Importar PPTX',
+    scriptPlaceholder: [
+      'Exemplo:',
+      'Slide 1',
+      'Título: Uso de IA por estudantes universitários',
+      'Conteúdo: Os estudantes usam IA para estudar; Observam-se padrões de uso moderado',
+      '',
+      'Slide 2',
+      'Título: Frequência de uso',
+      'Conteúdo: A maioria relata uso frequente para resumos',
+      'Dados: Labels: Resumos, Ideias, Redação; Valores: 4.2, 3.8, 2.5',
+      'Descrição: Frequência de uso por atividade',
+      '',
+      'Slide 3',
+      'Layout: lista-numerada',
+      'Título: Conclusões',
+      'Conteúdo: A IA é usada sobretudo para resumir; Falta formação em uso ético',
+    ].join('\n'),
+    formatBadge: 'Formato: {name}',
+    formatScript: 'roteiro',
+    attachLabel: 'Anexar imagens ou arquivos',
+    attachHelp: 'ou arraste-os sobre o formulário. Use-os no roteiro com',
+    attachHelpAttachment: 'Anexo: nome.png',
+    attachHelpOr: ', ou',
+    attachHelpData: 'Dados: Arquivo: dados.csv',
+    attachHelpEnd: 'para os gráficos (clique em um arquivo para inseri-lo).',
+    attachInsert: 'Inserir no roteiro',
+    attachRemove: 'Remover',
+    themeSelect: 'Tema de cores',
+    fontSelect: 'Tipografia',
+    themeEditor: 'Editor de temas',
+    themeName: 'Nome',
+    colorPrimary: 'Primária',
+    colorSecondary: 'Secundária',
+    colorAccent: 'Destaque',
+    colorBackground: 'Fundo',
+    colorText: 'Texto',
+    fontHeading: 'Títulos',
+    fontBody: 'Texto',
+    chartPalette: 'Paleta dos gráficos',
+    coverStart: 'Capa (início)',
+    coverEnd: 'Capa (fim)',
+    themeSave: 'Salvar e usar',
+    themeExport: 'Exportar JSON',
+    themeImport: 'Importar JSON',
+    themeDelete: 'Excluir tema',
+    themeCustom: '{name} (próprio)',
+    themeCopy: '{name} (personalizado)',
+    themeDefaultName: 'Tema',
+    themeContrastMin: '(WCAG AA exige {min}:1)',
+    themePreviewCover: 'Título da capa',
+    themePreviewSubtitle: 'Subtítulo · Data',
+    themePreviewContent: 'Slide de conteúdo',
+    themePreviewPoint: 'Um ponto do roteiro',
+    themePreviewOther: 'Outro ponto',
+    themeSaveError: 'Não foi possível salvar o tema: {error}',
+    themeExportError: 'Não foi possível exportar o tema: {error}',
+    themeImportError: 'Não foi possível importar o tema: {error}',
+    themeInvalidJson: 'o arquivo não é um JSON válido.',
+    themeDeleteConfirm: 'Excluir o tema "{name}"?',
+    generate: 'Gerar apresentação',
+    clearHistory: 'Limpar histórico',
+    livePreviewTitle: 'Atualiza a pré-visualização enquanto você escreve',
+    livePreview: 'Pré-visualização ao vivo',
+    livePaused: 'Pré-visualização em pausa: o roteiro tem {n} erro(s).',
+    liveEmpty: 'Pré-visualização em pausa: não há slides.',
+    liveWarning: 'Aviso: {message}',
+    previewTitle: 'Pré-visualização da apresentação',
+    previewHelp: 'A pré-visualização usa o mesmo HTML que você pode baixar. Clique nela e use as setas do teclado para avançar.',
+    openNewTab: 'Abrir em nova aba',
+    previewPrev: 'Slide anterior',
+    previewNext: 'Próximo slide',
+    a11ySummary: 'Acessibilidade: {n} aviso(s)',
+    a11yNone: 'Acessibilidade: sem avisos',
+    a11yTheme: 'Tema',
+    downloadsTitle: 'Downloads',
+    downloadsHelp: 'Use estes botões para salvar a apresentação no seu computador.',
+    downloadHtml: 'Baixar HTML',
+    downloadPptx: 'Baixar PPTX',
+    downloadZip: 'Baixar ZIP (HTML + gráficos)',
+    downloadOffline: 'Baixar HTML sem conexão',
+    downloadPdfTitle: 'Abre a caixa de impressão: escolha «Salvar como PDF»',
+    downloadPdf: 'Baixar PDF',
+    downloadPngTitle: 'Imagem do slide visível na pré-visualização',
+    downloadPng: 'Baixar PNG',
+    zipOffline: 'Incluir no ZIP estilos, Plotly e fontes locais (funciona sem internet)',
+    zipPng: 'Incluir no ZIP uma imagem PNG de cada slide',
+    footer: 'Criado com ReSlides — pronto para publicar na Vercel',
+    projectSaved: 'Salvo · {date}',
+    projectSaveError: 'Não foi possível salvar: {error}',
+    projectUnsaved: 'Alterações não salvas…',
+    projectUnavailable: 'Projetos indisponíveis: {error}',
+    projectNewPrompt: 'Nome do novo projeto:',
+    projectNewName: 'Nova apresentação',
+    projectUntitled: 'Sem título',
+    projectFirstName: 'Minha apresentação',
+    projectRenamePrompt: 'Novo nome do projeto:',
+    projectCopy: '{name} (cópia)',
+    projectImported: '{name} (importado)',
+    projectDeleteConfirm: 'Excluir o projeto "{name}" e todas as suas versões?',
+    projectImportError: 'Não foi possível importar o projeto: {error}',
+    versionSlides: '{n} slide(s)',
+    versionRestore: 'Restaurar',
+    versionRestoreConfirm: 'O roteiro atual será substituído pelo desta versão. Continuar?',
+    versionCompare: 'Comparar',
+    versionSame: 'O roteiro não mudou desde esta versão.',
+    editorSlide: 'Slide {n}',
+    editorDrag: 'Arraste para reordenar',
+    editorAutoLayout: 'Layout automático',
+    editorDuplicate: 'Duplicar',
+    editorDuplicateTitle: 'Duplicar slide',
+    editorDelete: 'Excluir',
+    editorDeleteTitle: 'Excluir slide',
+    editorTitle: 'Título',
+    editorBullet: 'Tópico',
+    editorRemoveBullet: 'Remover tópico',
+    editorAddBullet: '+ Tópico',
+    editorAddBulletTitle: 'Adicionar tópico',
+    editorAddChart: '+ Gráfico',
+    editorAddChartTitle: 'Adicionar um gráfico com dados de exemplo',
+    editorAddSlide: '+ Slide',
+    editorAddSlideTitle: 'Adicionar slide no final',
+    editorChart: 'Gráfico',
+    editorRemoveChart: 'Remover gráfico',
+    editorRemoveChartTitle: 'Remover o gráfico do slide',
+    editorFileData: 'Dados de {file}',
+    editorSheet: 'planilha {sheet}',
+    editorRange: 'intervalo {range}',
+    editorFileColumns: 'Edite as colunas no roteiro.',
+    editorAddRow: '+ Linha',
+    editorAddRowTitle: 'Adicionar rótulo',
+    editorNewLabel: 'Rótulo {n}',
+    editorAddSeries: '+ Série',
+    editorAddSeriesTitle: 'Adicionar série',
+    editorNewSeries: 'Grupo {n}',
+    editorLabel: 'Rótulo',
+    editorSeries: 'Série',
+    editorRemoveSeries: 'Remover série',
+    editorRemoveRow: 'Remover linha',
+    editorStats: 'Estatística: {kind}',
+    editorNoStats: 'sem análise',
+    editorRemoveStats: 'Remover análise',
+    editorRemoveStatsTitle: 'Remover a estatística do slide',
+    editorStatsRow: '1 linha de dados no roteiro',
+    editorStatsRows: '{n} linhas de dados no roteiro',
+    editorStatsEdit: '{from}. Edite os dados e as colunas no roteiro.',
+    you: 'Você:',
+    diagnosticsSummary: 'ReSlides: {errors} erro(s) e {warnings} aviso(s) no roteiro.',
+    diagnosticsFix: ' Corrija os erros para gerar a apresentação.',
+    diagnosticSlide: 'Slide {slide}',
+    diagnosticLine: 'Linha {line}, col. {column}',
+    emptyScript: 'Escreva um roteiro de apresentação antes de gerar.',
+    noSlides:
+      'Nenhum slide encontrado. Use o formato "Slide N" com campos como "Título:" e "Conteúdo:", ou Markdown com títulos # e separadores ---.',
+    generated: 'Apresentação gerada com sucesso. Use a pré-visualização à direita ou baixe os arquivos nos formatos disponíveis.',
+    importPptxConfirm: 'O roteiro atual será substituído pelo do PPTX. Continuar?',
+    importPptxError: 'Não foi possível importar o PPTX: {error}',
+    assistantApplying: 'Aplicando a mudança ao roteiro…',
+    assistantDrafting: 'Redigindo o roteiro…',
+    assistantErrors: 'O assistente devolveu um roteiro com {n} erro(s); o seu não foi alterado.',
+    assistantUnchanged: 'O assistente não alterou o roteiro. Tente pedir de outra forma.',
+    assistantApplied: 'Mudança aplicada ao roteiro.',
+    assistantDraft: 'Rascunho de {n} slides pronto no roteiro.',
+    assistantError: 'Não foi possível usar o assistente: {error}',
+    generateFirst: 'Gere uma apresentação antes de baixar {what}.',
+    generateFirstPptx: 'o PPTX',
+    generateFirstPdf: 'o PDF',
+    generateFirstPng: 'o PNG',
+    generateFirstZip: 'o ZIP',
+    generateFirstOffline: 'o HTML sem conexão',
+    checkScriptTag: '{error} Verifique o script em index.html.',
+    offlineError: 'Não foi possível preparar os recursos sem conexão',
+    pdfError: 'Não foi possível preparar o PDF',
+    pngError: 'Não foi possível criar o PNG',
+    zipError: 'Não foi possível preparar o ZIP',
+    deckLoadError: 'Não foi possível carregar a apresentação.',
+    imageError: 'O navegador não conseguiu criar a imagem.',
+    drawError: 'O navegador não conseguiu desenhar o slide.',
   },
 };
 
-const FONTS = {
-  default: {
-    heading: "'Sorts Mill Goudy', serif",
-    body: "'Oranienbaum', serif",
-  },
-  moderna: {
-    heading: "'Coda', sans-serif",
-    body: "'Unna', serif",
-  },
-};
+// Idioma guardado, o el del navegador la primera vez
+function loadUiLocale() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(UI_LOCALE_KEY);
+  } catch (e) {
+    // Sin almacenamiento: se usa el del navegador
+  }
+  return resolveLocale(stored || (typeof navigator !== 'undefined' && navigator.language) || 'es');
+}
+
+let uiLocale = loadUiLocale();
+// Funciones que vuelven a dibujar lo que la app escribe por su cuenta al cambiar de idioma
+const uiLocaleListeners = [];
+
+function uiText(key, vars = {}) {
+  const text = key in UI_TEXT[uiLocale] ? UI_TEXT[uiLocale][key] : UI_TEXT.es[key];
+  return text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+// Nombre de un elemento de LAYOUTS, CHART_TYPES, etc. en el idioma de la interfaz
+function uiName(group, key, registry) {
+  return localeName(uiLocale, group, key, registry);
+}
+
+// Aplica los textos a los elementos con data-i18n*
+function applyUiLocale(root = document) {
+  if (root === document) document.documentElement.lang = uiLocale;
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = uiText(el.dataset.i18n);
+  });
+  ['title', 'placeholder', 'aria-label'].forEach((attr) => {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+      el.setAttribute(attr, uiText(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+}
+
+function setUiLocale(locale) {
+  uiLocale = resolveLocale(locale);
+  try {
+    localStorage.setItem(UI_LOCALE_KEY, uiLocale);
+  } catch (e) {
+    // Sin almacenamiento: el idioma dura hasta recargar
+  }
+  applyUiLocale();
+  uiLocaleListeners.forEach((listener) => listener());
+}
+
+function onUiLocaleChange(listener) {
+  uiLocaleListeners.push(listener);
+}
 
-// Utilidad: convertir color #RRGGBB a formato usado típicamente por PptxGenJS ("RRGGBB")
-function toPptxColor(hex) {
-  if (!hex) return '000000';
-  return hex.replace('#', '').toUpperCase();
+// Selector de idioma de la cabecera, con los idiomas de LOCALES
+function setupLocaleSelect() {
+  const select = document.getElementById('locale-select');
+  if (select) {
+    Object.keys(LOCALES).forEach((key) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = LOCALES[key].name;
+      select.appendChild(option);
+    });
+    select.value = uiLocale;
+    select.addEventListener('change', () => setUiLocale(select.value));
+  }
+  applyUiLocale();
 }
 
 /* ===========================
-   Parseo del guion
+   Temas personalizados
    =========================== */
 
-function parseScript(raw) {
-  const slides = [];
-  const lines = raw.split(/\r?\n/);
-  let current = null;
+const CUSTOM_THEMES_KEY = 'reslides-temas';
 
-  function startNewSlide() {
-    if (current) slides.push(current);
-    current = {
-      title: '',
-      content: [],
-      graph: null,
-      description: '',
-      attachments: [],
-    };
+// Temas del editor guardados en el navegador: { clave: datos en el formato de normalizeTheme }
+function loadCustomThemes() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_THEMES_KEY)) || {};
+  } catch (e) {
+    return {};
   }
+}
 
-  for (let rawLine of lines) {
-    const line = rawLine.trim();
-    if (!line) continue;
+function saveCustomThemes(themes) {
+  try {
+    localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(themes));
+  } catch (e) {
+    // Sin almacenamiento (navegación privada, cuota llena): el tema dura hasta recargar
+  }
+}
 
-    if (/^Diapositiva\s+\d+/i.test(line)) {
-      startNewSlide();
-      continue;
-    }
+// Rellena un <select> con un registro { clave: { name } } y selecciona `selected` si existe;
+// `group` es el de LOCALES[…].names con los nombres traducidos
+function fillSelect(select, registry, selected, group) {
+  select.innerHTML = '';
+  Object.keys(registry).forEach((key) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = registry[key].custom
+      ? uiText('themeCustom', { name: registry[key].name })
+      : uiName(group, key, registry);
+    select.appendChild(option);
+  });
+  select.value = registry[selected] ? selected : 'default';
+}
 
-    if (/^(Título|Titulo):/i.test(line)) {
-      if (!current) startNewSlide();
-      current.title = line.replace(/^(Título|Titulo):/i, '').trim();
-      continue;
-    }
+// Miniaturas de portada y contenido con los colores y tipografías del editor
+function themePreviewHtml(theme, fonts) {
+  theme = cssTheme(theme);
+  fonts = cssFonts(fonts);
+  const bars = chartPalette(theme)
+    .slice(0, 6)
+    .map((color, i) => `<span class="w-2 rounded-t" style="background:${color}; height:${40 + ((i * 37) % 55)}%;"></span>`)
+    .join('');
+  return `
+<div class="rounded-lg h-20 flex flex-col items-center justify-center text-white" style="background: linear-gradient(135deg, ${coverColors(theme).join(', ')});">
+  <p class="text-base font-bold" style="font-family:${fonts.heading};">${uiText('themePreviewCover')}</p>
+  <p class="text-[10px] opacity-80" style="font-family:${fonts.body};">${uiText('themePreviewSubtitle')}</p>
+</div>
+<div class="rounded-lg h-24 p-2 flex gap-2 border border-slate-200" style="background:${theme.background}; color:${theme.text}; font-family:${fonts.body};">
+  <div class="flex-1">
+    <p class="text-sm font-bold" style="color:${theme.primary}; font-family:${fonts.heading};">${uiText('themePreviewContent')}</p>
+    <ul class="list-disc pl-4 text-[11px]"><li>${uiText('themePreviewPoint')}</li><li>${uiText('themePreviewOther')}</li></ul>
+    <div class="w-10 h-1 mt-1" style="background:${theme.accent};"></div>
+  </div>
+  <div class="w-20 flex items-end gap-1">${bars}</div>
+</div>`;
+}
 
-    if (/^(Contenido|Contexto):/i.test(line)) {
-      if (!current) startNewSlide();
-      const text = line.replace(/^(Contenido|Contexto):/i, '').trim();
-      if (text) {
-        text
-          .split(';')
-          .map((s) => s.trim())
-          .filter(Boolean)
-          .forEach((t) => current.content.push(t));
-      }
-      continue;
-    }
-
-    if (/^Datos:/i.test(line)) {
-      if (!current) startNewSlide();
-      const graph = { labels: [], values: [] };
-      const rest = line.replace(/^Datos:/i, '').trim();
-      const parts = rest.split(';');
-      parts.forEach((sec) => {
-        const s = sec.trim();
-        if (!s) return;
-        if (/^(labels?|etiquetas?):/i.test(s)) {
-          const labelStr = s.replace(/^(labels?|etiquetas?):/i, '').trim();
-          graph.labels = labelStr
-            .split(',')
-            .map((x) => x.trim())
-            .filter(Boolean);
-        } else if (/^(valores?|values?):/i.test(s)) {
-          const valStr = s.replace(/^(valores?|values?):/i, '').trim();
-          graph.values = valStr
-            .split(',')
-            .map((x) => parseFloat(x.trim()))
-            .filter((v) => !isNaN(v));
-        }
-      });
-      current.graph = graph;
-      continue;
+function setupThemeEditor(themeSelect, fontSelect) {
+  const editor = document.getElementById('theme-editor');
+  if (!themeSelect || !fontSelect) return;
+
+  // Los temas guardados se registran antes de rellenar los selects
+  const stored = {};
+  Object.values(loadCustomThemes()).forEach((data) => {
+    try {
+      stored[registerTheme(data, uiLocale)] = data;
+    } catch (e) {
+      // Un tema guardado que ya no es válido se descarta
     }
+  });
+  const refreshSelects = (themeKey, fontKey) => {
+    fillSelect(themeSelect, THEMES, themeKey, 'theme');
+    fillSelect(fontSelect, FONTS, fontKey, 'font');
+  };
+  refreshSelects('default', 'default');
+  // Un tema con tipografías propias las selecciona también
+  themeSelect.addEventListener('change', () => {
+    const fontKey = THEMES[themeSelect.value].fontKey;
+    if (fontKey) fontSelect.value = fontKey;
+  });
 
-    if (/^(Descripción|Descripcion):/i.test(line)) {
-      if (!current) startNewSlide();
-      current.description = line
-        .replace(/^(Descripción|Descripcion):/i, '')
-        .trim();
-      continue;
-    }
+  // Registra y guarda un tema propio sin cambiar la selección; devuelve su clave
+  const addTheme = (data) => {
+    const key = registerTheme(data, uiLocale);
+    stored[key] = data;
+    saveCustomThemes(stored);
+    refreshSelects(themeSelect.value, fontSelect.value);
+    return key;
+  };
+  const selectTheme = (key) => {
+    themeSelect.value = key;
+    themeSelect.dispatchEvent(new Event('change'));
+  };
+
+  onUiLocaleChange(() => refreshSelects(themeSelect.value, fontSelect.value));
+
+  if (!editor) return { addTheme };
+  const nameInput = document.getElementById('theme-name');
+  const colorInputs = Array.from(editor.querySelectorAll('[data-theme-color]'));
+  const chartInputs = Array.from(editor.querySelectorAll('[data-theme-chart]'));
+  const coverInputs = Array.from(editor.querySelectorAll('[data-theme-cover]'));
+  const headingFont = document.getElementById('theme-heading-font');
+  const bodyFont = document.getElementById('theme-body-font');
+  const preview = document.getElementById('theme-preview');
+  const contrastList = document.getElementById('theme-contrast');
+  const deleteBtn = document.getElementById('theme-delete');
+  const importInput = document.getElementById('theme-import');
+
+  [headingFont, bodyFont].forEach((select) => {
+    Object.keys(FONT_FAMILIES).forEach((family) => {
+      const option = document.createElement('option');
+      option.value = family;
+      option.textContent = family;
+      option.style.fontFamily = `'${family}'`;
+      select.appendChild(option);
+    });
+  });
 
-    if (/^Adjunto:/i.test(line)) {
-      if (!current) startNewSlide();
-      const rest = line.replace(/^Adjunto:/i, '').trim();
-      if (rest) {
-        current.attachments.push(
-          ...rest.split(',').map((s) => s.trim()).filter(Boolean)
-        );
-      }
-      continue;
-    }
+  // Datos del formulario en el formato de los archivos de tema
+  function editorData() {
+    const data = { name: nameInput.value.trim() };
+    colorInputs.forEach((input) => {
+      data[input.dataset.themeColor] = input.value.toUpperCase();
+    });
+    data.chart = chartInputs.map((input) => input.value.toUpperCase());
+    data.cover = coverInputs.map((input) => input.value.toUpperCase());
+    data.fonts = { heading: headingFont.value, body: bodyFont.value };
+    return data;
+  }
+
+  // Vista previa y contraste al momento; el nombre sólo hace falta al guardar
+  function update() {
+    const { theme, fonts } = normalizeTheme({ ...editorData(), name: nameInput.value.trim() || uiText('themeDefaultName') }, uiLocale);
+    preview.innerHTML = themePreviewHtml(theme, fonts);
+    contrastList.innerHTML = '';
+    checkThemeContrast(theme, uiLocale).forEach((check) => {
+      const item = document.createElement('li');
+      item.className = check.ok ? 'text-green-700' : 'text-red-700';
+      item.textContent =
+        `${check.ok ? '✔' : '✖'} ${check.label}: ${check.ratio.toFixed(2)}:1` +
+        (check.ok ? '' : ` ${uiText('themeContrastMin', { min: check.minimum })}`);
+      contrastList.appendChild(item);
+    });
+  }
+
+  // Carga en el editor el tema y la tipografía seleccionados
+  function loadIntoEditor() {
+    const theme = THEMES[themeSelect.value];
+    const fonts = FONTS[fontSelect.value];
+    nameInput.value = theme.custom ? theme.name : uiText('themeCopy', { name: uiName('theme', themeSelect.value, THEMES) });
+    colorInputs.forEach((input) => {
+      input.value = theme[input.dataset.themeColor].toLowerCase();
+    });
+    const palette = chartPalette(theme);
+    chartInputs.forEach((input, i) => {
+      input.value = palette[i].toLowerCase();
+    });
+    coverColors(theme).forEach((color, i) => {
+      coverInputs[i].value = color.toLowerCase();
+    });
+    headingFont.value = fonts.families[0];
+    bodyFont.value = fonts.families[fonts.families.length - 1];
+    deleteBtn?.classList.toggle('hidden', !theme.custom);
+    update();
+  }
 
-    // Cualquier otra línea se considera contenido adicional (posibles puntos separados por ;)
-    if (!current) startNewSlide();
-    line
-      .split(';')
-      .map((s) => s.trim())
-      .filter(Boolean)
-      .forEach((t) => current.content.push(t));
+  // Registra el tema, lo guarda en el navegador y lo deja seleccionado
+  function useTheme(data) {
+    selectTheme(addTheme(data));
   }
 
-  if (current) slides.push(current);
-  return slides;
+  themeSelect.addEventListener('change', loadIntoEditor);
+  fontSelect.addEventListener('change', () => {
+    const { families } = FONTS[fontSelect.value];
+    headingFont.value = families[0];
+    bodyFont.value = families[families.length - 1];
+    update();
+  });
+  editor.addEventListener('input', update);
+  document.getElementById('theme-save')?.addEventListener('click', () => {
+    try {
+      useTheme(editorData());
+    } catch (err) {
+      alert(uiText('themeSaveError', { error: err.message }));
+    }
+  });
+  document.getElementById('theme-export')?.addEventListener('click', () => {
+    const data = editorData();
+    try {
+      normalizeTheme(data, uiLocale);
+    } catch (err) {
+      alert(uiText('themeExportError', { error: err.message }));
+      return;
+    }
+    const json = JSON.stringify(data, null, 2) + '\n';
+    saveBlob(new Blob([json], { type: 'application/json' }), `tema-${normalizeKeyword(data.name)}.json`);
+  });
+  importInput?.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (e) {
+        throw new Error(uiText('themeInvalidJson'));
+      }
+      useTheme(data);
+      editor.open = true;
+    } catch (err) {
+      alert(uiText('themeImportError', { error: err.message }));
+    }
+  });
+  deleteBtn?.addEventListener('click', () => {
+    const key = themeSelect.value;
+    if (!confirm(uiText('themeDeleteConfirm', { name: THEMES[key].name }))) return;
+    unregisterTheme(key);
+    delete stored[key];
+    saveCustomThemes(stored);
+    refreshSelects('default', fontSelect.value);
+    selectTheme('default');
+  });
+
+  // El contraste y la vista previa también llevan textos
+  onUiLocaleChange(update);
+  loadIntoEditor();
+  return { addTheme };
 }
 
 /* ===========================
-   Generación de HTML de gráficas independientes
+   Proyectos: almacenamiento y autoguardado
    =========================== */
 
-function generateGraphHtml(slide, index, theme, fonts) {
-  const labelsJson = JSON.stringify(slide.graph?.labels || []);
-  const valuesJson = JSON.stringify(slide.graph?.values || []);
-  const esc = (str) =>
-    String(str == null ? '' : str).replace(/&/g, '&amp;').replace(/</g, '&lt;');
-
-  const html = `<!DOCTYPE html>
-<html lang="es">
-<head>
-  <meta charset="UTF-8" />
-  <title>Gráfica ${index} - ${esc(slide.title)}</title>
-  <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
-  <style>
-    body {
-      margin: 0;
-      font-family: ${fonts.body};
-      background: ${theme.background};
-      color: ${theme.text};
-    }
-    #chart {
-      width: 100vw;
-      height: 100vh;
-    }
-  </style>
-</head>
-<body>
-  <div id="chart"></div>
-  <script>
-    document.addEventListener('DOMContentLoaded', function () {
-      var labels = ${labelsJson};
-      var values = ${valuesJson};
-      var data = [{
-        x: labels,
-        y: values,
-        type: 'bar',
-        marker: { color: '${theme.accent}' }
-      }];
-      var layout = {
-        title: '${esc(slide.title)}',
-        paper_bgcolor: '${theme.background}',
-        plot_bgcolor: '${theme.background}',
-        font: { family: ${JSON.stringify(fonts.body)}, color: '${theme.text}' },
-        margin: { t: 60, r: 30, b: 50, l: 50 }
-      };
-      Plotly.newPlot('chart', data, layout, {responsive: true});
+const PROJECTS_DB = 'reslides';
+const PROJECTS_STORE = 'proyectos';
+const PROJECTS_FALLBACK_KEY = 'reslides-proyectos';
+const CURRENT_PROJECT_KEY = 'reslides-proyecto-actual';
+const PENDING_EDIT_KEY = 'reslides-cambios-pendientes';
+
+// IndexedDB guarda los adjuntos tal cual; si no está disponible se usa localStorage con el
+// formato de los archivos .reslides.json (los adjuntos grandes pueden no caber)
+function openProjectStore() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(localProjectStore());
+  return new Promise((resolve) => {
+    const request = indexedDB.open(PROJECTS_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(indexedDbProjectStore(request.result));
+    request.onerror = () => resolve(localProjectStore());
+  });
+}
+
+function indexedDbProjectStore(db) {
+  const run = (mode, action) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(PROJECTS_STORE, mode);
+      const request = action(tx.objectStore(PROJECTS_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
     });
-  </script>
-</body>
-</html>`;
-  return html;
+  return {
+    list: () => run('readonly', (store) => store.getAll()),
+    put: (project) => run('readwrite', (store) => store.put(project)),
+    remove: (id) => run('readwrite', (store) => store.delete(id)),
+  };
 }
 
-/* ===========================
-   Generación de la presentación HTML principal
-   =========================== */
+function localProjectStore() {
+  const read = () => {
+    try {
+      return (JSON.parse(localStorage.getItem(PROJECTS_FALLBACK_KEY)) || []).map((text) => parseProjectFile(text, uiLocale));
+    } catch (e) {
+      return [];
+    }
+  };
+  const write = (projects) => localStorage.setItem(PROJECTS_FALLBACK_KEY, JSON.stringify(projects.map(projectToJson)));
+  return {
+    list: () => Promise.resolve(read()),
+    put: (project) =>
+      Promise.resolve().then(() => write([...read().filter((p) => p.id !== project.id), project])),
+    remove: (id) => Promise.resolve().then(() => write(read().filter((p) => p.id !== id))),
+  };
+}
 
-function generatePresentation(slides, graphFiles, theme, fonts) {
-  const esc = (str) =>
-    String(str == null ? '' : str)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
-
-  let slideHtml = '';
-  let graphIdx = 0;
-  const graphConfigs = [];
-
-  slides.forEach((slide, index) => {
-    const isFirst = index === 0;
-    if (isFirst) {
-      // Portada
-      slideHtml += `
-<div class="ppt-slide flex flex-col justify-center items-center text-center" style="background: linear-gradient(135deg, ${theme.primary}, ${theme.secondary}); color: #FFFFFF;">
-  <div class="max-w-3xl px-6">
-    <p class="text-sm mb-2 opacity-80" style="font-family: ${fonts.body};">Presentación generada con ReSlides</p>
-    <h1 class="text-4xl md:text-5xl font-bold mb-4" style="font-family: ${fonts.heading};">${esc(slide.title || 'Título de la presentación')}</h1>
-    ${
-      slide.content[0]
-        ? `<p class="text-lg md:text-xl mb-6" style="font-family: ${fonts.body};">${esc(slide.content[0])}</p>`
-        : ''
-    }
-    <div class="text-sm opacity-80" style="font-family: ${fonts.body};">
-      <span>${new Date().toLocaleDateString('es-MX')}</span>
-    </div>
-  </div>
-</div>`;
-    } else {
-      const hasGraph = slide.graph && slide.graph.labels && slide.graph.labels.length && slide.graph.values && slide.graph.values.length;
-      slideHtml += `
-<div class="ppt-slide flex flex-col md:flex-row" style="background:${theme.background}; color:${theme.text};">
-  <div class="flex-1 p-8 flex flex-col">
-    <h2 class="text-2xl md:text-3xl font-semibold mb-4" style="color:${theme.primary}; font-family:${fonts.heading};">${esc(slide.title || 'Diapositiva ' + (index + 1))}</h2>`;
-
-      if (slide.content && slide.content.length) {
-        slideHtml += `
-    <div class="space-y-2 text-lg leading-relaxed" style="font-family:${fonts.body};">`;
-        slide.content.forEach((p) => {
-          slideHtml += `
-      <p>• ${esc(p)}</p>`;
-        });
-        slideHtml += `
-    </div>`;
-      }
+// Copia de los cambios sin guardar que dejó la última visita (ver setupProjects); se lee una vez
+function readPendingEdit() {
+  try {
+    const pending = JSON.parse(localStorage.getItem(PENDING_EDIT_KEY));
+    localStorage.removeItem(PENDING_EDIT_KEY);
+    return pending && typeof pending.id === 'string' && typeof pending.script === 'string' ? pending : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const DIFF_STYLES = {
+  added: { mark: '+', className: 'bg-green-100 text-green-800' },
+  removed: { mark: '-', className: 'bg-red-100 text-red-800' },
+  same: { mark: ' ', className: 'text-slate-500' },
+};
+
+// "19/10 14:05" en la hora local, con el orden del idioma de la interfaz
+function formatVersionDate(iso) {
+  return new Date(iso).toLocaleString(LOCALES[uiLocale].tag, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+/*
+ * Lista de proyectos, autoguardado del guion, tema, tipografía y adjuntos, e historial de
+ * versiones. `ui` aporta el acceso a los adjuntos y a los temas de setupReSlides:
+ * { scriptInput, themeSelect, fontSelect, getAttachments, setAttachments, addTheme, onLoad }.
+ * Devuelve { touch, recordGeneration } para avisar de cambios y de cada generación.
+ */
+function setupProjects(ui) {
+  const { scriptInput, themeSelect, fontSelect } = ui;
+  const projectSelect = document.getElementById('project-select');
+  const statusEl = document.getElementById('project-status');
+  const versionCount = document.getElementById('version-count');
+  const versionList = document.getElementById('version-list');
+  const diffEl = document.getElementById('version-diff');
+  const importInput = document.getElementById('project-import');
+
+  let store = null;
+  let projects = [];
+  let current = null;
+  let loading = false;
+  let saveTimer = null;
+
+  // El estado se guarda como función para volver a escribirlo al cambiar de idioma
+  let status = () => '';
+  const setStatus = (render) => {
+    status = render;
+    if (statusEl) statusEl.textContent = render();
+  };
+  const savedStatus = (iso) => setStatus(() => uiText('projectSaved', { date: formatVersionDate(iso) }));
+
+  // Tema y tipografía elegidos; `theme` lleva los datos si es un tema propio
+  const selectedTheme = () => {
+    const themeKey = themeSelect?.value || 'default';
+    return {
+      themeKey,
+      fontKey: fontSelect?.value || 'default',
+      theme: THEMES[themeKey] && THEMES[themeKey].custom ? themeData(themeKey, uiLocale) : null,
+    };
+  };
+
+  // Copia al proyecto actual lo que hay en pantalla y lo guarda
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!current || !store) return Promise.resolve();
+    Object.assign(current, {
+      script: scriptInput.value,
+      ...selectedTheme(),
+      attachments: ui.getAttachments().slice(),
+      updatedAt: new Date().toISOString(),
+    });
+    return store.put(current).then(
+      () => savedStatus(current.updatedAt),
+      (err) => setStatus(() => uiText('projectSaveError', { error: err.message }))
+    );
+  }
+
+  // Autoguardado: espera a que se deje de escribir
+  function touch() {
+    if (!current || loading) return;
+    setStatus(() => uiText('projectUnsaved'));
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(save, 800);
+  }
+
+  function renderProjectList() {
+    if (!projectSelect) return;
+    projectSelect.innerHTML = '';
+    projects
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name, LOCALES[uiLocale].tag))
+      .forEach((p) => {
+        const option = document.createElement('option');
+        option.value = p.id;
+        option.textContent = p.name;
+        projectSelect.appendChild(option);
+      });
+    projectSelect.value = current ? current.id : '';
+  }
 
-      if (slide.description) {
-        slideHtml += `
-    <p class="mt-4 text-sm opacity-80" style="font-family:${fonts.body};">${esc(slide.description)}</p>`;
+  // Restaura guion, tema y tipografía; el tema propio se registra si no existe en este navegador
+  function applySettings({ script, themeKey, fontKey, theme }) {
+    loading = true;
+    scriptInput.value = script;
+    if (theme && !THEMES[themeKey] && ui.addTheme) {
+      try {
+        themeKey = ui.addTheme(theme);
+      } catch (e) {
+        themeKey = 'default';
       }
+    }
+    if (themeSelect) {
+      themeSelect.value = THEMES[themeKey] ? themeKey : 'default';
+      themeSelect.dispatchEvent(new Event('change'));
+    }
+    if (fontSelect) {
+      fontSelect.value = FONTS[fontKey] ? fontKey : 'default';
+      fontSelect.dispatchEvent(new Event('change'));
+    }
+    loading = false;
+    ui.onLoad();
+  }
+
+  function open(project) {
+    current = project;
+    localStorage.setItem(CURRENT_PROJECT_KEY, project.id);
+    ui.setAttachments(project.attachments || []);
+    applySettings(project);
+    renderProjectList();
+    renderVersions();
+    savedStatus(project.updatedAt);
+  }
+
+  function addProject(project) {
+    projects.push(project);
+    return store.put(project).then(() => open(project));
+  }
 
-      slideHtml += `
-  </div>`;
-
-      if (hasGraph) {
-        const graphContainerId = `graph-main-${graphIdx + 1}`;
-        const graphFile = graphFiles[graphIdx] || null;
-        graphConfigs.push({
-          id: graphContainerId,
-          labels: slide.graph.labels,
-          values: slide.graph.values,
-          title: slide.title || `Gráfica ${graphIdx + 1}`,
+  function renderVersions() {
+    if (!versionList) return;
+    versionList.innerHTML = '';
+    diffEl?.classList.add('hidden');
+    if (versionCount) versionCount.textContent = current.versions.length;
+    current.versions
+      .slice()
+      .reverse()
+      .forEach((version) => {
+        const item = document.createElement('li');
+        item.className = 'flex flex-wrap items-center gap-2';
+        const label = document.createElement('span');
+        label.className = 'flex-1';
+        const theme = THEMES[version.themeKey] || version.theme;
+        label.textContent =
+          `${formatVersionDate(version.date)} · ${uiText('versionSlides', { n: version.slideCount })}` +
+          (theme ? ` · ${theme.custom || version.theme ? theme.name : uiName('theme', version.themeKey, THEMES)}` : '');
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'text-[#1B365D] underline';
+        restoreBtn.textContent = uiText('versionRestore');
+        restoreBtn.addEventListener('click', () => {
+          if (!confirm(uiText('versionRestoreConfirm'))) return;
+          applySettings(version);
+          save();
         });
-        slideHtml += `
-  <div class="w-full md:w-[40%] border-l border-slate-200 bg-white/70 flex flex-col">
-    <div class="p-4 border-b border-slate-200">
-      <p class="text-xs font-semibold uppercase tracking-wide" style="font-family:${fonts.body}; color:${theme.primary};">Gráfica</p>
-      <p class="text-sm" style="font-family:${fonts.body};">${esc(slide.title || '')}</p>
-    </div>
-    <div class="flex-1 p-3">
-      <div id="${graphContainerId}" class="w-full h-48 md:h-full bg-slate-100 rounded-lg"></div>
-    </div>
-    ${
-      graphFile
-        ? `<div class="px-4 py-3 border-t border-slate-200 bg-slate-50">
-      <p class="text-[11px] text-slate-500 mb-1" style="font-family:${fonts.body};">Vista previa en página separada:</p>
-      <a href="${esc(graphFile)}" target="_blank" class="inline-flex items-center gap-1 text-[11px] underline" style="color:${theme.primary};">
-        <span>Abrir gráfica ${graphIdx + 1}</span>
-        <i class="fas fa-external-link-alt text-[10px]"></i>
-      </a>
-    </div>`
-        : ''
-    }
-  </div>`;
-        graphIdx += 1;
-      }
+        const diffBtn = document.createElement('button');
+        diffBtn.type = 'button';
+        diffBtn.className = 'text-[#1B365D] underline';
+        diffBtn.textContent = uiText('versionCompare');
+        diffBtn.addEventListener('click', () => showDiff(version));
+        item.append(label, restoreBtn, diffBtn);
+        versionList.appendChild(item);
+      });
+  }
 
-      slideHtml += `
-</div>`;
+  // Diferencias entre la versión y el guion del editor: - sólo en la versión, + sólo ahora
+  function showDiff(version) {
+    if (!diffEl) return;
+    diffEl.innerHTML = '';
+    const changes = diffLines(version.script, scriptInput.value);
+    if (changes.every((c) => c.type === 'same')) {
+      diffEl.textContent = uiText('versionSame');
+    }
+    changes
+      .filter((c) => c.type !== 'same' || changes.some((d) => d.type !== 'same'))
+      .forEach((c) => {
+        const line = document.createElement('div');
+        line.className = DIFF_STYLES[c.type].className;
+        line.textContent = `${DIFF_STYLES[c.type].mark} ${c.text}`;
+        diffEl.appendChild(line);
+      });
+    diffEl.classList.remove('hidden');
+  }
+
+  projectSelect?.addEventListener('change', () => {
+    const next = projects.find((p) => p.id === projectSelect.value);
+    if (next) save().then(() => open(next));
+  });
+  document.getElementById('project-new')?.addEventListener('click', () => {
+    const name = prompt(uiText('projectNewPrompt'), uiText('projectNewName'));
+    if (name === null) return;
+    save().then(() => addProject(createProject(name.trim() || uiText('projectUntitled'))));
+  });
+  document.getElementById('project-rename')?.addEventListener('click', () => {
+    const name = prompt(uiText('projectRenamePrompt'), current.name);
+    if (!name || !name.trim()) return;
+    current.name = name.trim();
+    save().then(renderProjectList);
+  });
+  document.getElementById('project-duplicate')?.addEventListener('click', () => {
+    save().then(() => {
+      const { id, createdAt, updatedAt, ...fields } = current;
+      const name = uiText('projectCopy', { name: current.name });
+      return addProject(createProject(name, { ...fields, name, versions: current.versions.map((v) => ({ ...v })) }));
+    });
+  });
+  document.getElementById('project-delete')?.addEventListener('click', () => {
+    if (!confirm(uiText('projectDeleteConfirm', { name: current.name }))) return;
+    const removed = current;
+    projects = projects.filter((p) => p !== removed);
+    store.remove(removed.id).then(() => (projects.length ? open(projects[0]) : addProject(createProject(uiText('projectFirstName')))));
+  });
+  document.getElementById('project-export')?.addEventListener('click', () => {
+    save().then(() => {
+      const blob = new Blob([projectToJson(current)], { type: 'application/json' });
+      saveBlob(blob, `${normalizeKeyword(current.name) || 'proyecto'}.reslides.json`);
+    });
+  });
+  importInput?.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const project = parseProjectFile(await file.text(), uiLocale);
+      // Siempre como proyecto nuevo, para no pisar uno existente con el mismo id
+      project.id = createProject().id;
+      if (projects.some((p) => p.name === project.name)) project.name = uiText('projectImported', { name: project.name });
+      await save();
+      await addProject(project);
+    } catch (err) {
+      alert(uiText('projectImportError', { error: err.message }));
     }
   });
 
-  const graphConfigsJson = JSON.stringify(graphConfigs);
-
-  const html = `<!DOCTYPE html>
-<html lang="es">
-<head>
-  <meta charset="UTF-8" />
-  <title>Presentación generada con ReSlides</title>
-  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <script src="https://cdn.tailwindcss.com"></script>
-  <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
-  <link href="https://fonts.googleapis.com/css2?family=Coda&family=Oranienbaum&family=Sorts+Mill+Goudy&family=Unna&display=swap" rel="stylesheet" />
-  <style>
-    body {
-      margin: 0;
-      background: ${theme.background};
-      color: ${theme.text};
-    }
-    .ppt-slide {
-      min-height: 100vh;
-    }
-  </style>
-</head>
-<body>
-  <main class="w-full min-h-screen bg-slate-100">
-    ${slideHtml}
-  </main>
-  <script>
-    (function () {
-      var graphs = ${graphConfigsJson};
-      if (!Array.isArray(graphs)) return;
-      graphs.forEach(function (cfg) {
-        var el = document.getElementById(cfg.id);
-        if (!el) return;
-        var data = [{
-          x: cfg.labels,
-          y: cfg.values,
-          type: 'bar',
-          marker: { color: '${theme.accent}' }
-        }];
-        var layout = {
-          title: cfg.title,
-          paper_bgcolor: '${theme.background}',
-          plot_bgcolor: '#FFFFFF',
-          font: { family: ${JSON.stringify(fonts.body)}, color: '${theme.text}' },
-          margin: { t: 40, r: 20, b: 40, l: 40 }
-        };
-        Plotly.newPlot(el, data, layout, {responsive: true});
-      });
-    })();
-  </script>
-</body>
-</html>`;
-  return html;
+  scriptInput.addEventListener('input', touch);
+  themeSelect?.addEventListener('change', touch);
+  fontSelect?.addEventListener('change', touch);
+  // Al ocultar, cerrar o recargar la página se guarda lo pendiente. IndexedDB es asíncrono y
+  // puede no terminar al cerrar, así que guion y tema se copian también, síncronos, en
+  // localStorage; al abrir se recuperan si son más recientes que lo guardado
+  const flush = () => {
+    if (!saveTimer || !current) return;
+    save();
+    const { id, script, themeKey, fontKey, theme, updatedAt } = current;
+    try {
+      localStorage.setItem(PENDING_EDIT_KEY, JSON.stringify({ id, script, themeKey, fontKey, theme, updatedAt }));
+    } catch (e) {
+      // Sin espacio en localStorage queda sólo el guardado normal
+    }
+  };
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+  // Fechas, orden y textos de la lista siguen el idioma de la interfaz
+  onUiLocaleChange(() => {
+    setStatus(status);
+    if (!current) return;
+    renderProjectList();
+    renderVersions();
+  });
+
+  openProjectStore()
+    .then((opened) => {
+      store = opened;
+      return store.list();
+    })
+    .then((list) => {
+      projects = list;
+      const lastId = localStorage.getItem(CURRENT_PROJECT_KEY);
+      const last = projects.find((p) => p.id === lastId) || projects[0];
+      const pending = readPendingEdit();
+      const edited = pending && projects.find((p) => p.id === pending.id);
+      if (edited && pending.updatedAt > edited.updatedAt) {
+        Object.assign(edited, pending);
+        open(edited);
+        return save();
+      }
+      if (last) return open(last);
+      // Primer uso: lo que ya esté escrito pasa a ser el primer proyecto
+      return addProject(createProject(uiText('projectFirstName'), { script: scriptInput.value }));
+    })
+    .catch((err) => setStatus(() => uiText('projectUnavailable', { error: err.message })));
+
+  return {
+    touch,
+    // Cada generación correcta queda como versión del proyecto
+    recordGeneration(slideCount) {
+      if (!current) return;
+      addProjectVersion(current, { script: scriptInput.value, ...selectedTheme(), slideCount });
+      save().then(renderVersions);
+    },
+  };
 }
 
 /* ===========================
-   README sencillo
+   Editor visual de diapositivas
    =========================== */
 
-function generateReadme(slides) {
-  const totalSlides = slides.length;
-  const graphs = slides.filter(
-    (s) => s.graph && s.graph.labels && s.graph.labels.length && s.graph.values && s.graph.values.length
-  ).length;
-  return [
-    '# ReSlides - Presentación generada',
-    '',
-    `- Diapositivas: ${totalSlides}`,
-    `- Diapositivas con gráficas: ${graphs}`,
-    '',
-    'Archivos incluidos:',
-    '- `presentacion.html`: presentación principal con estilo y gráficas integradas.',
-    '- `graficaN.html`: páginas individuales para cada gráfica (si aplica).',
-    '',
-    'Este paquete fue generado automáticamente a partir de un guion en la app web ReSlides.',
-    '',
-  ].join('\n');
+// Crea un elemento con clases y texto opcionales
+function createEl(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
 }
 
-/* ===========================
-   Generación de PPTX con PptxGenJS
-   =========================== */
+function iconButton(label, title, onClick) {
+  const btn = createEl('button', 'text-xs text-[#1B365D] hover:underline px-1', label);
+  btn.type = 'button';
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
 
-function generatePptx(slides, theme, fonts) {
-  if (typeof PptxGenJS === 'undefined') {
-    alert('No se encontró la librería PptxGenJS. Verifica el script en index.html.');
-    return;
+// Copia de trabajo de una diapositiva; el editor nunca modifica lo que devolvió el parser
+function cloneSlide(slide) {
+  return {
+    ...slide,
+    content: slide.content.slice(),
+    levels: slide.content.map((_, i) => (slide.levels && slide.levels[i]) || 0),
+    attachments: slide.attachments.slice(),
+    graph: slide.graph && {
+      ...slide.graph,
+      labels: slide.graph.labels.slice(),
+      series: slide.graph.series.map((s) => ({ ...s, values: s.values.slice(), ...(s.errors && { errors: s.errors.slice() }) })),
+      ...(slide.graph.options && { options: { ...slide.graph.options } }),
+      ...(slide.graph.source && { source: { ...slide.graph.source, series: slide.graph.source.series.slice() } }),
+    },
+  };
+}
+
+function emptySlide() {
+  return { title: '', content: [], levels: [], graph: null, description: '', notes: '', attachments: [], layout: '' };
+}
+
+// Lo que se escribe en el guion: sin viñetas vacías y sin saltos de más de un nivel
+function cleanSlide(slide) {
+  const content = [];
+  const levels = [];
+  slide.content.forEach((text, i) => {
+    if (!text.trim()) return;
+    const previous = levels.length ? levels[levels.length - 1] : -1;
+    content.push(text.trim());
+    levels.push(Math.min(slide.levels[i] || 0, previous + 1));
+  });
+  return { ...slide, title: slide.title.trim(), content, levels };
+}
+
+// Valor numérico de una celda de la tabla de datos ("3,5" y "1.234,5" también valen); null si no es número
+function parseCellNumber(text) {
+  const value = parseLocaleNumber(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Editor sobre la lista de diapositivas de parseScript. Cada cambio reescribe el guion
+// (en el formato que ya tenía) y lanza "input" en el textarea, así que formato,
+// autoguardado y versiones lo ven igual que si se hubiera escrito a mano.
+function setupVisualEditor(ui) {
+  const { scriptInput, container, toggleBtn, onErrors } = ui;
+  if (!container || !toggleBtn) return { refresh() {} };
+
+  let slides = [];
+  let frontMatter = null;
+  let format = 'guion';
+  let open = false;
+  let dragIndex = null;
+
+  function sync() {
+    const clean = slides.map(cleanSlide);
+    // Las palabras clave siguen el idioma en que está escrito el guion
+    const options = { locale: scriptLocale(scriptInput.value) || uiLocale, frontMatter };
+    scriptInput.value = format === 'markdown' ? slidesToMarkdown(clean, options) : slidesToScript(clean, options);
+    scriptInput.dispatchEvent(new Event('input'));
   }
-  const pres = new PptxGenJS();
-  pres.layout = 'LAYOUT_16x9';
-
-  slides.forEach((slide, index) => {
-    const s = pres.addSlide();
-    const isFirst = index === 0;
-
-    if (isFirst) {
-      s.background = { color: toPptxColor(theme.primary) };
-      s.addText(slide.title || 'Título de la presentación', {
-        x: 0.5,
-        y: 1.2,
-        w: 9,
-        h: 1,
-        fontSize: 36,
-        bold: true,
-        color: 'FFFFFF',
-        align: 'center',
-        fontFace: fonts.heading,
-      });
-      if (slide.content && slide.content[0]) {
-        s.addText(slide.content[0], {
-          x: 1,
-          y: 2.2,
-          w: 8,
-          h: 1.5,
-          fontSize: 20,
-          color: 'FFFFFF',
-          align: 'center',
-          fontFace: fonts.body,
-        });
-      }
-      s.addText(new Date().toLocaleDateString('es-MX'), {
-        x: 0.5,
-        y: 4.0,
-        w: 9,
-        h: 0.5,
-        fontSize: 14,
-        color: 'FFFFFF',
-        align: 'center',
-        fontFace: fonts.body,
-      });
-      return;
-    }
 
-    // Título
-    s.addText(slide.title || 'Diapositiva ' + (index + 1), {
-      x: 0.5,
-      y: 0.5,
-      w: 9,
-      h: 0.6,
-      fontSize: 26,
-      bold: true,
-      color: toPptxColor(theme.primary),
-      fontFace: fonts.heading,
-    });
-
-    const hasGraph =
-      slide.graph &&
-      slide.graph.labels &&
-      slide.graph.labels.length &&
-      slide.graph.values &&
-      slide.graph.values.length;
-
-    // Contenido
-    if (slide.content && slide.content.length) {
-      const text = slide.content.map((t) => '• ' + t).join('\n');
-      s.addText(text, {
-        x: 0.7,
-        y: 1.3,
-        w: hasGraph ? 4.5 : 8.5,
-        h: 3,
-        fontSize: 16,
-        color: toPptxColor(theme.text),
-        fontFace: fonts.body,
-      });
+  // Vuelve a leer el guion; con errores no se puede editar visualmente sin perder texto
+  function load() {
+    const analysis = analyzeSource(scriptInput.value, 'auto', { locale: uiLocale });
+    if (analysis.diagnostics.some((d) => d.severity === 'error')) {
+      onErrors(analysis.diagnostics);
+      return false;
     }
+    slides = analysis.slides.map(cloneSlide);
+    frontMatter = analysis.frontMatter;
+    format = detectFormat(scriptInput.value);
+    return true;
+  }
+
+  function renderToggle() {
+    toggleBtn.innerHTML = open
+      ? `<i class="fas fa-code"></i> ${escapeHtml(uiText('visualText'))}`
+      : `<i class="fas fa-pen"></i> ${escapeHtml(uiText('visualEditor'))}`;
+  }
+
+  function setOpen(value) {
+    open = value;
+    container.classList.toggle('hidden', !open);
+    scriptInput.classList.toggle('hidden', open);
+    renderToggle();
+    if (open) render();
+  }
+
+  // Estructura cambiada (orden, viñetas, filas): se guarda y se vuelve a dibujar
+  function update(focusSelector) {
+    sync();
+    render();
+    if (focusSelector) container.querySelector(focusSelector)?.focus();
+  }
 
-    if (slide.description) {
-      s.addText(slide.description, {
-        x: 0.7,
-        y: hasGraph ? 4.6 : 4.0,
-        w: hasGraph ? 4.5 : 8.5,
-        h: 1,
-        fontSize: 12,
-        color: toPptxColor(theme.text),
-        fontFace: fonts.body,
+  function textInput(value, placeholder, className, onInput) {
+    const input = createEl('input', `border rounded px-2 py-1 ${className}`);
+    input.type = 'text';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.addEventListener('input', () => {
+      onInput(input.value);
+      sync();
+    });
+    return input;
+  }
+
+  function renderBullets(slide, index) {
+    const list = createEl('div', 'space-y-1');
+    slide.content.forEach((text, i) => {
+      const row = createEl('div', 'flex items-center gap-1');
+      row.style.paddingLeft = `${(slide.levels[i] || 0) * 1.25}rem`;
+      row.appendChild(createEl('span', 'text-slate-400 text-xs', '•'));
+      const input = textInput(text, uiText('editorBullet'), 'flex-1 text-xs', (value) => {
+        slide.content[i] = value;
+      });
+      input.dataset.bullet = `${index}-${i}`;
+      // Enter: viñeta nueva debajo · Tab / Mayús+Tab: nivel · Retroceso en vacía: quitarla
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          slide.content.splice(i + 1, 0, '');
+          slide.levels.splice(i + 1, 0, slide.levels[i] || 0);
+          update(`[data-bullet="${index}-${i + 1}"]`);
+        } else if (e.key === 'Tab') {
+          e.preventDefault();
+          const level = (slide.levels[i] || 0) + (e.shiftKey ? -1 : 1);
+          const max = i ? (slide.levels[i - 1] || 0) + 1 : 0;
+          slide.levels[i] = Math.max(0, Math.min(level, max));
+          update(`[data-bullet="${index}-${i}"]`);
+        } else if (e.key === 'Backspace' && !input.value) {
+          e.preventDefault();
+          slide.content.splice(i, 1);
+          slide.levels.splice(i, 1);
+          update(i ? `[data-bullet="${index}-${i - 1}"]` : null);
+        }
       });
+      row.appendChild(input);
+      row.appendChild(
+        iconButton('×', uiText('editorRemoveBullet'), () => {
+          slide.content.splice(i, 1);
+          slide.levels.splice(i, 1);
+          update();
+        })
+      );
+      list.appendChild(row);
+    });
+    list.appendChild(
+      iconButton(uiText('editorAddBullet'), uiText('editorAddBulletTitle'), () => {
+        slide.content.push('');
+        slide.levels.push(0);
+        update(`[data-bullet="${index}-${slide.content.length - 1}"]`);
+      })
+    );
+    return list;
+  }
+
+  // `Estadística:` calcula su gráfica y su tabla a partir de los datos crudos del guion o del
+  // archivo; aquí sólo se resume el análisis
+  function renderStats(slide) {
+    const stats = slide.stats;
+    const box = createEl('div', 'border rounded p-2 bg-slate-50 space-y-2');
+    const head = createEl('div', 'flex items-center gap-2 text-xs');
+    const kind = STATS_KINDS[stats.kind] ? uiName('stats', stats.kind, STATS_KINDS) : uiText('editorNoStats');
+    head.appendChild(createEl('span', 'font-semibold text-slate-600', uiText('editorStats', { kind })));
+    head.appendChild(
+      iconButton(uiText('editorRemoveStats'), uiText('editorRemoveStatsTitle'), () => {
+        slide.stats = null;
+        slide.graph = null;
+        slide.table = null;
+        update();
+      })
+    );
+    box.appendChild(head);
+    const rows = stats.rows ? stats.rows.length - 1 : 0;
+    const from = stats.source
+      ? uiText('editorFileData', { file: stats.source.file })
+      : uiText(rows === 1 ? 'editorStatsRow' : 'editorStatsRows', { n: rows });
+    box.appendChild(createEl('p', 'text-xs text-slate-500', uiText('editorStatsEdit', { from })));
+    return box;
+  }
+
+  // Tabla de datos: una fila por etiqueta y una columna por serie
+  function renderChart(slide) {
+    const graph = slide.graph;
+    const box = createEl('div', 'border rounded p-2 bg-slate-50 space-y-2');
+
+    const head = createEl('div', 'flex items-center gap-2 text-xs');
+    const typeSelect = createEl('select', 'border rounded px-1 py-0.5');
+    Object.keys(CHART_TYPES).forEach((key) => {
+      const option = createEl('option', '', uiName('chart', key, CHART_TYPES));
+      option.value = key;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = graph.type || 'barras';
+    typeSelect.addEventListener('change', () => {
+      graph.type = typeSelect.value;
+      sync();
+    });
+    head.appendChild(createEl('span', 'font-semibold text-slate-600', uiText('editorChart')));
+    head.appendChild(typeSelect);
+    const removeChart = iconButton(uiText('editorRemoveChart'), uiText('editorRemoveChartTitle'), () => {
+      slide.graph = null;
+      update();
+    });
+
+    // Los datos de un archivo se leen al generar: aquí sólo se muestra de dónde salen
+    if (graph.source) {
+      head.appendChild(removeChart);
+      box.appendChild(head);
+      const { file, sheet, range } = graph.source;
+      const where = [sheet && uiText('editorSheet', { sheet }), range && uiText('editorRange', { range })]
+        .filter(Boolean)
+        .join(', ');
+      box.appendChild(
+        createEl(
+          'p',
+          'text-xs text-slate-500',
+          `${uiText('editorFileData', { file })}${where ? ` (${where})` : ''}. ${uiText('editorFileColumns')}`
+        )
+      );
+      return box;
     }
 
-    if (hasGraph) {
-      const data = [
-        {
-          name: 'Serie',
-          labels: slide.graph.labels,
-          values: slide.graph.values,
-        },
-      ];
-      s.addChart(pres.ChartType.bar, data, {
-        x: 5.4,
-        y: 1.3,
-        w: 4.3,
-        h: 3.3,
-        chartTitle: slide.title || 'Gráfica',
+    head.appendChild(
+      iconButton(uiText('editorAddRow'), uiText('editorAddRowTitle'), () => {
+        graph.labels.push(uiText('editorNewLabel', { n: graph.labels.length + 1 }));
+        graph.series.forEach((s) => {
+          s.values.push(0);
+          if (s.errors) s.errors.push(0);
+        });
+        update();
+      })
+    );
+    head.appendChild(
+      iconButton(uiText('editorAddSeries'), uiText('editorAddSeriesTitle'), () => {
+        graph.series.push({ name: uiText('editorNewSeries', { n: graph.series.length + 1 }), values: graph.labels.map(() => 0) });
+        update();
+      })
+    );
+    head.appendChild(removeChart);
+    box.appendChild(head);
+
+    const table = createEl('table', 'text-xs border-collapse');
+    const headerRow = createEl('tr');
+    headerRow.appendChild(createEl('th', 'text-left px-1 text-slate-500', uiText('editorLabel')));
+    graph.series.forEach((series, s) => {
+      const th = createEl('th', 'px-1');
+      const cell = createEl('div', 'flex items-center');
+      cell.appendChild(
+        // 'Serie' es el nombre por omisión del parser (se escribe como `Valores:`), no un texto de la interfaz
+        textInput(series.name, uiText('editorSeries'), 'w-24 text-xs', (value) => {
+          series.name = value.trim() || 'Serie';
+        })
+      );
+      if (graph.series.length > 1) {
+        cell.appendChild(
+          iconButton('×', uiText('editorRemoveSeries'), () => {
+            graph.series.splice(s, 1);
+            update();
+          })
+        );
+      }
+      th.appendChild(cell);
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    graph.labels.forEach((label, row) => {
+      const tr = createEl('tr');
+      const labelCell = createEl('td', 'px-1');
+      labelCell.appendChild(
+        textInput(label, uiText('editorLabel'), 'w-28 text-xs', (value) => {
+          graph.labels[row] = value.trim();
+        })
+      );
+      tr.appendChild(labelCell);
+      graph.series.forEach((series) => {
+        const td = createEl('td', 'px-1');
+        const input = createEl('input', 'border rounded px-2 py-1 w-20 text-xs text-right');
+        input.type = 'text';
+        input.inputMode = 'decimal';
+        input.value = String(series.values[row]);
+        // Un valor que no es número se marca y no llega al guion hasta corregirlo
+        input.addEventListener('input', () => {
+          const value = parseCellNumber(input.value);
+          input.classList.toggle('border-red-500', value === null);
+          if (value === null) return;
+          series.values[row] = value;
+          sync();
+        });
+        td.appendChild(input);
+        tr.appendChild(td);
       });
+      const removeCell = createEl('td');
+      if (graph.labels.length > 1) {
+        removeCell.appendChild(
+          iconButton('×', uiText('editorRemoveRow'), () => {
+            graph.labels.splice(row, 1);
+            graph.series.forEach((s) => {
+              s.values.splice(row, 1);
+              if (s.errors) s.errors.splice(row, 1);
+            });
+            update();
+          })
+        );
+      }
+      tr.appendChild(removeCell);
+      table.appendChild(tr);
+    });
+    box.appendChild(table);
+    return box;
+  }
+
+  function renderCard(slide, index) {
+    const card = createEl('div', 'border rounded-lg bg-white p-3 space-y-2 shadow-sm');
+    card.dataset.index = index;
+
+    // Cabecera: asa para arrastrar, diseño y acciones
+    const head = createEl('div', 'flex items-center gap-2 text-xs text-slate-500');
+    const handle = createEl('span', 'cursor-move select-none', '⠿');
+    handle.title = uiText('editorDrag');
+    // Sólo el asa hace arrastrable la tarjeta, para poder seleccionar texto en los campos
+    handle.addEventListener('mousedown', () => {
+      card.draggable = true;
+    });
+    handle.addEventListener('mouseup', () => {
+      card.draggable = false;
+    });
+    head.appendChild(handle);
+    head.appendChild(createEl('span', 'font-semibold', uiText('editorSlide', { n: index + 1 })));
+
+    const layoutSelect = createEl('select', 'border rounded px-1 py-0.5 ml-auto');
+    const auto = createEl('option', '', uiText('editorAutoLayout'));
+    auto.value = '';
+    layoutSelect.appendChild(auto);
+    Object.keys(LAYOUTS).forEach((key) => {
+      const option = createEl('option', '', uiName('layout', key, LAYOUTS));
+      option.value = key;
+      layoutSelect.appendChild(option);
+    });
+    layoutSelect.value = slide.layout || '';
+    layoutSelect.addEventListener('change', () => {
+      slide.layout = layoutSelect.value;
+      sync();
+    });
+    head.appendChild(layoutSelect);
+    head.appendChild(
+      iconButton(uiText('editorDuplicate'), uiText('editorDuplicateTitle'), () => {
+        slides.splice(index + 1, 0, cloneSlide(slide));
+        update();
+      })
+    );
+    head.appendChild(
+      iconButton(uiText('editorDelete'), uiText('editorDeleteTitle'), () => {
+        slides.splice(index, 1);
+        update();
+      })
+    );
+    card.appendChild(head);
+
+    card.appendChild(
+      textInput(slide.title, uiText('editorTitle'), 'w-full text-sm font-semibold', (value) => {
+        slide.title = value;
+      })
+    );
+    card.appendChild(renderBullets(slide, index));
+    if (slide.stats) {
+      card.appendChild(renderStats(slide));
+    } else if (slide.graph) {
+      card.appendChild(renderChart(slide));
+    } else {
+      card.appendChild(
+        iconButton(uiText('editorAddChart'), uiText('editorAddChartTitle'), () => {
+          slide.graph = { type: 'barras', labels: ['A', 'B'], series: [{ name: 'Serie', values: [1, 2] }] };
+          update();
+        })
+      );
     }
+
+    // Soltar una tarjeta sobre otra la coloca en su posición
+    card.addEventListener('dragstart', (e) => {
+      dragIndex = index;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(index));
+    });
+    card.addEventListener('dragover', (e) => {
+      if (dragIndex === null) return;
+      e.preventDefault();
+      card.classList.add('ring-2', 'ring-[#D4AF37]');
+    });
+    card.addEventListener('dragleave', () => card.classList.remove('ring-2', 'ring-[#D4AF37]'));
+    card.addEventListener('drop', (e) => {
+      if (dragIndex === null) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const [moved] = slides.splice(dragIndex, 1);
+      slides.splice(index, 0, moved);
+      dragIndex = null;
+      update();
+    });
+    card.addEventListener('dragend', () => {
+      dragIndex = null;
+      card.draggable = false;
+    });
+    return card;
+  }
+
+  function render() {
+    container.innerHTML = '';
+    slides.forEach((slide, index) => container.appendChild(renderCard(slide, index)));
+    container.appendChild(
+      iconButton(uiText('editorAddSlide'), uiText('editorAddSlideTitle'), () => {
+        slides.push(emptySlide());
+        update(`[data-index="${slides.length - 1}"] input`);
+      })
+    );
+  }
+
+  toggleBtn.addEventListener('click', () => {
+    if (open) setOpen(false);
+    else if (load()) setOpen(true);
+  });
+  renderToggle();
+  onUiLocaleChange(() => {
+    renderToggle();
+    if (open) render();
   });
 
-  pres.writeFile({ fileName: 'ReSlides-presentacion.pptx' });
+  return {
+    // El guion cambió por fuera (proyecto, importación, conversión): se vuelve a leer
+    refresh() {
+      if (!open) return;
+      if (load()) render();
+      else setOpen(false);
+    },
+    close() {
+      if (open) setOpen(false);
+    },
+  };
+}
+
+/* ===========================
+   Exportación a PDF y PNG
+   =========================== */
+
+// Carga la presentación en un iframe fuera de la pantalla, del tamaño exacto del escenario
+function loadDeckFrame(url) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.tabIndex = -1;
+    frame.style.cssText = `position:fixed; left:-10000px; top:0; width:${STAGE_WIDTH}px; height:${STAGE_HEIGHT}px; border:0;`;
+    frame.addEventListener(
+      'load',
+      async () => {
+        try {
+          await frame.contentDocument.fonts.ready;
+        } catch (e) {
+          // Sin API de fuentes: se sigue con las disponibles
+        }
+        // Tailwind (CDN) genera sus estilos después de cargar la página
+        setTimeout(() => resolve(frame), 500);
+      },
+      { once: true }
+    );
+    frame.addEventListener('error', () => reject(new Error(uiText('deckLoadError'))), { once: true });
+    frame.src = url;
+    document.body.appendChild(frame);
+  });
+}
+
+// Abre el diálogo de impresión de la presentación; la hoja de impresión pone una diapositiva por página
+async function printDeck(url) {
+  const frame = await loadDeckFrame(url);
+  const win = frame.contentWindow;
+  win.addEventListener('afterprint', () => setTimeout(() => frame.remove()));
+  win.focus();
+  win.print();
+}
+
+// Reglas CSS de la página (Tailwind generado y estilos del reproductor). Las hojas de otro
+// origen (Google Fonts) no se pueden leer y se omiten.
+function documentCss(doc) {
+  return Array.from(doc.styleSheets)
+    .map((sheet) => {
+      try {
+        return Array.from(sheet.cssRules)
+          .map((rule) => rule.cssText)
+          .join('\n');
+      } catch (e) {
+        return '';
+      }
+    })
+    .join('\n');
+}
+
+// Dibuja un elemento en un PNG del tamaño del escenario pasando por un SVG con foreignObject
+function rasterizeElement(el, css) {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${STAGE_WIDTH}" height="${STAGE_HEIGHT}">` +
+    '<foreignObject width="100%" height="100%">' +
+    `<div xmlns="http://www.w3.org/1999/xhtml"><style><![CDATA[${css}]]></style>${new XMLSerializer().serializeToString(el)}</div>` +
+    '</foreignObject></svg>';
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = STAGE_WIDTH;
+      canvas.height = STAGE_HEIGHT;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      canvas.toBlob((blob) => {
+        if (!blob) reject(new Error(uiText('imageError')));
+        else blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)));
+      }, 'image/png');
+    };
+    img.onerror = () => reject(new Error(uiText('drawError')));
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  });
+}
+
+// Lee un recurso como data: URL; null si no se puede descargar (p. ej. otro origen sin CORS)
+async function fetchDataUrl(src) {
+  try {
+    const res = await fetch(src);
+    if (!res.ok) return null;
+    const blob = await res.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+// El SVG con foreignObject se dibuja aislado: no carga nada de fuera, así que las imágenes
+// externas pasan a data: URL (las que no se dejan leer salen en blanco) y las fuentes web
+// se incrustan con @font-face. Sin red, el texto usa la fuente de reserva.
+async function inlineSlideResources(copy) {
+  const images = Array.from(copy.querySelectorAll('img')).filter((img) => !img.src.startsWith('data:'));
+  for (const img of images) {
+    const dataUrl = await fetchDataUrl(img.src);
+    if (dataUrl) img.src = dataUrl;
+  }
+}
+
+async function embeddedFontCss() {
+  try {
+    const assets = await loadOfflineAssets(null, uiLocale);
+    return inlineFontCss(assets.fonts);
+  } catch (e) {
+    return '';
+  }
+}
+
+// PNG (Uint8Array) de las diapositivas indicadas, o de todas. Las gráficas se sustituyen
+// antes por su imagen de Plotly.toImage, porque el SVG de Plotly no sobrevive a la copia.
+async function renderSlidePngs(url, indices) {
+  const frame = await loadDeckFrame(url);
+  try {
+    const doc = frame.contentDocument;
+    const Plotly = frame.contentWindow.Plotly;
+    const css = `${await embeddedFontCss()}\n${documentCss(doc)}`;
+    const slides = Array.from(doc.querySelectorAll('.ppt-slide'));
+    const images = [];
+    for (const index of indices || slides.map((_, i) => i)) {
+      const slide = slides[index];
+      const copy = slide.cloneNode(true);
+      copy.classList.remove('rs-active');
+      copy.style.transform = 'none';
+      copy.style.margin = '0';
+      copy.querySelectorAll('.rs-notes').forEach((n) => n.remove());
+      const charts = slide.querySelectorAll('.js-plotly-plot');
+      const copies = copy.querySelectorAll('.js-plotly-plot');
+      for (let i = 0; i < charts.length && Plotly; i++) {
+        const img = doc.createElement('img');
+        img.src = await Plotly.toImage(charts[i], {
+          format: 'png',
+          width: charts[i].offsetWidth,
+          height: charts[i].offsetHeight,
+        });
+        img.style.cssText = 'width:100%; height:100%;';
+        copies[i].replaceWith(img);
+      }
+      await inlineSlideResources(copy);
+      images.push(await rasterizeElement(copy, css));
+    }
+    return images;
+  } finally {
+    frame.remove();
+  }
 }
 
 /* ===========================
    Manejo de la interfaz
    =========================== */
 
+/* ===========================
+   Asistente de redacción
+   =========================== */
+
+const ASSISTANT_KEY = 'reslides-asistente';
+const ASSISTANT_DEFAULTS = { provider: 'simulado', url: 'https://api.openai.com/v1', model: 'gpt-4o-mini', apiKey: '' };
+
+function loadAssistantSettings() {
+  try {
+    return { ...ASSISTANT_DEFAULTS, ...JSON.parse(localStorage.getItem(ASSISTANT_KEY)) };
+  } catch (e) {
+    return { ...ASSISTANT_DEFAULTS };
+  }
+}
+
+function saveAssistantSettings(settings) {
+  try {
+    localStorage.setItem(ASSISTANT_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Sin almacenamiento: la configuración dura hasta recargar
+  }
+}
+
+// Formulario de configuración del proveedor; provider() crea el proveedor con los valores actuales
+function setupAssistantSettings() {
+  const providerSelect = document.getElementById('assistant-provider');
+  const providerName = document.getElementById('assistant-provider-name');
+  const fields = {
+    url: document.getElementById('assistant-url'),
+    model: document.getElementById('assistant-model'),
+    apiKey: document.getElementById('assistant-key'),
+  };
+  const settings = loadAssistantSettings();
+
+  function update() {
+    const openai = settings.provider === 'openai';
+    Object.values(fields).forEach((input) => {
+      if (input) input.disabled = !openai;
+    });
+    if (providerName) {
+      providerName.textContent = openai
+        ? uiText('assistantOpenAiModel', { model: settings.model || uiText('assistantNoModel') })
+        : uiText('assistantMock');
+    }
+  }
+
+  if (providerSelect) {
+    providerSelect.value = settings.provider;
+    providerSelect.addEventListener('change', () => {
+      settings.provider = providerSelect.value;
+      saveAssistantSettings(settings);
+      update();
+    });
+  }
+  Object.keys(fields).forEach((key) => {
+    const input = fields[key];
+    if (!input) return;
+    input.value = settings[key];
+    input.addEventListener('input', () => {
+      settings[key] = input.value.trim();
+      saveAssistantSettings(settings);
+      update();
+    });
+  });
+  update();
+  onUiLocaleChange(update);
+
+  return {
+    provider: () =>
+      settings.provider === 'openai'
+        ? createOpenAiProvider({ url: settings.url, apiKey: settings.apiKey, model: settings.model, locale: uiLocale })
+        : createMockProvider(),
+  };
+}
+
 let lastState = {
   slides: null,
   themeKey: 'default',
   fontKey: 'default',
   presentationBlobUrl: null,
+  previewBlobUrl: null,
   presentationHtml: null,
+  previewSlide: 0,
 };
 
 function setupReSlides() {
@@ -537,104 +2119,361 @@ function setupReSlides() {
   const themeSelect = document.getElementById('theme-select');
   const fontSelect = document.getElementById('font-select');
   const clearBtn = document.getElementById('clear-btn');
+  const attachmentInput = document.getElementById('attachment-input');
+  const attachmentList = document.getElementById('attachment-list');
+  const formatBadge = document.getElementById('script-format');
+  const convertMarkdownBtn = document.getElementById('convert-markdown');
+  const convertScriptBtn = document.getElementById('convert-script');
+  const importPptxInput = document.getElementById('import-pptx');
+  const visualToggleBtn = document.getElementById('visual-toggle');
+  const visualEditorEl = document.getElementById('visual-editor');
+  const assistantForm = document.getElementById('assistant-form');
+  const assistantInput = document.getElementById('assistant-input');
+  const assistantSendBtn = document.getElementById('assistant-send');
 
   const previewSection = document.getElementById('preview-section');
   const previewFrame = document.getElementById('preview-frame');
   const openNewTabLink = document.getElementById('open-new-tab-link');
+  const previewPrevBtn = document.getElementById('preview-prev');
+  const previewNextBtn = document.getElementById('preview-next');
+  const previewCounter = document.getElementById('preview-counter');
+  const livePreviewCheckbox = document.getElementById('live-preview');
+  const liveStatus = document.getElementById('live-status');
+  const a11yReport = document.getElementById('a11y-report');
+  const a11ySummary = document.getElementById('a11y-summary');
+  const a11yList = document.getElementById('a11y-list');
 
   const downloadsSection = document.getElementById('downloads-section');
   const downloadHtmlLink = document.getElementById('download-html');
   const downloadPptxBtn = document.getElementById('download-pptx');
   const downloadZipBtn = document.getElementById('download-zip');
+  const downloadOfflineBtn = document.getElementById('download-offline');
+  const zipOfflineCheckbox = document.getElementById('zip-offline');
+  const zipPngCheckbox = document.getElementById('zip-png');
+  const downloadPdfBtn = document.getElementById('download-pdf');
+  const downloadPngBtn = document.getElementById('download-png');
 
+  setupLocaleSelect();
   if (!form || !scriptInput) return;
 
+  const themes = setupThemeEditor(themeSelect, fontSelect);
+
   clearBtn?.addEventListener('click', function () {
     historyEl.innerHTML = '';
     scriptInput.value = '';
+    updateFormat();
+    visualEditor.refresh();
+    projects.touch();
   });
 
-  form.addEventListener('submit', async function (e) {
-    e.preventDefault();
-    const rawScript = scriptInput.value.trim();
-    if (!rawScript) {
-      alert('Escribe un guion de presentación antes de generar.');
-      return;
-    }
+  // Formato del guion: "Diapositiva N" o Markdown
 
-    // Añadir mensaje del usuario al historial
-    const userMsg = document.createElement('div');
-    userMsg.className = 'bg-slate-50 rounded-xl p-3 border border-slate-200 text-xs';
-    userMsg.innerHTML =
-      "<p class='font-semibold mb-1 text-[#1B365D]'>Tú:</p>" +
-      "<pre class='whitespace-pre-wrap font-mono text-[11px]'>" +
-      rawScript.replace(/</g, '&lt;') +
-      '</pre>';
-    historyEl.appendChild(userMsg);
+  const FORMAT_NAMES = { guion: () => uiText('formatScript'), markdown: () => 'Markdown' };
 
-    // Parsear guion
-    const slides = parseScript(rawScript);
-    if (!slides.length) {
-      const errMsg = document.createElement('div');
-      errMsg.className = 'bg-red-50 text-red-700 rounded-xl p-3 border border-red-200 text-xs mt-2';
-      errMsg.textContent =
-        'No se detectaron diapositivas. Asegúrate de usar el formato "Diapositiva N" y campos como "Título:" y "Contenido:".';
-      historyEl.appendChild(errMsg);
+  function updateFormat() {
+    const format = detectFormat(scriptInput.value);
+    if (formatBadge) formatBadge.textContent = uiText('formatBadge', { name: FORMAT_NAMES[format]() });
+    // Sólo se ofrece convertir al formato que no se está usando
+    convertMarkdownBtn?.classList.toggle('hidden', format === 'markdown');
+    convertScriptBtn?.classList.toggle('hidden', format !== 'markdown');
+  }
+
+  // Reescribe el textarea en el otro formato; si hay errores se muestran y no se toca el texto
+  function convertInput(convert) {
+    if (!scriptInput.value.trim()) return;
+    const { slides, diagnostics, frontMatter } = analyzeSource(scriptInput.value, 'auto', { locale: uiLocale });
+    if (diagnostics.some((d) => d.severity === 'error')) {
+      historyEl.appendChild(renderDiagnostics(diagnostics));
+      historyEl.scrollTop = historyEl.scrollHeight;
       return;
     }
+    scriptInput.value = convert(slides, { locale: scriptLocale(scriptInput.value) || uiLocale, frontMatter });
+    updateFormat();
+    visualEditor.refresh();
+  }
 
-    // Tema y fuentes seleccionados
-    const themeKey = themeSelect?.value || 'default';
-    const fontKey = fontSelect?.value || 'default';
-    const theme = THEMES[themeKey] || THEMES.default;
-    const fonts = FONTS[fontKey] || FONTS.default;
-
-    // Construir archivos de gráficas (para incluir en ZIP y enlazar desde la presentación)
-    const graphFiles = [];
-    let graphIndex = 1;
-    slides.forEach((slide) => {
-      const hasGraph =
-        slide.graph &&
-        slide.graph.labels &&
-        slide.graph.labels.length &&
-        slide.graph.values &&
-        slide.graph.values.length;
-      if (!hasGraph) return;
-      const filename = `grafica${graphIndex}.html`;
-      const html = generateGraphHtml(slide, graphIndex, theme, fonts);
-      graphFiles.push({ filename, html });
-      graphIndex += 1;
-    });
-
-    // Generar presentación HTML principal
-    const presentationHtml = generatePresentation(
-      slides,
-      graphFiles.map((g) => g.filename),
-      theme,
-      fonts
+  scriptInput.addEventListener('input', updateFormat);
+  convertMarkdownBtn?.addEventListener('click', () => convertInput(slidesToMarkdown));
+  convertScriptBtn?.addEventListener('click', () => convertInput(slidesToScript));
+  updateFormat();
+
+  // Editor visual: alternativa al textarea que reescribe el guion con cada cambio
+  const visualEditor = setupVisualEditor({
+    scriptInput,
+    container: visualEditorEl,
+    toggleBtn: visualToggleBtn,
+    onErrors: (diagnostics) => {
+      historyEl.appendChild(renderDiagnostics(diagnostics));
+      historyEl.scrollTop = historyEl.scrollHeight;
+    },
+  });
+
+  // Archivos disponibles para `Adjunto:` ({ name, type, data: Uint8Array }), buscados por nombre
+  let attachedFiles = [];
+
+  async function addAttachments(fileList) {
+    storeAttachments(
+      await Promise.all(
+        Array.from(fileList).map(async (file) => ({
+          name: file.name,
+          type: file.type,
+          data: new Uint8Array(await file.arrayBuffer()),
+        }))
+      )
     );
+  }
+
+  // Un archivo con el mismo nombre reemplaza al anterior
+  function storeAttachments(files) {
+    files.forEach((file) => {
+      attachedFiles = attachedFiles.filter((f) => f.name.toLowerCase() !== file.name.toLowerCase());
+      attachedFiles.push(file);
+    });
+    renderAttachmentList();
+    projects.touch();
+    scheduleLivePreview();
+  }
+
+  // Inserta "Adjunto: nombre" (o "Datos: Archivo: nombre" si es un CSV/XLSX) en una línea
+  // nueva debajo del cursor, con las palabras clave del idioma del guion
+  function insertAttachmentLine(name) {
+    const value = scriptInput.value;
+    const lineEnd = value.indexOf('\n', scriptInput.selectionEnd);
+    const at = lineEnd === -1 ? value.length : lineEnd;
+    const { keywords } = LOCALES[scriptLocale(value) || uiLocale];
+    const field = /\.(csv|tsv|xlsx)$/i.test(name) ? `${keywords.data[0]}: Archivo:` : `${keywords.attachment[0]}:`;
+    const text = `${at && value[at - 1] !== '\n' ? '\n' : ''}${field} ${name}`;
+    scriptInput.value = value.slice(0, at) + text + value.slice(at);
+    scriptInput.focus();
+    scriptInput.setSelectionRange(at + text.length, at + text.length);
+    visualEditor.refresh();
+  }
 
-    // Preparar blob y URL para vista previa y descarga HTML
-    if (lastState.presentationBlobUrl) {
-      URL.revokeObjectURL(lastState.presentationBlobUrl);
+  function renderAttachmentList() {
+    if (!attachmentList) return;
+    attachmentList.innerHTML = '';
+    attachedFiles.forEach((file) => {
+      const chip = document.createElement('span');
+      chip.className = 'inline-flex items-center gap-1 bg-slate-100 border border-slate-200 rounded-full pl-2 pr-1 py-0.5 text-[11px] text-slate-700';
+      const nameBtn = document.createElement('button');
+      nameBtn.type = 'button';
+      nameBtn.className = 'hover:underline';
+      nameBtn.title = uiText('attachInsert');
+      nameBtn.textContent = (file.type.startsWith('image/') ? '🖼 ' : '📎 ') + file.name;
+      nameBtn.addEventListener('click', () => insertAttachmentLine(file.name));
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'text-red-600 px-1';
+      removeBtn.title = uiText('attachRemove');
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', () => {
+        attachedFiles = attachedFiles.filter((f) => f !== file);
+        renderAttachmentList();
+        projects.touch();
+        scheduleLivePreview();
+      });
+      chip.appendChild(nameBtn);
+      chip.appendChild(removeBtn);
+      attachmentList.appendChild(chip);
+    });
+  }
+
+  attachmentInput?.addEventListener('change', function () {
+    addAttachments(attachmentInput.files);
+    attachmentInput.value = '';
+  });
+
+  // Proyecto abierto: se restaura al cargar la página y se guarda solo
+  const projects = setupProjects({
+    scriptInput,
+    themeSelect,
+    fontSelect,
+    getAttachments: () => attachedFiles,
+    setAttachments: (files) => {
+      attachedFiles = files.slice();
+      renderAttachmentList();
+    },
+    addTheme: themes && themes.addTheme,
+    onLoad: () => {
+      updateFormat();
+      visualEditor.refresh();
+    },
+  });
+
+  // Importar un PPTX: su guion reemplaza al del textarea y sus imágenes pasan a adjuntos
+  importPptxInput?.addEventListener('change', async function () {
+    const file = importPptxInput.files[0];
+    importPptxInput.value = '';
+    if (!file) return;
+    if (scriptInput.value.trim() && !confirm(uiText('importPptxConfirm'))) return;
+    try {
+      const imported = await importPptx(await file.arrayBuffer(), { locale: uiLocale });
+      scriptInput.value = imported.script;
+      storeAttachments(imported.files);
+      updateFormat();
+      visualEditor.refresh();
+      // Lo que no se pudo trasladar al guion se avisa por diapositiva
+      if (imported.warnings.length) {
+        historyEl.appendChild(renderDiagnostics(imported.warnings));
+        historyEl.scrollTop = historyEl.scrollHeight;
+      }
+    } catch (err) {
+      alert(uiText('importPptxError', { error: err.message }));
     }
-    const blob = new Blob([presentationHtml], { type: 'text/html' });
-    const blobUrl = URL.createObjectURL(blob);
+  });
 
+  form.addEventListener('dragover', function (e) {
+    if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    form.classList.add('ring-2', 'ring-[#D4AF37]');
+  });
+  form.addEventListener('dragleave', function () {
+    form.classList.remove('ring-2', 'ring-[#D4AF37]');
+  });
+  form.addEventListener('drop', function (e) {
+    form.classList.remove('ring-2', 'ring-[#D4AF37]');
+    if (!e.dataTransfer || !e.dataTransfer.files.length) return;
+    e.preventDefault();
+    addAttachments(e.dataTransfer.files);
+  });
+
+  // El reproductor de la vista previa informa la diapositiva visible
+  window.addEventListener('message', function (e) {
+    if (!previewFrame || e.source !== previewFrame.contentWindow) return;
+    const msg = e.data || {};
+    if (msg.type !== 'reslides:slide') return;
+    lastState.previewSlide = msg.index;
+    if (previewCounter) previewCounter.textContent = `${msg.index + 1} / ${msg.total}`;
+  });
+
+  // Los cambios sólo se pueden enviar cuando el iframe terminó de cargar la presentación
+  let previewReady = false;
+  previewFrame?.addEventListener('load', () => {
+    previewReady = !!lastState.presentationBlobUrl;
+    if (livePreviewCheckbox?.checked) followCursor();
+  });
+
+  // Token de esta sesión: la presentación de la vista previa sólo acepta parches que lo traigan
+  const previewToken = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+
+  function sendToPreview(message) {
+    previewFrame?.contentWindow?.postMessage(message, '*');
+  }
+  previewPrevBtn?.addEventListener('click', () => sendToPreview({ type: 'reslides:prev' }));
+  previewNextBtn?.addEventListener('click', () => sendToPreview({ type: 'reslides:next' }));
+
+  // Selecciona en el textarea la línea/columna (base 1) indicada por un diagnóstico
+  function jumpToPosition(line, column) {
+    visualEditor.close();
+    const lines = scriptInput.value.split('\n');
+    let offset = 0;
+    for (let i = 0; i < line - 1 && i < lines.length; i++) offset += lines[i].length + 1;
+    const lineText = lines[line - 1] || '';
+    const start = offset + Math.max(0, column - 1);
+    scriptInput.focus();
+    scriptInput.setSelectionRange(start, offset + lineText.length);
+    // Aproximar el desplazamiento para que la línea quede visible
+    const lineHeight = parseFloat(getComputedStyle(scriptInput).lineHeight) || 16;
+    scriptInput.scrollTop = Math.max(0, (line - 3) * lineHeight);
+  }
+
+  // Mensaje del historial con la lista de errores y avisos del parser
+  function renderDiagnostics(diagnostics) {
+    const errors = diagnostics.filter((d) => d.severity === 'error').length;
+    const warnings = diagnostics.length - errors;
+    const box = document.createElement('div');
+    box.className = errors
+      ? 'bg-red-50 text-red-700 rounded-xl p-3 border border-red-200 text-xs'
+      : 'bg-amber-50 text-amber-800 rounded-xl p-3 border border-amber-200 text-xs';
+
+    const summary = document.createElement('p');
+    summary.className = 'font-semibold mb-1';
+    summary.textContent = uiText('diagnosticsSummary', { errors, warnings }) + (errors ? uiText('diagnosticsFix') : '');
+    box.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'space-y-0.5';
+    diagnostics.forEach((d) => {
+      const item = document.createElement('li');
+      const icon = d.severity === 'error' ? '✖' : '⚠';
+      // Los avisos de generación (p. ej. adjuntos) sólo conocen la diapositiva, no la línea; los
+      // del encabezado (el logo), ni eso
+      if (!d.line) {
+        const where = d.slide ? `${uiText('diagnosticSlide', { slide: d.slide })} · ` : '';
+        item.textContent = `${icon} ${where}${d.field}: ${d.message}`;
+        list.appendChild(item);
+        return;
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'text-left hover:underline';
+      btn.textContent = `${icon} ${uiText('diagnosticLine', { line: d.line, column: d.column })} · ${d.field}: ${d.message}`;
+      btn.addEventListener('click', () => jumpToPosition(d.line, d.column));
+      item.appendChild(btn);
+      list.appendChild(item);
+    });
+    box.appendChild(list);
+    return box;
+  }
+
+  // Revisión de accesibilidad de la última presentación; cada aviso de una diapositiva la
+  // muestra en la vista previa
+  function renderAccessibility(report) {
+    if (!a11yReport) return;
+    a11yReport.classList.remove('hidden');
+    a11ySummary.textContent = report.length ? uiText('a11ySummary', { n: report.length }) : uiText('a11yNone');
+    a11yList.innerHTML = '';
+    report.forEach((w) => {
+      const item = document.createElement('li');
+      if (!w.index) {
+        item.textContent = `⚠ ${uiText('a11yTheme')} · ${w.field}: ${w.message}`;
+        a11yList.appendChild(item);
+        return;
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'text-left hover:underline';
+      // Las diapositivas generadas (la agenda) no están en el guion: se nombran en vez de numerarse
+      const where = w.slide ? uiText('diagnosticSlide', { slide: w.slide }) : w.generated;
+      btn.textContent = `⚠ ${where} · ${w.field}: ${w.message}`;
+      btn.addEventListener('click', () => sendToPreview({ type: 'reslides:goto', index: w.index - 1 }));
+      item.appendChild(btn);
+      a11yList.appendChild(item);
+    });
+  }
+
+  // Publica un deck en la vista previa y en las descargas. Si la vista previa ya muestra una
+  // versión con el mismo tema, sólo se le envían las diapositivas que cambiaron.
+  function showDeck(deck) {
+    const patch = previewReady ? previewPatch(lastState, deck) : null;
+
+    // Preparar blobs y URL: la vista previa usa la versión que acepta parches y las descargas,
+    // la que no
+    [lastState.presentationBlobUrl, lastState.previewBlobUrl].forEach((url) => url && URL.revokeObjectURL(url));
+    const blobUrl = URL.createObjectURL(new Blob([deck.presentationHtml], { type: 'text/html' }));
+    const previewBlobUrl = deck.previewHtml ? URL.createObjectURL(new Blob([deck.previewHtml], { type: 'text/html' })) : blobUrl;
+
+    // Conservar la diapositiva visible al regenerar
+    const previewSlide = Math.max(0, Math.min(lastState.previewSlide || 0, deck.slides.length - 1));
     lastState = {
-      slides,
-      themeKey,
-      fontKey,
+      ...deck,
+      attachments: attachedFiles.slice(),
       presentationBlobUrl: blobUrl,
-      presentationHtml,
-      graphFiles,
+      previewBlobUrl: previewBlobUrl === blobUrl ? null : previewBlobUrl,
+      previewSlide,
     };
 
     // Vista previa en iframe
     if (previewFrame) {
-      previewFrame.src = blobUrl;
+      if (patch) {
+        if (patch.slides.length) sendToPreview(patch);
+      } else {
+        previewReady = false;
+        previewFrame.src = `${previewBlobUrl}#/${previewSlide + 1}`;
+      }
       previewSection?.classList.remove('hidden');
     }
+    renderAccessibility(deck.accessibility);
     if (openNewTabLink) {
       openNewTabLink.href = blobUrl;
       openNewTabLink.classList.remove('hidden');
@@ -648,70 +2487,372 @@ function setupReSlides() {
 
     // Mostrar sección de descargas
     downloadsSection?.classList.remove('hidden');
+  }
+
+  // Vista previa en vivo: al dejar de escribir se vuelve a analizar el guion y la vista previa
+  // recibe sólo las diapositivas que cambiaron; además sigue a la diapositiva del cursor.
+  const LIVE_PREVIEW_DELAY = 400;
+  let liveTimer = null;
+
+  function setLiveStatus(text) {
+    if (!liveStatus) return;
+    liveStatus.textContent = text;
+    liveStatus.classList.toggle('hidden', !text);
+  }
+
+  function sameFiles(a, b) {
+    return !!a && a.length === b.length && a.every((file, i) => file === b[i]);
+  }
+
+  // Cada actualización lleva un número: si al terminar de leer los datos ya hay otra más
+  // reciente, ésta se descarta
+  let liveRun = 0;
+
+  async function updateLivePreview() {
+    liveTimer = null;
+    if (!livePreviewCheckbox?.checked) return;
+    const run = ++liveRun;
+    const analysis = analyzeSource(scriptInput.value, 'auto', { locale: uiLocale });
+    const { diagnostics, frontMatter } = analysis;
+    const errors = diagnostics.filter((d) => d.severity === 'error').length;
+    // Con errores se mantiene la última versión válida hasta que se corrijan
+    if (errors || !analysis.slides.length) {
+      setLiveStatus(errors ? uiText('livePaused', { n: errors }) : uiText('liveEmpty'));
+      return;
+    }
+    const { slides, warnings } = await resolveDataSources(analysis.slides, attachedFiles, { locale: uiLocale });
+    if (run !== liveRun) return;
+    setLiveStatus(warnings.length ? uiText('liveWarning', { message: warnings[0].message }) : '');
+    const themeKey = themeSelect?.value || 'default';
+    const fontKey = fontSelect?.value || 'default';
+    // La agenda del encabezado también cuenta: el deck anterior ya la incluía
+    const deckSlides = withAgenda(slides, frontMatter, uiLocale);
+    const unchanged =
+      lastState.slides &&
+      lastState.slides.length === deckSlides.length &&
+      !diffSlides(lastState.slides, deckSlides).length &&
+      JSON.stringify(lastState.frontMatter) === JSON.stringify(frontMatter || null) &&
+      lastState.theme === THEMES[themeKey] &&
+      lastState.fonts === FONTS[fontKey] &&
+      lastState.locale === uiLocale &&
+      sameFiles(lastState.attachments, attachedFiles);
+    if (!unchanged) {
+      showDeck(buildDeck(slides, { themeKey, fontKey, attachments: attachedFiles, locale: uiLocale, frontMatter, previewToken }));
+    }
+    followCursor();
+  }
+
+  function scheduleLivePreview() {
+    if (!livePreviewCheckbox?.checked) return;
+    clearTimeout(liveTimer);
+    liveTimer = setTimeout(updateLivePreview, LIVE_PREVIEW_DELAY);
+  }
+
+  // Lleva la vista previa a la diapositiva donde está el cursor del textarea
+  function followCursor() {
+    if (!previewReady || !lastState.slides || scriptInput.classList.contains('hidden')) return;
+    const line = scriptInput.value.slice(0, scriptInput.selectionStart).split('\n').length;
+    // La agenda no está en el guion: las diapositivas que la siguen se corren un puesto
+    const agenda = lastState.slides.findIndex((slide) => slide.agenda);
+    const scriptIndex = slideIndexAtLine(scriptInput.value, line);
+    const index = Math.min(scriptIndex + (agenda >= 0 && scriptIndex >= agenda ? 1 : 0), lastState.slides.length - 1);
+    if (index !== lastState.previewSlide) sendToPreview({ type: 'reslides:goto', index });
+  }
+
+  livePreviewCheckbox?.addEventListener('change', () => {
+    if (livePreviewCheckbox.checked) updateLivePreview();
+    else setLiveStatus('');
+  });
+  scriptInput.addEventListener('input', scheduleLivePreview);
+  ['click', 'keyup'].forEach((type) => scriptInput.addEventListener(type, scheduleLivePreview));
+  themeSelect?.addEventListener('change', scheduleLivePreview);
+  fontSelect?.addEventListener('change', scheduleLivePreview);
+  // La presentación se genera en el idioma de la interfaz
+  onUiLocaleChange(() => {
+    updateFormat();
+    renderAttachmentList();
+    scheduleLivePreview();
+  });
+
+  form.addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const rawScript = scriptInput.value.trim();
+    if (!rawScript) {
+      alert(uiText('emptyScript'));
+      return;
+    }
+
+    // Añadir mensaje del usuario al historial
+    const userMsg = document.createElement('div');
+    userMsg.className = 'bg-slate-50 rounded-xl p-3 border border-slate-200 text-xs';
+    userMsg.innerHTML =
+      `<p class='font-semibold mb-1 text-[#1B365D]'>${escapeHtml(uiText('you'))}</p>` +
+      "<pre class='whitespace-pre-wrap font-mono text-[11px]'>" +
+      escapeHtml(rawScript) +
+      '</pre>';
+    historyEl.appendChild(userMsg);
+    await generateFromInput();
+  });
+
+  // Analiza el guion del textarea y, si no tiene errores, genera y publica la presentación;
+  // los diagnósticos y el resultado se añaden al historial
+  async function generateFromInput() {
+    // Parsear guion (sin recortar, para que las líneas de los diagnósticos coincidan con el textarea)
+    const { slides, diagnostics, frontMatter } = analyzeSource(scriptInput.value, 'auto', { locale: uiLocale });
+    if (diagnostics.length) {
+      historyEl.appendChild(renderDiagnostics(diagnostics));
+    }
+    if (diagnostics.some((d) => d.severity === 'error')) {
+      historyEl.scrollTop = historyEl.scrollHeight;
+      return;
+    }
+    if (!slides.length) {
+      const errMsg = document.createElement('div');
+      errMsg.className = 'bg-red-50 text-red-700 rounded-xl p-3 border border-red-200 text-xs mt-2';
+      errMsg.textContent = uiText('noSlides');
+      historyEl.appendChild(errMsg);
+      return;
+    }
+
+    // Leer los datos de las gráficas con `Archivo:` y generar presentación HTML, gráficas
+    // y README con el tema y fuentes seleccionados
+    const data = await resolveDataSources(slides, attachedFiles, { locale: uiLocale });
+    const deck = buildDeck(data.slides, {
+      themeKey: themeSelect?.value || 'default',
+      fontKey: fontSelect?.value || 'default',
+      attachments: attachedFiles,
+      locale: uiLocale,
+      frontMatter,
+      previewToken,
+    });
+    const warnings = [...data.warnings, ...deck.warnings];
+    if (warnings.length) {
+      historyEl.appendChild(renderDiagnostics(warnings));
+    }
+    showDeck(deck);
+    projects.recordGeneration(slides.length);
 
     // Mensaje del sistema en historial
     const botMsg = document.createElement('div');
     botMsg.className = 'bg-white rounded-xl p-3 border border-slate-200 text-xs';
     botMsg.innerHTML =
       "<p class='font-semibold mb-1 text-[#1B365D]'>ReSlides:</p>" +
-      "<p class='text-[11px] text-slate-700'>Presentación generada con éxito. Usa la vista previa de la derecha o descarga los archivos en los formatos disponibles.</p>";
+      `<p class='text-[11px] text-slate-700'>${escapeHtml(uiText('generated'))}</p>`;
     historyEl.appendChild(botMsg);
 
     // Desplazar hacia abajo el historial
     historyEl.scrollTop = historyEl.scrollHeight;
+  }
+
+  // Burbuja del historial con texto plano (la petición, la respuesta del asistente)
+  function chatMessage(who, text, tone = 'bg-white border-slate-200') {
+    const msg = createEl('div', `${tone} rounded-xl p-3 border text-xs`);
+    msg.appendChild(createEl('p', 'font-semibold mb-1 text-[#1B365D]', who));
+    msg.appendChild(createEl('p', 'text-[11px] text-slate-700 whitespace-pre-wrap', text));
+    historyEl.appendChild(msg);
+    historyEl.scrollTop = historyEl.scrollHeight;
+    return msg;
+  }
+
+  // Asistente: la petición se aplica a la última presentación generada (o al guion, si es
+  // válido y aún no se generó). El borrador sólo pasa al textarea si el parser no le encuentra errores.
+  const assistant = setupAssistantSettings();
+
+  assistantForm?.addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const request = assistantInput.value.trim();
+    if (!request) return;
+    chatMessage(uiText('you'), request, 'bg-slate-50 border-slate-200');
+
+    // La agenda la genera el encabezado: no se le pasa al asistente, y el encabezado se conserva
+    let base = lastState.slides && lastState.slides.filter((slide) => !slide.agenda);
+    const analysis = scriptInput.value.trim() ? analyzeSource(scriptInput.value, 'auto', { locale: uiLocale }) : null;
+    const valid = analysis && !analysis.diagnostics.some((d) => d.severity === 'error');
+    if (!base && valid) base = analysis.slides;
+    const frontMatter = valid ? analysis.frontMatter : lastState.frontMatter;
+    const pending = chatMessage('ReSlides:', uiText(base ? 'assistantApplying' : 'assistantDrafting'));
+    assistantSendBtn.disabled = true;
+    try {
+      const draft = await draftScript(assistant.provider(), request, { slides: base, locale: uiLocale });
+      pending.remove();
+      const errors = draft.diagnostics.filter((d) => d.severity === 'error');
+      if (errors.length) {
+        const msg = chatMessage(
+          'ReSlides:',
+          `${uiText('assistantErrors', { n: errors.length })}\n` +
+            errors
+              .map((d) => `✖ ${uiText('diagnosticLine', { line: d.line, column: d.column })} · ${d.field}: ${d.message}`)
+              .join('\n'),
+          'bg-red-50 border-red-200'
+        );
+        msg.appendChild(createEl('pre', 'mt-2 whitespace-pre-wrap font-mono text-[11px] text-slate-600', draft.script));
+        return;
+      }
+      if (base && draft.script === slidesToScript(base)) {
+        chatMessage('ReSlides:', uiText('assistantUnchanged'));
+        return;
+      }
+      // Se conservan el formato y el idioma en los que escribe el usuario
+      const markdown = scriptInput.value.trim() && detectFormat(scriptInput.value) === 'markdown';
+      const locale = scriptLocale(scriptInput.value) || uiLocale;
+      const options = { locale, frontMatter };
+      if (markdown) scriptInput.value = slidesToMarkdown(draft.slides, options);
+      else scriptInput.value = locale === 'es' && !frontMatter ? draft.script : slidesToScript(draft.slides, options);
+      assistantInput.value = '';
+      updateFormat();
+      visualEditor.refresh();
+      projects.touch();
+      chatMessage('ReSlides:', base ? uiText('assistantApplied') : uiText('assistantDraft', { n: draft.slides.length }));
+      await generateFromInput();
+    } catch (err) {
+      pending.remove();
+      chatMessage('ReSlides:', uiText('assistantError', { error: err.message }), 'bg-red-50 border-red-200');
+    } finally {
+      assistantSendBtn.disabled = false;
+    }
+  });
+
+  // Enter envía la petición; Mayús+Enter añade una línea
+  assistantInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      assistantForm.requestSubmit();
+    }
   });
 
   // Descargar PPTX usando el último estado
   if (downloadPptxBtn) {
-    downloadPptxBtn.addEventListener('click', function () {
+    downloadPptxBtn.addEventListener('click', async function () {
       if (!lastState.slides || !lastState.slides.length) {
-        alert('Primero genera una presentación antes de descargar el PPTX.');
+        alert(uiText('generateFirst', { what: uiText('generateFirstPptx') }));
         return;
       }
-      const theme = THEMES[lastState.themeKey] || THEMES.default;
-      const fonts = FONTS[lastState.fontKey] || FONTS.default;
-      generatePptx(lastState.slides, theme, fonts);
+      try {
+        const pres = generatePptx(lastState.slides, lastState.theme, lastState.fonts, {
+          attachments: lastState.attachments,
+          locale: lastState.locale,
+          frontMatter: lastState.frontMatter,
+        });
+        await pres.writeFile({ fileName: 'ReSlides-presentacion.pptx' });
+        // Lo que el PPTX no puede mostrar (barras de error con otra versión de PptxGenJS) se avisa
+        if (pres.warnings.length) {
+          historyEl.appendChild(renderDiagnostics(pres.warnings));
+          historyEl.scrollTop = historyEl.scrollHeight;
+        }
+      } catch (err) {
+        alert(uiText('checkScriptTag', { error: err.message }));
+      }
     });
   }
 
-  // Descargar ZIP con presentacion.html + gráficas + README
+  // Mantiene el botón deshabilitado mientras dura una tarea larga; los errores se avisan con `failure`
+  async function whileBusy(button, failure, task) {
+    button.disabled = true;
+    button.classList.add('opacity-60');
+    try {
+      await task();
+    } catch (err) {
+      alert(`${failure}: ${err.message}`);
+    } finally {
+      button.disabled = false;
+      button.classList.remove('opacity-60');
+    }
+  }
+
+  // Mantiene el botón deshabilitado mientras se descargan los recursos sin conexión
+  function withOfflineAssets(button, task) {
+    return whileBusy(button, uiText('offlineError'), async () =>
+      task(await loadOfflineAssets(null, uiLocale))
+    );
+  }
+
+  // PDF: diálogo de impresión del navegador ("Guardar como PDF"), una diapositiva por página
+  downloadPdfBtn?.addEventListener('click', function () {
+    if (!lastState.presentationBlobUrl) {
+      alert(uiText('generateFirst', { what: uiText('generateFirstPdf') }));
+      return;
+    }
+    whileBusy(downloadPdfBtn, uiText('pdfError'), () => printDeck(lastState.presentationBlobUrl));
+  });
+
+  // PNG de la diapositiva visible en la vista previa
+  downloadPngBtn?.addEventListener('click', function () {
+    if (!lastState.presentationBlobUrl) {
+      alert(uiText('generateFirst', { what: uiText('generateFirstPng') }));
+      return;
+    }
+    const index = lastState.previewSlide || 0;
+    whileBusy(downloadPngBtn, uiText('pngError'), async () => {
+      const [png] = await renderSlidePngs(lastState.presentationBlobUrl, [index]);
+      saveBlob(new Blob([png], { type: 'image/png' }), slideImageName(index).split('/').pop());
+    });
+  });
+
+  // Descargar ZIP con presentacion.html + gráficas + README + adjuntos en assets/
+  // (y estilos, Plotly y fuentes locales si se pidió sin conexión, y un PNG por diapositiva)
   if (downloadZipBtn) {
     downloadZipBtn.addEventListener('click', function () {
       if (!lastState.slides || !lastState.slides.length) {
-        alert('Primero genera una presentación antes de descargar el ZIP.');
+        alert(uiText('generateFirst', { what: uiText('generateFirstZip') }));
         return;
       }
-      if (typeof JSZip === 'undefined') {
-        alert('No se encontró JSZip. Verifica el script en index.html.');
+      const saveZip = (assets, slideImages) => {
+        const deck = buildDeck(lastState.slides, {
+          themeKey: lastState.themeKey,
+          fontKey: lastState.fontKey,
+          attachments: lastState.attachments,
+          attachmentMode: 'files',
+          locale: lastState.locale,
+          frontMatter: lastState.frontMatter,
+          assetMode: assets ? 'local' : 'cdn',
+          assets,
+          slideImages,
+        });
+        let zip;
+        try {
+          zip = buildZip(deck);
+        } catch (err) {
+          alert(uiText('checkScriptTag', { error: err.message }));
+          return null;
+        }
+        return zip.generateAsync({ type: 'blob' }).then(function (zipBlob) {
+          saveBlob(zipBlob, 'reslides_paquete.zip');
+        });
+      };
+
+      const offline = zipOfflineCheckbox?.checked;
+      const png = zipPngCheckbox?.checked;
+      if (!offline && !png) {
+        saveZip(null, []);
         return;
       }
-      const theme = THEMES[lastState.themeKey] || THEMES.default;
-      const fonts = FONTS[lastState.fontKey] || FONTS.default;
-
-      const zip = new JSZip();
-      // Añadir presentación principal
-      zip.file('presentacion.html', lastState.presentationHtml || '');
-      // Añadir gráficas
-      (lastState.graphFiles || []).forEach((g) => {
-        zip.file(g.filename, g.html);
+      whileBusy(downloadZipBtn, uiText('zipError'), async () => {
+        const assets = offline ? await loadOfflineAssets(null, uiLocale) : null;
+        // Las imágenes salen de la presentación ya generada, con sus gráficas dibujadas
+        const slideImages = png ? await renderSlidePngs(lastState.presentationBlobUrl) : [];
+        await saveZip(assets, slideImages);
       });
-      // README
-      const readme = generateReadme(lastState.slides);
-      zip.file('README.md', readme);
-
-      zip.generateAsync({ type: 'blob' }).then(function (zipBlob) {
-        if (typeof saveAs === 'function') {
-          saveAs(zipBlob, 'reslides_paquete.zip');
-        } else {
-          const url = URL.createObjectURL(zipBlob);
-          const a = document.createElement('a');
-          a.href = url;
-          a.download = 'reslides_paquete.zip';
-          document.body.appendChild(a);
-          a.click();
-          a.remove();
-          URL.revokeObjectURL(url);
-        }
+    });
+  }
+
+  // Descargar un único HTML con estilos, Plotly y fuentes incrustados
+  if (downloadOfflineBtn) {
+    downloadOfflineBtn.addEventListener('click', function () {
+      if (!lastState.slides || !lastState.slides.length) {
+        alert(uiText('generateFirst', { what: uiText('generateFirstOffline') }));
+        return;
+      }
+      withOfflineAssets(downloadOfflineBtn, (assets) => {
+        const deck = buildDeck(lastState.slides, {
+          themeKey: lastState.themeKey,
+          fontKey: lastState.fontKey,
+          attachments: lastState.attachments,
+          locale: lastState.locale,
+          frontMatter: lastState.frontMatter,
+          assetMode: 'inline',
+          assets,
+        });
+        saveBlob(new Blob([deck.presentationHtml], { type: 'text/html' }), 'presentacion-offline.html');
       });
     });
   }
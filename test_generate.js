@@ -1,92 +1,805 @@
+// Prueba de humo del núcleo de generación: usa exactamente el mismo código que index.html.
+// Uso: node test_generate.js [carpeta-de-salida]
+const assert = require('assert');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  THEMES,
+  addProjectVersion,
+  analyzeScript,
+  analyzeSource,
+  buildDeck,
+  buildPlotlyChart,
+  buildPptxChart,
+  checkAccessibility,
+  checkThemeContrast,
+  computeStatistics,
+  contrastRatio,
+  createMockProvider,
+  createOpenAiProvider,
+  createProject,
+  diffLines,
+  describeChart,
+  diffSlides,
+  draftScript,
+  generatePptx,
+  importPptx,
+  loadOfflineAssets,
+  parseCsv,
+  parseLocaleNumber,
+  parseProjectFile,
+  previewPatch,
+  projectToJson,
+  registerTheme,
+  resolveDataSources,
+  scriptLocale,
+  slideIndexAtLine,
+  slidesToMarkdown,
+  slidesToScript,
+  unregisterTheme,
+  withAgenda,
+} = require('./reslides-core');
 
-function parseScript(raw) {
-  const slides = [];
-  const lines = raw.split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0);
-  let current = null;
-  for (const line of lines) {
-    if (/^Diapositiva\s+\d+/i.test(line)) {
-      if (current) slides.push(current);
-      current = { title: '', content: [], graph: null, description: '', attachments: [] };
-    } else if (/^Título:/i.test(line)) {
-      current.title = line.replace(/^Título:/i, '').trim();
-    } else if (/^(Contenido|Contexto):/i.test(line)) {
-      const parts = line.replace(/^(Contenido|Contexto):/i, '').trim().split(';').map(p => p.trim()).filter(Boolean);
-      current.content.push(...parts);
-    } else if (/^Datos:/i.test(line) || /^Gráfica:/i.test(line) || /^Grafica:/i.test(line)) {
-      const rest = line.replace(/^Gráfica:|^Grafica:|^Datos:/i, '').trim();
-      const sections = rest.split(';').map(s => s.trim());
-      const graph = { labels: [], values: [] };
-      sections.forEach(sec => {
-        if (/^labels?/i.test(sec)) {
-          const arr = sec.replace(/^labels?:/i, '').split(',').map(s => s.trim()).filter(Boolean);
-          graph.labels = arr;
-        } else if (/^(valores?|values?)/i.test(sec)) {
-          const arr = sec.replace(/^(valores?|values?):/i, '').split(',').map(s => parseFloat(s.trim())).filter(v => !isNaN(v));
-          graph.values = arr;
-        }
+// Example script string
+const script = `Diapositiva 1\nTítulo: Presentación de prueba\nContenido: Esto es la primera diapositiva; Tiene varios puntos de texto; Puede listar items\n\nDiapositiva 2\nTítulo: Frecuencia de uso\nDatos: Tipo: barras; Labels: Resúmenes, Ideas, Redacción; Serie Hombres: 4.2, 3.8, 2.5; Serie Mujeres: 4.5, 3.1, 2.9\nDescripción: Frecuencia de uso por actividad\nContenido: La mayoría usa IA para resumir, generar ideas y redactar trabajos.\n\nDiapositiva 3\nTítulo: Uso y utilidad\nDatos: Tipo: dispersion; Labels: 1, 2, 3, 4; Valores: 2, 3, 3.5, 5`;
+
+const { slides, diagnostics } = analyzeScript(script);
+assert.deepStrictEqual(diagnostics, []);
+assert.strictEqual(slides.length, 3);
+assert.deepStrictEqual(slides[0].content.length, 3);
+assert.deepStrictEqual(
+  slides[1].graph.series.map((s) => s.name),
+  ['Hombres', 'Mujeres']
+);
+assert.strictEqual(slides[2].graph.type, 'dispersion');
+assert.strictEqual(analyzeScript('Diapositiva 1\nTítulo: A\nNotas: uno\nNotas: dos').slides[0].notes, 'uno\ndos');
+
+// Diagnósticos con línea y columna
+const broken = analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Labels: a, b; Valores: 1, x\nDiapositiva 1');
+assert.ok(broken.diagnostics.some((d) => d.severity === 'error' && d.line === 3 && d.column === 34));
+assert.ok(broken.diagnostics.some((d) => d.field === 'Diapositiva' && d.line === 4));
+
+const deck = buildDeck(slides, { themeKey: 'verde', fontKey: 'moderna' });
+assert.strictEqual(deck.themeKey, 'verde');
+assert.deepStrictEqual(
+  deck.graphFiles.map((g) => g.filename),
+  ['grafica1.html', 'grafica2.html']
+);
+assert.ok(deck.presentationHtml.includes('Presentación de prueba'));
+assert.ok(deck.presentationHtml.includes('grafica2.html'));
+assert.ok(deck.readme.includes('Diapositivas con gráficas: 2'));
+
+// Los scripts incrustados (gráficas y reproductor) deben ser JavaScript válido
+[deck.presentationHtml, ...deck.graphFiles.map((g) => g.html)].forEach((html) => {
+  const scripts = html.match(/<script>[\s\S]*?<\/script>/g) || [];
+  assert.ok(scripts.length);
+  scripts.forEach((tag) => new Function(tag.slice('<script>'.length, -'</script>'.length)));
+});
+assert.ok(deck.presentationHtml.includes('id="rs-controls"'));
+
+// Texto enriquecido: \; no parte el punto, la sangría crea subpuntos y el Markdown se vuelve HTML seguro
+const rich = analyzeScript(
+  'Diapositiva 1\nTítulo: A\nDiapositiva 2\nTítulo: B\nContenido: **Uno**\\; sigue; [x](javascript:alert(1))\n  - Sub *a*\n      - Subsub\nDos'
+).slides[1];
+assert.deepStrictEqual(rich.content, ['**Uno**; sigue', '[x](javascript:alert(1))', 'Sub *a*', 'Subsub', 'Dos']);
+assert.deepStrictEqual(rich.levels, [0, 0, 1, 2, 0]);
+const richHtml = buildDeck([slides[0], rich]).presentationHtml;
+assert.ok(richHtml.includes('<li><strong>Uno</strong>; sigue</li>'));
+assert.ok(richHtml.includes('<ul class="list-[circle] pl-8 mt-1 space-y-1 text-[0.9em]"><li>Sub <em>a</em>'));
+assert.ok(!richHtml.includes('javascript:'));
+
+// Markdown: mismas diapositivas que el guion equivalente y conversión de ida y vuelta
+const markdown = analyzeSource(
+  '# Presentación de prueba\n\n- Esto es la primera diapositiva\n- Tiene varios puntos de texto\n- Puede listar items\n\n---\n\n## Frecuencia de uso\n\n| Actividad | Hombres | Mujeres |\n|---|---|---|\n| Resúmenes | 4.2 | 4.5 |\n| Ideas | 3.8 | 3.1 |\n| Redacción | 2.5 | 2.9 |\n\nDescripción: Frecuencia de uso por actividad\n\nLa mayoría usa IA para resumir, generar ideas y redactar trabajos.\n\nNote: Comentar la diferencia\n\n## Uso y utilidad\n\n```chart dispersion\nLabels: 1, 2, 3, 4\nValores: 2, 3, 3.5, 5\n```'
+);
+assert.strictEqual(markdown.format, 'markdown');
+assert.deepStrictEqual(markdown.diagnostics, []);
+assert.deepStrictEqual({ ...markdown.slides[1], notes: '' }, slides[1]);
+assert.deepStrictEqual(markdown.slides[2], slides[2]);
+assert.deepStrictEqual(analyzeSource(slidesToMarkdown(markdown.slides)).slides, markdown.slides);
+assert.deepStrictEqual(analyzeSource(slidesToScript(markdown.slides)).slides, markdown.slides);
+const badTable = analyzeSource('# A\n\n| x | y |\n|---|---|\n| a | 1 |\n| b | dos |');
+assert.ok(badTable.diagnostics.some((d) => d.severity === 'error' && d.line === 6 && d.column === 7));
+
+// Diseños: se reconocen con acentos y sinónimos; la gráfica sólo se dibuja en "contenido"
+const designed = analyzeScript(
+  'Diapositiva 1\nTítulo: A\nDiapositiva 2\nDiseño: Lista numerada\nTítulo: B\nContenido: uno; dos\nDatos: Labels: a; Valores: 1\nDiapositiva 3\nDiseño: icono+texto\nTítulo: C\nContenido: [cerebro] Mente: texto\nDiapositiva 4\nDiseño: cierre\nDiapositiva 5\nDiseño: otro\nTítulo: E'
+);
+assert.deepStrictEqual(designed.slides.map((s) => s.layout), ['', 'lista-numerada', 'icono-texto', 'cierre', '']);
+assert.deepStrictEqual(designed.diagnostics.map((d) => [d.line, d.field]), [[7, 'Datos'], [15, 'Diseño']]);
+const designedDeck = buildDeck(designed.slides);
+assert.deepStrictEqual(designedDeck.graphFiles, []);
+assert.deepStrictEqual(
+  designedDeck.presentationHtml.match(/data-layout="[^"]+"/g),
+  ['portada', 'lista-numerada', 'icono-texto', 'cierre', 'contenido'].map((l) => `data-layout="${l}"`)
+);
+assert.ok(designedDeck.presentationHtml.includes('🧠'));
+assert.ok(designedDeck.presentationHtml.includes('¡Gracias!'));
+
+// Temas propios: se registran como los integrados y llegan a la presentación y las gráficas
+const themeKey = registerTheme({
+  name: 'Noche clara',
+  primary: '#123',
+  secondary: '#234567',
+  accent: '#FFCC00',
+  background: '#101010',
+  text: '#EEEEEE',
+  chart: ['#00AA88'],
+  cover: ['#000000', '#333333'],
+  fonts: { heading: 'Montserrat', body: 'Merriweather' },
+});
+assert.strictEqual(themeKey, 'custom-noche-clara');
+assert.strictEqual(THEMES[themeKey].primary, '#112233');
+const themed = buildDeck(slides, { themeKey, fontKey: THEMES[themeKey].fontKey });
+assert.ok(themed.presentationHtml.includes('linear-gradient(135deg, #000000, #333333)'));
+assert.ok(themed.presentationHtml.includes("font-family:'Montserrat', sans-serif"));
+assert.ok(themed.graphFiles[0].html.includes('#00AA88'));
+assert.strictEqual(contrastRatio('#FFFFFF', '#000000'), 21);
+assert.deepStrictEqual(checkThemeContrast(THEMES[themeKey]).filter((c) => !c.ok).map((c) => c.label), ['Títulos sobre el fondo']);
+assert.throws(() => registerTheme({ name: 'Roto', primary: 'azul' }), /primary/);
+assert.throws(() => registerTheme({ ...THEMES.default, fonts: { heading: 'Comic Sans', body: 'Unna' } }), /Comic Sans/);
+assert.throws(() => registerTheme({ name: 'Roto', primary: 'azul' }, 'en'), /^Error: Invalid color in "primary": "azul"/);
+assert.ok(unregisterTheme(themeKey) && !unregisterTheme('default'));
+
+// Proyectos: las versiones repetidas no se duplican y el .reslides.json conserva los adjuntos
+const project = createProject('Tesis', { script, attachments: [{ name: 'foto.png', type: 'image/png', data: new Uint8Array([1, 2, 3]) }] });
+const generation = { script, themeKey: 'verde', fontKey: 'default', slideCount: 3 };
+addProjectVersion(project, generation);
+addProjectVersion(project, generation);
+addProjectVersion(project, { ...generation, script: script.replace('Uso y utilidad', 'Uso real') });
+assert.strictEqual(project.versions.length, 2);
+// Con un tema propio la versión guarda sus datos, y un cambio en el tema es una versión nueva
+const versionTheme = { ...THEMES.default, name: 'Del proyecto' };
+addProjectVersion(project, { ...generation, themeKey: 'custom-del-proyecto', theme: versionTheme });
+addProjectVersion(project, { ...generation, themeKey: 'custom-del-proyecto', theme: { ...versionTheme, primary: '#000000' } });
+assert.deepStrictEqual(project.versions.map((v) => v.theme && v.theme.primary), [null, null, THEMES.default.primary, '#000000']);
+const reopened = parseProjectFile(projectToJson(project));
+assert.deepStrictEqual(reopened, project);
+assert.throws(() => parseProjectFile('{"name": "x"}'), /proyecto de ReSlides/);
+assert.throws(() => parseProjectFile('{', 'en'), /^Error: The file is not valid JSON\.$/);
+assert.deepStrictEqual(
+  diffLines('a\nb\nc', 'a\nB\nc\nd').map((d) => d.type[0] + d.text),
+  ['sa', 'rb', 'aB', 'sc', 'ad']
+);
+
+// Vista previa en vivo: sólo viajan las diapositivas que cambiaron (también si sólo cambian datos)
+const liveBefore = analyzeSource(script).slides;
+const liveAfter = analyzeSource(script.replace('Uso y utilidad', 'Uso real').replace('Serie Mujeres: 4.5', 'Serie Mujeres: 4.6')).slides;
+assert.deepStrictEqual(diffSlides(liveBefore, liveAfter), [1, 2]);
+const preview = { previewToken: 'a1b2c3' };
+const liveDeck = buildDeck(liveBefore, preview);
+const livePatch = previewPatch(liveDeck, buildDeck(liveAfter, preview));
+assert.deepStrictEqual([livePatch.token, livePatch.total, livePatch.slides.map((s) => s.index)], ['a1b2c3', 3, [1, 2]]);
+assert.strictEqual(previewPatch(liveDeck, buildDeck(liveAfter, { ...preview, themeKey: 'verde' })), null);
+// Sólo la página de la vista previa escucha parches, y sólo con su token; la publicada, ninguno
+assert.ok(liveDeck.previewHtml.includes("e.data.type === 'reslides:patch'") && liveDeck.previewHtml.includes('var token = "a1b2c3";'));
+assert.ok(!liveDeck.presentationHtml.includes('reslides:patch') && !liveDeck.presentationHtml.includes('a1b2c3'));
+assert.strictEqual(buildDeck(liveBefore).previewHtml, null);
+assert.strictEqual(previewPatch(buildDeck(liveBefore), buildDeck(liveAfter)), null);
+assert.deepStrictEqual([1, 4, 5, 11].map((line) => slideIndexAtLine(script, line)), [0, 0, 1, 2]);
+
+// PDF y PNG: hoja de impresión de una diapositiva por página y PNG ya rasterizados en png/
+const withPngs = buildDeck(liveBefore, { slideImages: [1, 2, 3].map((n) => new Uint8Array([n])) });
+assert.ok(/@media print[\s\S]*break-after: page/.test(withPngs.presentationHtml));
+assert.deepStrictEqual(withPngs.slideImageFiles.map((f) => f.filename), ['png/diapositiva-01.png', 'png/diapositiva-02.png', 'png/diapositiva-03.png']);
+assert.ok(withPngs.readme.includes('`png/`'));
+
+// Datos de gráficas: números con coma o punto, tablas en el guion y archivos CSV
+assert.deepStrictEqual(['4,2', '4.2', '1.234,5', '1,234.5', '1.234.567', '12 %', 'dos'].map((t) => parseLocaleNumber(t)), [4.2, 4.2, 1234.5, 1234.5, 1234567, 12, NaN]);
+assert.strictEqual(parseLocaleNumber('1.234', ','), 1234);
+// Con el decimal fijado, un separador de miles fuera de sitio no se borra: el valor no es un número
+assert.deepStrictEqual(['4,2', '1,234.5', '12,34.5'].map((t) => parseLocaleNumber(t, '.')), [NaN, 1234.5, NaN]);
+assert.deepStrictEqual(['4,2', '1.234,5', '4.2'].map((t) => parseLocaleNumber(t, ',')), [4.2, 1234.5, NaN]);
+const commaData = analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Decimal: coma; Labels: a, b; Valores: 4,2, 3,8');
+assert.deepStrictEqual(commaData.diagnostics, []);
+assert.deepStrictEqual(commaData.slides[0].graph.series[0].values, [4.2, 3.8]);
+const strayLine = 'Datos: Decimal: punto; Labels: a, b; Valores: 4,2 | 3.8';
+const strayThousands = analyzeScript(`Diapositiva 1\nTítulo: A\n${strayLine}`);
+const strayErrors = strayThousands.diagnostics.filter((d) => d.severity === 'error');
+assert.deepStrictEqual(strayErrors.map((d) => [d.line, d.column]), [[3, strayLine.indexOf('4,2') + 1]]);
+assert.ok(strayErrors[0].message.includes('la coma sólo separa miles'));
+assert.ok(
+  analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Decimal: coma; Labels: a, b; Valores: 4,2,3,8')
+    .diagnostics.some((d) => d.message.includes('coma y espacio ("4,2, 3,8")'))
+);
+assert.deepStrictEqual(parseCsv('Mes;Ventas\n"Ene; Feb";"1,5"\n'), [['Mes', 'Ventas'], ['Ene; Feb', '1,5']]);
+const tables = analyzeScript(
+  'Diapositiva 1\nTítulo: A\nDiapositiva 2\nTítulo: B\nDatos: Tipo: lineas\n| Mes | Uno | Dos |\n|---|---|---|\n| Ene | 4,2 | 5 |\n| Feb | 3,1 | 6 |\nDiapositiva 3\nTítulo: C\nDatos:\n```csv\nMes;Uno\nEne;1,5\nFeb;x\n```'
+);
+assert.deepStrictEqual(tables.slides[1].graph, { type: 'lineas', labels: ['Ene', 'Feb'], series: [{ name: 'Uno', values: [4.2, 3.1] }, { name: 'Dos', values: [5, 6] }] });
+assert.deepStrictEqual(tables.diagnostics.map((d) => [d.line, d.column, d.severity]), [[16, 5, 'error']]);
+const fromFile = analyzeScript('Diapositiva 1\nTítulo: A\nDiapositiva 2\nTítulo: B\nDatos: Tipo: barras; Archivo: ventas.csv; Etiquetas: Mes; Columnas: Costes; Decimal: coma');
+assert.deepStrictEqual(fromFile.diagnostics, []);
+assert.deepStrictEqual(analyzeScript(slidesToScript(fromFile.slides)).slides, fromFile.slides);
+const ventas = { name: 'ventas.csv', type: 'text/csv', data: new TextEncoder().encode('Mes;Ventas;Costes\nEne;1.234,5;800\nFeb;1.500;900,25\n') };
+const dataSources = resolveDataSources(fromFile.slides, [ventas]).then((result) => {
+  assert.deepStrictEqual(result.warnings, []);
+  assert.deepStrictEqual(result.slides[1].graph.labels, ['Ene', 'Feb']);
+  assert.deepStrictEqual(result.slides[1].graph.series, [{ name: 'Costes', values: [800, 900.25] }]);
+  const dataDeck = buildDeck(result.slides, { attachments: [ventas] });
+  assert.deepStrictEqual(dataDeck.dataFiles.map((f) => f.filename), ['datos/ventas.csv']);
+  assert.ok(dataDeck.readme.includes('`datos/`'));
+  return resolveDataSources(fromFile.slides, []).then((missing) => {
+    assert.deepStrictEqual(missing.warnings.map((w) => [w.slide, w.field]), [[2, 'Datos']]);
+    assert.strictEqual(buildDeck(missing.slides).graphFiles.length, 0);
+  });
+}).then(() => {
+  // Sin `Columnas:`, un pastel de un archivo con varias columnas numéricas avisa al leerlo
+  const pieFromFile = analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Tipo: pastel; Archivo: ventas.csv; Etiquetas: Mes').slides;
+  return resolveDataSources(pieFromFile, [ventas]).then((result) => {
+    assert.deepStrictEqual(result.warnings.map((w) => [w.slide, w.field]), [[1, 'Datos']]);
+    assert.ok(result.warnings[0].message.startsWith('ventas.csv: Las gráficas de tipo pastel sólo dibujan una serie'));
+  });
+});
+
+// Opciones de gráfica: las mismas en Plotly y en addChart, y de vuelta al guion sin perder nada
+const styled = analyzeScript(
+  'Diapositiva 1\nTítulo: A\nDiapositiva 2\nTítulo: B\nDatos: Labels: a, b, c; Valores: 2, 5, 3; Error: 0.5, 1, 0.2; Eje X: Grupo; Eje Y: Acuerdo; Unidad: %; Mostrar valores: sí; Mínimo: 0; Orden: descendente; Destacar: c; Horizontal: sí\nDiapositiva 3\nTítulo: C\nDatos: Tipo: dona; Labels: a, b; Valores: 1, 2; Eje Y: x; Destacar: a'
+);
+assert.deepStrictEqual(styled.diagnostics.map((d) => [d.line, d.message]), [
+  [8, '"Eje Y" no se aplica a las gráficas de tipo dona; se ignoró.'],
+  [8, '"Destacar" sólo se aplica a las gráficas de barras con una serie; se ignoró.'],
+]);
+assert.deepStrictEqual(analyzeScript(slidesToScript(styled.slides)).slides, styled.slides);
+// En otro idioma también las secciones de `Datos:` y sus valores, y el guion vuelve igual
+const styledEnglish = slidesToScript(styled.slides, { locale: 'en' });
+assert.ok(
+  styledEnglish.includes(
+    'Data: Type: barras; Labels: a, b, c; Values: 2, 5, 3; Error Serie: 0.5, 1, 0.2; X axis: Grupo; Y axis: Acuerdo; Unit: %; Show values: yes; Minimum: 0; Sort: descending; Highlight: c; Horizontal: yes'
+  )
+);
+assert.ok(!/Tipo|Valores|Eje|Orden/.test(styledEnglish));
+['en', 'pt'].forEach((locale) => {
+  assert.deepStrictEqual(analyzeScript(slidesToScript(styled.slides, { locale })).slides, styled.slides);
+  assert.deepStrictEqual(analyzeScript(slidesToScript(fromFile.slides, { locale })).slides, fromFile.slides);
+});
+// El pastel y la dona sólo dibujan la primera serie: las demás se avisan en lugar de perderse
+const twoPies = analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Tipo: pastel; Labels: a, b; Serie X: 1, 2; Serie Y: 3, 4');
+assert.deepStrictEqual(twoPies.diagnostics.map((d) => [d.severity, d.line, d.column]), [['warning', 3, 51]]);
+assert.ok(twoPies.diagnostics[0].message.includes('sólo dibujan una serie ("X"); se ignora "Y"'));
+assert.strictEqual(buildPlotlyChart(twoPies.slides[0].graph, THEMES.default).data.length, 1);
+const styledGraph = styled.slides[1].graph;
+const plotly = buildPlotlyChart(styledGraph, THEMES.default);
+const pptxChart = buildPptxChart(styledGraph, THEMES.default);
+assert.deepStrictEqual([plotly.data[0].y, plotly.data[0].x, plotly.data[0].error_x.array], [['b', 'c', 'a'], [5, 3, 2], [1, 0.2, 0.5]]);
+assert.deepStrictEqual([pptxChart.data[0].labels, pptxChart.data[0].values, pptxChart.options.errorBars], [['b', 'c', 'a'], [5, 3, 2], [[1, 0.2, 0.5]]]);
+assert.deepStrictEqual(plotly.data[0].marker.color, ['#CBD5E0', THEMES.default.accent, '#CBD5E0']);
+assert.deepStrictEqual(pptxChart.options.chartColors, ['CBD5E0', THEMES.default.accent.slice(1), 'CBD5E0']);
+assert.deepStrictEqual([plotly.layout.xaxis.ticksuffix, plotly.layout.xaxis.range, plotly.layout.yaxis.title.text], ['%', [0, null], 'Grupo']);
+assert.deepStrictEqual([pptxChart.options.barDir, pptxChart.options.valAxisMinVal, pptxChart.options.catAxisTitle], ['bar', 0, 'Grupo']);
+
+// Estadística: gráfica y tabla calculadas de los datos crudos, que vuelven al guion tal cual
+const research = analyzeScript(
+  'Diapositiva 1\nTítulo: A\nDiapositiva 2\nTítulo: Horas\nEstadística: pearson; Columnas: Horas, Nota\n| Horas | Nota | Grupo |\n|---|---|---|\n| 1 | 2 | a |\n| 2 | 4 | b |\n| 3 | 5 | a |\n| 4 | 4 | a |\n| 5 | 5 | x |\nDiapositiva 3\nTítulo: B\nEstadística: descriptivos; Columnas: Nota\n```csv\nNota\n"5,5"\n7\nno\n```'
+);
+assert.deepStrictEqual(research.diagnostics.map((d) => [d.line, d.message]), [[15, 'Se ignoró 1 celda no numérica de "Nota".']]);
+assert.deepStrictEqual(research.slides[1].table.rows.slice(1, 5), [['n', '5'], ['r', '0.775'], ['r²', '0.600'], ['p', '.124']]);
+assert.deepStrictEqual(research.slides[1].graph.options, { xTitle: 'Horas', yTitle: 'Nota', trend: true });
+assert.deepStrictEqual(research.slides[2].table.rows, [['Nota', '2', '6.25', '1.06', '6.25', '5.50', '7.00']]);
+assert.deepStrictEqual(research.slides[2].graph.series[0].errors, [Math.sqrt(1.125)]);
+assert.deepStrictEqual(analyzeScript(slidesToScript(research.slides)).slides, research.slides);
+assert.ok(slidesToScript(research.slides, { locale: 'pt' }).includes('Estatística: correlacion; Colunas: Horas, Nota'));
+['en', 'pt'].forEach((locale) => {
+  assert.deepStrictEqual(analyzeScript(slidesToScript(research.slides, { locale })).slides, research.slides);
+  assert.deepStrictEqual(analyzeSource(slidesToMarkdown(research.slides, { locale })).slides, research.slides);
+});
+assert.deepStrictEqual(analyzeSource(slidesToMarkdown(research.slides)).slides, research.slides);
+assert.strictEqual(buildPlotlyChart(research.slides[1].graph, THEMES.default).data[1].name, 'Tendencia');
+assert.ok(buildDeck(research.slides).presentationHtml.includes('<td class="px-2 py-0.5 border-b border-slate-200 text-right">0.775</td>'));
+const spearman = computeStatistics({ kind: 'correlacion', method: 'spearman', columns: [] }, [['x', 'y'], [1, 1], [2, 8], [3, 27], [4, 64]]);
+assert.deepStrictEqual(spearman.table.rows.slice(0, 3), [['Método', 'Spearman'], ['n', '4'], ['ρ', '1.000']]);
+const frequencies = computeStatistics({ kind: 'frecuencias', columns: ['Grupo'] }, [['Grupo'], ['a'], ['b'], ['a']]);
+assert.deepStrictEqual(frequencies.table.rows, [['a', '2', '66.7'], ['b', '1', '33.3'], ['Total', '3', '100.0']]);
+const likert = computeStatistics({ kind: 'likert', columns: [], scale: '1-5', levels: [] }, [['P1', 'P2'], [1, 5], [4, 4], [5, 9]]);
+assert.deepStrictEqual(likert.table.rows, [['P1', '3', '3.33', '2.08', '4.00', '66.7'], ['P2', '2', '4.50', '0.71', '4.50', '100.0']]);
+assert.deepStrictEqual(likert.problems, ['"P2" tiene 1 respuesta fuera de la escala 1-5; se ignoró.']);
+// Una columna que no es una escala no genera miles de niveles, y los decimales no cuentan
+const wideLikert = computeStatistics({ kind: 'likert', columns: [], levels: [] }, [['Importe'], [3], [1000], [25000]]);
+assert.strictEqual(wideLikert.graph, null);
+assert.ok(/tiene 24998 puntos/.test(wideLikert.problems[0]));
+assert.strictEqual(computeStatistics({ kind: 'likert', columns: [], scale: '1-100000', levels: [] }, [['P'], [1]]).graph, null);
+const halfLikert = computeStatistics({ kind: 'likert', columns: [], scale: '1-5', levels: [] }, [['P'], [2.5], [4], [5]]);
+assert.deepStrictEqual(halfLikert.problems, ['"P" tiene 1 respuesta no entera; se ignoró.']);
+assert.deepStrictEqual(halfLikert.table.rows[0].slice(0, 2), ['P', '2']);
+
+// Adjuntos: incrustados por defecto, en assets/ con attachmentMode 'files'; los que faltan se avisan
+const withImage = analyzeScript('Diapositiva 1\nTítulo: A\nDiapositiva 2\nTítulo: B\nAdjunto: Foto.PNG, falta.pdf').slides;
+const image = { name: 'foto.png', type: 'image/png', data: new Uint8Array([1, 2, 3]) };
+const embedded = buildDeck(withImage, { attachments: [image] });
+assert.ok(embedded.presentationHtml.includes('<img src="data:image/png;base64,AQID" alt="foto"'));
+assert.deepStrictEqual(embedded.warnings.map((w) => w.slide), [2]);
+const linked = buildDeck(withImage, { attachments: [image], attachmentMode: 'files' });
+assert.ok(linked.presentationHtml.includes('<img src="assets/foto.png"'));
+assert.deepStrictEqual(linked.attachmentFiles.map((f) => f.filename), ['assets/foto.png']);
+const twins = [
+  { name: 'foto año.png', type: 'image/png', data: new Uint8Array([1]) },
+  { name: 'foto_a_o.png', type: 'image/png', data: new Uint8Array([2]) },
+];
+const twinDeck = buildDeck(analyzeScript('Diapositiva 1\nTítulo: A\nAdjunto: foto año.png, foto_a_o.png').slides, { attachments: twins, attachmentMode: 'files' });
+assert.deepStrictEqual(twinDeck.attachmentFiles.map((f) => [f.filename, f.data[0]]), [['assets/foto_a_o.png', 1], ['assets/foto_a_o-2.png', 2]]);
+assert.ok(twinDeck.presentationHtml.includes('<img src="assets/foto_a_o.png"') && twinDeck.presentationHtml.includes('<img src="assets/foto_a_o-2.png"'));
+const twinData = buildDeck(
+  analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Archivo: ventas año.csv\nDiapositiva 2\nTítulo: B\nDatos: Archivo: ventas_a_o.csv\nDiapositiva 3\nTítulo: C\nDatos: Archivo: ventas año.csv').slides,
+  { attachments: [{ name: 'ventas año.csv', data: 'a' }, { name: 'ventas_a_o.csv', data: 'b' }] }
+);
+assert.deepStrictEqual(twinData.dataFiles.map((f) => [f.filename, f.data]), [['datos/ventas_a_o.csv', 'a'], ['datos/ventas_a_o-2.csv', 'b']]);
+
+// Exportación sin conexión con recursos simulados: ninguna URL externa en el HTML
+const fakeFetch = (url) =>
+  Promise.resolve({
+    ok: true,
+    text: () => Promise.resolve(`/* ${url} */ var s = "</script>";`),
+    arrayBuffer: () => Promise.resolve(new Uint8Array([119, 79, 70, 50]).buffer),
+  });
+const offline = loadOfflineAssets(fakeFetch).then((assets) => {
+  const single = buildDeck(slides, { assetMode: 'inline', assets });
+  assert.ok(!/(src|href)="https?:/.test(single.presentationHtml));
+  assert.ok(single.presentationHtml.includes('data:font/woff2;base64,d09GMg=='));
+  assert.ok(single.presentationHtml.includes('var s = "<\\/script>";'));
+  // Tailwind va precompilado como hoja de estilos, sin el script que compila en el navegador
+  assert.ok(single.presentationHtml.includes('.grid-cols-3{grid-template-columns:repeat(3,minmax(0,1fr))}'));
+  assert.ok(!single.presentationHtml.includes('cdn.tailwindcss.com'));
+  assert.deepStrictEqual(single.graphFiles, []);
+
+  const local = buildDeck(slides, { assetMode: 'local', assets });
+  assert.ok(local.presentationHtml.includes('<script src="assets/plotly.min.js"></script>'));
+  assert.ok(local.presentationHtml.includes('<link href="assets/tailwind.css" rel="stylesheet" />'));
+  assert.ok(local.assetFiles.find((a) => a.filename === 'assets/tailwind.css').data.includes('.list-disc{'));
+  assert.ok(local.graphFiles[0].html.includes('href="assets/fonts.css"'));
+  assert.ok(local.assetFiles.some((a) => a.filename === 'assets/fonts/unna-latin-400-normal.woff2'));
+});
+
+// Importación de PPTX: ida y vuelta con el propio generador (sólo si pptxgenjs y jszip están instalados)
+const hasPptxLibs = ['pptxgenjs', 'jszip'].every((pkg) => {
+  try {
+    return require.resolve(pkg);
+  } catch (e) {
+    return false;
+  }
+});
+const withNotes = slides.map((s, i) => (i === 1 ? { ...s, notes: 'Primera nota\nSegunda nota' } : s));
+const imported = !hasPptxLibs
+  ? Promise.resolve()
+  : generatePptx(withNotes, deck.theme, deck.fonts)
+      .write({ outputType: 'nodebuffer' })
+      .then(importPptx)
+      .then((result) => {
+        assert.deepStrictEqual(result.slides.map((s) => s.title), slides.map((s) => s.title));
+        assert.deepStrictEqual(result.slides[0].content, slides[0].content);
+        assert.deepStrictEqual(result.slides[1].graph, slides[1].graph);
+        assert.deepStrictEqual(result.slides[2].graph, slides[2].graph);
+        assert.strictEqual(result.slides[1].notes, 'Primera nota\nSegunda nota');
+        assert.deepStrictEqual(result.warnings, []);
+        assert.deepStrictEqual(analyzeScript(result.script).slides, result.slides);
+      });
+
+// PptxGenJS no tiene barras de error: deben llegar al XML de la gráfica
+const errorBars = !hasPptxLibs
+  ? Promise.resolve()
+  : generatePptx(styled.slides, THEMES.default, deck.fonts)
+      .write({ outputType: 'nodebuffer' })
+      .then((data) => require('jszip').loadAsync(data))
+      .then((zip) => zip.file(/ppt\/charts\/chart\d+\.xml/)[0].async('string'))
+      .then((xml) => {
+        assert.ok(/<c:errBars>.*<c:pt idx="0"><c:v>1<\/c:v><\/c:pt>.*<\/c:errBars><c:cat>/.test(xml));
       });
-      current.graph = graph;
-    } else if (/^Descripción:/i.test(line) || /^Descripcion:/i.test(line)) {
-      current.description = line.replace(/^(Descripción|Descripcion):/i, '').trim();
-    } else if (/^Adjunto:/i.test(line)) {
-      const attachments = line.replace(/^Adjunto:/i, '').split(',').map(s => s.trim()).filter(Boolean);
-      current.attachments.push(...attachments);
-    } else if (current) {
-      const arr = line.split(';').map(s => s.trim()).filter(Boolean);
-      current.content.push(...arr);
+
+// Las barras horizontales vuelven como `Horizontal: sí`
+const horizontalImport = !hasPptxLibs
+  ? Promise.resolve()
+  : generatePptx(styled.slides, THEMES.default, deck.fonts)
+      .write({ outputType: 'nodebuffer' })
+      .then(importPptx)
+      .then((result) => {
+        assert.deepStrictEqual(result.slides[1].graph.options, { horizontal: true });
+        assert.deepStrictEqual(result.slides[2].graph.options, undefined);
+        assert.ok(!result.warnings.some((w) => w.slide === 2));
+      });
+
+// Sin el gancho de PptxGenJS (otra versión) las barras de error no se pierden en silencio
+if (hasPptxLibs) {
+  assert.deepStrictEqual(generatePptx(styled.slides, THEMES.default, deck.fonts).warnings, []);
+  const PptxGenJS = require('pptxgenjs');
+  globalThis.PptxGenJS = class extends PptxGenJS {
+    constructor() {
+      super();
+      delete this.createChartMediaRels;
     }
+  };
+  try {
+    const warned = generatePptx(styled.slides, THEMES.default, deck.fonts, { locale: 'en' }).warnings;
+    assert.deepStrictEqual(warned.map((w) => [w.slide, w.field]), [[2, 'PPTX']]);
+    assert.ok(warned[0].message.startsWith('This version of PptxGenJS does not allow adding error bars'));
+  } finally {
+    delete globalThis.PptxGenJS;
   }
-  if (current) slides.push(current);
-  return slides;
 }
 
-function generateGraphPage(graph, graphIndex) {
-  const { labels, values } = graph;
-  const id = `graph-${graphIndex}`;
-  return `<!DOCTYPE html><html lang='es'><head><meta charset='UTF-8'><meta name='viewport' content='width=device-width, initial-scale=1.0'><title>Gráfica ${graphIndex}</title><script src='https://cdn.tailwindcss.com'></script><script src='https://cdn.plot.ly/plotly-latest.min.js'></script><style type='text/tailwindcss'>@layer utilities { .ppt-slide { @apply relative w-[992px] h-[558px] mx-auto p-[30px] box-border overflow-hidden mb-[40px] bg-[#FAFBFC]; } }</style></head><body class='bg-gray-50 py-8'><div class='ppt-slide flex flex-col justify-center'><div id='${id}' class='w-full h-full'></div></div><script>document.addEventListener('DOMContentLoaded', function () { const data = [{ x: ${JSON.stringify(labels)}, y: ${JSON.stringify(values)}, type: 'bar', marker: { color: '#1B365D' } }]; const layout = { title: 'Gráfica ${graphIndex}', margin: { t: 40, r: 20, b: 60, l: 40 }, yaxis: { title: 'Valor' } }; Plotly.newPlot('${id}', data, layout, { responsive: true }); });<\/script></body></html>`;
-}
+// La recta de tendencia de la correlación también va en el XML de la gráfica
+const trendline = !hasPptxLibs
+  ? Promise.resolve()
+  : generatePptx(research.slides.slice(0, 2), THEMES.default, deck.fonts)
+      .write({ outputType: 'nodebuffer' })
+      .then((data) => require('jszip').loadAsync(data))
+      .then((zip) =>
+        Promise.all([zip.file(/ppt\/charts\/chart\d+\.xml/)[0].async('string'), zip.file('ppt/slides/slide2.xml').async('string')])
+      )
+      .then(([xml, slide]) => {
+        assert.ok(/<c:trendline>.*<c:trendlineType val="linear"\/>.*<\/c:trendline>.*<c:xVal>/.test(xml));
+        assert.ok(slide.includes('<a:tbl>') && slide.includes('<a:t>0.775</a:t>'));
+      });
 
-function generatePresentation(slides, graphFiles) {
-  let slideHtml = '';
-  let graphCount = 0;
-  slides.forEach((slide, index) => {
-    if (index === 0) {
-      slideHtml += `\n<div class='ppt-slide flex flex-col justify-center' style='background: linear-gradient(135deg, #1B365D 0%, #2C5F7F 100%);'>\n  <div class='w-full text-white'>\n    <h1 class='text-5xl md:text-6xl font-bold mb-6' style='font-family: Sorts Mill Goudy, serif;'>${slide.title || 'Título de la presentación'}</h1>\n    <div class='w-24 h-1 bg-[#D4AF37] mb-8'></div>\n    <p class='text-2xl mb-2' style='font-family: Oranienbaum, serif;'>${slide.content[0] || ''}</p>\n    <p class='text-xl opacity-90' style='font-family: Oranienbaum, serif;'>${slide.content[1] || ''}</p>\n    <p class='text-lg opacity-80 mt-4' style='font-family: Oranienbaum, serif;'>${slide.content[2] || ''}</p>\n  </div>\n</div>`;
-    } else {
-      slideHtml += `\n<div class='ppt-slide flex flex-col'>\n  <h2 class='text-4xl md:text-5xl font-bold text-[#1B365D] mb-6' style='font-family: Sorts Mill Goudy, serif;'>${slide.title}</h2>`;
-      if (slide.graph) {
-        graphCount++;
-        const graphFile = graphFiles[graphCount - 1];
-        slideHtml += `\n  <div class='flex flex-1 gap-6'>\n    <div class='w-2/5 flex flex-col justify-center'>\n      <h3 class='text-2xl font-bold text-[#1B365D] mb-3'>${slide.description || ''}</h3>\n      ${slide.content.map(p => `<p class='text-base text-[#2D3748] leading-relaxed mb-2'>${p}</p>`).join('')}\n    </div>\n    <div class='w-3/5 relative'>\n      <div class='preview-container space-y-2' id='preview-container-${graphCount}'></div>\n      <button type='button' class='add-preview absolute top-2 right-2 bg-[#D4AF37] text-white px-2 py-1 text-xs rounded'>Añadir vista previa</button>\n    </div>\n  </div>`;
-        slideHtml += `\n  <input type='hidden' class='graph-file' value='${graphFile}' />`;
-      } else {
-        slide.content.forEach(p => {
-          slideHtml += `\n  <p class='text-xl text-[#2D3748] leading-relaxed mb-3'>${p}</p>`;
-        });
-      }
-      slideHtml += `\n</div>`;
-    }
+// Texto alternativo en las imágenes y la gráfica del PPTX; el de las imágenes vuelve al importar
+const altPng = Uint8Array.from(
+  Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64')
+);
+const altSlides = analyzeScript('Diapositiva 1\nTítulo: A\n\nDiapositiva 2\nTítulo: B\nDatos: Labels: X, Y; Valores: 1, 2\nAdjunto: foto.png "Un gráfico a mano"').slides;
+const altText = !hasPptxLibs
+  ? Promise.resolve()
+  : generatePptx(altSlides, THEMES.default, deck.fonts, { attachments: [{ name: 'foto.png', type: 'image/png', data: altPng }] })
+      .write({ outputType: 'nodebuffer' })
+      .then((data) =>
+        Promise.all([
+          require('jszip').loadAsync(data).then((zip) => zip.file('ppt/slides/slide2.xml').async('string')),
+          importPptx(data),
+        ])
+      )
+      .then(([xml, result]) => {
+        assert.ok(xml.includes('descr="Un gráfico a mano"'));
+        assert.ok(xml.includes(`descr="${describeChart(altSlides[1].graph)}"`));
+        assert.deepStrictEqual(Object.values(result.slides[1].altTexts), ['Un gráfico a mano']);
+      });
+
+// Dos imágenes con el mismo nombre en carpetas distintas del PPTX se importan como archivos distintos
+const twinSlides = analyzeScript('Diapositiva 1\nTítulo: A\nAdjunto: a.png\n\nDiapositiva 2\nTítulo: B\nAdjunto: b.png').slides;
+const twinPng = Uint8Array.from([...altPng.slice(0, -1), 0]);
+const twinMedia = !hasPptxLibs
+  ? Promise.resolve()
+  : generatePptx(twinSlides, THEMES.default, deck.fonts, {
+      attachments: [
+        { name: 'a.png', type: 'image/png', data: altPng },
+        { name: 'b.png', type: 'image/png', data: twinPng },
+      ],
+    })
+      .write({ outputType: 'nodebuffer' })
+      .then((data) => require('jszip').loadAsync(data))
+      .then(async (zip) => {
+        // La segunda imagen pasa a otra carpeta con el nombre de la primera
+        const rels = 'ppt/slides/_rels/slide2.xml.rels';
+        const xml = await zip.file(rels).async('string');
+        zip.file('ppt/media/otra/image-1-1.png', await zip.file('ppt/media/image-2-1.png').async('uint8array'));
+        zip.remove('ppt/media/image-2-1.png');
+        zip.file(rels, xml.replace('../media/image-2-1.png', '../media/otra/image-1-1.png'));
+        return importPptx(await zip.generateAsync({ type: 'uint8array' }));
+      })
+      .then((result) => {
+        assert.deepStrictEqual(result.files.map((f) => f.name), ['image-1-1.png', 'image-1-1-2.png']);
+        assert.deepStrictEqual(result.slides.map((s) => s.attachments), [['image-1-1.png'], ['image-1-1-2.png']]);
+        assert.deepStrictEqual(result.files[1].data, twinPng);
+      });
+
+// Con locale 'en' los avisos, los errores y el guion importado van en inglés
+const englishImport = !hasPptxLibs
+  ? Promise.resolve()
+  : generatePptx(altSlides, THEMES.default, deck.fonts, { attachments: [{ name: 'foto.png', type: 'image/png', data: altPng }] })
+      .write({ outputType: 'nodebuffer' })
+      .then((data) => require('jszip').loadAsync(data))
+      .then(async (zip) => {
+        const table = '<p:graphicFrame><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table"/></a:graphic></p:graphicFrame>';
+        zip.file('ppt/slides/slide2.xml', (await zip.file('ppt/slides/slide2.xml').async('string')).replace('</p:spTree>', `${table}</p:spTree>`));
+        return importPptx(await zip.generateAsync({ type: 'uint8array' }), { locale: 'en' });
+      })
+      .then((result) => {
+        assert.deepStrictEqual(result.warnings.map((w) => [w.slide, w.message]), [[2, 'An unsupported element was left out (table).']]);
+        assert.ok(result.script.startsWith('Slide 1\nTitle: A\n\nSlide 2\nTitle: B\n'));
+        assert.deepStrictEqual(analyzeScript(result.script).slides, result.slides);
+        return importPptx(new Uint8Array([1, 2, 3]), { locale: 'en' }).then(
+          () => assert.fail('un archivo que no es PPTX debe rechazarse'),
+          (err) => assert.strictEqual(err.message, 'The file is not a valid PPTX.')
+        );
+      });
+
+// Asistente: el borrador pasa por el parser y las peticiones de seguimiento editan las diapositivas
+const assistant = draftScript(createMockProvider(), 'Ansiedad ante los exámenes')
+  .then((draft) => {
+    assert.deepStrictEqual(draft.diagnostics, []);
+    assert.strictEqual(draft.slides[0].title, 'Ansiedad ante los exámenes');
+    return draftScript(createMockProvider(), 'Añade una diapositiva de limitaciones', { slides: draft.slides });
+  })
+  .then((revised) => {
+    assert.deepStrictEqual(revised.slides.map((s) => s.title).slice(-2), ['Conclusiones', 'Limitaciones']);
+    const requests = [];
+    const replies = ['Claro:\n```\nDiapositiva 1\nTítulo: A\nDatos: Labels: a; Valores: x\n```', 'Diapositiva 1\nTítulo: A'];
+    const fakeApi = (url, init) => {
+      requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+      const content = replies[requests.length - 1];
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ choices: [{ message: { content } }] }) });
+    };
+    const provider = createOpenAiProvider({ url: 'http://localhost:11434/v1/', apiKey: 'k', model: 'llama3', fetchImpl: fakeApi });
+    return draftScript(provider, 'Tema', { slides: revised.slides }).then((fixed) => {
+      assert.strictEqual(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+      assert.strictEqual(requests[0].headers.Authorization, 'Bearer k');
+      assert.ok(requests[0].body.messages[1].content.includes('Título: Limitaciones'));
+      assert.ok(requests[1].body.messages[3].content.startsWith('El guion tiene errores:\n- Línea 3:'));
+      assert.deepStrictEqual([fixed.script, fixed.diagnostics], ['Diapositiva 1\nTítulo: A', []]);
+    });
   });
-  const html = `<!DOCTYPE html><html lang='es'><head><meta charset='UTF-8'><meta name='viewport' content='width=device-width, initial-scale=1.0'><title>Presentación generada</title><script src='https://cdn.tailwindcss.com'></script><link href='https://fonts.googleapis.com/css2?family=Coda&family=Oranienbaum&family=Sorts+Mill+Goudy&family=Unna&display=swap' rel='stylesheet'><link href='https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.0.0/css/all.min.css' rel='stylesheet'><script src='https://cdn.plot.ly/plotly-latest.min.js'></script><style type='text/tailwindcss'>@layer utilities {.ppt-slide { @apply relative w-[992px] h-[558px] mx-auto p-[30px] box-border overflow-hidden mb-[40px] bg-[#FAFBFC]; }}</style></head><body class='bg-gray-50 py-8'>${slideHtml}<script>(function(){ const slides=document.querySelectorAll('.ppt-slide'); slides.forEach((slide)=>{ const addBtn=slide.querySelector('.add-preview'); if(!addBtn) return; const container=slide.querySelector('.preview-container'); const graphInput=slide.querySelector('.graph-file'); if(!graphInput) return; const graphFile=graphInput.value; function createPreview(){ const wrapper=document.createElement('div'); wrapper.className='relative border rounded overflow-hidden shadow'; wrapper.draggable=true; const iframe=document.createElement('iframe'); iframe.src=graphFile; iframe.className='w-full h-40'; iframe.style.pointerEvents='none'; const removeBtn=document.createElement('button'); removeBtn.textContent='×'; removeBtn.className='absolute top-1 right-1 text-sm bg-red-600 text-white rounded px-1'; removeBtn.onclick=(e)=>{ e.stopPropagation(); wrapper.remove(); }; wrapper.appendChild(iframe); wrapper.appendChild(removeBtn); return wrapper; } container.appendChild(createPreview()); let dragging=null; container.addEventListener('dragstart',(e)=>{ if(e.target.classList.contains('relative')){ dragging=e.target; e.dataTransfer.effectAllowed='move'; } }); container.addEventListener('dragover',(e)=>{ e.preventDefault(); const after=getDragAfterElement(container,e.clientY); if(!after) container.appendChild(dragging); else container.insertBefore(dragging, after); }); function getDragAfterElement(container,y){ const draggables=[...container.querySelectorAll('.relative:not(.dragging)')]; let closest=null; let closestOffset=-Infinity; draggables.forEach(child=>{ const box=child.getBoundingClientRect(); const offset=y - box.top - box.height / 2; if(offset<0 && offset>closestOffset){ closestOffset=offset; closest=child; } }); return closest; } addBtn.addEventListener('click',()=>{ container.appendChild(createPreview()); }); });})();<\/script></body></html>`;
-  return html;
-}
 
-// Example script string
-const script = `Diapositiva 1\nTitulo: Presentacion de prueba\nContenido: Esto es la primera diapositiva; Tiene varios puntos de texto; Puede listar items\n\nDiapositiva 2\nTitulo: Frecuencia de uso\nDatos: Labels: Resumenes, Ideas, Redaccion; Valores: 4.2, 3.8, 2.5\nDescripcion: Frecuencia de uso por actividad\nContenido: La mayoria usa IA para resumir, generar ideas y redactar trabajos.`;
-
-const slides = parseScript(script);
-const graphFiles = [];
-const graphsHtml = [];
-slides.forEach(slide => {
-  if (slide.graph) {
-    const index = graphFiles.length + 1;
-    const fileName = `grafica${index}.html`;
-    graphFiles.push(fileName);
-    graphsHtml.push({ name: fileName, content: generateGraphPage(slide.graph, index) });
-  }
+// El asistente recibe las instrucciones y los avisos en el idioma de la interfaz
+const englishAssistant = (() => {
+  const sent = [];
+  const provider = createMockProvider((context, messages) => {
+    sent.push(messages.map((m) => m.content));
+    return '';
+  });
+  return draftScript(provider, 'Exam anxiety', { locale: 'en' }).then((draft) => {
+    assert.ok(sent[0][0].startsWith('You are the ReSlides assistant.'));
+    assert.ok(sent[0][0].includes('\nSlide 2\nTitle: Slide title\n') && sent[0][0].includes('- Each slide starts with "Slide N"'));
+    assert.strictEqual(sent[0][1], 'Write the script of a presentation based on this:\n\nExam anxiety');
+    assert.strictEqual(sent[1][3], 'The script has errors:\n- Line 1: The reply has no slides.\nFix them and return the complete script.');
+    assert.deepStrictEqual(draft.diagnostics.map((d) => d.field), ['Assistant']);
+  });
+})();
+
+// El asistente simulado entiende y responde en el idioma de la interfaz
+const englishMock = draftScript(createMockProvider(), 'Exam anxiety', { locale: 'en' })
+  .then((draft) => {
+    assert.ok(draft.script.startsWith('Slide 1\nTitle: Exam anxiety\nContent: Presentation\n'));
+    assert.deepStrictEqual(draft.slides.map((s) => s.title), ['Exam anxiety', 'Introduction', 'Key points', 'Conclusions']);
+    return draftScript(createMockProvider(), 'Add a slide about the limitations.', { slides: draft.slides, locale: 'en' });
+  })
+  .then((revised) => {
+    assert.deepStrictEqual(revised.slides[4].title, 'Limitations');
+    assert.deepStrictEqual(revised.slides[4].content, ['Main idea about limitations', 'An example or figure that supports it']);
+    return draftScript(createMockProvider(), 'remove slide 2', { slides: revised.slides, locale: 'en' });
+  })
+  .then((trimmed) => {
+    assert.deepStrictEqual(trimmed.slides.map((s) => s.title), ['Exam anxiety', 'Key points', 'Conclusions', 'Limitations']);
+  });
+
+// Hoja de cálculo mínima: textos compartidos, números, celdas lógicas y una segunda hoja elegida por nombre
+const xlsx = !hasPptxLibs
+  ? Promise.resolve()
+  : (() => {
+      const JSZip = require('jszip');
+      const zip = new JSZip();
+      const rel = (id, type, target) =>
+        `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`;
+      zip.file(
+        'xl/workbook.xml',
+        '<workbook xmlns:r="r"><sheets><sheet name="Vacía" sheetId="1" r:id="rId1"/><sheet name="Ventas" sheetId="2" r:id="rId2"/></sheets></workbook>'
+      );
+      zip.file(
+        'xl/_rels/workbook.xml.rels',
+        `<Relationships>${rel('rId1', 'worksheet', 'worksheets/sheet1.xml')}${rel('rId2', 'worksheet', 'worksheets/sheet2.xml')}${rel('rId3', 'sharedStrings', 'sharedStrings.xml')}</Relationships>`
+      );
+      zip.file('xl/sharedStrings.xml', '<sst><si><t>Mes</t></si><si><t>Total</t></si><si><t>Ene</t></si><si><r><t>F</t></r><r><t>eb</t></r></si></sst>');
+      zip.file('xl/worksheets/sheet1.xml', '<worksheet><sheetData/></worksheet>');
+      zip.file(
+        'xl/worksheets/sheet2.xml',
+        '<worksheet><sheetData><row r="2"><c r="B2" t="s"><v>0</v></c><c r="C2" t="s"><v>1</v></c><c r="D2" t="inlineStr"><is><t>Activo</t></is></c></row><row r="3"><c r="B3" t="s"><v>2</v></c><c r="C3"><v>10.5</v></c><c r="D3" t="b"><v>1</v></c></row><row r="4"><c r="B4" t="s"><v>3</v></c><c r="C4"><v>12</v></c><c r="D4" t="b"><v>0</v></c></row></sheetData></worksheet>'
+      );
+      const ref = analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Archivo: libro.xlsx; Hoja: ventas; Rango: B2:C4').slides;
+      const badSheet = analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Archivo: libro.xlsx; Hoja: Otra').slides;
+      const flags = analyzeScript('Diapositiva 1\nTítulo: A\nDatos: Archivo: libro.xlsx; Hoja: ventas; Rango: B2:D4; Etiquetas: Activo; Columnas: Total').slides;
+      return zip.generateAsync({ type: 'uint8array' }).then((data) => {
+        const files = [{ name: 'libro.xlsx', data }];
+        return Promise.all([
+          resolveDataSources(ref, files),
+          resolveDataSources(badSheet, files),
+          resolveDataSources(flags, files),
+          resolveDataSources(flags, files, { locale: 'en' }),
+        ]).then(([good, bad, es, en]) => {
+          assert.deepStrictEqual(good.warnings, []);
+          assert.deepStrictEqual(good.slides[0].graph.labels, ['Ene', 'Feb']);
+          assert.deepStrictEqual(good.slides[0].graph.series, [{ name: 'Total', values: [10.5, 12] }]);
+          assert.ok(bad.warnings[0].message.includes('No hay una hoja "Otra"'));
+          assert.deepStrictEqual(es.slides[0].graph.labels, ['VERDADERO', 'FALSO']);
+          assert.deepStrictEqual(en.slides[0].graph.labels, ['TRUE', 'FALSE']);
+        });
+      });
+    })();
+
+// Idiomas: palabras clave en inglés y portugués, y archivos generados en el idioma pedido
+const english = 'Slide 1\nTitle: Hello\nContent: one; two\nNotes: hi\n\nSlide 2\nTitle: Usage\nData: Type: barras; Labels: A, B; Valores: 1.5, 2\nDescription: desc';
+const englishSlides = analyzeSource(english);
+assert.deepStrictEqual(englishSlides.diagnostics, []);
+assert.deepStrictEqual(englishSlides.slides[0].content, ['one', 'two']);
+assert.strictEqual(englishSlides.slides[0].notes, 'hi');
+assert.strictEqual(englishSlides.slides[1].description, 'desc');
+assert.strictEqual(scriptLocale(english), 'en');
+assert.strictEqual(scriptLocale('Slide 1\nTítulo: A\nConteúdo: b'), 'pt');
+assert.strictEqual(scriptLocale(script), 'es');
+assert.strictEqual(scriptLocale('hola'), null);
+assert.ok(slidesToScript(englishSlides.slides, { locale: 'pt' }).startsWith('Slide 1\nTítulo: Hello\nConteúdo: one'));
+assert.ok(slidesToScript(englishSlides.slides, { locale: 'pt' }).includes('Dados: Tipo: barras; Rótulos: A, B; Valores: 1.5, 2'));
+assert.ok(slidesToMarkdown(englishSlides.slides, { locale: 'en' }).includes('\nDescription: desc'));
+assert.deepStrictEqual(analyzeSource(slidesToScript(englishSlides.slides, { locale: 'pt' })).slides, englishSlides.slides);
+
+const englishDeck = buildDeck(englishSlides.slides, { locale: 'en' });
+assert.strictEqual(englishDeck.locale, 'en');
+assert.ok(englishDeck.presentationHtml.includes('<html lang="en">'));
+assert.ok(englishDeck.presentationHtml.includes('<title>Presentation generated with ReSlides'));
+assert.ok(englishDeck.presentationHtml.includes('data-empty="No notes for this slide."'));
+const today = new Date();
+assert.ok(englishDeck.presentationHtml.includes(`${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`));
+assert.ok(englishDeck.graphFiles[0].html.includes('<title>Chart 1 - Usage'));
+assert.ok(englishDeck.readme.includes('- Slides with charts: 1'));
+assert.strictEqual(buildDeck(englishSlides.slides, { locale: 'xx' }).locale, 'es');
+// Cambiar de idioma obliga a recargar la vista previa
+assert.strictEqual(previewPatch(buildDeck(englishSlides.slides, { ...preview, locale: 'en' }), buildDeck(englishSlides.slides, preview)), null);
+assert.strictEqual(buildPlotlyChart(englishSlides.slides[1].graph, THEMES.default, 'pt').layout.separators, ',.');
+
+// Las tablas de estadística usan los encabezados y la coma decimal del idioma
+const portuguese = analyzeSource('Slide 1\nTítulo: Médias\nEstatística: descritivos\n| x |\n| 1 |\n| 2,5 |', 'auto', { locale: 'pt' });
+assert.deepStrictEqual(portuguese.diagnostics, []);
+assert.deepStrictEqual(portuguese.slides[0].table.header.slice(0, 3), ['Variável', 'n', 'Média']);
+assert.strictEqual(portuguese.slides[0].table.rows[0][2], '1,75');
+
+// Los diagnósticos, los problemas de la estadística y los avisos de generación también
+const englishDiagnostics = analyzeSource('Slide 1\nTitle: A\nData: Type: foo; Labels: a; Values: 1.5, x', 'auto', { locale: 'en' });
+assert.deepStrictEqual(
+  englishDiagnostics.diagnostics.map((d) => [d.field, d.message.split(';')[0]]),
+  [['Data', 'Unknown chart type "foo"'], ['Data', '"x" is not a valid number in series "Serie".']]
+);
+assert.deepStrictEqual(computeStatistics({ kind: 'correlacion', columns: ['x', 'z'] }, [['x'], ['1']], 'pt').problems, [
+  'Não há uma coluna "z".',
+  'A correlação precisa de duas colunas numéricas.',
+]);
+assert.deepStrictEqual(buildDeck([{ ...englishDiagnostics.slides[0], attachments: ['a.png'] }], { locale: 'en' }).warnings, [
+  { slide: 1, field: 'Attachment', severity: 'warning', message: 'Attachment "a.png" was not found; upload it or check the name.' },
+]);
+
+// Accesibilidad: diapositivas con nombre, gráficas descritas con sus datos y texto alternativo
+const accessible = analyzeSource(
+  [
+    'Diapositiva 1',
+    'Título: Informe',
+    '',
+    'Diapositiva 2',
+    'Contenido: ' + Array.from({ length: 8 }, (_, i) => `punto ${i + 1}`).join('; '),
+    'Datos: Tipo: barras; Labels: A, B; Serie Ventas: 1.5, 3; Unidad: %',
+    'Adjunto: https://example.com/equipo.png "Foto del equipo, 2024", https://example.com/logo_final.png',
+  ].join('\n')
+).slides;
+assert.deepStrictEqual(accessible[1].attachments, ['https://example.com/equipo.png', 'https://example.com/logo_final.png']);
+assert.deepStrictEqual(accessible[1].altTexts, { 'https://example.com/equipo.png': 'Foto del equipo, 2024' });
+assert.deepStrictEqual(analyzeScript(slidesToScript(accessible)).slides, accessible);
+assert.deepStrictEqual(analyzeSource(slidesToMarkdown(accessible)).slides[1].altTexts, accessible[1].altTexts);
+// Unas comillas sin cerrar son parte del nombre, no un texto alternativo
+assert.deepStrictEqual(analyzeScript('Diapositiva 1\nAdjunto: a.png" x').slides[0].attachments, ['a.png" x']);
+assert.strictEqual(
+  describeChart(accessible[1].graph, 'pt'),
+  'Gráfico (barras agrupadas) com 2 categoria(s) e 1 série(s). Valor mais alto: 3% (B). Valor mais baixo: 1,5% (A).'
+);
+const accessibleDeck = buildDeck(accessible);
+const accessibleHtml = accessibleDeck.presentationHtml;
+assert.ok(accessibleHtml.includes('data-layout="portada" role="group" aria-roledescription="diapositiva" aria-label="Informe"'));
+assert.ok(accessibleHtml.includes('aria-label="Diapositiva 2"'));
+assert.ok(accessibleHtml.includes(`role="img" aria-label="${describeChart(accessible[1].graph)}"`));
+assert.ok(accessibleHtml.includes('<th scope="row">B</th><td>3%</td>'));
+assert.ok(accessibleHtml.includes('alt="Foto del equipo, 2024"') && accessibleHtml.includes('alt="logo final"'));
+assert.ok(accessibleDeck.graphFiles[0].html.includes('<caption>Datos de la gráfica</caption>'));
+// Tema, título, puntos e imagen sin texto alternativo, en ese orden
+assert.deepStrictEqual(
+  accessibleDeck.accessibility.map((w) => [w.slide, w.field]),
+  [[null, 'Contraste'], [2, 'Título'], [2, 'Contenido'], [2, 'Adjunto']]
+);
+assert.deepStrictEqual(checkAccessibility(accessible.slice(0, 1), { ...THEMES.default, accent: '#1B365D' }), []);
+assert.strictEqual(checkAccessibility([{ ...accessible[1], title: 'X' }], THEMES.default, { locale: 'en' })[1].field, 'Content');
+
+// Encabezado: datos de la portada, pie con número, agenda y patrones del PPTX
+const headed = analyzeScript(
+  [
+    '---',
+    'Autor: Ana Pérez',
+    'Institución: Facultad de Psicología',
+    'Curso: Metodología II',
+    'Fecha: 12 de mayo',
+    'Logo: escudo.png',
+    'Agenda: sí',
+    'Subtítulo: x',
+    '---',
+    '',
+    'Diapositiva 1',
+    'Título: Informe',
+    '',
+    'Diapositiva 2',
+    'Título: Método',
+    'Diseño: sección',
+    '',
+    'Diapositiva 3',
+    'Título: Muestra',
+    'Contenido: 120 estudiantes',
+    '',
+    'Diapositiva 4',
+    'Título: Resultados',
+    'Diseño: sección',
+  ].join('\n')
+);
+assert.deepStrictEqual(headed.frontMatter, {
+  author: 'Ana Pérez',
+  institution: 'Facultad de Psicología',
+  course: 'Metodología II',
+  date: '12 de mayo',
+  logo: 'escudo.png',
+  agenda: true,
 });
-const presentation = generatePresentation(slides, graphFiles);
-fs.writeFileSync('presentacion_test.html', presentation);
-graphsHtml.forEach(g => fs.writeFileSync(g.name, g.content));
-console.log('generated files');
\ No newline at end of file
+assert.deepStrictEqual(headed.diagnostics.map((d) => [d.line, d.field]), [[8, 'Encabezado']]);
+assert.strictEqual(headed.slides.length, 4);
+// Sin "---" de cierre es un aviso; un "---" que no abre con un campo sigue siendo un separador
+assert.strictEqual(analyzeScript('---\nAutor: Ana\n\nDiapositiva 1\nTítulo: A').frontMatter.author, 'Ana');
+assert.strictEqual(analyzeSource('---\n\n# Uno\n\n---\n\n# Dos').frontMatter, null);
+assert.deepStrictEqual(analyzeScript('---\nPie: no\nNumeración: no\n---\nDiapositiva 1').frontMatter, { footer: false, numbers: false });
+// El encabezado se conserva al reescribir y al convertir, en el idioma del guion
+const headedScript = slidesToScript(headed.slides, { frontMatter: headed.frontMatter, locale: 'en' });
+assert.ok(headedScript.startsWith('---\nAuthor: Ana Pérez\n') && headedScript.includes('\nAgenda: yes\n---\n\nSlide 1\n'));
+assert.deepStrictEqual(analyzeScript(headedScript).frontMatter, headed.frontMatter);
+assert.deepStrictEqual(analyzeSource(slidesToMarkdown(headed.slides, { frontMatter: headed.frontMatter })).frontMatter, headed.frontMatter);
+
+const escudo = { name: 'escudo.png', type: 'image/png', data: altPng };
+const headedDeck = buildDeck(headed.slides, { frontMatter: headed.frontMatter, attachments: [escudo] });
+assert.deepStrictEqual(headedDeck.slides.map((s) => s.title), ['Informe', 'Agenda', 'Método', 'Muestra', 'Resultados']);
+assert.deepStrictEqual(headedDeck.slides[1].content, ['Método', 'Resultados']);
+// La agenda ya incluida no se repite ni se escribe en el guion
+assert.strictEqual(withAgenda(headedDeck.slides, headed.frontMatter), headedDeck.slides);
+assert.deepStrictEqual(analyzeScript(slidesToScript(headedDeck.slides)).slides, headed.slides);
+const headedHtml = headedDeck.presentationHtml;
+assert.ok(headedHtml.includes('>Facultad de Psicología</p>') && headedHtml.includes('alt="Facultad de Psicología"'));
+assert.ok(headedHtml.includes('<span>Ana Pérez · Metodología II · 12 de mayo</span>'));
+assert.strictEqual((headedHtml.match(/<footer class="rs-band"/g) || []).length, 4);
+assert.ok(headedHtml.includes('<span>Ana Pérez · Metodología II</span><span class="rs-band-number">5</span></footer>'));
+// En el ZIP el logo se copia a assets/ una sola vez aunque también sea un `Adjunto:`
+const zipSlides = [{ ...headed.slides[0], attachments: ['escudo.png'] }, ...headed.slides.slice(1)];
+const zipOptions = { frontMatter: headed.frontMatter, attachments: [escudo], attachmentMode: 'files' };
+assert.deepStrictEqual(buildDeck(zipSlides, zipOptions).attachmentFiles.map((f) => f.filename), ['assets/escudo.png']);
+assert.deepStrictEqual(
+  buildDeck(headed.slides, { frontMatter: headed.frontMatter }).warnings.map((w) => [w.slide, w.field]),
+  [[null, 'Logo']]
+);
+// La revisión de accesibilidad numera como el guion; la agenda va aparte, con su posición
+const longAgenda = analyzeScript(
+  ['---', 'Agenda: sí', '---', 'Diapositiva 1', 'Título: Portada', 'Diseño: portada']
+    .concat(...Array.from({ length: 8 }, (_, i) => [`Diapositiva ${i + 2}`, `Título: Parte ${i + 1}`, 'Diseño: sección']))
+    .concat('Diapositiva 10', 'Contenido: sin título')
+    .join('\n')
+);
+assert.deepStrictEqual(
+  buildDeck(longAgenda.slides, { frontMatter: longAgenda.frontMatter }).accessibility
+    .filter((w) => w.index)
+    .map((w) => [w.slide, w.index, w.generated, w.field]),
+  [
+    [null, 2, 'Agenda', 'Contenido'],
+    [10, 11, undefined, 'Título'],
+  ]
+);
+// Sin encabezado no hay banda ni agenda
+assert.ok(!deck.presentationHtml.includes('class="rs-band"'));
+
+const masters = !hasPptxLibs
+  ? Promise.resolve()
+  : generatePptx(headedDeck.slides, THEMES.default, deck.fonts, { frontMatter: headed.frontMatter, attachments: [escudo] })
+      .write({ outputType: 'nodebuffer' })
+      .then((data) =>
+        Promise.all([
+          require('jszip')
+            .loadAsync(data)
+            .then((zip) => Promise.all([3, 4].map((n) => zip.file(`ppt/slideLayouts/slideLayout${n}.xml`).async('string')))),
+          importPptx(data),
+        ])
+      )
+      .then(([layouts, result]) => {
+        assert.ok(layouts.every((xml) => xml.includes('type="sldNum"') && xml.includes('Ana Pérez · Metodología II')));
+        assert.ok(layouts[0].includes('name="RESLIDES_CLARO"') && layouts[1].includes('name="RESLIDES_OSCURO"'));
+        // El pie vive en los patrones: la importación no lo trae como contenido
+        assert.deepStrictEqual(result.slides.map((s) => s.title), ['Informe', 'Agenda', 'Método', 'Muestra', 'Resultados']);
+        assert.deepStrictEqual(result.slides[3].content, ['120 estudiantes']);
+      });
+
+const outDir = process.argv[2] || fs.mkdtempSync(path.join(os.tmpdir(), 'reslides-'));
+fs.mkdirSync(outDir, { recursive: true });
+fs.writeFileSync(path.join(outDir, 'presentacion.html'), deck.presentationHtml);
+deck.graphFiles.forEach((g) => fs.writeFileSync(path.join(outDir, g.filename), g.html));
+fs.writeFileSync(path.join(outDir, 'README.md'), deck.readme);
+Promise.all([offline, imported, dataSources, xlsx, errorBars, horizontalImport, trendline, altText, twinMedia, englishImport, assistant, englishAssistant, englishMock, masters]).then(() => console.log('generated files in ' + outDir));
@@ -0,0 +1,187 @@
+// Guiones hostiles: lo que escribe el usuario (títulos, viñetas, datos, notas, enlaces, adjuntos)
+// y los temas que importa deben llegar a las páginas generadas como texto inerte.
+// Uso: node test_hostile.js
+const assert = require('assert');
+const crypto = require('crypto');
+const {
+  ASSETS,
+  FONTS,
+  FONT_FAMILIES,
+  THEMES,
+  analyzeSource,
+  buildDeck,
+  buildPlotlyChart,
+  cssValue,
+  generateGraphHtml,
+  generatePresentation,
+  scriptJson,
+} = require('./reslides-core');
+
+const XSS = '</script><script>alert(1)</script>';
+
+const hostile = [
+  'Diapositiva 1',
+  `Título: ${XSS}`,
+  'Contenido: <img src=x onerror=alert(2)>; [uno](javascript:alert(3)); [dos](JaVaScRiPt:alert(3)); [tres](java\tscript:alert(3)); [cuatro]( data:text/html,<script>alert(3)</script>); [bien](https://example.com/?q="a\'b)',
+  'Notas: </aside><script>alert(4)</script>',
+  '',
+  'Diapositiva 2',
+  "Título: It's a '); alert(5); ('",
+  'Datos: Tipo: barras; Labels: <b onmouseover=alert(6)>A</b>, B & C; Serie </script><img src=x onerror=alert(7)>: 1, 2; Eje X: <a href="javascript:alert(8)">x</a>; Unidad: <i>%</i>; Destacar: B & C',
+  'Descripción: "><svg onload=alert(9)>',
+  'Adjunto: https://example.com/a.png" onerror="alert(10)',
+  '',
+  'Diapositiva 3',
+  'Título: \u2028</title><script>alert(11)</script>\u2029',
+  'Diseño: cita',
+  'Contenido: <style>body{display:none}</style>; — <iframe src=javascript:alert(12)>',
+  'Adjunto: https://example.com/b.png "<img src=x onerror=alert(22)>"',
+].join('\n');
+
+const markdown = [
+  '# <script>alert(13)</script>',
+  '',
+  '- [enlace](javascript:alert(14))',
+  '- <img src=x onerror=alert(15)>',
+  '',
+  'Note: </aside><script>alert(16)</script>',
+].join('\n');
+
+// Comprobaciones comunes a cada página generada
+function assertInert(html, label) {
+  // Sólo hay scripts de ReSlides (sin atributos) o de los recursos de renderAssetTags
+  const assetUrls = Object.values(ASSETS).map((a) => a.url);
+  (html.match(/<script\b[^>]*>/gi) || []).forEach((tag) => {
+    const src = (tag.match(/\ssrc="([^"]*)"/) || [])[1];
+    assert.ok(tag === '<script>' || assetUrls.includes(src), `${label}: script inesperado ${tag}`);
+  });
+  const scripts = Array.from(html.matchAll(/<script>([\s\S]*?)<\/script>/g), (m) => m[1]);
+  assert.ok(scripts.length, `${label}: sin scripts incrustados`);
+  scripts.forEach((code) => new Function(code));
+
+  // Ningún atributo de evento ni URL javascript:/data:text en etiquetas
+  const tags = html.match(/<[a-z][^>]*>/gi) || [];
+  tags.forEach((tag) => {
+    assert.ok(!/\son[a-z]+\s*=/i.test(tag.replace(/"[^"]*"/g, '""')), `${label}: atributo de evento en ${tag}`);
+    const url = (tag.match(/\s(?:href|src)="([^"]*)"/) || [])[1];
+    if (url !== undefined) assert.ok(!/^\s*(?:java|data:text)/i.test(url.replace(/[\t\n\r]/g, '')), `${label}: URL peligrosa ${url}`);
+  });
+  ['<iframe src=', '<svg', '<img src=x', '<style>body'].forEach((tag) => assert.ok(!html.includes(tag), `${label}: ${tag}`));
+
+  // CSP antes de cualquier script, con el hash de cada script incrustado y sin 'unsafe-inline' en scripts
+  const csp = (html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]*)" \/>/) || [])[1];
+  assert.ok(csp, `${label}: sin CSP`);
+  assert.ok(html.indexOf('Content-Security-Policy') < html.indexOf('<script'));
+  const directives = Object.fromEntries(csp.split('; ').map((d) => [d.split(' ')[0], d.split(' ').slice(1)]));
+  assert.deepStrictEqual(directives['default-src'], ["'none'"]);
+  assert.deepStrictEqual(directives['object-src'], ["'none'"]);
+  assert.deepStrictEqual(directives['base-uri'], ["'none'"]);
+  assert.ok(!directives['script-src'].includes("'unsafe-inline'"));
+  scripts.forEach((code) => {
+    const hash = `'sha256-${crypto.createHash('sha256').update(code, 'utf8').digest('base64')}'`;
+    assert.ok(directives['script-src'].includes(hash), `${label}: falta el hash de un script`);
+  });
+}
+
+// Guion "Diapositiva N": lo hostil se analiza sin errores y se genera inerte
+const parsed = analyzeSource(hostile);
+assert.deepStrictEqual(
+  parsed.diagnostics.filter((d) => d.severity === 'error'),
+  []
+);
+const deck = buildDeck(parsed.slides);
+assertInert(deck.presentationHtml, 'presentación');
+deck.graphFiles.forEach((g) => assertInert(g.html, g.filename));
+
+// El texto se ve tal cual: escapado, no eliminado
+assert.ok(deck.presentationHtml.includes('&lt;/script&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+assert.ok(deck.presentationHtml.includes('It&#39;s a &#39;); alert(5); (&#39;'));
+assert.ok(deck.presentationHtml.includes('<a href="https://example.com/?q=&quot;a&#39;b"'));
+// Los enlaces con esquemas peligrosos quedan como texto
+assert.ok(!/<a [^>]*>(?:uno|dos|tres|cuatro)</.test(deck.presentationHtml));
+assert.ok(deck.presentationHtml.includes('href="https://example.com/a.png&quot; onerror=&quot;alert(10)"'));
+assert.ok(deck.graphFiles[0].html.includes('<title>Gráfica 1 - It&#39;s a &#39;); alert(5); (&#39;</title>'));
+// Textos alternativos y nombres de diapositivas y gráficas son atributos escapados
+assert.ok(deck.presentationHtml.includes('alt="&lt;img src=x onerror=alert(22)&gt;"'));
+assert.ok(deck.presentationHtml.includes('aria-label="&lt;/script&gt;&lt;script&gt;alert(1)&lt;/script&gt;"'));
+assert.ok(deck.graphFiles[0].html.includes('<th scope="row">&lt;b onmouseover=alert(6)&gt;A&lt;/b&gt;</th>'));
+
+// Plotly interpreta HTML en etiquetas, nombres y títulos: le llegan escapados
+const chart = buildPlotlyChart(parsed.slides[1].graph, THEMES.default);
+assert.deepStrictEqual(chart.data[0].x, ['&lt;b onmouseover=alert(6)&gt;A&lt;/b&gt;', 'B &amp; C']);
+assert.strictEqual(chart.data[0].name, '&lt;/script&gt;&lt;img src=x onerror=alert(7)&gt;');
+assert.strictEqual(chart.layout.xaxis.title.text, '&lt;a href="javascript:alert(8)"&gt;x&lt;/a&gt;');
+assert.strictEqual(chart.layout.yaxis.ticksuffix, ' &lt;i&gt;%&lt;/i&gt;');
+// `Destacar:` sigue encontrando la etiqueta original
+assert.deepStrictEqual(chart.data[0].marker.color, ['#CBD5E0', THEMES.default.accent]);
+
+// Markdown: las mismas reglas
+const md = analyzeSource(markdown);
+assertInert(buildDeck(md.slides).presentationHtml, 'markdown');
+
+// Encabezado: portada, pie y agenda también son texto
+const headed = analyzeSource(
+  '---\nAutor: <img src=x onerror=alert(23)>\nInstitución: "><script>alert(24)</script>\nAgenda: sí\n---\n' +
+    'Diapositiva 1\nTítulo: A\n\nDiapositiva 2\nTítulo: <b onclick=alert(25)>B</b>\nContenido: x'
+);
+const headedHtml = buildDeck(headed.slides, { frontMatter: headed.frontMatter }).presentationHtml;
+assertInert(headedHtml, 'encabezado');
+['alert(23)', 'alert(24)', 'alert(25)'].forEach((text) => assert.ok(headedHtml.includes(text), text));
+assert.ok(headedHtml.includes('<span>&lt;img src=x onerror=alert(23)&gt;</span>'));
+assert.ok(headedHtml.includes('&quot;&gt;&lt;script&gt;alert(24)&lt;/script&gt;</p>'));
+
+// Recursos sin conexión: los scripts incrustados también tienen su hash en la CSP
+const offline = buildDeck(parsed.slides, {
+  assetMode: 'inline',
+  assets: {
+    scripts: { plotly: 'window.Plotly = { newPlot: function () {} }; window.tw = "</script>";' },
+    fonts: Object.fromEntries(Object.keys(FONT_FAMILIES).map((family) => [family, new Uint8Array(4)])),
+  },
+});
+assertInert(offline.presentationHtml, 'inline');
+assert.ok(offline.presentationHtml.includes('window.tw = "<\\/script>";'));
+assert.ok(!/script-src[^;]*https:/.test(offline.presentationHtml));
+
+// Temas y tipografías hostiles (p. ej. un objeto de tema sin pasar por normalizeTheme)
+const evilTheme = {
+  ...THEMES.default,
+  primary: 'red;}</style><script>alert(17)</script>',
+  background: "#fff'}); alert(18); ({'",
+  text: 'url(https://evil.example/x)',
+  accent: 'var(--x)',
+  cover: ['expression(alert(19))', '#123456'],
+  chart: ['#ABCDEF', '"><script>alert(20)</script>'],
+};
+const evilFonts = {
+  ...FONTS.default,
+  heading: "'Inter'; } body { background: url(https://evil.example) ",
+  body: '"Inter"</style>',
+  families: ['Inter"><script>alert(21)</script>', 'Inter'],
+};
+const themed = [
+  generatePresentation(parsed.slides, [], evilTheme, evilFonts),
+  generateGraphHtml(parsed.slides[1], 1, evilTheme, evilFonts),
+];
+themed.forEach((html, i) => {
+  assertInert(html, `tema ${i}`);
+  ['alert(17)', 'alert(18)', 'alert(19)', 'alert(20)', 'alert(21)', 'evil.example', 'var(--x)', 'expression('].forEach((text) =>
+    assert.ok(!html.includes(text), `tema ${i}: ${text}`)
+  );
+  assert.ok(html.includes(THEMES.default.background));
+});
+assert.ok(themed[0].includes('#123456'));
+assert.ok(themed[0].includes('#ABCDEF'));
+
+// Valores de CSS válidos pasan sin cambios; lo demás cae en el de respaldo
+["'Playfair Display', serif", '#1B365D', 'rgb(1, 2, 3)', 'hsla(10, 20%, 30%, 0.5)'].forEach((value) =>
+  assert.strictEqual(cssValue(value, 'x'), value)
+);
+['', 'red; color: blue', "'Inter", 'url(a)', 'a\\62 c', 'red}', '<b>', '"Inter"'].forEach((value) =>
+  assert.strictEqual(cssValue(value, 'x'), 'x', value)
+);
+
+// JSON incrustable: no cierra <script> ni rompe el literal
+assert.strictEqual(scriptJson('</script>\u2028&'), '"\\u003c/script\\u003e\\u2028\\u0026"');
+assert.strictEqual(JSON.parse(scriptJson({ a: '<!--' })).a, '<!--');
+
+console.log('hostile guiones rendered inertly');